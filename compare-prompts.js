@@ -0,0 +1,43 @@
+// Compare two prompt versions on the problem set in prompts/problems.json
+//
+//   node compare-prompts.js '{}' '{"iterate":"v2"}' [provider]
+//
+// Needs the server running (`npm start`); set API_URL to point elsewhere.
+const API_URL = process.env.API_URL || 'http://localhost:3000';
+
+const comparePromptVersions = async () => {
+  const [a = '{}', b = '{}', provider = 'groq'] = process.argv.slice(2);
+  const body = { a: JSON.parse(a), b: JSON.parse(b), provider };
+
+  console.log(`🧪 Comparing prompts A=${a} and B=${b} with ${provider}\n`);
+  const response = await fetch(`${API_URL}/api/prompts/compare`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  const report = await response.json();
+  if (!response.ok) {
+    console.error(`❌ HTTP ${response.status}: ${report.error} (${report.code})`);
+    process.exit(1);
+  }
+
+  const cell = (m) => (m.error ? `error: ${m.code || m.error}` : `${m.status}, ${m.passedFirstDraft}/${m.attempted} passed, ${m.equations} eqs, ${m.tokens} tok`);
+  for (const row of report.problems) {
+    console.log(row.name);
+    console.log(`  A: ${cell(row.a)}`);
+    console.log(`  B: ${cell(row.b)}`);
+  }
+
+  const { a: sa, b: sb, delta } = report.summary;
+  console.log('\n📊 Summary           A          B          B-A');
+  for (const key of ['passRate', 'acceptRate', 'equationsPerRun', 'tokensPerRun']) {
+    console.log(`  ${key.padEnd(16)}  ${String(sa[key]).padEnd(9)}  ${String(sb[key]).padEnd(9)}  ${delta[key]}`);
+  }
+  console.log(`  ${'completed'.padEnd(16)}  ${`${sa.completed}/${sa.runs}`.padEnd(9)}  ${sb.completed}/${sb.runs}`);
+  console.log(`\nRun ${report.runId}`);
+};
+
+comparePromptVersions().catch((e) => {
+  console.error('❌', e.message);
+  process.exit(1);
+});
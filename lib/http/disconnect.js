@@ -0,0 +1,17 @@
+/**
+ * Client disconnect detection for Next.js API routes
+ */
+
+/**
+ * An AbortSignal that fires when the client goes away before the response is
+ * complete, e.g. when the tab is closed, so the work behind it can stop.
+ * @param {import('http').ServerResponse} res
+ * @returns {AbortSignal}
+ */
+export function abortOnDisconnect(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort(new DOMException('Client disconnected', 'AbortError'));
+  });
+  return controller.signal;
+}
@@ -0,0 +1,92 @@
+/**
+ * Error responses for Next.js API routes
+ *
+ * Every failure is answered with the same JSON envelope:
+ *
+ *   { error: message, code, details?, retryAfter?, partial? }
+ *
+ * `code` is stable (see lib/llm/errors.js for the provider codes) and decides
+ * the HTTP status; `partial` carries the plan and iterations derived before the
+ * failure, and the transcript of the calls made when one was recorded.
+ */
+
+export const HTTP_STATUS = {
+  invalid_request: 400,
+  provider_auth_failed: 401,
+  not_found: 404,
+  unparseable_output: 424,
+  validation_failed: 424,
+  provider_rate_limited: 429,
+  // Client closed the request; nobody reads the response
+  cancelled: 499,
+  internal_error: 500,
+  provider_error: 502,
+  // The server is missing its own settings; the client's request was fine
+  provider_not_configured: 503,
+  provider_timeout: 504,
+};
+
+// Seconds to wait after a rate limit when the provider did not say
+const DEFAULT_RETRY_AFTER_S = 30;
+
+/** An error with a stable code for failures that are not the provider's. */
+export class ApiError extends Error {
+  constructor(code, message, { details } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.code = code;
+    if (details) this.details = details;
+  }
+}
+
+/**
+ * The response for an error.
+ * @param {Error} e - An LLMError, ApiError or anything else (500 internal_error)
+ * @param {Object} [partial] - Progress to return, defaulting to `e.partial`
+ * @returns {{ status: number, retryAfter?: number, body: Object }}
+ */
+export function errorResponse(e, partial = e?.partial) {
+  const code = HTTP_STATUS[e?.code] ? e.code : 'internal_error';
+  const body = { error: e?.message || 'Internal error', code };
+  if (e?.details) body.details = e.details;
+  let retryAfter;
+  if (code === 'provider_rate_limited') {
+    retryAfter = Number.isFinite(e.retryAfterMs) ? Math.ceil(e.retryAfterMs / 1000) : DEFAULT_RETRY_AFTER_S;
+    body.retryAfter = retryAfter;
+  }
+  if (partial?.iterations?.length || partial?.plan?.length || partial?.transcript) body.partial = partial;
+  return { status: HTTP_STATUS[code], retryAfter, body };
+}
+
+/**
+ * Answer with the error envelope, setting Retry-After for rate limits.
+ * @param {import('http').ServerResponse} res
+ * @param {Error} e
+ * @param {Object} [partial]
+ */
+export function sendError(res, e, partial) {
+  const { status, retryAfter, body } = errorResponse(e, partial);
+  if (retryAfter !== undefined) res.setHeader('Retry-After', String(retryAfter));
+  return res.status(status).json(body);
+}
+
+/**
+ * A run that ended without a single accepted iteration is a failure even though
+ * the solver returned: the model's output could not be parsed, or a draft and
+ * its revision both failed validation.
+ * @param {Object} result - From solveSchrodingerIterative
+ * @returns {ApiError|null}
+ */
+export function solveFailure(result) {
+  if (result?.iterations?.length) return null;
+  const termination = result?.validation?.termination;
+  if (termination?.reason === 'unparseable_output') {
+    return new ApiError('unparseable_output', 'The model returned output that could not be parsed', { details: { termination } });
+  }
+  if (termination?.reason === 'revision_rejected') {
+    return new ApiError('validation_failed', 'The first iteration and its revision both failed validation', {
+      details: { termination, rejected: result.validation.rejected },
+    });
+  }
+  return null;
+}
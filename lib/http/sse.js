@@ -0,0 +1,76 @@
+/**
+ * Server-Sent Events helpers for Next.js API routes
+ */
+
+/**
+ * Returns true when the client asked for an event stream, either through
+ * the Accept header or a `stream: true` flag in the JSON body.
+ * @param {import('http').IncomingMessage & { body?: Object }} req
+ * @returns {boolean}
+ */
+export function wantsEventStream(req) {
+  const accept = req.headers?.accept || '';
+  return accept.includes('text/event-stream') || req.body?.stream === true;
+}
+
+/**
+ * Switch a response into SSE mode.
+ * @param {import('http').ServerResponse} res
+ * @returns {{ send: (event: string, data: any) => void, close: () => void, closed: () => boolean }}
+ */
+export function openEventStream(res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // Keeps Next.js' gzip middleware from buffering the stream
+    'Content-Encoding': 'none',
+  });
+
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+  });
+
+  return {
+    send(event, data) {
+      if (closed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data ?? {})}\n\n`);
+      if (typeof res.flush === 'function') res.flush();
+    },
+    close() {
+      if (closed) return;
+      closed = true;
+      res.end();
+    },
+    closed: () => closed,
+  };
+}
+
+/**
+ * Parse an SSE body incrementally (browser side).
+ * Feed raw text chunks; complete events are passed to `onEvent(event, data)`.
+ * @param {(event: string, data: any) => void} onEvent
+ * @returns {(chunk: string) => void}
+ */
+export function createEventParser(onEvent) {
+  let buffer = '';
+  return (chunk) => {
+    buffer += chunk;
+    let idx;
+    while ((idx = buffer.indexOf('\n\n')) !== -1) {
+      const raw = buffer.slice(0, idx);
+      buffer = buffer.slice(idx + 2);
+      let event = 'message';
+      const dataLines = [];
+      for (const line of raw.split('\n')) {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) dataLines.push(line.slice(5).trim());
+      }
+      if (!dataLines.length) continue;
+      let data = dataLines.join('\n');
+      try { data = JSON.parse(data); } catch (_) {}
+      onEvent(event, data);
+    }
+  };
+}
@@ -0,0 +1,134 @@
+import { randomUUID } from 'crypto'
+import { solveSchrodingerIterative } from '../schrodinger/solver'
+import { getJobStore } from './store'
+import { log } from '../log/logger'
+import { createTrace } from '../log/trace'
+import { solveFailure } from '../http/errors'
+
+const logger = log.child({ scope: 'jobs' })
+
+// Jobs outlive the request that created them, so they can run a full
+// exhaustive derivation instead of the synchronous route's 4-iteration cap.
+const JOB_ITERATION_CAP = Number(process.env.SCH_JOB_MAX_ITERATIONS || 12)
+
+const TERMINAL = new Set(['completed', 'failed', 'cancelled', 'timed_out'])
+
+// AbortControllers for jobs running in this process
+function controllers() {
+  return (globalThis.__schrodingerJobControllers ||= new Map())
+}
+
+export function isTerminal(status) {
+  return TERMINAL.has(status)
+}
+
+/**
+ * Create a solve job and start it in the background.
+ * @param {Object} params - Same fields accepted by solveSchrodingerIterative
+ * @param {Object} [options]
+ * @param {Object} [options.trace] - The run's trace, e.g. one the route already used for intent parsing; exported when the job ends
+ * @param {boolean|Object} [options.transcript] - The solver's transcript option; the transcript is stored on the job when it ends
+ * @param {Object} [options.prompts] - Prompt templates the route already resolved, so the intent call's versions are recorded with the run's
+ * @returns {Promise<Object>} The stored job record
+ */
+export async function createSolveJob(params, { store = getJobStore(), trace = createTrace(), transcript, prompts } = {}) {
+  const now = new Date().toISOString()
+  const job = {
+    id: randomUUID(),
+    runId: trace.runId,
+    status: 'queued',
+    createdAt: now,
+    updatedAt: now,
+    params,
+    progress: null,
+    plan: [],
+    iterations: [],
+    result: null,
+    error: null,
+    errorCode: null,
+    transcript: null,
+  }
+  await store.put(job)
+  runJob(job, store, trace, { transcript, prompts })
+  return job
+}
+
+export async function getJob(id, { store = getJobStore() } = {}) {
+  return store.get(id)
+}
+
+/**
+ * Request cancellation. The running solver aborts its LLM call in flight and
+ * keeps the iterations derived so far; with a file store, a job running in
+ * another process notices on its next update.
+ * @returns {Promise<Object|null>} The updated job, or null if unknown
+ */
+export async function cancelJob(id, { store = getJobStore() } = {}) {
+  const job = await store.get(id)
+  if (!job) return null
+  if (isTerminal(job.status)) return job
+  job.status = 'cancelled'
+  job.updatedAt = new Date().toISOString()
+  await store.put(job)
+  controllers().get(id)?.abort()
+  return job
+}
+
+function runJob(job, store, trace, { transcript, prompts }) {
+  const controller = new AbortController()
+  controllers().set(job.id, controller)
+
+  // Serialize writes so events arriving back-to-back land in order. The store
+  // checks for a cancel as it writes, so an update never overwrites one; the
+  // update is then saved as cancelled and the run aborted.
+  let writes = Promise.resolve()
+  const save = () => {
+    job.updatedAt = new Date().toISOString()
+    const snapshot = { ...job }
+    writes = writes.then(async () => {
+      if (snapshot.status !== 'cancelled') {
+        if (await store.put(snapshot, { unlessStored: 'cancelled' })) return
+        job.status = 'cancelled'
+        controller.abort()
+      }
+      await store.put({ ...snapshot, status: 'cancelled' })
+    }).catch((e) => logger.error('failed to persist job', { id: job.id, runId: job.runId, message: e?.message }))
+    return writes
+  }
+
+  const onEvent = (type, payload) => {
+    if (type === 'plan') job.plan = payload.plan || []
+    else if (type === 'iteration_start') job.progress = { k: payload.k, total: payload.total, title: payload.title }
+    else if (type === 'iteration') job.iterations = [...job.iterations, payload.iteration]
+    else if (type === 'appendix_start') job.progress = { ...job.progress, stage: 'appendix' }
+    else if (type === 'structured_start') job.progress = { ...job.progress, stage: 'structured' }
+    else if (type === 'verification_start') job.progress = { ...job.progress, stage: 'verification' }
+    save()
+  }
+
+  job.status = 'running'
+  save()
+    .then(() => solveSchrodingerIterative({ ...job.params, maxIterationsCap: JOB_ITERATION_CAP, onEvent, signal: controller.signal, trace, transcript, prompts: prompts || job.params.prompts }))
+    .then(({ transcript: recorded, ...result }) => {
+      job.result = result
+      job.iterations = result.iterations
+      job.transcript = recorded || null
+      // A run that ended without an accepted iteration failed, as in the synchronous routes
+      const failure = solveFailure(result)
+      if (failure) {
+        job.error = failure.message
+        job.errorCode = failure.code
+      }
+      if (job.status !== 'cancelled') job.status = failure ? 'failed' : result.status
+    })
+    .catch((e) => {
+      logger.error('solve failed', { id: job.id, runId: job.runId, message: e?.message })
+      job.error = e?.message || 'Failed to solve Schrödinger equation'
+      job.errorCode = e?.code || 'internal_error'
+      job.transcript = e?.partial?.transcript || null
+      if (job.status !== 'cancelled') job.status = 'failed'
+    })
+    .then(() => save())
+    .then(() => trace.export({ jobId: job.id, status: job.status }))
+    .finally(() => controllers().delete(job.id))
+}
@@ -0,0 +1,110 @@
+import { randomUUID } from 'crypto'
+import { promises as fs } from 'fs'
+import os from 'os'
+import path from 'path'
+
+/**
+ * Job stores persist solve-job records keyed by id.
+ * Every store exposes the same async interface: get(id), put(job, options), remove(id).
+ *
+ * put(job, { unlessStored }) skips the write when the stored record's status is
+ * `unlessStored`, checked as the record is written, and resolves to whether it
+ * wrote; a running job uses it so its progress updates never undo a cancel.
+ */
+
+// Jobs still in progress; the memory store never evicts these
+const ACTIVE = new Set(['queued', 'running'])
+
+/**
+ * In-process store. Finished jobs (which may carry a whole transcript) are
+ * dropped least recently updated first once more than `maxEntries` are kept.
+ */
+export function createMemoryStore({ maxEntries = 200 } = {}) {
+  const jobs = new Map()
+  const evict = () => {
+    for (const [id, job] of jobs) {
+      if (jobs.size <= maxEntries) return
+      if (!ACTIVE.has(job.status)) jobs.delete(id)
+    }
+  }
+  return {
+    kind: 'memory',
+    async get(id) {
+      const job = jobs.get(id)
+      return job ? structuredClone(job) : null
+    },
+    async put(job, { unlessStored } = {}) {
+      if (unlessStored && jobs.get(job.id)?.status === unlessStored) return false
+      // Re-inserting keeps the map in update order
+      jobs.delete(job.id)
+      jobs.set(job.id, structuredClone(job))
+      evict()
+      return true
+    },
+    async remove(id) {
+      jobs.delete(id)
+    },
+  }
+}
+
+/**
+ * File-backed store: one JSON document per job, written atomically so a
+ * concurrent reader never sees a half-written record. Each write goes through
+ * its own temp file, so concurrent writers never share one; the `unlessStored`
+ * check reads the record just before the rename that replaces it.
+ */
+export function createFileStore(dir) {
+  const fileFor = (id) => path.join(dir, `${String(id).replace(/[^a-zA-Z0-9_-]/g, '')}.json`)
+  let ready = null
+  const ensureDir = () => (ready ||= fs.mkdir(dir, { recursive: true }))
+
+  const get = async (id) => {
+    try {
+      return JSON.parse(await fs.readFile(fileFor(id), 'utf8'))
+    } catch (e) {
+      if (e.code === 'ENOENT') return null
+      throw e
+    }
+  }
+
+  return {
+    kind: 'file',
+    dir,
+    get,
+    async put(job, { unlessStored } = {}) {
+      await ensureDir()
+      const target = fileFor(job.id)
+      const tmp = `${target}.${process.pid}.${randomUUID()}.tmp`
+      await fs.writeFile(tmp, JSON.stringify(job))
+      if (unlessStored && (await get(job.id))?.status === unlessStored) {
+        await fs.rm(tmp, { force: true })
+        return false
+      }
+      await fs.rename(tmp, target)
+      return true
+    },
+    async remove(id) {
+      await fs.rm(fileFor(id), { force: true })
+    },
+  }
+}
+
+/**
+ * Store selected by SCH_JOB_STORE ('memory' | 'file'); the memory store keeps at
+ * most SCH_JOB_MAX_ENTRIES finished jobs (default 200), the file store writes to
+ * SCH_JOB_DIR (defaults to a directory under the OS temp dir).
+ * Kept on globalThis so every API route (and dev-mode hot reloads) share one instance.
+ */
+export function getJobStore() {
+  if (globalThis.__schrodingerJobStore) return globalThis.__schrodingerJobStore
+  if ((process.env.SCH_JOB_STORE || 'memory') === 'file') {
+    globalThis.__schrodingerJobStore = createFileStore(process.env.SCH_JOB_DIR || path.join(os.tmpdir(), 'schrodinger-jobs'))
+  } else {
+    globalThis.__schrodingerJobStore = createMemoryStore({ maxEntries: Number(process.env.SCH_JOB_MAX_ENTRIES || 200) })
+  }
+  return globalThis.__schrodingerJobStore
+}
+
+export function setJobStore(store) {
+  globalThis.__schrodingerJobStore = store
+}
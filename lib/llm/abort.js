@@ -0,0 +1,42 @@
+/**
+ * Cancellation helpers shared by the LLM transports
+ *
+ * A run's AbortSignal (client disconnect, job cancellation or the overall
+ * deadline) reaches every HTTP attempt and backoff wait, so an aborted run
+ * stops spending tokens at once instead of finishing its current call.
+ */
+
+/**
+ * Signal that aborts with `signal` or after `timeoutMs`, e.g. for one HTTP
+ * attempt of a run, or for a run with an overall deadline. A timeout aborts with
+ * a 'TimeoutError'.
+ * @param {AbortSignal} [signal]
+ * @param {number} [timeoutMs]
+ * @returns {AbortSignal|undefined}
+ */
+export function withTimeout(signal, timeoutMs) {
+  const signals = [signal, timeoutMs > 0 ? AbortSignal.timeout(timeoutMs) : null].filter(Boolean);
+  if (signals.length < 2) return signals[0];
+  return AbortSignal.any(signals);
+}
+
+/**
+ * Wait `ms`, rejecting with the signal's reason as soon as it aborts.
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+export function delay(ms, signal) {
+  if (signal?.aborted) return Promise.reject(signal.reason);
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
@@ -0,0 +1,150 @@
+/**
+ * Content-addressed cache of LLM responses
+ *
+ * Responses are keyed by a hash of the provider and the exact request body sent
+ * (model, messages, temperature, max_tokens, response_format), so a repeated
+ * run replays every call it has already paid for. LLM_CACHE selects the
+ * backend ('memory' | 'file'); it is off when unset. The file backend writes to
+ * LLM_CACHE_DIR (defaults to a directory under the OS temp dir). Entries expire
+ * after LLM_CACHE_TTL_MS (default 24 h, 0 for never) and the least recently
+ * used are evicted beyond LLM_CACHE_MAX_ENTRIES (default 500).
+ */
+
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+
+// JSON with object keys sorted, so equal bodies always hash alike
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().filter((k) => value[k] !== undefined).map((k) => `${JSON.stringify(k)}:${canonical(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Cache key for a request body sent to a provider
+ * @param {string} provider
+ * @param {Object} body - OpenAI-style body, after fitting to the model
+ * @returns {string} Hex SHA-256 digest
+ */
+export function responseCacheKey(provider, body) {
+  return createHash('sha256').update(canonical({ provider, body })).digest('hex');
+}
+
+const expired = (entry, ttlMs, now) => ttlMs > 0 && now - entry.storedAt > ttlMs;
+
+/**
+ * Every cache exposes the same async interface: get(key) resolves to the entry
+ * ({ key, provider, model, storedAt, response }) or null, set(key, entry), clear().
+ */
+export function createMemoryCache({ ttlMs = 86400000, maxEntries = 500 } = {}) {
+  const entries = new Map();
+  return {
+    kind: 'memory',
+    async get(key, now = Date.now()) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      entries.delete(key);
+      if (expired(entry, ttlMs, now)) return null;
+      entries.set(key, entry);
+      return structuredClone(entry);
+    },
+    async set(key, entry) {
+      entries.delete(key);
+      entries.set(key, structuredClone(entry));
+      while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+    },
+    async clear() {
+      entries.clear();
+    },
+  };
+}
+
+/**
+ * File-backed cache: one JSON document per key. Reads touch the file, so its
+ * modification time orders entries for eviction.
+ */
+export function createFileCache(dir, { ttlMs = 86400000, maxEntries = 500 } = {}) {
+  const fileFor = (key) => path.join(dir, `${String(key).replace(/[^a-f0-9]/g, '')}.json`);
+  let ready = null;
+  const ensureDir = () => (ready ||= fs.mkdir(dir, { recursive: true }));
+
+  async function evict() {
+    const names = (await fs.readdir(dir)).filter((n) => n.endsWith('.json'));
+    if (names.length <= maxEntries) return;
+    const files = await Promise.all(names.map(async (n) => {
+      const file = path.join(dir, n);
+      try {
+        return { file, mtimeMs: (await fs.stat(file)).mtimeMs };
+      } catch (_) {
+        return null;
+      }
+    }));
+    const oldest = files.filter(Boolean).sort((a, b) => a.mtimeMs - b.mtimeMs).slice(0, names.length - maxEntries);
+    await Promise.all(oldest.map((f) => fs.rm(f.file, { force: true })));
+  }
+
+  return {
+    kind: 'file',
+    dir,
+    async get(key, now = Date.now()) {
+      const file = fileFor(key);
+      let entry;
+      try {
+        entry = JSON.parse(await fs.readFile(file, 'utf8'));
+      } catch (e) {
+        if (e.code === 'ENOENT' || e instanceof SyntaxError) return null;
+        throw e;
+      }
+      if (expired(entry, ttlMs, now)) {
+        await fs.rm(file, { force: true });
+        return null;
+      }
+      const touched = new Date(now);
+      await fs.utimes(file, touched, touched).catch(() => {});
+      return entry;
+    },
+    async set(key, entry) {
+      await ensureDir();
+      const target = fileFor(key);
+      const tmp = `${target}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify(entry));
+      await fs.rename(tmp, target);
+      await evict();
+    },
+    async clear() {
+      await fs.rm(dir, { recursive: true, force: true });
+      ready = null;
+    },
+  };
+}
+
+/**
+ * The cache selected by LLM_CACHE, or null when caching is off. Kept on
+ * globalThis so every API route shares one instance; a change to the LLM_CACHE_*
+ * settings starts a new one.
+ * @returns {Object|null}
+ */
+export function getResponseCache() {
+  const kind = process.env.LLM_CACHE || '';
+  if (!kind || kind === 'off') return null;
+  const dir = process.env.LLM_CACHE_DIR || path.join(os.tmpdir(), 'llm-cache');
+  const options = {
+    ttlMs: Number(process.env.LLM_CACHE_TTL_MS ?? 86400000),
+    maxEntries: Number(process.env.LLM_CACHE_MAX_ENTRIES || 500),
+  };
+  const key = `${kind}\u0000${dir}\u0000${options.ttlMs}\u0000${options.maxEntries}`;
+  if (globalThis.__llmResponseCache?.key !== key) {
+    const cache = kind === 'file' ? createFileCache(dir, options) : createMemoryCache(options);
+    globalThis.__llmResponseCache = { key, cache };
+  }
+  return globalThis.__llmResponseCache.cache;
+}
+
+/** Drop the shared cache instance (and its memory entries). */
+export function resetResponseCache() {
+  delete globalThis.__llmResponseCache;
+}
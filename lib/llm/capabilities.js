@@ -0,0 +1,140 @@
+/**
+ * Model capability registry
+ *
+ * What each model can do: context window, output limit, JSON mode, JSON-schema
+ * structured output, and whether prompts should be compressed for it. Callers
+ * size prompts and pick optional stages from this instead of guessing from
+ * the model name.
+ *
+ * Keys are `provider:model`, a bare model name, a `/pattern/flags` matched
+ * against the model name, or `provider:*`, tried in that order. Entries from
+ * LLM_CAPABILITIES (inline JSON) and LLM_CAPABILITIES_FILE (path to a JSON
+ * file) use the same keys and are merged field by field over the built-in ones.
+ */
+
+import fs from 'fs';
+import { log } from '../log/logger';
+
+const logger = log.child({ scope: 'llm' });
+
+export const DEFAULT_CAPABILITIES = {
+  contextWindow: 8192,
+  maxOutputTokens: 4096,
+  jsonMode: true,
+  jsonSchema: false,
+  compressPrompts: false,
+};
+
+// Small models lose the thread in long prompts and cannot afford big outputs
+const SMALL_MODEL = { contextWindow: 8192, maxOutputTokens: 2048, jsonMode: true, jsonSchema: false, compressPrompts: true };
+
+const LLAMA_4_MAVERICK = { contextWindow: 131072, maxOutputTokens: 8192, jsonMode: true, jsonSchema: false, compressPrompts: false };
+
+export const MODEL_CAPABILITIES = {
+  'openai/gpt-oss-20b': { contextWindow: 131072, maxOutputTokens: 65536, jsonMode: true, jsonSchema: true, compressPrompts: false },
+  'openai/gpt-oss-120b': { contextWindow: 131072, maxOutputTokens: 65536, jsonMode: true, jsonSchema: true, compressPrompts: false },
+  'gpt-4o': { contextWindow: 128000, maxOutputTokens: 16384, jsonMode: true, jsonSchema: true, compressPrompts: false },
+  'openrouter:openai/gpt-4o': { contextWindow: 128000, maxOutputTokens: 16384, jsonMode: true, jsonSchema: true, compressPrompts: false },
+  'gemini-1.5-pro': { contextWindow: 2097152, maxOutputTokens: 8192, jsonMode: true, jsonSchema: false, compressPrompts: false },
+  'Meta-Llama-3.1-405B-Instruct': { contextWindow: 16384, maxOutputTokens: 4096, jsonMode: true, jsonSchema: false, compressPrompts: false },
+  'llama-3.3-70b': { contextWindow: 65536, maxOutputTokens: 8192, jsonMode: true, jsonSchema: false, compressPrompts: false },
+  '/llama-4-maverick/i': LLAMA_4_MAVERICK,
+  '/allam/i': { ...SMALL_MODEL, contextWindow: 4096, maxOutputTokens: 1024, jsonMode: false },
+  // 1B-8B parameter models, but not 17B, 70B, 8x7B mixtures or 3.1/3.3 version numbers
+  '/(^|[^0-9.x])[1-8]b($|[^a-z0-9])/i': SMALL_MODEL,
+  // Forced tool calls give Anthropic models JSON-schema output
+  'anthropic:*': { contextWindow: 200000, maxOutputTokens: 8192, jsonMode: true, jsonSchema: true, compressPrompts: false },
+  'fixture:*': { contextWindow: 1048576, maxOutputTokens: 65536, jsonMode: true, jsonSchema: false, compressPrompts: false },
+};
+
+let overrideCache = { key: null, entries: {} };
+
+function overrides() {
+  const inline = process.env.LLM_CAPABILITIES || '';
+  const file = process.env.LLM_CAPABILITIES_FILE || '';
+  const key = `${inline}\u0000${file}`;
+  if (overrideCache.key === key) return overrideCache.entries;
+  let entries = {};
+  if (file) {
+    try {
+      entries = { ...entries, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+    } catch (e) {
+      logger.warn('could not read LLM_CAPABILITIES_FILE', { file, message: e?.message });
+    }
+  }
+  if (inline) {
+    try {
+      entries = { ...entries, ...JSON.parse(inline) };
+    } catch (e) {
+      logger.warn('could not parse LLM_CAPABILITIES', { message: e?.message });
+    }
+  }
+  overrideCache = { key, entries };
+  return entries;
+}
+
+function registry() {
+  const extra = overrides();
+  const merged = {};
+  // Configured-only keys first, so their patterns win over the built-in ones
+  for (const key of Object.keys(extra)) if (!MODEL_CAPABILITIES[key]) merged[key] = extra[key];
+  for (const [key, caps] of Object.entries(MODEL_CAPABILITIES)) merged[key] = { ...caps, ...(extra[key] || {}) };
+  return merged;
+}
+
+function patternOf(key) {
+  const m = /^\/(.+)\/([a-z]*)$/.exec(key);
+  if (!m) return null;
+  try {
+    return new RegExp(m[1], m[2]);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Capabilities of a provider's model.
+ * @param {string} provider - e.g. 'groq', 'nvidia'
+ * @param {string} model - The provider's model id
+ * @returns {{ contextWindow: number, maxOutputTokens: number, jsonMode: boolean, jsonSchema: boolean, compressPrompts: boolean, source: string }}
+ *   `source` is the registry key that matched, or 'default'
+ */
+export function getModelCapabilities(provider, model = '') {
+  const table = registry();
+  const candidates = [`${provider}:${model}`, model];
+  let source = candidates.find((key) => table[key]);
+  if (!source) source = Object.keys(table).find((key) => patternOf(key)?.test(model));
+  if (!source && table[`${provider}:*`]) source = `${provider}:*`;
+  if (!source) return { ...DEFAULT_CAPABILITIES, source: 'default' };
+  return { ...DEFAULT_CAPABILITIES, ...table[source], source };
+}
+
+/** Rough token count for budgeting (about four characters per token). */
+export function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+/**
+ * Fit an OpenAI-style body to what the model supports: clamp `max_tokens` to the
+ * output limit and the room left in the context window, fall back from a JSON
+ * schema to JSON mode, and drop `response_format` for models without JSON mode.
+ * @param {Object} capabilities - From getModelCapabilities
+ * @param {Object} body
+ * @returns {Object} A new body
+ */
+export function fitRequestToModel(capabilities, body) {
+  if (!capabilities) return body;
+  const out = { ...body };
+  if (out.max_tokens) {
+    const promptTokens = estimateTokens((out.messages || []).map((m) => m.content).join('\n'));
+    const room = capabilities.contextWindow - promptTokens;
+    out.max_tokens = Math.max(256, Math.min(out.max_tokens, capabilities.maxOutputTokens, room));
+  }
+  if (out.response_format?.type === 'json_schema' && !capabilities.jsonSchema) {
+    out.response_format = { type: 'json_object' };
+  }
+  if (out.response_format && !capabilities.jsonMode) {
+    delete out.response_format;
+  }
+  return out;
+}
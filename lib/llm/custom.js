@@ -0,0 +1,97 @@
+/**
+ * Self-hosted OpenAI-compatible providers (llama.cpp, vLLM, Ollama, ...)
+ *
+ * `local` is configured from LOCAL_LLM_* variables and defaults to a server on
+ * localhost:8080. Custom named instances are declared in the JSON file named by
+ * LLM_PROVIDERS_FILE, e.g.
+ *
+ *   { "lab-vllm": { "baseUrl": "http://gpu1:8000/v1", "model": "Qwen2.5-72B-Instruct",
+ *                   "apiKeyEnv": "LAB_VLLM_KEY", "timeoutMs": 300000, "jsonMode": false } }
+ *
+ * Entries may set `label` (shown in the UI), `apiKey` or `apiKeyEnv` (optional
+ * auth), `timeoutMs` (per request) and `jsonMode` (false for servers that reject
+ * `response_format`). Names of built-in providers cannot be reused.
+ */
+
+import fs from 'fs';
+import { LLMError } from './errors';
+import { log } from '../log/logger';
+
+const logger = log.child({ scope: 'llm' });
+
+export const BUILT_IN_PROVIDERS = ['groq', 'openrouter', 'openai', 'gemini', 'sambanova', 'nvidia', 'cerebras', 'anthropic', 'fixture', 'replay'];
+
+let fileCache = { path: null, entries: {} };
+
+function fileEntries() {
+  const file = process.env.LLM_PROVIDERS_FILE;
+  if (!file) return {};
+  if (fileCache.path === file) return fileCache.entries;
+  let entries = {};
+  try {
+    entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    logger.warn('could not read LLM_PROVIDERS_FILE', { file, message: e?.message });
+  }
+  for (const name of Object.keys(entries)) {
+    if (BUILT_IN_PROVIDERS.includes(name)) {
+      logger.warn('ignoring custom provider with a built-in name', { name });
+      delete entries[name];
+    }
+  }
+  fileCache = { path: file, entries };
+  return entries;
+}
+
+// Always available; only offered in the UI once LOCAL_LLM_URL or LOCAL_LLM_MODEL is set
+function localEntry() {
+  return {
+    hidden: !process.env.LOCAL_LLM_URL && !process.env.LOCAL_LLM_MODEL,
+    label: 'Local server',
+    baseUrl: process.env.LOCAL_LLM_URL || 'http://localhost:8080/v1',
+    model: process.env.LOCAL_LLM_MODEL || 'local',
+    apiKeyEnv: 'LOCAL_LLM_API_KEY',
+    timeoutMs: process.env.LOCAL_LLM_TIMEOUT_MS,
+    jsonMode: process.env.LOCAL_LLM_JSON_MODE !== 'false',
+  };
+}
+
+function entries() {
+  return { local: localEntry(), ...fileEntries() };
+}
+
+/**
+ * Provider config for a self-hosted instance, in the shape getLLMConfig returns.
+ * @param {string} name
+ * @returns {Object|null} null when no instance has this name
+ * @throws {Error} When the instance lacks a base URL or model
+ */
+export function customProviderConfig(name) {
+  const entry = entries()[name];
+  if (!entry) return null;
+  if (!entry.baseUrl || !entry.model) {
+    throw new LLMError('provider_not_configured', `Custom provider "${name}": baseUrl and model are required`, { details: { provider: name } });
+  }
+  const base = String(entry.baseUrl).replace(/\/+$/, '');
+  const timeoutMs = Number(entry.timeoutMs);
+  return {
+    apiUrl: /\/chat\/completions$/.test(base) ? base : `${base}/chat/completions`,
+    apiKey: entry.apiKey || (entry.apiKeyEnv ? process.env[entry.apiKeyEnv] : null) || null,
+    model: entry.model,
+    provider: name,
+    extraHeaders: entry.headers || {},
+    timeoutMs: Number.isFinite(timeoutMs) && timeoutMs > 0 ? timeoutMs : null,
+    jsonMode: entry.jsonMode !== false,
+    isCustom: true,
+  };
+}
+
+/**
+ * What the UI needs to offer each self-hosted provider; no URLs or keys.
+ * @returns {Array<{ id: string, label: string, model: string }>}
+ */
+export function customProviderOptions() {
+  return Object.entries(entries())
+    .filter(([, entry]) => !entry.hidden && entry.baseUrl && entry.model)
+    .map(([id, entry]) => ({ id, label: entry.label || id, model: entry.model }));
+}
@@ -0,0 +1,93 @@
+/**
+ * Typed LLM errors
+ *
+ * Every error that leaves callProvider is an LLMError with a stable `code`, so
+ * callers can tell a configuration problem ("fix your key") from a transient
+ * one ("try again later") without parsing messages:
+ *
+ *   provider_not_configured  the provider's API key or settings are missing
+ *   provider_auth_failed     the provider rejected the key (HTTP 401/403)
+ *   provider_rate_limited    the provider answered 429; `retryAfterMs` when it said
+ *   provider_timeout         an attempt or the run's deadline timed out
+ *   provider_error           5xx, unreachable, or any other provider failure
+ *   cancelled                the run was aborted, e.g. the client disconnected
+ *
+ * The solver adds `unparseable_output` and `validation_failed` for runs that
+ * end without an accepted iteration (see lib/http/errors.js).
+ */
+
+export class LLMError extends Error {
+  /**
+   * @param {string} code
+   * @param {string} message
+   * @param {Object} [options]
+   * @param {Object} [options.details] - Provider, model, HTTP status and the like
+   * @param {number} [options.retryAfterMs] - When the provider asked to wait
+   * @param {Error} [options.cause]
+   */
+  constructor(code, message, { details, retryAfterMs, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'LLMError';
+    this.code = code;
+    if (details) this.details = details;
+    if (Number.isFinite(retryAfterMs)) this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// Retry-After is either delay-seconds or an HTTP date
+function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return undefined;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const at = Date.parse(value);
+  return Number.isFinite(at) ? Math.max(0, at - now) : undefined;
+}
+
+/**
+ * Error for a non-2xx provider response. The message keeps the familiar
+ * `HTTP <status> <body>` form.
+ * @param {Response} resp
+ * @param {string} text - Response body, already truncated as the caller wants
+ * @returns {LLMError}
+ */
+export function providerHttpError(resp, text = '') {
+  const status = resp.status;
+  const message = `HTTP ${status} ${text || ''}`;
+  const details = { httpStatus: status };
+  if (status === 401 || status === 403) return new LLMError('provider_auth_failed', message, { details });
+  if (status === 429) {
+    return new LLMError('provider_rate_limited', message, { details, retryAfterMs: parseRetryAfter(resp.headers?.get?.('retry-after')) });
+  }
+  return new LLMError('provider_error', message, { details });
+}
+
+/**
+ * Whether a failed attempt is worth repeating: rate limits, 5xx responses,
+ * timeouts and network failures are, other HTTP errors (400, 401, 403, ...)
+ * would only fail the same way again.
+ * @param {Error} e
+ * @returns {boolean}
+ */
+export function isRetryable(e) {
+  const status = e?.details?.httpStatus;
+  return !Number.isFinite(status) || status === 429 || status >= 500;
+}
+
+/**
+ * Classify any error from a provider call: LLMErrors pass through, aborts and
+ * timeouts get their codes, everything else is a `provider_error`.
+ * @param {Error} e
+ * @param {Object} [details] - Merged into the error's details
+ * @returns {LLMError}
+ */
+export function toLLMError(e, details) {
+  let error = e;
+  if (!(e instanceof LLMError)) {
+    const message = e?.message || String(e || 'LLM call failed');
+    if (e?.name === 'TimeoutError') error = new LLMError('provider_timeout', message, { cause: e });
+    else if (e?.name === 'AbortError') error = new LLMError('cancelled', message, { cause: e });
+    else error = new LLMError('provider_error', message, { cause: e });
+  }
+  if (details) error.details = { ...details, ...error.details };
+  return error;
+}
@@ -0,0 +1,71 @@
+/**
+ * Recorded chat completions for offline, deterministic runs
+ *
+ * Each fixture is a JSON file named after a hash of the request messages, so
+ * the same prompt always replays the same completion.
+ */
+
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+
+/**
+ * Stable key for a list of chat messages
+ * @param {Array<{role: string, content: string}>} messages
+ * @returns {string} Hex SHA-256 digest
+ */
+export function fixtureKey(messages = []) {
+  const canonical = messages.map((m) => ({ role: m.role, content: m.content }));
+  return createHash('sha256').update(JSON.stringify(canonical)).digest('hex');
+}
+
+function fixturePath(dir, key) {
+  return path.join(dir, `${key}.json`);
+}
+
+/**
+ * Serve a recorded completion for this request body
+ * @param {Object} params
+ * @param {string} params.dir - Fixture directory
+ * @param {Object} params.body - OpenAI-style request body (only `messages` is used)
+ * @returns {Promise<Object>} The recorded OpenAI-style response
+ */
+export async function replayFixture({ dir, body }) {
+  const key = fixtureKey(body?.messages);
+  let raw;
+  try {
+    raw = await fs.readFile(fixturePath(dir, key), 'utf8');
+  } catch (e) {
+    if (e.code === 'ENOENT') {
+      throw new Error(`No recorded fixture for request ${key} in ${dir}`);
+    }
+    throw e;
+  }
+  const fixture = JSON.parse(raw);
+  return fixture.response;
+}
+
+/**
+ * Save a completion so it can be replayed later
+ * @param {Object} params
+ * @param {string} params.dir - Fixture directory
+ * @param {Object} params.body - Request body that produced the response
+ * @param {Object} params.response - OpenAI-style response
+ * @param {string} params.provider - Provider that served the request
+ * @param {string} params.model - Model that served the request
+ * @returns {Promise<string>} The fixture key
+ */
+export async function recordFixture({ dir, body, response, provider, model }) {
+  const key = fixtureKey(body?.messages);
+  await fs.mkdir(dir, { recursive: true });
+  const fixture = {
+    key,
+    provider,
+    model,
+    recordedAt: new Date().toISOString(),
+    messages: body?.messages || [],
+    response,
+  };
+  await fs.writeFile(fixturePath(dir, key), JSON.stringify(fixture, null, 2));
+  return key;
+}
@@ -0,0 +1,106 @@
+/**
+ * Per-provider circuit breakers
+ *
+ * A provider that fails LLM_BREAKER_THRESHOLD calls (default 3) within
+ * LLM_BREAKER_WINDOW_MS (default 60 s) is skipped for LLM_BREAKER_COOLDOWN_MS
+ * (default 30 s) whenever a fallback provider is available. After the cooldown
+ * one trial call is let through (see acquireProvider) and the provider is
+ * skipped by everyone else until it settles; a success closes the breaker, a
+ * failure reopens it. State lives in this process only.
+ */
+
+import { log } from '../log/logger';
+
+const logger = log.child({ scope: 'llm' });
+
+function settings() {
+  return {
+    threshold: Number(process.env.LLM_BREAKER_THRESHOLD || 3),
+    windowMs: Number(process.env.LLM_BREAKER_WINDOW_MS || 60000),
+    cooldownMs: Number(process.env.LLM_BREAKER_COOLDOWN_MS || 30000),
+  };
+}
+
+function breakers() {
+  return (globalThis.__llmProviderHealth ||= new Map());
+}
+
+function breaker(provider) {
+  const all = breakers();
+  if (!all.has(provider)) all.set(provider, { failures: [], openUntil: 0, lastError: null, trialInFlight: false });
+  return all.get(provider);
+}
+
+/**
+ * @param {string} provider
+ * @param {number} [now]
+ * @returns {'closed'|'open'|'half-open'}
+ */
+export function circuitState(provider, now = Date.now()) {
+  const b = breaker(provider);
+  if (!b.openUntil) return 'closed';
+  return now < b.openUntil ? 'open' : 'half-open';
+}
+
+/** Whether calls to `provider` should be attempted while others are available. */
+export function isProviderAvailable(provider, now = Date.now()) {
+  const state = circuitState(provider, now);
+  return state === 'closed' || (state === 'half-open' && !breaker(provider).trialInFlight);
+}
+
+/**
+ * Claim a call to `provider` just before making it. A closed breaker always
+ * allows it; a half-open one allows only the first caller, whose call becomes
+ * the trial, until its outcome is recorded or releaseProvider is called.
+ * @param {string} provider
+ * @param {number} [now]
+ * @returns {boolean} Whether the call may go ahead
+ */
+export function acquireProvider(provider, now = Date.now()) {
+  if (!isProviderAvailable(provider, now)) return false;
+  if (circuitState(provider, now) === 'half-open') breaker(provider).trialInFlight = true;
+  return true;
+}
+
+/** Give up a claimed call that ended with neither a success nor a provider failure (e.g. it was cancelled). */
+export function releaseProvider(provider) {
+  breaker(provider).trialInFlight = false;
+}
+
+export function recordProviderSuccess(provider) {
+  const b = breaker(provider);
+  b.failures = [];
+  b.openUntil = 0;
+  b.trialInFlight = false;
+}
+
+export function recordProviderFailure(provider, error, now = Date.now()) {
+  const { threshold, windowMs, cooldownMs } = settings();
+  const b = breaker(provider);
+  b.lastError = error?.message || String(error);
+  b.trialInFlight = false;
+  // A failed trial call after the cooldown reopens the breaker straight away
+  if (b.openUntil && now >= b.openUntil) {
+    b.openUntil = now + cooldownMs;
+    return;
+  }
+  b.failures = [...b.failures.filter((t) => now - t < windowMs), now];
+  if (b.failures.length >= threshold) {
+    b.openUntil = now + cooldownMs;
+    logger.warn('circuit opened', { provider, failures: b.failures.length, cooldownMs, lastError: b.lastError });
+  }
+}
+
+/** Snapshot of every provider seen so far, for diagnostics. */
+export function providerHealth(now = Date.now()) {
+  return Object.fromEntries([...breakers()].map(([provider, b]) => [provider, {
+    state: circuitState(provider, now),
+    recentFailures: b.failures.length,
+    lastError: b.lastError,
+  }]));
+}
+
+/** Forget all failures (tests, or an operator reset). */
+export function resetProviderHealth() {
+  breakers().clear();
+}
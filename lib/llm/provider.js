@@ -3,20 +3,106 @@
  * Supports multiple LLM providers
  */
 
+import path from 'path';
+import { replayFixture, recordFixture } from './fixture';
+import { getModelCapabilities, fitRequestToModel } from './capabilities';
+import { acquireProvider, isProviderAvailable, releaseProvider, recordProviderSuccess, recordProviderFailure } from './health';
+import { customProviderConfig } from './custom';
+import { usageRecord } from './usage';
+import { getResponseCache, responseCacheKey } from './cache';
+import { withTimeout, delay } from './abort';
+import { LLMError, isRetryable, providerHttpError, toLLMError } from './errors';
+import { log } from '../log/logger';
+import { startSpan } from '../log/trace';
+
+const logger = log.child({ scope: 'llm' });
+
+/**
+ * Providers to try, in order: `provider`, then `fallback` (an array or a
+ * comma-separated list), or LLM_FALLBACK when the request gives no fallback.
+ * @param {string} provider
+ * @param {string[]|string} [fallback] - Pass [] to disable the LLM_FALLBACK default
+ * @returns {string[]}
+ */
+export function fallbackChain(provider = 'nvidia', fallback) {
+  const extra = fallback ?? process.env.LLM_FALLBACK ?? '';
+  const list = Array.isArray(extra) ? extra : String(extra).split(',');
+  return [...new Set([provider, ...list.map((p) => String(p).trim()).filter(Boolean)])];
+}
+
 /**
  * Get LLM configuration based on provider
- * @param {string} provider - 'groq', 'openrouter', 'openai', 'gemini', 'sambanova', 'nvidia', or 'cerebras'
+ *
+ * When LLM_RECORD_DIR is set, hosted provider configs carry a `recordDir` and
+ * every successful completion is saved there as a replayable fixture. Every
+ * config carries the model's `capabilities` from the registry in capabilities.js.
+ *
+ * With a fallback chain, the first usable provider's config is returned with
+ * the others in `fallbacks`; callProvider moves down the chain when a call fails.
+ * Providers without an API key are left out of the chain.
+ *
+ * @param {string} provider - 'groq', 'openrouter', 'openai', 'gemini', 'sambanova', 'nvidia', 'cerebras', 'anthropic', or 'fixture' (alias 'replay')
+ * @param {Object} [options]
+ * @param {string[]|string} [options.fallback] - Providers to try after `provider` (see fallbackChain)
+ * @param {string} [options.model] - Model for `provider` instead of its configured one
  * @returns {Object} Configuration object with apiUrl, apiKey, model, and headers
  */
-export function getLLMConfig(provider = 'nvidia') {
+export function getLLMConfig(provider = 'nvidia', { fallback, model } = {}) {
+  const configs = [];
+  let firstError;
+  for (const name of fallbackChain(provider, fallback)) {
+    try {
+      const config = getBaseConfig(name, name === provider ? model : undefined);
+      if (configs.some((c) => c.provider === config.provider)) continue;
+      config.capabilities = getModelCapabilities(config.provider, config.model);
+      // Self-hosted servers say for themselves whether they accept response_format
+      if (config.isCustom && !config.jsonMode) {
+        config.capabilities = { ...config.capabilities, jsonMode: false, jsonSchema: false };
+      }
+      configs.push(config);
+    } catch (e) {
+      firstError ||= e;
+    }
+  }
+  if (!configs.length) throw firstError;
+  if (firstError) logger.warn('left providers out of the fallback chain', { message: firstError.message });
+  const [primary, ...fallbacks] = configs;
+  return fallbacks.length ? { ...primary, fallbacks } : primary;
+}
+
+const notConfigured = (setting) => new LLMError('provider_not_configured', `${setting} not set`, { details: { setting } });
+
+function getBaseConfig(provider, modelOverride) {
+  // Offline replay of recorded completions
+  if (provider === 'fixture' || provider === 'replay') {
+    return {
+      apiUrl: null,
+      apiKey: null,
+      model: modelOverride || process.env.FIXTURE_MODEL || 'fixture',
+      provider: 'fixture',
+      extraHeaders: {},
+      fixtureDir: process.env.LLM_FIXTURE_DIR || path.join(process.cwd(), 'fixtures', 'llm'),
+      isFixture: true,
+    };
+  }
+
+  const custom = customProviderConfig(provider);
+  const config = custom ? { ...custom, model: modelOverride || custom.model } : getHostedConfig(provider, modelOverride);
+  if (process.env.LLM_RECORD_DIR) {
+    config.recordDir = process.env.LLM_RECORD_DIR;
+  }
+  return config;
+}
+
+function getHostedConfig(provider, modelOverride) {
   // OpenRouter
   if (provider === 'openrouter') {
     const apiKey = process.env.OPENROUTER_API_KEY;
-    const model = process.env.OPENROUTER_MODEL || 'openai/gpt-4o';
+    const model = modelOverride || process.env.OPENROUTER_MODEL || 'openai/gpt-4o';
     const apiUrl = 'https://openrouter.ai/api/v1/chat/completions';
 
     if (!apiKey) {
-      throw new Error('OPENROUTER_API_KEY not set');
+      throw notConfigured('OPENROUTER_API_KEY');
     }
 
     return {
@@ -34,11 +120,11 @@ export function getLLMConfig(provider = 'nvidia') {
   // OpenAI
   if (provider === 'openai') {
     const apiKey = process.env.OPENAI_API_KEY;
-    const model = process.env.OPENAI_MODEL || 'gpt-4o';
+    const model = modelOverride || process.env.OPENAI_MODEL || 'gpt-4o';
     const apiUrl = process.env.OPENAI_API_URL || 'https://api.openai.com/v1/chat/completions';
 
     if (!apiKey) {
-      throw new Error('OPENAI_API_KEY not set');
+      throw notConfigured('OPENAI_API_KEY');
     }
 
     return {
@@ -53,12 +139,12 @@ export function getLLMConfig(provider = 'nvidia') {
   // Google Gemini
   if (provider === 'gemini') {
     const apiKey = process.env.GEMINI_API_KEY;
-    const model = process.env.GEMINI_MODEL || 'gemini-1.5-pro';
+    const model = modelOverride || process.env.GEMINI_MODEL || 'gemini-1.5-pro';
     const baseUrl = process.env.GEMINI_API_URL || 'https://generativelanguage.googleapis.com/v1beta/models';
     const apiUrl = `${baseUrl}/${model}:generateContent`;
 
     if (!apiKey) {
-      throw new Error('GEMINI_API_KEY not set');
+      throw notConfigured('GEMINI_API_KEY');
     }
 
     return {
@@ -74,11 +160,11 @@ export function getLLMConfig(provider = 'nvidia') {
   // SambaNova
   if (provider === 'sambanova') {
     const apiKey = process.env.SAMBANOVA_API_KEY;
-    const model = process.env.SAMBANOVA_MODEL || 'Meta-Llama-3.1-405B-Instruct';
+    const model = modelOverride || process.env.SAMBANOVA_MODEL || 'Meta-Llama-3.1-405B-Instruct';
     const apiUrl = process.env.SAMBANOVA_API_URL || 'https://api.sambanova.ai/v1/chat/completions';
 
     if (!apiKey) {
-      throw new Error('SAMBANOVA_API_KEY not set');
+      throw notConfigured('SAMBANOVA_API_KEY');
     }
 
     return {
@@ -93,11 +179,11 @@ export function getLLMConfig(provider = 'nvidia') {
   // NVIDIA NIM
   if (provider === 'nvidia') {
     const apiKey = process.env.NVIDIA_API_KEY;
-    const model = process.env.NVIDIA_MODEL || 'meta/llama-4-maverick-17b-128e-instruct';
+    const model = modelOverride || process.env.NVIDIA_MODEL || 'meta/llama-4-maverick-17b-128e-instruct';
     const apiUrl = process.env.NVIDIA_API_URL || 'https://integrate.api.nvidia.com/v1/chat/completions';
 
     if (!apiKey) {
-      throw new Error('NVIDIA_API_KEY not set');
+      throw notConfigured('NVIDIA_API_KEY');
     }
 
     return {
@@ -112,11 +198,11 @@ export function getLLMConfig(provider = 'nvidia') {
   // Cerebras
   if (provider === 'cerebras') {
     const apiKey = process.env.CEREBRAS_API_KEY;
-    const model = process.env.CEREBRAS_MODEL || 'llama-3.3-70b';
+    const model = modelOverride || process.env.CEREBRAS_MODEL || 'llama-3.3-70b';
     const apiUrl = process.env.CEREBRAS_API_URL || 'https://api.cerebras.ai/v1/chat/completions';
 
     if (!apiKey) {
-      throw new Error('CEREBRAS_API_KEY not set');
+      throw notConfigured('CEREBRAS_API_KEY');
     }
 
     return {
@@ -128,13 +214,33 @@ export function getLLMConfig(provider = 'nvidia') {
     };
   }
 
+  // Anthropic Messages API
+  if (provider === 'anthropic') {
+    const apiKey = process.env.ANTHROPIC_API_KEY;
+    const model = modelOverride || process.env.ANTHROPIC_MODEL || 'claude-3-5-sonnet-latest';
+    const apiUrl = process.env.ANTHROPIC_API_URL || 'https://api.anthropic.com/v1/messages';
+
+    if (!apiKey) {
+      throw notConfigured('ANTHROPIC_API_KEY');
+    }
+
+    return {
+      apiUrl,
+      apiKey,
+      model,
+      provider: 'anthropic',
+      extraHeaders: { 'anthropic-version': process.env.ANTHROPIC_VERSION || '2023-06-01' },
+      isAnthropic: true, // Flag to handle different API format
+    };
+  }
+
   // Default to Groq
   const apiKey = process.env.GROQ_API_KEY;
-  const model = process.env.GROQ_MODEL || 'openai/gpt-oss-20b';
+  const model = modelOverride || process.env.GROQ_MODEL || 'openai/gpt-oss-20b';
   const apiUrl = process.env.GROQ_API_URL || 'https://api.groq.com/openai/v1/chat/completions';
 
   if (!apiKey) {
-    throw new Error('GROQ_API_KEY not set');
+    throw notConfigured('GROQ_API_KEY');
   }
 
   return {
@@ -149,13 +255,21 @@ export function getLLMConfig(provider = 'nvidia') {
 /**
  * Make an LLM API call with the specified provider
  * @param {Object} params
- * @param {string} params.provider - 'groq', 'openrouter', 'openai', 'gemini', 'sambanova', 'nvidia', or 'cerebras'
+ * @param {string} params.provider - 'groq', 'openrouter', 'openai', 'gemini', 'sambanova', 'nvidia', 'cerebras', or 'anthropic'
  * @param {Array} params.messages - Chat messages
  * @param {number} params.temperature - Temperature setting
  * @param {number} params.maxTokens - Max tokens to generate
  * @param {Object} params.responseFormat - Response format (e.g., { type: 'json_object' })
  * @param {number} params.maxRetries - Maximum retry attempts
  * @param {number} params.baseDelayMs - Base delay for exponential backoff
+ * @param {string[]|string} params.fallback - Providers to try if this one fails
+ * @param {Object} params.meter - Usage meter to record the call in (see usage.js)
+ * @param {string} params.stage - Stage name for the usage record
+ * @param {boolean} params.cache - Pass false to bypass the response cache
+ * @param {AbortSignal} params.signal - Aborts the call, including retries and fallbacks
+ * @param {number} params.timeoutMs - Per-attempt timeout
+ * @param {Object} params.trace - Run trace to record the call in (see lib/log/trace.js)
+ * @param {Object} params.transcript - Transcript to record the prompt and reply in (see transcript.js)
  * @returns {Promise<Object>} API response
  */
 export async function callLLM({
@@ -166,23 +280,17 @@ export async function callLLM({
   responseFormat = null,
   maxRetries = 3,
   baseDelayMs = 500,
+  fallback,
+  meter,
+  stage,
+  cache,
+  signal,
+  timeoutMs,
+  trace,
+  transcript,
 }) {
-  const config = getLLMConfig(provider);
-
-  // Handle Gemini's different API format
-  if (config.isGemini) {
-    return await callGemini({
-      apiUrl: config.apiUrl,
-      apiKey: config.apiKey,
-      messages,
-      temperature,
-      maxTokens,
-      maxRetries,
-      baseDelayMs,
-    });
-  }
+  const config = { ...getLLMConfig(provider, { fallback }), meter, stage, cache, signal, callTimeoutMs: timeoutMs, trace, transcript };
 
-  // Standard OpenAI-compatible format (Groq, OpenRouter, OpenAI, SambaNova, NVIDIA, Cerebras)
   const body = {
     model: config.model,
     messages,
@@ -194,29 +302,225 @@ export async function callLLM({
     body.response_format = responseFormat;
   }
 
-  return await callChatWithRetry({
-    apiUrl: config.apiUrl,
-    apiKey: config.apiKey,
-    extraHeaders: config.extraHeaders,
-    body,
-    maxRetries,
-    baseDelayMs,
-  });
+  return await callProvider({ config, body, maxRetries, baseDelayMs });
+}
+
+/**
+ * Send an OpenAI-style chat body to whatever backend `config` describes.
+ * This is the single path every LLM call goes through: it fits the body to the
+ * model's capabilities, replays fixtures, translates for Gemini and Anthropic,
+ * and records completions when `config.recordDir` is set.
+ *
+ * When the call fails after its retries, the next provider in `config.fallbacks`
+ * is tried. Providers whose circuit breaker is open (see health.js) are skipped
+ * while another is available; so is a half-open one whose single trial call
+ * another caller has already claimed. The response's `servedBy` names the provider and
+ * model that answered, plus any that were `skipped` and why.
+ *
+ * When the config carries a usage `meter`, every attempted provider is recorded
+ * with the config's `stage`, its tokens, latency and retries (see usage.js).
+ *
+ * A `config.transcript` (see transcript.js) gets the same calls with the
+ * messages sent and the raw reply.
+ *
+ * When LLM_CACHE is set, each provider's fitted body is looked up in the response
+ * cache first (see cache.js); a hit is returned with `servedBy.cached` and no
+ * request is made. `config.cache === false` bypasses the cache.
+ *
+ * `config.signal` aborts the call: in-flight requests and backoff waits stop at
+ * once and no fallback is tried. Each HTTP attempt times out after
+ * `config.callTimeoutMs`, else the provider's own `timeoutMs`, else
+ * LLM_TIMEOUT_MS; a timed-out attempt is retried like any other failure.
+ *
+ * With a `config.trace`, each provider attempted is an `llm` span carrying the
+ * stage, provider, model and retries (see lib/log/trace.js).
+ *
+ * Failures are thrown as LLMErrors with a stable `code` and the failing
+ * provider and model in `details` (see errors.js).
+ * @param {Object} params
+ * @param {Object} params.config - Result of getLLMConfig
+ * @param {Object} params.body - OpenAI-style body ({ model, messages, temperature, max_tokens, response_format? })
+ * @param {number} params.maxRetries - Maximum retry attempts
+ * @param {number} params.baseDelayMs - Base delay for exponential backoff
+ * @param {Function} params.transport - Optional replacement for the OpenAI-compatible HTTP call
+ * @returns {Promise<Object>} OpenAI-style response ({ choices: [{ message: { content } }], servedBy: { provider, model, skipped?, cached? } })
+ */
+export async function callProvider({ config, body, maxRetries = 3, baseDelayMs = 500, transport = callChatWithRetry }) {
+  const chain = [config, ...(config.fallbacks || [])];
+  const ready = chain.filter((c) => isProviderAvailable(c.provider));
+  const lastResort = !ready.length;
+  const candidates = lastResort ? chain : ready;
+  const skipped = chain.filter((c) => !candidates.includes(c)).map((c) => ({ provider: c.provider, reason: 'circuit open' }));
+  const cache = config.cache === false ? null : getResponseCache();
+  const { signal } = config;
+  let lastError;
+  for (const [i, candidate] of candidates.entries()) {
+    if (signal?.aborted) throw toLLMError(signal.reason, { provider: candidate.provider, model: candidate.model });
+    const fitted = fitRequestToModel(candidate.capabilities, { ...body, model: candidate.model });
+    const started = Date.now();
+    let attempts = 0;
+    let cached = false;
+    const recordCall = (data, error) => {
+      const latencyMs = Date.now() - started;
+      config.meter?.record(usageRecord({
+        stage: config.stage,
+        provider: candidate.provider,
+        model: candidate.model,
+        body: fitted,
+        data,
+        error,
+        latencyMs,
+        retries: Math.max(0, attempts - 1),
+        cached,
+      }));
+      config.transcript?.record({
+        stage: config.stage,
+        provider: candidate.provider,
+        model: candidate.model,
+        body: fitted,
+        content: data?.choices?.[0]?.message?.content,
+        error,
+        cached,
+        latencyMs,
+      });
+    };
+    const servedBy = { provider: candidate.provider, model: candidate.model };
+    if (skipped.length) servedBy.skipped = skipped;
+    const span = startSpan(config.trace, 'llm', { stage: config.stage, provider: candidate.provider, model: candidate.model });
+    const cacheKey = cache && !candidate.isFixture ? responseCacheKey(candidate.provider, fitted) : null;
+    if (cacheKey) {
+      const hit = await cache.get(cacheKey).catch((e) => logger.warn('response cache read failed', { message: e?.message }));
+      if (hit) {
+        cached = true;
+        recordCall(hit.response);
+        span.set({ cached: true });
+        span.end();
+        return { ...hit.response, servedBy: { ...servedBy, cached: true } };
+      }
+    }
+    // Another caller may have claimed a half-open provider's trial since `ready` was computed
+    if (!lastResort && !acquireProvider(candidate.provider)) {
+      span.set({ skipped: true });
+      span.end();
+      skipped.push({ provider: candidate.provider, reason: 'circuit half-open' });
+      continue;
+    }
+    try {
+      const data = await callOneProvider({
+        config: candidate,
+        body: fitted,
+        maxRetries,
+        baseDelayMs,
+        transport,
+        signal,
+        timeoutMs: config.callTimeoutMs || candidate.timeoutMs || Number(process.env.LLM_TIMEOUT_MS) || undefined,
+        onAttempt: () => { attempts += 1; },
+      });
+      recordCall(data);
+      span.set({ retries: Math.max(0, attempts - 1) });
+      span.end();
+      recordProviderSuccess(candidate.provider);
+      if (cacheKey) {
+        const entry = { key: cacheKey, provider: candidate.provider, model: candidate.model, storedAt: Date.now(), response: data };
+        await cache.set(cacheKey, entry).catch((e) => logger.warn('response cache write failed', { message: e?.message }));
+      }
+      return { ...data, servedBy };
+    } catch (e) {
+      lastError = toLLMError(e, { provider: candidate.provider, model: candidate.model });
+      recordCall(null, e);
+      span.set({ retries: Math.max(0, attempts - 1) });
+      span.end(null, signal?.aborted ? toLLMError(signal.reason) : lastError);
+      // A cancelled run is not the provider's fault
+      if (signal?.aborted) {
+        releaseProvider(candidate.provider);
+        throw toLLMError(signal.reason, { provider: candidate.provider, model: candidate.model });
+      }
+      recordProviderFailure(candidate.provider, e);
+      skipped.push({ provider: candidate.provider, reason: e?.message || 'failed' });
+      if (i < candidates.length - 1) {
+        logger.warn('provider failed, falling back', { provider: candidate.provider, next: candidates[i + 1].provider, message: e?.message });
+      }
+    }
+  }
+  throw lastError || new LLMError('provider_error', 'every provider circuit is open', { details: { skipped } });
+}
+
+async function callOneProvider({ config, body, maxRetries, baseDelayMs, transport, signal, timeoutMs, onAttempt }) {
+  if (config.isFixture) {
+    signal?.throwIfAborted();
+    onAttempt();
+    return await replayFixture({ dir: config.fixtureDir, body });
+  }
+
+  let data;
+  if (config.isGemini) {
+    // Handle Gemini's different API format
+    data = await callGemini({
+      apiUrl: config.apiUrl,
+      apiKey: config.apiKey,
+      messages: body.messages,
+      temperature: body.temperature,
+      maxTokens: body.max_tokens,
+      maxRetries,
+      baseDelayMs,
+      signal,
+      timeoutMs,
+      onAttempt,
+    });
+  } else if (config.isAnthropic) {
+    data = await callAnthropic({
+      apiUrl: config.apiUrl,
+      apiKey: config.apiKey,
+      extraHeaders: config.extraHeaders,
+      body,
+      maxTokens: body.max_tokens || config.capabilities?.maxOutputTokens || 4096,
+      maxRetries,
+      baseDelayMs,
+      signal,
+      timeoutMs,
+      onAttempt,
+    });
+  } else {
+    // Standard OpenAI-compatible format (Groq, OpenRouter, OpenAI, SambaNova, NVIDIA, Cerebras, self-hosted)
+    data = await transport({
+      apiUrl: config.apiUrl,
+      apiKey: config.apiKey,
+      extraHeaders: config.extraHeaders,
+      body,
+      maxRetries,
+      baseDelayMs,
+      signal,
+      timeoutMs,
+      onAttempt,
+    });
+  }
+
+  if (config.recordDir) {
+    try {
+      await recordFixture({ dir: config.recordDir, body, response: data, provider: config.provider, model: config.model });
+    } catch (e) {
+      logger.warn('failed to record fixture', { message: e?.message });
+    }
+  }
+
+  return data;
 }
 
 /**
  * Internal function to make API calls with retry logic
  */
-async function callChatWithRetry({ apiUrl, apiKey, extraHeaders, body, maxRetries, baseDelayMs }) {
+async function callChatWithRetry({ apiUrl, apiKey, extraHeaders, body, maxRetries, baseDelayMs, signal, timeoutMs, onAttempt }) {
   const retries = Number.isFinite(Number(maxRetries)) ? Number(maxRetries) : 3;
   const base = Number.isFinite(Number(baseDelayMs)) ? Number(baseDelayMs) : 500;
   let attempt = 0;
   let lastErr;
 
   while (attempt <= retries) {
+    onAttempt?.();
     try {
+      // Self-hosted servers may not need a key
       const headers = {
-        Authorization: `Bearer ${apiKey}`,
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
         'Content-Type': 'application/json',
         ...extraHeaders,
       };
@@ -225,24 +529,27 @@ async function callChatWithRetry({ apiUrl, apiKey, extraHeaders, body, maxRetrie
         method: 'POST',
         headers,
         body: JSON.stringify(body),
+        signal: withTimeout(signal, timeoutMs),
       });
 
       if (resp.status === 429 || resp.status >= 500) {
         const t = await resp.text().catch(() => '');
-        lastErr = new Error(`HTTP ${resp.status} ${t?.slice(0, 200) || ''}`);
+        lastErr = providerHttpError(resp, t?.slice(0, 200));
       } else if (!resp.ok) {
         const t = await resp.text().catch(() => '');
-        throw new Error(`HTTP ${resp.status} ${t?.slice(0, 200) || ''}`);
+        throw providerHttpError(resp, t?.slice(0, 200));
       } else {
         return await resp.json();
       }
     } catch (e) {
       lastErr = e;
+      signal?.throwIfAborted();
+      if (!isRetryable(e)) throw e;
     }
 
     // Exponential backoff before next attempt
     const wait = base * Math.pow(2, attempt) + Math.floor(Math.random() * 100);
-    await delay(wait);
+    await delay(wait, signal);
     attempt++;
   }
 
@@ -252,7 +559,7 @@ async function callChatWithRetry({ apiUrl, apiKey, extraHeaders, body, maxRetrie
 /**
  * Call Google Gemini API with its specific format
  */
-async function callGemini({ apiUrl, apiKey, messages, temperature, maxTokens, maxRetries, baseDelayMs }) {
+async function callGemini({ apiUrl, apiKey, messages, temperature, maxTokens, maxRetries, baseDelayMs, signal, timeoutMs, onAttempt }) {
   const retries = Number.isFinite(Number(maxRetries)) ? Number(maxRetries) : 3;
   const base = Number.isFinite(Number(baseDelayMs)) ? Number(baseDelayMs) : 500;
   let attempt = 0;
@@ -286,6 +593,7 @@ async function callGemini({ apiUrl, apiKey, messages, temperature, maxTokens, ma
   };
 
   while (attempt <= retries) {
+    onAttempt?.();
     try {
       const url = `${apiUrl}?key=${apiKey}`;
       const resp = await fetch(url, {
@@ -294,20 +602,21 @@ async function callGemini({ apiUrl, apiKey, messages, temperature, maxTokens, ma
           'Content-Type': 'application/json',
         },
         body: JSON.stringify(body),
+        signal: withTimeout(signal, timeoutMs),
       });
 
       if (resp.status === 429 || resp.status >= 500) {
         const t = await resp.text().catch(() => '');
-        lastErr = new Error(`HTTP ${resp.status} ${t?.slice(0, 200) || ''}`);
+        lastErr = providerHttpError(resp, t?.slice(0, 200));
       } else if (!resp.ok) {
         const t = await resp.text().catch(() => '');
-        throw new Error(`HTTP ${resp.status} ${t?.slice(0, 200) || ''}`);
+        throw providerHttpError(resp, t?.slice(0, 200));
       } else {
         const data = await resp.json();
 
         // Convert Gemini response to OpenAI format
         const text = data.candidates?.[0]?.content?.parts?.[0]?.text || '';
-        return {
+        const converted = {
           choices: [{
             message: {
               content: text,
@@ -315,20 +624,136 @@ async function callGemini({ apiUrl, apiKey, messages, temperature, maxTokens, ma
             }
           }]
         };
+        if (data.usageMetadata) {
+          converted.usage = {
+            prompt_tokens: data.usageMetadata.promptTokenCount || 0,
+            completion_tokens: data.usageMetadata.candidatesTokenCount || 0,
+            total_tokens: data.usageMetadata.totalTokenCount || 0,
+          };
+        }
+        return converted;
       }
     } catch (e) {
       lastErr = e;
+      signal?.throwIfAborted();
+      if (!isRetryable(e)) throw e;
     }
 
     const wait = base * Math.pow(2, attempt) + Math.floor(Math.random() * 100);
-    await delay(wait);
+    await delay(wait, signal);
     attempt++;
   }
 
   throw lastErr || new Error('Gemini API call failed');
 }
 
-function delay(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
+/**
+ * Translate an OpenAI-style body to an Anthropic Messages request.
+ * System messages move to `system`, consecutive turns of the same role are
+ * merged (the API requires alternating roles), and JSON output is enforced with
+ * a forced tool call for JSON schemas or a prefilled `{` for JSON mode.
+ */
+function toAnthropicRequest(body, maxTokens) {
+  const system = body.messages.filter((m) => m.role === 'system').map((m) => m.content).join('\n\n');
+  const messages = [];
+  for (const msg of body.messages) {
+    if (msg.role === 'system') continue;
+    const role = msg.role === 'assistant' ? 'assistant' : 'user';
+    const last = messages[messages.length - 1];
+    if (last?.role === role) {
+      last.content = `${last.content}\n\n${msg.content}`;
+    } else {
+      messages.push({ role, content: msg.content });
+    }
+  }
+  if (messages[0]?.role !== 'user') messages.unshift({ role: 'user', content: 'Continue.' });
+
+  const request = {
+    model: body.model,
+    max_tokens: maxTokens,
+    messages,
+  };
+  if (system) request.system = system;
+  // Anthropic accepts temperatures from 0 to 1
+  if (Number.isFinite(body.temperature)) request.temperature = Math.max(0, Math.min(body.temperature, 1));
+
+  const format = body.response_format;
+  if (format?.type === 'json_schema' && format.json_schema?.schema) {
+    const name = format.json_schema.name || 'result';
+    request.tools = [{ name, description: 'Return the result as structured JSON.', input_schema: format.json_schema.schema }];
+    request.tool_choice = { type: 'tool', name };
+  } else if (format && messages[messages.length - 1].role === 'user') {
+    messages.push({ role: 'assistant', content: '{' });
+    request.prefill = '{';
+  }
+  return request;
+}
+
+const ANTHROPIC_STOP_REASONS = { end_turn: 'stop', stop_sequence: 'stop', tool_use: 'stop', max_tokens: 'length' };
+
+/**
+ * Call the Anthropic Messages API and normalize the reply to the OpenAI shape
+ */
+async function callAnthropic({ apiUrl, apiKey, extraHeaders, body, maxTokens, maxRetries, baseDelayMs, signal, timeoutMs, onAttempt }) {
+  const retries = Number.isFinite(Number(maxRetries)) ? Number(maxRetries) : 3;
+  const base = Number.isFinite(Number(baseDelayMs)) ? Number(baseDelayMs) : 500;
+  let attempt = 0;
+  let lastErr;
+
+  const { prefill, ...request } = toAnthropicRequest(body, maxTokens);
+
+  while (attempt <= retries) {
+    onAttempt?.();
+    try {
+      const resp = await fetch(apiUrl, {
+        method: 'POST',
+        headers: {
+          'x-api-key': apiKey,
+          'Content-Type': 'application/json',
+          ...extraHeaders,
+        },
+        body: JSON.stringify(request),
+        signal: withTimeout(signal, timeoutMs),
+      });
+
+      if (resp.status === 429 || resp.status >= 500) {
+        const t = await resp.text().catch(() => '');
+        lastErr = providerHttpError(resp, t?.slice(0, 200));
+      } else if (!resp.ok) {
+        const t = await resp.text().catch(() => '');
+        throw providerHttpError(resp, t?.slice(0, 200));
+      } else {
+        const data = await resp.json();
+
+        // Convert the content blocks to OpenAI format
+        const blocks = Array.isArray(data.content) ? data.content : [];
+        const toolCall = blocks.find((b) => b.type === 'tool_use');
+        const text = blocks.filter((b) => b.type === 'text').map((b) => b.text).join('');
+        const content = toolCall ? JSON.stringify(toolCall.input ?? {}) : `${prefill || ''}${text}`;
+        const inputTokens = data.usage?.input_tokens || 0;
+        const outputTokens = data.usage?.output_tokens || 0;
+        return {
+          choices: [{
+            message: {
+              content,
+              role: 'assistant'
+            },
+            finish_reason: ANTHROPIC_STOP_REASONS[data.stop_reason] || data.stop_reason || null,
+          }],
+          usage: { prompt_tokens: inputTokens, completion_tokens: outputTokens, total_tokens: inputTokens + outputTokens },
+        };
+      }
+    } catch (e) {
+      lastErr = e;
+      signal?.throwIfAborted();
+      if (!isRetryable(e)) throw e;
+    }
+
+    const wait = base * Math.pow(2, attempt) + Math.floor(Math.random() * 100);
+    await delay(wait, signal);
+    attempt++;
+  }
+
+  throw lastErr || new Error('Anthropic API call failed');
 }
 
@@ -0,0 +1,129 @@
+/**
+ * Prompt/response transcripts
+ *
+ * A transcript records every LLM call of a run as callProvider makes it: the
+ * stage, provider and model, the messages and sampling parameters sent, and the
+ * raw completion text before any parsing. The solver then annotates entries with
+ * what it made of them (the iteration `k`, the parse or repair outcome and the
+ * validation verdict), so a bad derivation can be traced to the exact prompt and
+ * reply, and a result can be audited before it is cited.
+ *
+ * Transcripts are plain JSON; transcriptToMarkdown renders one for reading.
+ */
+
+/**
+ * Collects the calls of one run.
+ * @returns {{ record: Function, annotate: Function, entries: Object[] }}
+ */
+export function createTranscript() {
+  const entries = [];
+  return {
+    entries,
+    /**
+     * @param {Object} entry - { stage, provider, model, body, content?, error?, cached?, latencyMs }
+     */
+    record({ stage, provider, model, body, content, error, cached, latencyMs }) {
+      // Sampling parameters only; the model is recorded once, as sent
+      const params = { ...body };
+      delete params.messages;
+      delete params.model;
+      const entry = { n: entries.length + 1, stage: stage || 'other', provider, model, params, messages: body?.messages || [], latencyMs };
+      if (error) entry.error = error.message;
+      else entry.content = content ?? '';
+      if (cached) entry.cached = true;
+      entries.push(entry);
+    },
+    /**
+     * Add fields to the last answered call of a stage, e.g. { k, parse: 'ok' }.
+     * @param {string} stage
+     * @param {Object} fields
+     * @param {number} [since] - Only consider calls recorded after this many entries,
+     *   i.e. `entries.length` before the step that made them
+     */
+    annotate(stage, fields, since = 0) {
+      const entry = entries.slice(since).findLast((e) => e.stage === stage && !e.error);
+      if (entry) Object.assign(entry, fields);
+    },
+  };
+}
+
+/**
+ * The recorder for a request's `transcript` option: the option itself when it
+ * is already a recorder, a new one when it is true, or when it is unset and
+ * SCH_TRANSCRIPT=1, else null.
+ * @param {boolean|Object} [option]
+ * @returns {Object|null}
+ */
+export function resolveTranscript(option) {
+  if (option && typeof option === 'object') return option;
+  return (option ?? process.env.SCH_TRANSCRIPT === '1') ? createTranscript() : null;
+}
+
+/**
+ * The verdict of a validation report, short enough to read next to the reply.
+ * @param {Object} report - From validationReport
+ * @returns {{ passed: boolean, failed: string[] }}
+ */
+export function validationVerdict(report) {
+  return {
+    passed: !!report?.passed,
+    failed: (report?.checks || []).filter((c) => !c.passed).map((c) => `${c.id} (${c.measured}, need ${c.required})`),
+  };
+}
+
+// A fence longer than any run of backticks inside the text
+function fenced(text, lang = '') {
+  const longest = Math.max(2, ...(String(text).match(/`+/g) || []).map((run) => run.length));
+  const fence = '`'.repeat(longest + 1);
+  return `${fence}${lang}\n${text}\n${fence}`;
+}
+
+function looksLikeJSON(text) {
+  try {
+    JSON.parse(text);
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+function entryHeading(entry) {
+  const what = entry.k ? `${entry.stage}, iteration ${entry.k}` : entry.stage;
+  return `## ${entry.n}. ${what} (${entry.provider}/${entry.model})`;
+}
+
+function entryOutcome(entry) {
+  const parts = [];
+  if (entry.cached) parts.push('served from cache');
+  if (entry.error) parts.push(`failed: ${entry.error}`);
+  if (entry.parse) parts.push(`parse: ${entry.parse}`);
+  if (entry.validation) {
+    parts.push(entry.validation.passed ? 'validation: passed' : `validation: failed (${entry.validation.failed.join(', ')})`);
+  }
+  if (Number.isFinite(entry.latencyMs)) parts.push(`${entry.latencyMs} ms`);
+  return parts.join(' · ');
+}
+
+/**
+ * Render a run's transcript as Markdown: one section per call with its
+ * outcome, every message and the raw reply.
+ * @param {Object} transcript - { runId, equation, createdAt, entries }
+ * @returns {string}
+ */
+export function transcriptToMarkdown(transcript) {
+  const lines = [`# Transcript${transcript.equation ? `: ${transcript.equation}` : ''}`, ''];
+  if (transcript.runId) lines.push(`- Run: ${transcript.runId}`);
+  if (transcript.createdAt) lines.push(`- Created: ${transcript.createdAt}`);
+  lines.push(`- Calls: ${transcript.entries.length}`, '');
+  for (const entry of transcript.entries) {
+    lines.push(entryHeading(entry), '', entryOutcome(entry), '');
+    if (Object.keys(entry.params || {}).length) lines.push(`Parameters: \`${JSON.stringify(entry.params)}\``, '');
+    for (const message of entry.messages) {
+      lines.push(`### ${message.role}`, '', fenced(message.content), '');
+    }
+    if (!entry.error) {
+      lines.push('### reply', '', fenced(entry.content, looksLikeJSON(entry.content) ? 'json' : ''), '');
+    }
+  }
+  return lines.join('\n');
+}
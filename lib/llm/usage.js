@@ -0,0 +1,148 @@
+/**
+ * Token usage and cost accounting
+ *
+ * A meter collects one record per LLM call: stage, provider, model, prompt and
+ * completion tokens, latency and retries. Provider configs carry the meter and
+ * the stage they serve, and callProvider records into it.
+ *
+ * Costs come from an optional price table in US dollars per million tokens, from
+ * LLM_PRICES (inline JSON) or LLM_PRICES_FILE (path to a JSON file), keyed like
+ * the capability registry: `provider:model`, a bare model name, or `provider:*`.
+ *
+ *   { "groq:openai/gpt-oss-20b": { "input": 0.1, "output": 0.5 } }
+ */
+
+import fs from 'fs';
+import { estimateTokens } from './capabilities';
+import { log } from '../log/logger';
+
+const logger = log.child({ scope: 'llm' });
+
+let priceCache = { key: null, prices: {} };
+
+/** The configured price table. */
+export function priceTable() {
+  const inline = process.env.LLM_PRICES || '';
+  const file = process.env.LLM_PRICES_FILE || '';
+  const key = `${inline}\u0000${file}`;
+  if (priceCache.key === key) return priceCache.prices;
+  let prices = {};
+  if (file) {
+    try {
+      prices = { ...prices, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+    } catch (e) {
+      logger.warn('could not read LLM_PRICES_FILE', { file, message: e?.message });
+    }
+  }
+  if (inline) {
+    try {
+      prices = { ...prices, ...JSON.parse(inline) };
+    } catch (e) {
+      logger.warn('could not parse LLM_PRICES', { message: e?.message });
+    }
+  }
+  priceCache = { key, prices };
+  return prices;
+}
+
+function priceOf(prices, provider, model) {
+  return prices[`${provider}:${model}`] || prices[model] || prices[`${provider}:*`] || null;
+}
+
+/**
+ * Build a usage record from a finished or failed call. Providers that omit
+ * `usage` get estimated counts, flagged with `estimated: true`. Responses served
+ * from the response cache cost nothing and are recorded with status 'cached'.
+ * @param {Object} params
+ * @param {string} params.stage
+ * @param {string} params.provider
+ * @param {string} params.model
+ * @param {Object} params.body - The request body sent
+ * @param {Object} [params.data] - The OpenAI-style response; absent for failed calls
+ * @param {number} params.latencyMs
+ * @param {number} params.retries
+ * @param {Error} [params.error]
+ * @param {boolean} [params.cached] - Served from the response cache
+ * @returns {Object}
+ */
+export function usageRecord({ stage, provider, model, body, data, latencyMs, retries, error, cached }) {
+  const record = { stage: stage || 'other', provider, model, latencyMs, retries };
+  if (error) {
+    return { ...record, status: 'failed', error: error.message, promptTokens: 0, completionTokens: 0, totalTokens: 0, estimated: false };
+  }
+  if (cached) {
+    return { ...record, status: 'cached', promptTokens: 0, completionTokens: 0, totalTokens: 0, estimated: false };
+  }
+  const usage = data?.usage;
+  const estimated = !Number.isFinite(usage?.prompt_tokens) || !Number.isFinite(usage?.completion_tokens);
+  const promptTokens = estimated
+    ? estimateTokens((body?.messages || []).map((m) => m.content).join('\n'))
+    : usage.prompt_tokens;
+  const completionTokens = estimated
+    ? estimateTokens(data?.choices?.[0]?.message?.content)
+    : usage.completion_tokens;
+  return { ...record, status: 'ok', promptTokens, completionTokens, totalTokens: promptTokens + completionTokens, estimated };
+}
+
+function emptyTotals() {
+  return { calls: 0, failedCalls: 0, cacheHits: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, latencyMs: 0, retries: 0, cost: null };
+}
+
+function add(totals, record, cost) {
+  totals.calls += 1;
+  if (record.status === 'failed') totals.failedCalls += 1;
+  if (record.status === 'cached') totals.cacheHits += 1;
+  totals.promptTokens += record.promptTokens;
+  totals.completionTokens += record.completionTokens;
+  totals.totalTokens += record.totalTokens;
+  totals.latencyMs += record.latencyMs;
+  totals.retries += record.retries;
+  if (cost !== null) totals.cost = (totals.cost || 0) + cost;
+}
+
+const roundCost = (cost) => (cost === null ? null : Number(cost.toFixed(6)));
+
+/**
+ * Aggregate usage records into totals overall, per stage and per provider:model,
+ * plus the priced `records`. `cost` is null wherever no call had a price;
+ * `unpricedCalls` counts successful calls without one.
+ * @param {Object[]} records
+ * @param {Object} [prices] - Defaults to priceTable()
+ * @returns {Object}
+ */
+export function summarizeUsage(records, prices = priceTable()) {
+  const total = emptyTotals();
+  const byStage = {};
+  const byModel = {};
+  let unpricedCalls = 0;
+  const priced = records.map((record) => {
+    const price = priceOf(prices, record.provider, record.model);
+    let cost = null;
+    if (record.status === 'cached') {
+      cost = 0;
+    } else if (price) {
+      cost = (record.promptTokens * (price.input || 0) + record.completionTokens * (price.output || 0)) / 1e6;
+    } else if (record.status === 'ok') {
+      unpricedCalls += 1;
+    }
+    add(total, record, cost);
+    add((byStage[record.stage] ||= emptyTotals()), record, cost);
+    add((byModel[`${record.provider}:${record.model}`] ||= emptyTotals()), record, cost);
+    return { ...record, cost: roundCost(cost) };
+  });
+  for (const totals of [total, ...Object.values(byStage), ...Object.values(byModel)]) totals.cost = roundCost(totals.cost);
+  return { ...total, currency: 'USD', unpricedCalls, byStage, byModel, records: priced };
+}
+
+/**
+ * Collects usage records for one run.
+ * @returns {{ record: (record: Object) => void, records: Object[], summary: () => Object }}
+ */
+export function createUsageMeter() {
+  const records = [];
+  return {
+    record: (record) => records.push(record),
+    records,
+    summary: () => summarizeUsage(records),
+  };
+}
@@ -0,0 +1,74 @@
+/**
+ * Structured logging
+ *
+ * Every entry is one JSON object per line:
+ *
+ *   {"time":"...","level":"info","scope":"schrodinger","msg":"iteration start","runId":"...","spanId":4,"k":2}
+ *
+ * LOG_LEVEL (debug, info, warn, error or silent; default info) drops entries
+ * below it, and LOG_FORMAT=pretty prints `[scope] msg { fields }` for reading in
+ * a terminal instead. Entries written inside a run's span (see trace.js) carry
+ * the run id and span id, whichever module writes them, and are also kept in the
+ * run's trace.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+const CONSOLE_METHOD = { debug: 'log', info: 'log', warn: 'warn', error: 'error' };
+
+// The span the current async context runs in; set by trace.js
+export const activeSpan = new AsyncLocalStorage();
+
+export function isLevelEnabled(level) {
+  const threshold = LEVELS[String(process.env.LOG_LEVEL || 'info').toLowerCase()] ?? LEVELS.info;
+  return LEVELS[level] >= threshold;
+}
+
+// Errors stringify to {}; keep what identifies them
+function serializable(fields) {
+  const out = {};
+  for (const [key, value] of Object.entries(fields || {})) {
+    out[key] = value instanceof Error ? { name: value.name, message: value.message, code: value.code } : value;
+  }
+  return out;
+}
+
+function stringify(entry) {
+  try {
+    return JSON.stringify(entry);
+  } catch (_) {
+    return JSON.stringify({ time: entry.time, level: entry.level, scope: entry.scope, msg: entry.msg, runId: entry.runId });
+  }
+}
+
+function write(level, bindings, msg, fields) {
+  if (!isLevelEnabled(level)) return;
+  const span = activeSpan.getStore();
+  const { scope, ...rest } = { ...bindings, ...serializable(fields) };
+  const shown = { ...(span ? { runId: span.trace.runId, ...(span.trace.requestId ? { requestId: span.trace.requestId } : {}), spanId: span.id } : {}), ...rest };
+  const entry = { time: new Date().toISOString(), level, scope, msg, ...shown };
+  span?.trace.recordLog(entry);
+  const print = console[CONSOLE_METHOD[level]];
+  if (process.env.LOG_FORMAT === 'pretty') {
+    const line = scope ? `[${scope}] ${msg}` : msg;
+    return Object.keys(shown).length ? print(line, shown) : print(line);
+  }
+  print(stringify(entry));
+}
+
+/**
+ * A logger whose entries all carry `bindings`, e.g. { scope: 'llm' }.
+ * @param {Object} [bindings]
+ * @returns {{ debug: Function, info: Function, warn: Function, error: Function, child: (fields: Object) => Object }}
+ *   Each level takes (msg, fields?)
+ */
+export function createLogger(bindings = {}) {
+  const logger = { child: (fields) => createLogger({ ...bindings, ...fields }) };
+  for (const level of ['debug', 'info', 'warn', 'error']) {
+    logger[level] = (msg, fields) => write(level, bindings, msg, fields);
+  }
+  return logger;
+}
+
+export const log = createLogger();
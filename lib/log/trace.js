@@ -0,0 +1,165 @@
+/**
+ * Run tracing
+ *
+ * A trace follows one run from the API route through intent parsing, planning,
+ * every iteration, revision and repair, the appendix and the checks after it.
+ * Each step is a span with its start offset, duration, outcome and attributes;
+ * spans opened while another is active become its children. LLM calls are leaf
+ * spans named `llm` (see lib/llm/provider.js).
+ *
+ * With LOG_TRACE_DIR set, `export()` writes the trace, including the log entries
+ * written inside its spans, to `<LOG_TRACE_DIR>/<runId>.json`. Run ids are always
+ * generated here; a client's X-Request-Id is only recorded as `requestId`, so
+ * two requests sending the same one never share a run id or a trace file.
+ */
+
+import { randomUUID } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { activeSpan, isLevelEnabled, log } from './logger';
+
+const logger = log.child({ scope: 'trace' });
+
+// Log entries kept per trace; a runaway run should not hold the heap
+const MAX_TRACE_LOGS = 2000;
+
+// Client-supplied correlation ids end up in logs and traces, so keep them short and plain
+const REQUEST_ID_PATTERN = /^[\w.-]{1,100}$/;
+
+/**
+ * The request's X-Request-Id header when it looks sane, so a caller can find
+ * its runs in the logs; null otherwise.
+ * @param {import('http').IncomingMessage} req
+ * @returns {string|null}
+ */
+export function requestId(req) {
+  const header = req?.headers?.['x-request-id'];
+  return typeof header === 'string' && REQUEST_ID_PATTERN.test(header) ? header : null;
+}
+
+function outcomeOf(e) {
+  if (e?.code === 'cancelled' || e?.name === 'AbortError') return 'cancelled';
+  if (e?.code === 'provider_timeout' || e?.name === 'TimeoutError') return 'timed_out';
+  return 'error';
+}
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.runId] - Defaults to a new UUID
+ * @param {string} [options.requestId] - The client's correlation id (see requestId)
+ * @param {string} [options.dir] - Export directory (default LOG_TRACE_DIR)
+ * @returns {Object} Trace with runId, requestId, span(), start(), toJSON() and export()
+ */
+export function createTrace({ runId = randomUUID(), requestId = null, dir = process.env.LOG_TRACE_DIR } = {}) {
+  const startedAt = Date.now();
+  const spans = [];
+  const logs = [];
+  let nextId = 1;
+
+  const trace = { runId, requestId };
+
+  /**
+   * Open a span without making it the active one, for leaf work such as a
+   * single LLM call or for work that ends in several places, such as an
+   * iteration; `span.run(fn)` and `span.span(...)` nest work under it. Close it
+   * with `end(outcome?, error?)`; the outcome defaults to 'ok', or to what the
+   * error says ('error', 'cancelled' or 'timed_out').
+   */
+  trace.start = (name, attrs = {}) => {
+    const parent = activeSpan.getStore();
+    const record = {
+      id: nextId++,
+      parentId: parent?.trace === trace ? parent.id : null,
+      name,
+      startMs: Date.now() - startedAt,
+      durationMs: null,
+      outcome: null,
+      attrs: { ...attrs },
+    };
+    spans.push(record);
+    const handle = {
+      id: record.id,
+      trace,
+      set: (more) => Object.assign(record.attrs, more),
+      // Run fn with this span active, so the spans and logs inside it are its children
+      run: (fn) => activeSpan.run(handle, fn),
+      span: (childName, childAttrs, fn) => activeSpan.run(handle, () => trace.span(childName, childAttrs, fn)),
+      end: (outcome, error) => {
+        if (record.outcome) return;
+        record.durationMs = Date.now() - startedAt - record.startMs;
+        record.outcome = outcome || (error ? outcomeOf(error) : 'ok');
+        // DOMExceptions have numeric codes; only LLMError-style codes mean anything here
+        if (error) record.error = { ...(typeof error.code === 'string' ? { code: error.code } : {}), message: error.message };
+        if (isLevelEnabled('debug')) {
+          logger.debug('span end', { span: name, id: record.id, parentId: record.parentId, durationMs: record.durationMs, outcome: record.outcome, ...record.attrs });
+        }
+      },
+    };
+    return handle;
+  };
+
+  /**
+   * Run `fn(span)` inside a span that is active for everything it awaits. The
+   * span ends 'ok', or with the outcome `fn` passed to `span.end()`, or
+   * 'error' / 'cancelled' / 'timed_out' when `fn` throws.
+   * @returns {Promise<*>} Whatever `fn` returns
+   */
+  trace.span = (name, attrs, fn) => {
+    const span = trace.start(name, attrs);
+    return activeSpan.run(span, async () => {
+      try {
+        const value = await fn(span);
+        span.end();
+        return value;
+      } catch (e) {
+        span.end(null, e);
+        throw e;
+      }
+    });
+  };
+
+  trace.recordLog = (entry) => {
+    if (logs.length < MAX_TRACE_LOGS) logs.push(entry);
+  };
+
+  trace.toJSON = () => ({ runId, ...(requestId ? { requestId } : {}), startedAt: new Date(startedAt).toISOString(), durationMs: Date.now() - startedAt, spans, logs });
+
+  /**
+   * Write the trace to LOG_TRACE_DIR. Failures are logged, never thrown.
+   * @param {Object} [summary] - Merged into the file, e.g. { status }
+   * @returns {Promise<string|null>} The file written, if any
+   */
+  trace.export = async (summary = {}) => {
+    if (!dir) return null;
+    const target = path.join(dir, `${runId}.json`);
+    try {
+      await fs.mkdir(dir, { recursive: true });
+      const tmp = `${target}.${process.pid}.tmp`;
+      await fs.writeFile(tmp, JSON.stringify({ ...trace.toJSON(), ...summary }, null, 2));
+      await fs.rename(tmp, target);
+      return target;
+    } catch (e) {
+      logger.warn('could not write trace', { runId, dir, message: e?.message });
+      return null;
+    }
+  };
+
+  return trace;
+}
+
+// For code that may run without a trace, e.g. callLLM from a script
+const NO_SPAN = { set() {}, end() {}, run: (fn) => fn(), span: (name, attrs, fn) => fn(NO_SPAN) };
+
+/**
+ * `trace.span(...)` when there is a trace, else just `fn`.
+ */
+export function withSpan(trace, name, attrs, fn) {
+  return trace ? trace.span(name, attrs, fn) : fn(NO_SPAN);
+}
+
+/**
+ * `trace.start(...)` when there is a trace, else a span that records nothing.
+ */
+export function startSpan(trace, name, attrs) {
+  return trace ? trace.start(name, attrs) : NO_SPAN;
+}
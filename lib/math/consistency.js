@@ -0,0 +1,249 @@
+import { parseLatex } from './parse'
+import { evaluate, freeSymbols } from './evaluate'
+
+/**
+ * Step-to-step consistency of a derivation, checked by numeric sampling.
+ *
+ * Consecutive equations are evaluated at random points. When the two share a
+ * side, the remaining sides must agree; otherwise the new equation must hold
+ * wherever the previous one does. Steps that involve calculus (d, \partial,
+ * primes), introduce new symbols, or do not evaluate are left unchecked.
+ */
+
+const SAMPLES = 8
+const TOLERANCE = 1e-6
+
+// Symbols that usually count states and take integer values
+const INDEX_SYMBOLS = new Set(['n', 'l', 'j', 'N'])
+
+const isCalculus = (name) => /^(d|partial|nabla)(_|$)|'|\.(dot|ddot)/.test(name)
+
+// Small deterministic PRNG so a given derivation always gets the same verdicts
+function mulberry32(seed) {
+  let a = seed >>> 0
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0
+    let t = a
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+function sides(latex) {
+  const ast = parseLatex(latex)
+  if (ast.type !== 'relation' || ast.ops.some((op) => op !== '=')) return null
+  return { left: ast.args[0], right: ast.args[ast.args.length - 1] }
+}
+
+// Additive terms with their signs: a - (b + c) is [+a, -b, -c]
+function terms(ast, sign = 1, out = []) {
+  if (ast.type === 'binary' && (ast.op === '+' || ast.op === '-')) {
+    terms(ast.left, sign, out)
+    terms(ast.right, ast.op === '-' ? -sign : sign, out)
+  } else if (ast.type === 'neg') {
+    terms(ast.arg, -sign, out)
+  } else {
+    out.push({ ast, sign })
+  }
+  return out
+}
+
+const close = (a, b) => Math.abs(a - b) <= TOLERANCE * Math.max(Math.abs(a), Math.abs(b), 1e-9)
+
+const allClose = (f, g) => f.every((v, i) => close(v, g[i]))
+
+// Constant c with g = c f at every point, or null
+function constantRatio(f, g) {
+  const ratios = f.map((v, i) => (Math.abs(v) > 1e-12 ? g[i] / v : null)).filter((r) => r !== null)
+  if (ratios.length < 2 || !ratios.every((r) => close(r, ratios[0]))) return null
+  return ratios[0]
+}
+
+function formatFactor(c) {
+  return Number.isInteger(c) ? String(c) : String(Number(c.toPrecision(4)))
+}
+
+function samplePoints(symbols, asts, rng) {
+  const points = []
+  for (let attempt = 0; attempt < SAMPLES * 4 && points.length < SAMPLES; attempt++) {
+    const bindings = {}
+    for (const s of symbols) bindings[s] = INDEX_SYMBOLS.has(s) ? 1 + Math.floor(rng() * 4) : 0.5 + 2 * rng()
+    try {
+      if (asts.every((a) => Number.isFinite(evaluate(a, bindings)))) points.push(bindings)
+    } catch {
+      // Outside the domain of a function here; try another point
+    }
+  }
+  return points
+}
+
+const valuesAt = (ast, points) => points.map((p) => evaluate(ast, p))
+
+// True when flipping the sign of one additive term of `ast` (valued `from`) gives `to`
+function oneTermFlipped(ast, from, to, points) {
+  const parts = terms(ast)
+  if (parts.length < 2) return false
+  return parts.some((part) => {
+    const t = valuesAt(part.ast, points).map((v) => v * part.sign)
+    return allClose(to, from.map((v, i) => v - 2 * t[i]))
+  })
+}
+
+// Why d2 differs from d1 (two expressions that should be equal)
+function classifyMismatch(d1Ast, d2Ast, d1, d2, points, symbols) {
+  if (allClose(d2, d1.map((v) => -v))) return { label: 'sign error', detail: 'the expression changed sign' }
+  if (oneTermFlipped(d1Ast, d1, d2, points) || oneTermFlipped(d2Ast, d2, d1, points)) {
+    return { label: 'sign error', detail: 'one term changed sign' }
+  }
+  const c = constantRatio(d1, d2)
+  if (c !== null) return { label: 'dropped factor', detail: `off by a factor of ${formatFactor(c)}` }
+  for (const s of symbols) {
+    for (const p of [1, -1, 2, -2]) {
+      const scaled = d2.map((v, i) => v / Math.pow(points[i][s], p))
+      if (constantRatio(d1, scaled) !== null) return { label: 'dropped factor', detail: `off by a factor of ${s}${p === 1 ? '' : `^${p}`}` }
+    }
+  }
+  return { label: 'not an identity', detail: 'the two sides no longer agree' }
+}
+
+// Roots of left(s) = right(s) in one symbol on [-5, 5], by scanning and bisection
+function findRoots({ left, right }, bindings, symbol) {
+  const sides = (v) => {
+    try {
+      const at = { ...bindings, [symbol]: v }
+      return [evaluate(left, at), evaluate(right, at)]
+    } catch {
+      return [NaN, NaN]
+    }
+  }
+  const f = (v) => {
+    const [l, r] = sides(v)
+    return l - r
+  }
+  const roots = []
+  let prevX = -5
+  let prevY = f(prevX)
+  for (let step = 1; step <= 200; step++) {
+    const x = -5 + step * 0.05
+    const y = f(x)
+    if (Number.isFinite(prevY) && Number.isFinite(y) && Math.sign(y) !== Math.sign(prevY)) {
+      let lo = prevX
+      let hi = x
+      let flo = prevY
+      for (let i = 0; i < 80; i++) {
+        const mid = (lo + hi) / 2
+        const fm = f(mid)
+        if (Math.sign(fm) === Math.sign(flo)) { lo = mid; flo = fm } else hi = mid
+      }
+      // Sign changes across a pole (tan, 1/x) are not roots
+      const root = (lo + hi) / 2
+      const [l, r] = sides(root)
+      if (Math.abs(l - r) <= 1e-6 * Math.max(Math.abs(l), Math.abs(r), 1)) roots.push(root)
+    }
+    prevX = x
+    prevY = y
+  }
+  return roots
+}
+
+/**
+ * Check that `next` follows from `prev` in a single step.
+ * @param {string} prev - LaTeX equation
+ * @param {string} next - LaTeX equation
+ * @param {Object} [options]
+ * @param {number} [options.seed]
+ * @returns {{ status: 'ok'|'flagged'|'unchecked', label?: string, detail?: string }}
+ */
+export function checkStep(prev, next, { seed = 1 } = {}) {
+  let a
+  let b
+  try {
+    a = sides(prev)
+    b = sides(next)
+  } catch {
+    return { status: 'unchecked', detail: 'could not parse' }
+  }
+  if (!a || !b) return { status: 'unchecked', detail: 'not an equation' }
+
+  const prevSymbols = new Set([...freeSymbols(a.left), ...freeSymbols(a.right)])
+  const nextSymbols = new Set([...freeSymbols(b.left), ...freeSymbols(b.right)])
+  if ([...prevSymbols, ...nextSymbols].some(isCalculus)) return { status: 'unchecked', detail: 'involves derivatives' }
+  const introduced = [...nextSymbols].filter((s) => !prevSymbols.has(s))
+  if (introduced.length) return { status: 'unchecked', detail: `introduces ${introduced.join(', ')}` }
+
+  const symbols = [...prevSymbols]
+  const points = samplePoints(symbols, [a.left, a.right, b.left, b.right], mulberry32(seed))
+  if (points.length < 3) return { status: 'unchecked', detail: 'could not evaluate' }
+
+  const [L1, R1, L2, R2] = [a.left, a.right, b.left, b.right].map((ast) => valuesAt(ast, points))
+
+  // A side carried over unchanged: the other sides must agree
+  const pairs = [
+    [L1, L2, a.right, b.right, R1, R2],
+    [R1, R2, a.left, b.left, L1, L2],
+    [L1, R2, a.right, b.left, R1, L2],
+    [R1, L2, a.left, b.right, L1, R2],
+  ]
+  for (const [kept1, kept2, otherAst1, otherAst2, other1, other2] of pairs) {
+    // A zero side says nothing: a - b = 0 and 2(a - b) = 0 are the same equation
+    if (!allClose(kept1, kept2) || kept1.every((v) => Math.abs(v) < 1e-12)) continue
+    if (allClose(other1, other2)) return { status: 'ok' }
+    return { status: 'flagged', ...classifyMismatch(otherAst1, otherAst2, other1, other2, points, symbols) }
+  }
+
+  // An identity can only be followed by another identity
+  if (allClose(L1, R1)) {
+    if (allClose(L2, R2)) return { status: 'ok' }
+    return { status: 'flagged', ...classifyMismatch(b.left, b.right, L2, R2, points, symbols) }
+  }
+
+  // Rearranged or rescaled: residuals proportional, or next holds wherever prev does
+  const r1 = L1.map((v, i) => v - R1[i])
+  const r2 = L2.map((v, i) => v - R2[i])
+  if (constantRatio(r1, r2) !== null) return { status: 'ok' }
+
+  const holdsAt = (at) => {
+    try {
+      const l2 = evaluate(b.left, at)
+      const r2v = evaluate(b.right, at)
+      return close(l2, r2v) || Math.abs(l2 - r2v) <= 1e-9 * Math.max(Math.abs(l2), Math.abs(r2v), 1)
+    } catch {
+      return null
+    }
+  }
+  let tested = 0
+  for (const s of symbols.filter((name) => !INDEX_SYMBOLS.has(name))) {
+    for (const point of points) {
+      for (const root of findRoots(a, point, s)) {
+        const holds = holdsAt({ ...point, [s]: root })
+        if (holds === null) continue
+        if (!holds) {
+          const residualTerms = [...terms(a.left), ...terms(a.right).map((t) => ({ ...t, sign: -t.sign }))]
+          for (const part of residualTerms) {
+            const t = valuesAt(part.ast, points).map((v) => v * part.sign)
+            if (constantRatio(r1.map((v, i) => v - 2 * t[i]), r2) !== null) return { status: 'flagged', label: 'sign error', detail: 'one term changed sign' }
+          }
+          return { status: 'flagged', label: 'not an identity', detail: 'does not hold where the previous equation does' }
+        }
+        tested++
+      }
+    }
+    if (tested >= 3) return { status: 'ok' }
+  }
+  return tested ? { status: 'ok' } : { status: 'unchecked', detail: 'no common solutions found' }
+}
+
+/**
+ * Check each equation of an iteration against the one before it.
+ * @param {Array<{latex?: string}>} equations
+ * @returns {Array<Object|null>} One verdict per equation; null for the first and for equations without LaTeX
+ */
+export function checkEquationChain(equations) {
+  const list = Array.isArray(equations) ? equations : []
+  return list.map((eq, i) => {
+    const prev = list[i - 1]
+    if (!prev?.latex || !eq?.latex) return null
+    return checkStep(prev.latex, eq.latex, { seed: i })
+  })
+}
@@ -0,0 +1,318 @@
+import { parseLatex } from './parse'
+import { evaluate } from './evaluate'
+
+/**
+ * Dimensional analysis over parseLatex ASTs.
+ *
+ * A dimension is an exponent vector [M, L, T]. Symbols without a known
+ * dimension are treated as unknown and never produce a finding on their
+ * own, so only definite mismatches are reported. Derivations in natural or
+ * scaled units (ħ = m = ω = 1, a dimensionless x) only check the symbols
+ * their parameters declare.
+ */
+
+const DIMENSIONLESS = [0, 0, 0]
+const LENGTH = [0, 1, 0]
+const ENERGY = [1, 2, -2]
+
+// Standard symbols of 1D Schrödinger problems, by base name. Symbols with more
+// than one common meaning are left out, so they stay unknown unless
+// context.parameters declares them: k (wavenumber or spring constant), l
+// (length or angular momentum number) and H (Hamiltonian or Hermite polynomial).
+export const STANDARD_DIMENSIONS = {
+  hbar: [1, 2, -1],
+  m: [1, 0, 0],
+  omega: [0, 0, -1],
+  x: LENGTH,
+  y: LENGTH,
+  z: LENGTH,
+  r: LENGTH,
+  t: [0, 0, 1],
+  E: ENERGY,
+  V: ENERGY,
+  U: ENERGY,
+  kappa: [0, -1, 0],
+  p: [1, 1, -1],
+  psi: [0, -0.5, 0],
+  Psi: [0, -0.5, 0],
+  n: DIMENSIONLESS,
+  i: DIMENSIONLESS,
+  pi: DIMENSIONLESS,
+  d: DIMENSIONLESS,
+  partial: DIMENSIONLESS,
+  nabla: [0, -1, 0],
+}
+
+// The standard symbols that stay pure numbers in any system of units
+const PURE_NUMBERS = Object.fromEntries(['n', 'i', 'pi', 'd', 'partial'].map((name) => [name, STANDARD_DIMENSIONS[name]]))
+
+const COORDINATES = ['x', 'y', 'z', 'r', 't']
+
+const UNITS = {
+  kg: [1, 0, 0],
+  m: LENGTH,
+  cm: LENGTH,
+  mm: LENGTH,
+  um: LENGTH,
+  nm: LENGTH,
+  pm: LENGTH,
+  fm: LENGTH,
+  angstrom: LENGTH,
+  'Å': LENGTH,
+  s: [0, 0, 1],
+  ms: [0, 0, 1],
+  ns: [0, 0, 1],
+  ps: [0, 0, 1],
+  fs: [0, 0, 1],
+  Hz: [0, 0, -1],
+  J: ENERGY,
+  eV: ENERGY,
+  meV: ENERGY,
+  keV: ENERGY,
+  MeV: ENERGY,
+  N: [1, 1, -2],
+  rad: DIMENSIONLESS,
+}
+
+// Symbols commonly written as functions of a coordinate: \psi(x) and V(x) mean psi and V
+const COORDINATE = String.raw`(?:[xyzrtkp]|\\(?:xi|theta|phi|varphi|rho))`
+const FUNCTION_SYMBOL = new RegExp(String.raw`(\\(?:psi|Psi|phi|Phi|varphi|chi)|(?<![A-Za-z\\])[VUEmfgu])(_\{[^{}]*\}|_[A-Za-z0-9])?\s*(?:\\left)?\(\s*${COORDINATE}(?:\s*,\s*${COORDINATE})*\s*(?:\\right)?\)`, 'g')
+
+const UNICODE_SYMBOLS = { 'ħ': 'hbar', 'ℏ': 'hbar', 'ω': 'omega', 'κ': 'kappa', 'ψ': 'psi', 'λ': 'lambda', 'α': 'alpha', 'β': 'beta', 'γ': 'gamma', 'μ': 'mu', 'ε': 'epsilon', 'ξ': 'xi' }
+
+// "natural units", "atomic units", "dimensionless units"
+const NATURAL_UNITS = /\b(?:natural|atomic|dimensionless|scaled|oscillator) units\b/i
+// ħ = 1, \hbar = m = \omega = 1, m = ω = 1
+const UNIT_SYMBOL = String.raw`(?:\\hbar|ħ|ℏ|hbar|\\omega|ω|omega|(?<![A-Za-z\\_{])m)`
+const SET_TO_ONE = new RegExp(String.raw`${UNIT_SYMBOL}(?:\s*=\s*${UNIT_SYMBOL})*\s*=\s*1(?!\.?\d)`, 'g')
+const SCALED_NAMES = { 'ξ': 'xi', 'η': 'eta', 'ζ': 'zeta' }
+// A scaled coordinate defined from x: \xi = x/a, ξ = \sqrt{m\omega/\hbar}\,x
+const SCALED_VARIABLE = /\\?(xi|ξ|eta|η|zeta|ζ)\s*=[^=\n]{0,60}?(?<![A-Za-z\\])x(?![A-Za-z])/g
+// "x is dimensionless", "dimensionless coordinate x", "dimensionless x"
+const DIMENSIONLESS_COORDINATE = new RegExp(String.raw`\b(?:([xyzrt])\s+(?:is|are)\s+dimensionless|dimensionless\s+(?:(?:position|coordinate|variable|length|time)\s+)?([xyzrt]))\b`, 'gi')
+
+const same = (a, b) => a.every((v, i) => Math.abs(v - b[i]) < 1e-9)
+const add = (a, b) => a.map((v, i) => v + b[i])
+const scale = (a, s) => a.map((v) => v * s)
+
+/** Human-readable dimension, e.g. "M L^2 T^-2" or "1". */
+export function formatDimension(dim) {
+  if (!dim) return 'unknown'
+  const parts = ['M', 'L', 'T']
+    .map((base, i) => {
+      const p = Math.round(dim[i] * 1000) / 1000
+      if (p === 0) return ''
+      return p === 1 ? base : `${base}^${p}`
+    })
+    .filter(Boolean)
+  return parts.length ? parts.join(' ') : '1'
+}
+
+/**
+ * Parse a unit such as "kg", "J s", "1/m", "m^2 s^-1" or "dimensionless".
+ * @returns {number[]|null} Dimension vector, or null if a unit is not recognized
+ */
+export function parseUnit(text) {
+  const src = String(text || '').trim()
+  if (!src) return null
+  if (/^(1|dimensionless|unitless|none|-)$/i.test(src)) return DIMENSIONLESS
+  const [num, den = ''] = src.split('/')
+  const side = (part) => {
+    let dim = DIMENSIONLESS
+    for (const factor of part.split(/[\s*·]+/).filter(Boolean)) {
+      if (factor === '1') continue
+      const m = /^([A-Za-zÅ]+)(?:\^?\{?(-?\d+(?:\.\d+)?)\}?)?$/.exec(factor)
+      if (!m || !UNITS[m[1]]) return null
+      dim = add(dim, scale(UNITS[m[1]], m[2] === undefined ? 1 : Number(m[2])))
+    }
+    return dim
+  }
+  const top = side(num)
+  const bottom = side(den)
+  if (!top || !bottom) return null
+  return add(top, scale(bottom, -1))
+}
+
+/**
+ * Read units out of a free-form parameter list such as
+ * "m [kg], omega [1/s], V0 [eV]" or "g: 1/m; ħ: J s".
+ * @returns {Object<string, number[]>} Dimensions by symbol name
+ */
+export function parseParameterUnits(text) {
+  const out = {}
+  if (!text || typeof text !== 'string') return out
+  for (const entry of text.split(/[,;\n]/)) {
+    const m = /^\s*\\?([^\s[(:=]+)\s*(?:\[([^\]]+)\]|\(([^)]+)\)|:\s*(.+)|\s(dimensionless|unitless))\s*$/.exec(entry)
+    if (!m) continue
+    const dim = parseUnit(m[2] || m[3] || m[4] || m[5])
+    if (!dim) continue
+    const name = m[1].replace(/[ħℏωκψλαβγμεξ]/g, (ch) => UNICODE_SYMBOLS[ch]).replace(/_\{([^}]*)\}/, '_$1')
+    out[name] = dim
+    // "V0" in a parameter list is written V_0 in LaTeX
+    const indexed = /^([A-Za-z]+?)(\d+)$/.exec(name)
+    if (indexed) out[`${indexed[1]}_${indexed[2]}`] = dim
+  }
+  return out
+}
+
+/**
+ * Unit conventions a derivation declares in its text: natural units
+ * ("ħ = m = ω = 1", "atomic units"), dimensionless coordinates ("x is
+ * dimensionless") and scaled variables defined from x ("\xi = x/a").
+ * @param {string} text
+ * @returns {{ natural: boolean, dimensionless: string[] }}
+ */
+export function unitConventions(text) {
+  const src = String(text || '')
+  const natural = NATURAL_UNITS.test(src) || [...src.matchAll(SET_TO_ONE)].some(([m]) => /hbar|ħ|ℏ|omega|ω/.test(m))
+  const dimensionless = new Set()
+  for (const [, name] of src.matchAll(SCALED_VARIABLE)) dimensionless.add(SCALED_NAMES[name] || name)
+  for (const [, a, b] of src.matchAll(DIMENSIONLESS_COORDINATE)) dimensionless.add((a || b).toLowerCase())
+  return { natural, dimensionless: [...dimensionless] }
+}
+
+/**
+ * The symbol table for a derivation: the standard dimensions plus the units
+ * declared in `parameters`. In natural or scaled units, i.e. when the text or
+ * parameters set ħ, m or ω to 1 or make a coordinate dimensionless, only pure
+ * numbers and the declared symbols keep a dimension.
+ * @param {Object} [options]
+ * @param {string} [options.parameters] - context.parameters, e.g. "V0 [eV], x dimensionless"
+ * @param {string} [options.text] - Context and iteration text that may declare units
+ * @returns {Object<string, number[]>}
+ */
+export function dimensionSymbols({ parameters, text } = {}) {
+  const declared = parseParameterUnits(parameters)
+  const { natural, dimensionless } = unitConventions([typeof parameters === 'string' ? parameters : '', text].join('\n'))
+  for (const name of dimensionless) declared[name] ||= DIMENSIONLESS
+  const scaled = natural || COORDINATES.some((c) => declared[c] && same(declared[c], DIMENSIONLESS))
+  return { ...(scaled ? PURE_NUMBERS : STANDARD_DIMENSIONS), ...declared }
+}
+
+function lookup(name, symbols) {
+  if (symbols[name]) return symbols[name]
+  const primes = /'*$/.exec(name)[0].length
+  const bare = name.slice(0, name.length - primes)
+  const [head, ...subParts] = bare.split('_')
+  const sub = subParts.join('_')
+  const [base, accent] = head.split('.')
+  if (base === 'partial' && sub) {
+    // \partial_x differentiates with respect to x
+    const wrt = lookup(sub, symbols)
+    return wrt ? scale(wrt, -1) : null
+  }
+  // Indices such as E_n, omega_0 or m_eff keep the base symbol's dimension
+  let dim = symbols[bare] || ((!sub || /^[0-9a-z,]+$/.test(sub)) ? symbols[accent ? head : base] || symbols[base] : null)
+  if (!dim) return null
+  if (primes) dim = add(dim, [0, -primes, 0])
+  if (accent === 'dot') dim = add(dim, [0, 0, -1])
+  if (accent === 'ddot') dim = add(dim, [0, 0, -2])
+  return dim
+}
+
+function constantValue(ast) {
+  try {
+    const v = evaluate(ast, {})
+    return Number.isFinite(v) ? v : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Dimension of an expression, recording any inner inconsistencies.
+ * @param {Object} ast - From parseLatex
+ * @param {Object<string, number[]>} symbols
+ * @param {string[]} issues - Receives messages for mismatched terms or arguments
+ * @returns {number[]|null} null when unknown
+ */
+export function dimensionOf(ast, symbols, issues = []) {
+  switch (ast.type) {
+    case 'num':
+      // 0 is compatible with any dimension
+      return ast.value === 0 ? null : DIMENSIONLESS
+    case 'var':
+      return lookup(ast.name, symbols)
+    case 'neg':
+      return dimensionOf(ast.arg, symbols, issues)
+    case 'sum':
+      return dimensionOf(ast.body, { ...symbols, [ast.index]: DIMENSIONLESS }, issues)
+    case 'call': {
+      const arg = dimensionOf(ast.args[0], symbols, issues)
+      if (ast.name === 'sqrt') return arg && scale(arg, 0.5)
+      if (ast.name === 'abs') return arg
+      if (arg && !same(arg, DIMENSIONLESS)) issues.push(`argument of ${ast.name} has dimension ${formatDimension(arg)}`)
+      return DIMENSIONLESS
+    }
+    case 'relation':
+      return null
+    case 'binary': {
+      if (ast.op === '^') {
+        const exponent = dimensionOf(ast.right, symbols, issues)
+        if (exponent && !same(exponent, DIMENSIONLESS)) issues.push(`exponent has dimension ${formatDimension(exponent)}`)
+        // e^{...} is the exponential, not the electron charge
+        if (ast.left.type === 'var' && ast.left.name === 'e') return DIMENSIONLESS
+        const base = dimensionOf(ast.left, symbols, issues)
+        if (!base) return null
+        if (same(base, DIMENSIONLESS)) return DIMENSIONLESS
+        const p = constantValue(ast.right)
+        return p === null ? null : scale(base, p)
+      }
+      const l = dimensionOf(ast.left, symbols, issues)
+      const r = dimensionOf(ast.right, symbols, issues)
+      if (ast.op === '*') return l && r ? add(l, r) : null
+      if (ast.op === '/') return l && r ? add(l, scale(r, -1)) : null
+      if (l && r && !same(l, r)) {
+        issues.push(`terms of dimension ${formatDimension(l)} and ${formatDimension(r)} are added`)
+      }
+      return l || r
+    }
+    default:
+      return null
+  }
+}
+
+/**
+ * Check one LaTeX equation. Equations that do not parse are skipped.
+ * @param {string} latex
+ * @param {Object<string, number[]>} symbols
+ * @returns {string[]} Problems found, empty when consistent or undecidable
+ */
+export function checkEquationDimensions(latex, symbols = STANDARD_DIMENSIONS) {
+  let ast
+  try {
+    ast = parseLatex(String(latex).replace(FUNCTION_SYMBOL, '$1$2'))
+  } catch {
+    return []
+  }
+  const issues = []
+  if (ast.type !== 'relation') {
+    dimensionOf(ast, symbols, issues)
+    return issues
+  }
+  const sides = ast.args.map((side) => dimensionOf(side, symbols, issues))
+  const known = sides.map((dim, i) => ({ dim, i })).filter((s) => s.dim)
+  for (const s of known.slice(1)) {
+    if (!same(s.dim, known[0].dim)) {
+      issues.push(`side ${known[0].i + 1} has dimension ${formatDimension(known[0].dim)} but side ${s.i + 1} has ${formatDimension(s.dim)}`)
+    }
+  }
+  return issues
+}
+
+/**
+ * Check every equation of an iteration.
+ * @param {Array<{latex?: string}>} equations
+ * @param {Object} options
+ * @param {string} [options.parameters] - context.parameters, e.g. "V0 [eV], a [nm]"
+ * @param {string} [options.text] - Text that may declare natural or scaled units (see dimensionSymbols)
+ * @returns {Array<{ index: number, latex: string, issues: string[] }>}
+ */
+export function findDimensionIssues(equations, { parameters, text } = {}) {
+  const list = Array.isArray(equations) ? equations : []
+  const declarations = [text, ...list.flatMap((eq) => [eq?.latex, eq?.text])].filter(Boolean).join('\n')
+  const symbols = dimensionSymbols({ parameters, text: declarations })
+  return list
+    .map((eq, index) => ({ index, latex: eq?.latex || '', issues: eq?.latex ? checkEquationDimensions(eq.latex, symbols) : [] }))
+    .filter((f) => f.issues.length)
+}
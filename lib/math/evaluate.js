@@ -0,0 +1,28 @@
+import { evaluateAst, freeVariables } from '../numeric/expression'
+import { parseLatex } from './parse'
+
+/**
+ * Numeric evaluation of parseLatex ASTs. The AST is the one lib/numeric/expression.js
+ * evaluates, so both syntaxes share its walk and function and constant tables.
+ */
+
+/**
+ * Evaluate an AST from parseLatex numerically.
+ * @param {Object} ast
+ * @param {Object<string, number>} bindings - Values by variable name ("x", "omega", "E_n", "m.hat")
+ * @returns {number}
+ */
+export const evaluate = evaluateAst
+
+/** Names of the free variables in an AST (constants and summation indices excluded). */
+export const freeSymbols = freeVariables
+
+/**
+ * Parse a LaTeX formula once and return a function of its bindings.
+ * @param {string} src
+ * @returns {(bindings: Object<string, number>) => number}
+ */
+export function compileLatex(src) {
+  const ast = parseLatex(src)
+  return (bindings) => evaluate(ast, bindings)
+}
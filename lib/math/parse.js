@@ -0,0 +1,342 @@
+import { GREEK, SYMBOL_COMMANDS, ACCENTS, LATEX_FUNCTIONS } from './symbols'
+
+/**
+ * Parser for the LaTeX math subset models emit, e.g.
+ * "E_n = \hbar\omega\left(n + \frac{1}{2}\right)" or "\sum_{k=0}^{\infty} \frac{x^k}{k!}".
+ *
+ * AST nodes:
+ *   { type: 'num', value }
+ *   { type: 'var', name }                      name = base[.accent][_subscript][primes]
+ *   { type: 'neg', arg }
+ *   { type: 'binary', op: '+'|'-'|'pm'|'*'|'/'|'^', left, right }
+ *   { type: 'call', name, args }               sin, exp, sqrt, abs, factorial, ...
+ *   { type: 'sum', index, lower, upper, body }
+ *   { type: 'relation', ops, args }            a = b \approx c
+ *
+ * Adjacent factors ("2\pi x", "\hbar\omega(n+1)") multiply, and every Latin
+ * letter is its own symbol, as in LaTeX. "\psi(x)" is therefore psi*x.
+ */
+
+// Commands that only affect spacing or sizing
+const IGNORED = new Set([',', ';', ':', '!', ' ', 'quad', 'qquad', 'left', 'right', 'big', 'Big', 'bigg', 'Bigg', 'bigl', 'bigr', 'Bigl', 'Bigr', 'biggl', 'biggr', 'displaystyle', 'textstyle', 'limits'])
+
+const COMMAND_OPS = {
+  cdot: '*', times: '*', div: '/', pm: 'pm', mp: 'mp',
+  approx: 'approx', simeq: 'approx', le: 'le', leq: 'le', ge: 'ge', geq: 'ge', neq: 'neq', ne: 'neq',
+  lvert: '|', rvert: '|', vert: '|', lbrace: '{', rbrace: '}', lbrack: '[', rbrack: ']', langle: '(', rangle: ')',
+}
+
+const TEXT_COMMANDS = new Set(['text', 'mathrm', 'mathit', 'operatorname', 'textrm', 'mathbf'])
+
+function tokenize(src) {
+  const text = String(src)
+  const tokens = []
+  let i = 0
+  while (i < text.length) {
+    const ch = text[i]
+    if (/\s/.test(ch) || ch === '~' || ch === '&') { i++; continue }
+    if (ch === '\\') {
+      const word = /^\\([A-Za-z]+|.)/.exec(text.slice(i))
+      if (!word) throw new Error(`Dangling "\\" in "${src}"`)
+      i += word[0].length
+      const name = word[1]
+      if (name === '{' || name === '}') tokens.push({ type: 'op', value: name === '{' ? '(' : ')' })
+      else if (name === '|') tokens.push({ type: 'op', value: '|' })
+      else if (COMMAND_OPS[name]) tokens.push({ type: 'op', value: COMMAND_OPS[name] })
+      else if (!IGNORED.has(name)) tokens.push({ type: 'cmd', value: name })
+      // \left. and \right. are invisible delimiters
+      if ((name === 'left' || name === 'right') && text[i] === '.') i++
+      continue
+    }
+    const num = /^(\d+\.?\d*|\.\d+)/.exec(text.slice(i))
+    if (num) {
+      tokens.push({ type: 'num', raw: num[0] })
+      i += num[0].length
+      continue
+    }
+    if (/[A-Za-z]/.test(ch)) {
+      tokens.push({ type: 'letter', value: ch })
+      i++
+      continue
+    }
+    if ('+-−*/^_()[]{}|=,!\'<>'.includes(ch)) {
+      tokens.push({ type: 'op', value: ch === '−' ? '-' : ch })
+      i++
+      continue
+    }
+    throw new Error(`Unexpected character "${ch}" in "${src}"`)
+  }
+  return tokens
+}
+
+/**
+ * Parse a LaTeX formula into an AST.
+ * @param {string} src
+ * @returns {Object}
+ */
+export function parseLatex(src) {
+  const tokens = tokenize(src)
+  let pos = 0
+  let absDepth = 0
+  const peek = () => tokens[pos]
+  const isOp = (v) => peek()?.type === 'op' && peek().value === v
+  const fail = (msg) => { throw new Error(`${msg} in "${src}"`) }
+  const expect = (v) => {
+    if (!isOp(v)) fail(`Expected "${v}"`)
+    pos++
+  }
+  const closerFor = { '(': ')', '[': ']', '{': '}' }
+
+  function relation() {
+    const args = [expr()]
+    const ops = []
+    while (peek()?.type === 'op' && ['=', '<', '>', 'approx', 'le', 'ge', 'neq'].includes(peek().value)) {
+      ops.push(tokens[pos++].value)
+      args.push(expr())
+    }
+    return ops.length ? { type: 'relation', ops, args } : args[0]
+  }
+
+  function expr() {
+    let node = term()
+    while (isOp('+') || isOp('-') || isOp('pm') || isOp('mp')) {
+      const op = tokens[pos++].value
+      const right = term()
+      // a \mp b is a \pm (-b)
+      node = op === 'mp' ? { type: 'binary', op: 'pm', left: node, right: { type: 'neg', arg: right } } : { type: 'binary', op, left: node, right }
+    }
+    return node
+  }
+
+  function startsFactor() {
+    const t = peek()
+    if (!t) return false
+    if (t.type === 'num' || t.type === 'letter') return true
+    if (t.type === 'cmd') return t.value !== 'end'
+    if (t.type === 'op') return t.value === '(' || t.value === '[' || t.value === '{' || (t.value === '|' && absDepth === 0)
+    return false
+  }
+
+  function term() {
+    let node = unary()
+    for (;;) {
+      if (isOp('*') || isOp('/')) {
+        const op = tokens[pos++].value
+        node = { type: 'binary', op, left: node, right: unary() }
+      } else if (startsFactor()) {
+        node = { type: 'binary', op: '*', left: node, right: power() }
+      } else {
+        return node
+      }
+    }
+  }
+
+  function unary() {
+    if (isOp('-')) { pos++; return { type: 'neg', arg: unary() } }
+    if (isOp('+')) { pos++; return unary() }
+    return power()
+  }
+
+  function power() {
+    let base = postfix(primary())
+    while (isOp('^')) {
+      pos++
+      base = { type: 'binary', op: '^', left: base, right: argument() }
+    }
+    return base
+  }
+
+  function postfix(node) {
+    while (isOp('!')) {
+      pos++
+      node = { type: 'call', name: 'factorial', args: [node] }
+    }
+    return node
+  }
+
+  // A brace group or a single token, as for \frac12 or x^2
+  function argument() {
+    const t = peek()
+    if (!t) fail('Unexpected end of input')
+    if (isOp('{')) {
+      pos++
+      const inner = relation()
+      expect('}')
+      return inner
+    }
+    if (t.type === 'num') {
+      if (t.raw.length > 1 && /^\d/.test(t.raw)) {
+        const digit = t.raw[0]
+        t.raw = t.raw.slice(1)
+        return { type: 'num', value: Number(digit) }
+      }
+      pos++
+      return { type: 'num', value: Number(t.raw) }
+    }
+    if (t.type === 'letter') {
+      pos++
+      return { type: 'var', name: t.value }
+    }
+    if (t.type === 'cmd') return primary()
+    return fail(`Unexpected "${t.value}"`)
+  }
+
+  // Raw text of a subscript or \text group, e.g. the "eff" in m_{\text{eff}}
+  function groupText() {
+    if (!isOp('{')) {
+      const t = peek()
+      if (!t) fail('Unexpected end of input')
+      if (t.type === 'num' && t.raw.length > 1) {
+        // x_12 is x_1 times 2
+        const digit = t.raw[0]
+        t.raw = t.raw.slice(1)
+        return digit
+      }
+      pos++
+      return tokenText(t)
+    }
+    pos++
+    let text = ''
+    while (pos < tokens.length && !isOp('}')) text += tokenText(tokens[pos++])
+    expect('}')
+    return text
+  }
+
+  function tokenText(t) {
+    if (t.type === 'num') return t.raw
+    if (t.type === 'cmd' && TEXT_COMMANDS.has(t.value)) return groupText()
+    return t.value
+  }
+
+  function decorate(base) {
+    let name = base
+    if (isOp('_')) {
+      pos++
+      name += `_${groupText()}`
+    }
+    while (isOp('\'')) {
+      pos++
+      name += '\''
+    }
+    return { type: 'var', name }
+  }
+
+  function bracketed() {
+    const open = tokens[pos++].value
+    const inner = relation()
+    expect(closerFor[open])
+    return inner
+  }
+
+  // "\sin x \cos x" is a product of two calls
+  function startsCall() {
+    const t = peek()
+    return t?.type === 'cmd' && (LATEX_FUNCTIONS.has(t.value) || t.value === 'sum')
+  }
+
+  function functionCall(name) {
+    let exponent = null
+    if (isOp('^')) {
+      pos++
+      exponent = argument()
+    }
+    let arg
+    if (isOp('(') || isOp('[') || isOp('{')) {
+      arg = bracketed()
+    } else {
+      // \sin kx: the argument runs over the following juxtaposed factors
+      arg = power()
+      while (startsFactor() && !isOp('(') && !startsCall()) arg = { type: 'binary', op: '*', left: arg, right: power() }
+    }
+    const call = { type: 'call', name, args: [arg] }
+    return exponent ? { type: 'binary', op: '^', left: call, right: exponent } : call
+  }
+
+  function sum() {
+    let index = null
+    let lower = null
+    let upper = null
+    while (isOp('_') || isOp('^')) {
+      const op = tokens[pos++].value
+      if (op === '^') {
+        upper = argument()
+        continue
+      }
+      const braced = isOp('{')
+      if (braced) pos++
+      const t = tokens[pos++]
+      const symbolic = t?.type === 'cmd' && (GREEK.has(t.value) || SYMBOL_COMMANDS.has(t.value))
+      if (t?.type !== 'letter' && !symbolic) fail('Expected a summation index')
+      index = decorate(t.value).name
+      expect('=')
+      lower = braced ? expr() : argument()
+      if (braced) expect('}')
+    }
+    if (!index || !upper) fail('\\sum needs _{index=lower}^{upper}')
+    return { type: 'sum', index, lower, upper, body: term() }
+  }
+
+  function command(name) {
+    if (name === 'frac' || name === 'dfrac' || name === 'tfrac') {
+      const num = argument()
+      return { type: 'binary', op: '/', left: num, right: argument() }
+    }
+    if (name === 'sqrt') {
+      if (isOp('[')) {
+        pos++
+        const degree = expr()
+        expect(']')
+        return { type: 'binary', op: '^', left: argument(), right: { type: 'binary', op: '/', left: { type: 'num', value: 1 }, right: degree } }
+      }
+      return { type: 'call', name: 'sqrt', args: [argument()] }
+    }
+    if (name === 'sum') return sum()
+    if (LATEX_FUNCTIONS.has(name)) return functionCall(name)
+    if (TEXT_COMMANDS.has(name)) {
+      const text = groupText()
+      if (LATEX_FUNCTIONS.has(text)) return functionCall(text)
+      return decorate(text)
+    }
+    if (ACCENTS.has(name)) {
+      const inner = argument()
+      if (inner.type !== 'var') fail(`\\${name} must decorate a single symbol`)
+      // The accent belongs to the base symbol: \hat{a_k} is a.hat_k
+      const [base, ...sub] = inner.name.split('_')
+      return decorate(sub.length ? `${base}.${name}_${sub.join('_')}` : `${base}.${name}`)
+    }
+    if (GREEK.has(name) || SYMBOL_COMMANDS.has(name)) return decorate(name)
+    return fail(`Unsupported command "\\${name}"`)
+  }
+
+  function primary() {
+    const t = peek()
+    if (!t) fail('Unexpected end of input')
+    if (t.type === 'num') {
+      pos++
+      return { type: 'num', value: Number(t.raw) }
+    }
+    if (t.type === 'letter') {
+      pos++
+      return decorate(t.value)
+    }
+    if (t.type === 'cmd') {
+      pos++
+      return command(t.value)
+    }
+    if (isOp('(') || isOp('[') || isOp('{')) return bracketed()
+    if (isOp('|')) {
+      pos++
+      absDepth++
+      const inner = expr()
+      absDepth--
+      expect('|')
+      return { type: 'call', name: 'abs', args: [inner] }
+    }
+    return fail(`Unexpected "${t.value}"`)
+  }
+
+  if (!tokens.length) fail('Empty formula')
+  const ast = relation()
+  if (pos < tokens.length) fail(`Unexpected "${tokens[pos].value ?? tokens[pos].raw}"`)
+  return ast
+}
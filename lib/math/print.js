@@ -0,0 +1,109 @@
+import { GREEK, SYMBOL_COMMANDS, RELATIONS } from './symbols'
+
+/**
+ * Canonical LaTeX for an AST from parseLatex. Equal ASTs print identically
+ * and parseLatex(printLatex(ast)) gives back the same AST, so the printed
+ * form can be used to compare formulas written in different styles.
+ */
+
+const PREC = { relation: 0, additive: 1, sum: 1.5, product: 2, neg: 3, power: 4, postfix: 5, atom: 6 }
+
+function precedence(node) {
+  switch (node.type) {
+    case 'relation':
+      return PREC.relation
+    case 'sum':
+      return PREC.sum
+    case 'neg':
+      return PREC.neg
+    case 'num':
+      return node.value < 0 ? PREC.neg : PREC.atom
+    case 'binary':
+      if (node.op === '*') return PREC.product
+      if (node.op === '/') return PREC.atom
+      if (node.op === '^') return PREC.power
+      return PREC.additive
+    case 'call':
+      return node.name === 'factorial' ? PREC.postfix : PREC.atom
+    default:
+      return PREC.atom
+  }
+}
+
+const paren = (s) => `\\left(${s}\\right)`
+
+function wrapBelow(node, min) {
+  const s = printLatex(node)
+  return precedence(node) < min ? paren(s) : s
+}
+
+function symbol(text) {
+  if (GREEK.has(text) || SYMBOL_COMMANDS.has(text)) return `\\${text}`
+  if (text.length <= 1) return text
+  return `\\mathrm{${text}}`
+}
+
+function subscript(text) {
+  if (/^[A-Za-z0-9]$/.test(text)) return `_${text}`
+  if (/^[A-Za-z]+$/.test(text)) return `_{${symbol(text)}}`
+  return `_{${text}}`
+}
+
+function printVar(name) {
+  const primes = /'*$/.exec(name)[0]
+  const bare = name.slice(0, name.length - primes.length)
+  const underscore = bare.indexOf('_')
+  const head = underscore === -1 ? bare : bare.slice(0, underscore)
+  const sub = underscore === -1 ? '' : subscript(bare.slice(underscore + 1))
+  const [base, accent] = head.split('.')
+  const core = accent ? `\\${accent}{${symbol(base)}}` : symbol(base)
+  return `${core}${sub}${primes}`
+}
+
+function printNumber(value) {
+  if (value === Infinity) return '\\infty'
+  if (value === -Infinity) return '-\\infty'
+  const s = String(value)
+  const exp = /^(-?[\d.]+)e([+-]?\d+)$/.exec(s)
+  return exp ? `${exp[1]} \\cdot 10^{${Number(exp[2])}}` : s
+}
+
+/**
+ * @param {Object} ast - From parseLatex
+ * @returns {string}
+ */
+export function printLatex(ast) {
+  switch (ast.type) {
+    case 'num':
+      return printNumber(ast.value)
+    case 'var':
+      return printVar(ast.name)
+    case 'neg':
+      return `-${wrapBelow(ast.arg, PREC.neg)}`
+    case 'relation':
+      return ast.args.map(printLatex).reduce((out, side, i) => `${out} ${RELATIONS[ast.ops[i - 1]]} ${side}`)
+    case 'sum':
+      return `\\sum_{${printVar(ast.index)} = ${printLatex(ast.lower)}}^{${printLatex(ast.upper)}} ${wrapBelow(ast.body, PREC.product)}`
+    case 'call': {
+      const [arg] = ast.args
+      if (ast.name === 'sqrt') return `\\sqrt{${printLatex(arg)}}`
+      if (ast.name === 'abs') return `\\left|${printLatex(arg)}\\right|`
+      if (ast.name === 'factorial') return `${wrapBelow(arg, PREC.atom)}!`
+      return `\\${ast.name}${paren(ast.args.map(printLatex).join(', '))}`
+    }
+    case 'binary': {
+      if (ast.op === '/') return `\\frac{${printLatex(ast.left)}}{${printLatex(ast.right)}}`
+      if (ast.op === '^') return `${wrapBelow(ast.left, PREC.postfix)}^{${printLatex(ast.right)}}`
+      if (ast.op === '*') {
+        const left = wrapBelow(ast.left, PREC.product)
+        const right = wrapBelow(ast.right, PREC.neg)
+        // Juxtapose symbols; spell out the product before a number or sign
+        return /^[\d.-]/.test(right) ? `${left} \\cdot ${right}` : `${left} ${right}`
+      }
+      const op = ast.op === 'pm' ? '\\pm' : ast.op
+      return `${wrapBelow(ast.left, PREC.additive)} ${op} ${wrapBelow(ast.right, PREC.sum)}`
+    }
+    default:
+      throw new Error(`Unknown expression node "${ast.type}"`)
+  }
+}
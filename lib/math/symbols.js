@@ -0,0 +1,24 @@
+import { FUNCTIONS } from '../numeric/expression'
+
+/**
+ * Symbol tables shared by the LaTeX parser, printer and evaluator. The functions
+ * and constants themselves live with the evaluator in lib/numeric/expression.js.
+ */
+
+export const GREEK = new Set([
+  'alpha', 'beta', 'gamma', 'delta', 'epsilon', 'varepsilon', 'zeta', 'eta', 'theta', 'vartheta',
+  'iota', 'kappa', 'lambda', 'mu', 'nu', 'xi', 'pi', 'varpi', 'rho', 'varrho', 'sigma', 'varsigma',
+  'tau', 'upsilon', 'phi', 'varphi', 'chi', 'psi', 'omega',
+  'Gamma', 'Delta', 'Theta', 'Lambda', 'Xi', 'Pi', 'Sigma', 'Upsilon', 'Phi', 'Psi', 'Omega',
+])
+
+// Non-Greek commands that name a single symbol
+export const SYMBOL_COMMANDS = new Set(['hbar', 'ell', 'partial', 'nabla', 'infty'])
+
+// Commands that decorate a symbol: \hat{H} is the variable "H.hat"
+export const ACCENTS = new Set(['hat', 'bar', 'tilde', 'vec', 'dot', 'ddot'])
+
+// Functions written as \name in LaTeX (sqrt, abs and factorial have their own notation)
+export const LATEX_FUNCTIONS = new Set(Object.keys(FUNCTIONS).filter((f) => !['sqrt', 'abs', 'factorial'].includes(f)))
+
+export const RELATIONS = { '=': '=', approx: '\\approx', '<': '<', '>': '>', le: '\\le', ge: '\\ge', neq: '\\neq' }
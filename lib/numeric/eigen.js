@@ -0,0 +1,156 @@
+/**
+ * Finite-difference eigen-solver for 1D Hamiltonians
+ *
+ *   H ψ = -(ħ²/2) d/dx [ (1/m(x)) dψ/dx ] + V(x) ψ
+ *
+ * The kinetic term uses BenDaniel–Duke ordering, discretized with the mass
+ * evaluated at half-grid points, so H stays a symmetric tridiagonal matrix.
+ * The lowest eigenvalues come from Sturm-sequence bisection and the
+ * eigenvectors from inverse iteration.
+ */
+
+/**
+ * Build the tridiagonal Hamiltonian on the interior grid points of [a, b].
+ * @returns {{ x: number[], h: number, diag: number[], off: number[] }}
+ */
+export function buildHamiltonian({ potential, mass = () => 1, domain, points = 800, hbar = 1 }) {
+  const [a, b] = domain
+  if (!(b > a)) throw new Error(`Invalid domain [${a}, ${b}]`)
+  const n = Math.max(3, Math.floor(points))
+  const h = (b - a) / (n + 1)
+  const k = (hbar * hbar) / (2 * h * h)
+
+  const x = new Array(n)
+  const diag = new Array(n)
+  const off = new Array(n - 1)
+  for (let i = 0; i < n; i++) {
+    x[i] = a + (i + 1) * h
+    const mLeft = mass(x[i] - h / 2)
+    const mRight = mass(x[i] + h / 2)
+    if (!(mLeft > 0) || !(mRight > 0)) {
+      throw new Error(`Mass must be positive on the domain (m(${x[i].toPrecision(4)}) is not)`)
+    }
+    const v = potential(x[i])
+    if (!Number.isFinite(v)) throw new Error(`Potential is not finite at x = ${x[i].toPrecision(4)}`)
+    diag[i] = k * (1 / mLeft + 1 / mRight) + v
+    if (i < n - 1) off[i] = -k / mRight
+  }
+  return { x, h, diag, off }
+}
+
+// Number of eigenvalues of the tridiagonal matrix strictly below `lambda`
+function sturmCount(diag, off, lambda) {
+  let count = 0
+  let q = diag[0] - lambda
+  if (q < 0) count++
+  for (let i = 1; i < diag.length; i++) {
+    const denom = q === 0 ? Number.EPSILON : q
+    q = diag[i] - lambda - (off[i - 1] * off[i - 1]) / denom
+    if (q < 0) count++
+  }
+  return count
+}
+
+function gershgorin(diag, off) {
+  let lo = Infinity
+  let hi = -Infinity
+  for (let i = 0; i < diag.length; i++) {
+    const r = (i > 0 ? Math.abs(off[i - 1]) : 0) + (i < off.length ? Math.abs(off[i]) : 0)
+    lo = Math.min(lo, diag[i] - r)
+    hi = Math.max(hi, diag[i] + r)
+  }
+  return [lo, hi]
+}
+
+// k-th smallest eigenvalue (0-based) by bisection
+function bisectEigenvalue(diag, off, k, [lo, hi]) {
+  const tol = 1e-12 * Math.max(1, Math.abs(lo), Math.abs(hi))
+  for (let iter = 0; iter < 200 && hi - lo > tol; iter++) {
+    const mid = (lo + hi) / 2
+    if (sturmCount(diag, off, mid) > k) hi = mid
+    else lo = mid
+  }
+  return (lo + hi) / 2
+}
+
+// Solve (T - shift I) y = rhs for symmetric tridiagonal T (Thomas algorithm)
+function solveShifted(diag, off, shift, rhs) {
+  const n = diag.length
+  const c = new Array(n)
+  const d = new Array(n)
+  let denom = diag[0] - shift || Number.EPSILON
+  c[0] = (off[0] || 0) / denom
+  d[0] = rhs[0] / denom
+  for (let i = 1; i < n; i++) {
+    denom = (diag[i] - shift - off[i - 1] * c[i - 1]) || Number.EPSILON
+    c[i] = i < n - 1 ? off[i] / denom : 0
+    d[i] = (rhs[i] - off[i - 1] * d[i - 1]) / denom
+  }
+  const y = new Array(n)
+  y[n - 1] = d[n - 1]
+  for (let i = n - 2; i >= 0; i--) y[i] = d[i] - c[i] * y[i + 1]
+  return y
+}
+
+function inverseIteration(diag, off, lambda, h) {
+  const n = diag.length
+  const shift = lambda + 1e-10 * Math.max(1, Math.abs(lambda))
+  // Deterministic, non-symmetric start so no eigenvector is orthogonal to it
+  let v = Array.from({ length: n }, (_, i) => 1 + ((i * 7919) % 13) / 13)
+  for (let iter = 0; iter < 3; iter++) {
+    v = solveShifted(diag, off, shift, v)
+    const norm = Math.sqrt(v.reduce((s, y) => s + y * y, 0))
+    v = v.map((y) => y / norm)
+  }
+  // Normalize as a wavefunction (∫|ψ|² dx = 1) with a positive leading lobe
+  const scale = 1 / Math.sqrt(v.reduce((s, y) => s + y * y, 0) * h)
+  const lead = v.find((y) => Math.abs(y) > 1e-6) || 1
+  const sign = lead < 0 ? -1 : 1
+  return v.map((y) => y * scale * sign)
+}
+
+/**
+ * Lowest eigenpairs of a 1D Hamiltonian.
+ *
+ * Boundaries: 'dirichlet' imposes ψ = 0 at both ends of `domain`. 'decaying'
+ * models ψ → 0 at infinity by truncating to `domain`; states with noticeable
+ * amplitude near the truncation edges are flagged `converged: false`.
+ *
+ * @param {Object} params
+ * @param {(x: number) => number} params.potential - V(x)
+ * @param {(x: number) => number} [params.mass] - m(x), defaults to 1
+ * @param {[number, number]} params.domain - [a, b]
+ * @param {'dirichlet'|'decaying'} [params.boundary]
+ * @param {number} [params.count] - Number of eigenpairs
+ * @param {number} [params.points] - Interior grid points
+ * @param {number} [params.hbar]
+ * @returns {{ x: number[], eigenvalues: number[], eigenvectors: number[][], converged: boolean[] }}
+ */
+export function solveEigenproblem({ potential, mass, domain, boundary = 'dirichlet', count = 5, points = 800, hbar = 1 }) {
+  if (boundary !== 'dirichlet' && boundary !== 'decaying') {
+    throw new Error(`Unsupported boundary "${boundary}" (use 'dirichlet' or 'decaying')`)
+  }
+  const { x, h, diag, off } = buildHamiltonian({ potential, mass, domain, points, hbar })
+  const n = Math.min(Math.max(1, Math.floor(count)), x.length)
+  const bounds = gershgorin(diag, off)
+
+  const eigenvalues = []
+  const eigenvectors = []
+  const converged = []
+  const edge = Math.max(1, Math.floor(x.length * 0.02))
+  for (let k = 0; k < n; k++) {
+    const lambda = bisectEigenvalue(diag, off, k, bounds)
+    const psi = inverseIteration(diag, off, lambda, h)
+    eigenvalues.push(lambda)
+    eigenvectors.push(psi)
+    if (boundary === 'decaying') {
+      // Probability within the outer 2% of the grid on either side
+      let tail = 0
+      for (let i = 0; i < edge; i++) tail += (psi[i] * psi[i] + psi[x.length - 1 - i] * psi[x.length - 1 - i]) * h
+      converged.push(tail < 1e-6)
+    } else {
+      converged.push(true)
+    }
+  }
+  return { x, eigenvalues, eigenvectors, converged }
+}
@@ -0,0 +1,252 @@
+/**
+ * Plain-text math expressions, e.g. "0.5*m*omega^2*x^2" or "hbar*omega*(n + 1/2)".
+ * Parsed into a small AST and evaluated locally against variable bindings.
+ */
+
+/**
+ * Functions and constants known to both expression syntaxes: this plain-text
+ * one and the LaTeX subset of lib/math/parse.js, which share the AST below.
+ */
+export const FUNCTIONS = {
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  cot: (x) => 1 / Math.tan(x),
+  sec: (x) => 1 / Math.cos(x),
+  csc: (x) => 1 / Math.sin(x),
+  arcsin: Math.asin,
+  arccos: Math.acos,
+  arctan: Math.atan,
+  sinh: Math.sinh,
+  cosh: Math.cosh,
+  tanh: Math.tanh,
+  coth: (x) => 1 / Math.tanh(x),
+  exp: Math.exp,
+  log: Math.log,
+  ln: Math.log,
+  sqrt: Math.sqrt,
+  abs: Math.abs,
+  factorial: (x) => {
+    if (!Number.isInteger(x) || x < 0) throw new Error(`Factorial of ${x} is undefined`)
+    let r = 1
+    for (let i = 2; i <= x; i++) r *= i
+    return r
+  },
+}
+
+export const CONSTANTS = { pi: Math.PI, e: Math.E, infty: Infinity }
+
+const MAX_TERMS = 100000
+
+// Symbols models like to emit in "plain" expressions
+const SYMBOL_NAMES = { 'ħ': 'hbar', 'ℏ': 'hbar', 'π': 'pi', 'ω': 'omega', 'α': 'alpha', 'β': 'beta', 'γ': 'gamma', 'λ': 'lambda', 'κ': 'kappa', 'μ': 'mu', 'ε': 'epsilon', 'ξ': 'xi', '·': '*', '×': '*', '−': '-', '²': '^2', '³': '^3' }
+
+function tokenize(src) {
+  // Spell out symbols; letters get spaces so "ħω" reads as hbar*omega, not one name
+  const text = String(src).replace(/[ħℏπωαβγλκμεξ·×−²³]/g, (ch) => (/^[a-z]/.test(SYMBOL_NAMES[ch]) ? ` ${SYMBOL_NAMES[ch]} ` : SYMBOL_NAMES[ch]))
+  const tokens = []
+  let i = 0
+  while (i < text.length) {
+    const ch = text[i]
+    if (/\s/.test(ch)) { i++; continue }
+    const num = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(text.slice(i))
+    if (num) {
+      tokens.push({ type: 'num', value: Number(num[0]) })
+      i += num[0].length
+      continue
+    }
+    const ident = /^[A-Za-z][A-Za-z0-9_]*/.exec(text.slice(i))
+    if (ident) {
+      tokens.push({ type: 'ident', value: ident[0] })
+      i += ident[0].length
+      continue
+    }
+    if (text.startsWith('**', i)) {
+      tokens.push({ type: 'op', value: '^' })
+      i += 2
+      continue
+    }
+    if ('+-*/^(),'.includes(ch)) {
+      tokens.push({ type: 'op', value: ch })
+      i++
+      continue
+    }
+    throw new Error(`Unexpected character "${ch}" in expression "${src}"`)
+  }
+  return tokens
+}
+
+/**
+ * Parse an expression into an AST of
+ * { type: 'num', value } | { type: 'var', name } | { type: 'neg', arg }
+ * | { type: 'binary', op, left, right } | { type: 'call', name, args }.
+ * Juxtaposition ("2x", "2(n+1)") is read as multiplication.
+ */
+export function parseExpression(src) {
+  const tokens = tokenize(src)
+  let pos = 0
+  const peek = () => tokens[pos]
+  const isOp = (v) => peek()?.type === 'op' && peek().value === v
+  const expect = (v) => {
+    if (!isOp(v)) throw new Error(`Expected "${v}" in expression "${src}"`)
+    pos++
+  }
+
+  function sum() {
+    let node = product()
+    while (isOp('+') || isOp('-')) {
+      const op = tokens[pos++].value
+      node = { type: 'binary', op, left: node, right: product() }
+    }
+    return node
+  }
+
+  function startsPrimary() {
+    const t = peek()
+    return t && (t.type === 'num' || t.type === 'ident' || (t.type === 'op' && t.value === '('))
+  }
+
+  function product() {
+    let node = unary()
+    for (;;) {
+      if (isOp('*') || isOp('/')) {
+        const op = tokens[pos++].value
+        node = { type: 'binary', op, left: node, right: unary() }
+      } else if (startsPrimary()) {
+        node = { type: 'binary', op: '*', left: node, right: power() }
+      } else {
+        return node
+      }
+    }
+  }
+
+  function unary() {
+    if (isOp('-')) { pos++; return { type: 'neg', arg: unary() } }
+    if (isOp('+')) { pos++; return unary() }
+    return power()
+  }
+
+  function power() {
+    const base = primary()
+    if (isOp('^')) {
+      pos++
+      return { type: 'binary', op: '^', left: base, right: unary() }
+    }
+    return base
+  }
+
+  function primary() {
+    const t = peek()
+    if (!t) throw new Error(`Unexpected end of expression "${src}"`)
+    if (t.type === 'num') { pos++; return { type: 'num', value: t.value } }
+    if (t.type === 'ident') {
+      pos++
+      if (FUNCTIONS[t.value] && isOp('(')) {
+        pos++
+        const args = [sum()]
+        while (isOp(',')) { pos++; args.push(sum()) }
+        expect(')')
+        return { type: 'call', name: t.value, args }
+      }
+      return { type: 'var', name: t.value }
+    }
+    if (isOp('(')) {
+      pos++
+      const inner = sum()
+      expect(')')
+      return inner
+    }
+    throw new Error(`Unexpected "${t.value}" in expression "${src}"`)
+  }
+
+  const ast = sum()
+  if (pos < tokens.length) throw new Error(`Unexpected "${tokens[pos].value}" in expression "${src}"`)
+  return ast
+}
+
+function evaluateSum(ast, bindings) {
+  const lower = evaluateAst(ast.lower, bindings)
+  const upper = evaluateAst(ast.upper, bindings)
+  if (!Number.isInteger(lower) || !(Number.isInteger(upper) || upper === Infinity)) {
+    throw new Error(`Summation bounds must be integers (got ${lower} to ${upper})`)
+  }
+  let total = 0
+  let small = 0
+  for (let k = lower; k <= upper; k++) {
+    if (k - lower >= MAX_TERMS) throw new Error(`Sum over ${ast.index} did not converge within ${MAX_TERMS} terms`)
+    const term = evaluateAst(ast.body, { ...bindings, [ast.index]: k })
+    total += term
+    if (upper === Infinity) {
+      // Stop an infinite series once several consecutive terms are negligible
+      small = Math.abs(term) <= 1e-15 * Math.max(Math.abs(total), 1e-300) ? small + 1 : 0
+      if (small >= 5) break
+    }
+  }
+  return total
+}
+
+/**
+ * Evaluate an AST with the given variable bindings. Besides the nodes of
+ * parseExpression this handles the LaTeX parser's sums, relations and "\pm".
+ * @param {Object} ast - From parseExpression or parseLatex
+ * @param {Object<string, number>} bindings - Values by variable name ("x", "omega", "E_n", "m.hat")
+ * @returns {number}
+ */
+export function evaluateAst(ast, bindings = {}) {
+  switch (ast.type) {
+    case 'num':
+      return ast.value
+    case 'var':
+      if (Object.prototype.hasOwnProperty.call(bindings, ast.name)) return Number(bindings[ast.name])
+      if (Object.prototype.hasOwnProperty.call(CONSTANTS, ast.name)) return CONSTANTS[ast.name]
+      throw new Error(`Unbound variable "${ast.name}"`)
+    case 'neg':
+      return -evaluateAst(ast.arg, bindings)
+    case 'call':
+      if (!FUNCTIONS[ast.name]) throw new Error(`Unknown function "${ast.name}"`)
+      return FUNCTIONS[ast.name](...ast.args.map((a) => evaluateAst(a, bindings)))
+    case 'sum':
+      return evaluateSum(ast, bindings)
+    case 'relation':
+      throw new Error('Cannot evaluate a relation; evaluate each side instead')
+    case 'binary': {
+      if (ast.op === 'pm') throw new Error('Cannot evaluate "\\pm"; choose a sign first')
+      const l = evaluateAst(ast.left, bindings)
+      const r = evaluateAst(ast.right, bindings)
+      if (ast.op === '+') return l + r
+      if (ast.op === '-') return l - r
+      if (ast.op === '*') return l * r
+      if (ast.op === '/') return l / r
+      return Math.pow(l, r)
+    }
+    default:
+      throw new Error(`Unknown expression node "${ast.type}"`)
+  }
+}
+
+/** Names of the free variables in an AST (constants and summation indices excluded). */
+export function freeVariables(ast, bound = new Set(), out = new Set()) {
+  if (ast.type === 'var') {
+    if (!bound.has(ast.name) && !Object.prototype.hasOwnProperty.call(CONSTANTS, ast.name)) out.add(ast.name)
+    return out
+  }
+  if (ast.type === 'sum') {
+    freeVariables(ast.lower, bound, out)
+    freeVariables(ast.upper, bound, out)
+    freeVariables(ast.body, new Set([...bound, ast.index]), out)
+    return out
+  }
+  const children = [ast.arg, ast.left, ast.right, ...(ast.args || [])].filter(Boolean)
+  children.forEach((c) => freeVariables(c, bound, out))
+  return out
+}
+
+/**
+ * Compile an expression once and return a function of its bindings.
+ * @param {string} src
+ * @returns {(bindings: Object<string, number>) => number}
+ */
+export function compileExpression(src) {
+  const ast = parseExpression(src)
+  return (bindings) => evaluateAst(ast, bindings)
+}
@@ -0,0 +1,112 @@
+import fs from 'fs'
+import path from 'path'
+import { solveSchrodingerIterative } from '../schrodinger/solver'
+import { createUsageMeter } from '../llm/usage'
+import { resolvePrompts } from './templates'
+import { log } from '../log/logger'
+
+const logger = log.child({ scope: 'prompts' })
+
+// Endings where the last attempted iteration was thrown away
+const FAILED_ATTEMPT = new Set(['revision_rejected', 'unparseable_output'])
+
+/**
+ * The problem set in prompts/problems.json (or SCH_PROMPTS_DIR): the examples
+ * every prompt change should be tried on.
+ * @returns {Array<{ name: string, equation: string, context?: Object }>}
+ */
+export function defaultProblems() {
+  const dir = process.env.SCH_PROMPTS_DIR || path.join(process.cwd(), 'prompts')
+  return JSON.parse(fs.readFileSync(path.join(dir, 'problems.json'), 'utf8'))
+}
+
+/**
+ * What one run produced: its iterations, how many drafts passed validation
+ * without a revision, its equations and its token use.
+ */
+export function runMetrics(result, usage = result?.usage) {
+  const iterations = result?.iterations || []
+  const reason = result?.validation?.termination?.reason
+  return {
+    status: result?.status || 'failed',
+    termination: reason,
+    iterations: iterations.length,
+    attempted: iterations.length + (FAILED_ATTEMPT.has(reason) ? 1 : 0),
+    passedFirstDraft: iterations.filter((it) => it.validation?.passed && !it.validation.revisionAttempted).length,
+    equations: iterations.reduce((sum, it) => sum + (it.equations?.length || 0), 0),
+    tokens: usage?.totalTokens || 0,
+    cost: usage?.cost ?? null,
+    prompts: result?.prompts,
+  }
+}
+
+const ratio = (n, d) => (d ? Number((n / d).toFixed(3)) : null)
+const mean = (n, d) => (d ? Number((n / d).toFixed(1)) : null)
+
+/**
+ * Totals over one variant's runs. `passRate` is the share of attempted
+ * iterations whose first draft passed validation, `acceptRate` the share kept
+ * after revisions; equation and token counts are per run.
+ */
+export function summarizeRuns(runs) {
+  const sum = (key) => runs.reduce((s, r) => s + (r[key] || 0), 0)
+  const costs = runs.map((r) => r.cost).filter((c) => c !== null)
+  return {
+    runs: runs.length,
+    completed: runs.filter((r) => r.status === 'completed' && r.iterations > 0).length,
+    failed: runs.filter((r) => r.error).length,
+    passRate: ratio(sum('passedFirstDraft'), sum('attempted')),
+    acceptRate: ratio(sum('iterations'), sum('attempted')),
+    equationsPerRun: mean(sum('equations'), runs.length),
+    tokensPerRun: mean(sum('tokens'), runs.length),
+    totalTokens: sum('tokens'),
+    cost: costs.length ? Number(costs.reduce((s, c) => s + c, 0).toFixed(6)) : null,
+  }
+}
+
+/**
+ * Run every problem under prompt selection `a` and then `b`, with the same
+ * solver parameters, one run at a time, and compare the outcomes.
+ * @param {Object} options
+ * @param {Object} options.a - Prompt selection, e.g. {} for the defaults
+ * @param {Object} options.b - Prompt selection, e.g. { iterate: 'v2' }
+ * @param {Object[]} [options.problems] - Defaults to defaultProblems()
+ * @param {Object} [options.params] - Solver parameters shared by every run (provider, strategy, detailLevel, ...)
+ * @param {AbortSignal} [options.signal] - Stops after the run in flight
+ * @param {Function} [options.onRun] - Called with ({ problem, variant, metrics }) after each run
+ * @returns {Promise<Object>} { a, b, problems: [{ name, a, b }], summary: { a, b, delta }, cancelled? }
+ * @throws {Error} For unknown prompt names or versions, before any run
+ */
+export async function comparePrompts({ a = {}, b = {}, problems = defaultProblems(), params = {}, signal, onRun, solve = solveSchrodingerIterative }) {
+  const variants = { a: resolvePrompts(a).selection, b: resolvePrompts(b).selection }
+  const rows = []
+  let cancelled = false
+
+  for (const problem of problems) {
+    const row = { name: problem.name || problem.equation }
+    for (const variant of ['a', 'b']) {
+      if (signal?.aborted) {
+        cancelled = true
+        break
+      }
+      const meter = createUsageMeter()
+      try {
+        const result = await solve({ ...params, equation: problem.equation, context: problem.context || {}, prompts: variants[variant], meter, signal, transcript: false })
+        row[variant] = runMetrics(result)
+      } catch (e) {
+        logger.warn('comparison run failed', { problem: row.name, variant, code: e?.code, message: e?.message })
+        row[variant] = { ...runMetrics({ iterations: e?.partial?.iterations }, meter.summary()), error: e?.message || 'Run failed', code: e?.code }
+      }
+      onRun?.({ problem: row.name, variant, metrics: row[variant] })
+    }
+    if (cancelled) break
+    rows.push(row)
+  }
+
+  const summary = { a: summarizeRuns(rows.map((r) => r.a)), b: summarizeRuns(rows.map((r) => r.b)) }
+  const delta = (key) => (summary.a[key] === null || summary.b[key] === null ? null : Number((summary.b[key] - summary.a[key]).toFixed(3)))
+  summary.delta = { passRate: delta('passRate'), acceptRate: delta('acceptRate'), equationsPerRun: delta('equationsPerRun'), tokensPerRun: delta('tokensPerRun') }
+  const report = { ...variants, problems: rows, summary }
+  if (cancelled) report.cancelled = true
+  return report
+}
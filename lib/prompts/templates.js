@@ -0,0 +1,178 @@
+import crypto from 'crypto'
+import fs from 'fs'
+import path from 'path'
+
+/**
+ * Prompt templates
+ *
+ * Every prompt the solver sends lives in a file, so it can be changed without
+ * touching the code that sends it:
+ *
+ *   prompts/index.json         name -> { default, description, variables }
+ *   prompts/<name>/<version>.md
+ *
+ * A template file holds one section per message role:
+ *
+ *   --- system ---
+ *   You are an expert theoretical physicist...
+ *   --- user ---
+ *   Solve {{equation}} for {{variable}}.
+ *
+ * `{{name}}` is replaced with the caller's value; a template may only use the
+ * variables its index entry declares. A request picks versions with
+ * `prompts: { plan: 'v2' }`; SCH_PROMPTS (inline JSON of the same shape)
+ * changes the server default, else the index's `default` is used. Results
+ * record the version and content hash of every template a run rendered.
+ *
+ * The directory is SCH_PROMPTS_DIR, else `prompts/` in the working directory.
+ */
+
+const SECTION = /^--- (system|user) ---$/
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g
+const VERSION = /^[\w.-]+$/
+
+// Parsed files, keyed by path and reloaded when they change on disk
+const fileCache = new Map()
+
+function promptsDir() {
+  return process.env.SCH_PROMPTS_DIR || path.join(process.cwd(), 'prompts')
+}
+
+function readCached(file, parse) {
+  const { mtimeMs } = fs.statSync(file)
+  const hit = fileCache.get(file)
+  if (hit?.mtimeMs === mtimeMs) return hit.value
+  const value = parse(fs.readFileSync(file, 'utf8'))
+  fileCache.set(file, { mtimeMs, value })
+  return value
+}
+
+function readIndex(dir) {
+  try {
+    return readCached(path.join(dir, 'index.json'), JSON.parse)
+  } catch (e) {
+    throw new Error(`Cannot read prompt index in ${dir}: ${e.message}`)
+  }
+}
+
+function parseTemplate(text) {
+  const sections = {}
+  let role = null
+  for (const line of text.split('\n')) {
+    const heading = line.match(SECTION)
+    if (heading) {
+      role = heading[1]
+      sections[role] = []
+    } else if (role) {
+      sections[role].push(line)
+    }
+  }
+  // Each section ends with the newline before the next heading
+  return Object.fromEntries(Object.entries(sections).map(([r, lines]) => [r, lines.join('\n').replace(/\n$/, '')]))
+}
+
+function versionsIn(dir, name) {
+  try {
+    return fs.readdirSync(path.join(dir, name)).filter((f) => f.endsWith('.md')).map((f) => f.slice(0, -3)).sort()
+  } catch (_) {
+    return []
+  }
+}
+
+/**
+ * Every template with its default version, description, variables and the versions on disk.
+ * @returns {Object<string, { default: string, description: string, variables: string[], versions: string[] }>}
+ */
+export function listPrompts() {
+  const dir = promptsDir()
+  const index = readIndex(dir)
+  return Object.fromEntries(Object.entries(index).map(([name, entry]) => [name, { ...entry, versions: versionsIn(dir, name) }]))
+}
+
+/**
+ * Load one version of a template.
+ * @returns {{ name: string, version: string, hash: string, sections: { system?: string, user?: string } }}
+ * @throws {Error} For unknown names or versions, and templates using undeclared variables
+ */
+export function loadPrompt(name, version) {
+  const dir = promptsDir()
+  const entry = readIndex(dir)[name]
+  if (!entry) throw new Error(`Unknown prompt "${name}" (prompts: ${Object.keys(readIndex(dir)).join(', ')})`)
+  if (typeof version !== 'string' || !VERSION.test(version) || !versionsIn(dir, name).includes(version)) {
+    throw new Error(`Unknown version "${version}" of prompt "${name}" (versions: ${versionsIn(dir, name).join(', ')})`)
+  }
+  const file = path.join(dir, name, `${version}.md`)
+  return readCached(file, (text) => {
+    const sections = parseTemplate(text)
+    const declared = entry.variables || []
+    for (const [role, body] of Object.entries(sections)) {
+      const unknown = [...body.matchAll(PLACEHOLDER)].map((m) => m[1]).filter((v) => !declared.includes(v))
+      if (unknown.length) throw new Error(`Prompt ${name}@${version} (${role}) uses undeclared variables: ${unknown.join(', ')}`)
+    }
+    const hash = crypto.createHash('sha256').update(text).digest('hex').slice(0, 12)
+    return { name, version, hash, sections }
+  })
+}
+
+/**
+ * Replace each `{{name}}` in text with vars[name]. Values are inserted as-is,
+ * so a value containing `{{...}}` is not expanded again.
+ * @throws {Error} When a placeholder has no value
+ */
+export function interpolate(text, vars = {}) {
+  return text.replace(PLACEHOLDER, (_, key) => {
+    if (vars[key] === undefined || vars[key] === null) throw new Error(`No value for prompt variable "${key}"`)
+    return String(vars[key])
+  })
+}
+
+let defaultCache = { key: null, selection: {} }
+
+function serverDefault() {
+  const inline = process.env.SCH_PROMPTS || ''
+  if (defaultCache.key === inline) return defaultCache.selection
+  let selection = {}
+  if (inline) {
+    try {
+      selection = JSON.parse(inline)
+    } catch (e) {
+      throw new Error(`SCH_PROMPTS is not valid JSON: ${e.message}`)
+    }
+  }
+  defaultCache = { key: inline, selection }
+  return selection
+}
+
+function checkSelection(selection, label) {
+  if (!selection || typeof selection !== 'object' || Array.isArray(selection)) throw new Error(`${label} must be an object mapping prompt names to versions`)
+  for (const [name, version] of Object.entries(selection)) loadPrompt(name, version)
+}
+
+/**
+ * The templates a run uses: the request's `prompts` option over SCH_PROMPTS
+ * over the index defaults. An already resolved set is returned as is, so a
+ * route and the solver can share one.
+ * @param {Object} [option] - e.g. { plan: 'v2' }
+ * @returns {{ selection: Object, render: (name: string, vars?: Object) => Object, used: () => Object }}
+ *   render() returns the interpolated { system?, user? } sections; used() the
+ *   { version, hash } of each template rendered so far
+ * @throws {Error} For unknown prompt names or versions
+ */
+export function resolvePrompts(option) {
+  if (option && typeof option.render === 'function') return option
+  const server = serverDefault()
+  checkSelection(server, 'SCH_PROMPTS')
+  if (option !== undefined && option !== null) checkSelection(option, 'prompts')
+  const defaults = Object.fromEntries(Object.entries(listPrompts()).map(([name, entry]) => [name, entry.default]))
+  const selection = { ...defaults, ...server, ...(option || {}) }
+  const used = {}
+  return {
+    selection,
+    render(name, vars) {
+      const template = loadPrompt(name, selection[name])
+      used[name] = { version: template.version, hash: template.hash }
+      return Object.fromEntries(Object.entries(template.sections).map(([role, body]) => [role, interpolate(body, vars)]))
+    },
+    used: () => ({ ...used }),
+  }
+}
@@ -1,49 +1,74 @@
-import { getLLMConfig } from '../llm/provider'
+import { callProvider } from '../llm/provider'
+import { resolveRouting, createRouter } from './routing'
+import { resolvePrompts } from '../prompts/templates'
+import { log } from '../log/logger'
+import { withSpan } from '../log/trace'
 
-export async function parseSchrodingerIntent({ request, provider = 'groq' }) {
+const logger = log.child({ scope: 'intent' })
+
+export async function parseSchrodingerIntent({ request, provider = 'groq', fallback, routing, meter, cache, signal, trace, transcript, prompts }) {
   if (!request || !request.trim()) return null
 
-  const config = getLLMConfig(provider)
-  const { apiUrl, apiKey, model, extraHeaders } = config
+  const router = createRouter(resolveRouting(routing), { provider, fallback, meter, cache, signal, trace, transcript })
+  const config = router.config('intent')
 
+  const prompt = resolvePrompts(prompts).render('intent', { request })
   const messages = [
-    {
-      role: 'system',
-      content:
-        'You extract physics problem intent for Schrödinger/Hamiltonian systems. Output ONLY valid JSON matching the schema. No prose.',
-    },
-    {
-      role: 'user',
-      content: `From the following natural-language request, extract structured fields needed to solve a Schrödinger/Hamiltonian problem. If a field is unknown, omit it. Return ONLY valid JSON with keys:\n{\n  "equation": string, // canonical target equation statement or Hamiltonian expression (plain text)\n  "equationLatex"?: string,\n  "type"?: "time-independent"|"time-dependent",\n  "potential"?: string,\n  "mass"?: string, // position-dependent mass if any\n  "domain"?: string,\n  "boundary"?: string,\n  "initial"?: string,\n  "parameters"?: string,\n  "task"?: string // e.g., "eigenvalues and eigenfunctions", "time evolution", etc.\n}\n\nRequest: ${request}`,
-    },
+    { role: 'system', content: prompt.system },
+    { role: 'user', content: prompt.user },
   ]
 
   const body = {
-    model,
+    model: config.model,
     messages,
-    temperature: 0.0,
+    temperature: router.temperature('intent', 0),
     max_tokens: 800,
     response_format: { type: 'json_object' },
   }
 
-  const headers = {
-    Authorization: `Bearer ${apiKey}`,
-    'Content-Type': 'application/json',
-    ...extraHeaders
+  let data
+  try {
+    data = await callProvider({ config, body, maxRetries: 0 })
+  } catch (e) {
+    logger.warn('intent call failed', { message: e?.message })
+    return null
   }
-
-  const resp = await fetch(apiUrl, {
-    method: 'POST',
-    headers,
-    body: JSON.stringify(body),
-  })
-  if (!resp.ok) return null
-  const data = await resp.json()
   const content = data.choices?.[0]?.message?.content || ''
   try {
     const parsed = JSON.parse(content)
+    transcript?.annotate('intent', { parse: 'ok' })
     return parsed
   } catch (_) {
+    transcript?.annotate('intent', { parse: 'failed' })
     return null
   }
 }
+
+/**
+ * Fill in a missing equation/context from a natural-language request.
+ * Returns the (possibly unchanged) { equation, context }.
+ */
+export async function resolveSchrodingerRequest({ equation, context = {}, request, provider = 'groq', fallback, routing, meter, cache, signal, trace, transcript, prompts }) {
+  if ((equation && equation.trim()) || !request) return { equation, context }
+  const intent = await withSpan(trace, 'intent', {}, async (span) => {
+    const parsed = await parseSchrodingerIntent({ request, provider, fallback, routing, meter, cache, signal, trace, transcript, prompts })
+    span.end(parsed?.equation ? 'ok' : 'unresolved')
+    return parsed
+  })
+  if (!intent?.equation) return { equation, context }
+  return {
+    equation: intent.equation,
+    context: {
+      ...context,
+      type: intent.type || context.type,
+      potential: intent.potential || context.potential,
+      domain: intent.domain || context.domain,
+      boundary: intent.boundary || context.boundary,
+      initial: intent.initial || context.initial,
+      parameters: intent.parameters || context.parameters,
+      equationLatex: intent.equationLatex || context.equationLatex,
+      task: intent.task || context.task,
+      mass: intent.mass || context.mass,
+    },
+  }
+}
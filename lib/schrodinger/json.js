@@ -0,0 +1,108 @@
+/**
+ * Tolerant JSON extraction for model replies, which may wrap the object in
+ * ```json fences or prose, or be cut off mid-object.
+ */
+
+/**
+ * The first complete JSON object in `s`, or null.
+ * @param {string} s
+ * @returns {Object|null}
+ */
+export function parseJSONObject(s) {
+  if (!s) return null
+
+  // Try simple greedy match
+  const m = s.match(/\{[\s\S]*\}/)
+  if (m) {
+    try { return JSON.parse(m[0]) } catch (_) {}
+  }
+
+  // Bracket-balance extraction (handles extra prose)
+  let start = s.indexOf('{')
+  while (start !== -1) {
+    let depth = 0
+    let closed = false
+    for (let i = start; i < s.length; i++) {
+      const ch = s[i]
+      if (ch === '{') depth++
+      else if (ch === '}') {
+        depth--
+        if (depth === 0) {
+          closed = true
+          const candidate = s.slice(start, i + 1)
+          try { return JSON.parse(candidate) } catch (_) { break }
+        }
+      }
+    }
+    // An object that never closes is truncated; don't settle for one of its nested objects
+    if (!closed) break
+    start = s.indexOf('{', start + 1)
+  }
+
+  return null
+}
+
+/**
+ * Close a truncated JSON object: finish an open string, drop a dangling
+ * separator and close the open arrays and objects. The result may still not
+ * parse, e.g. when the cut fell between a key and its value.
+ * @param {string} s
+ * @returns {string|null} null when `s` has no object at all
+ */
+export function closeTruncatedJSON(s) {
+  if (!s) return null
+
+  // Find the opening brace
+  const start = s.indexOf('{')
+  if (start === -1) return null
+
+  let json = s.slice(start)
+
+  // Track unclosed braces/brackets (innermost last) and whether we stopped inside a string
+  const closers = []
+  let inString = false
+  let escaped = false
+
+  for (let i = 0; i < json.length; i++) {
+    const ch = json[i]
+
+    if (inString) {
+      if (escaped) escaped = false
+      else if (ch === '\\') escaped = true
+      else if (ch === '"') inString = false
+    } else if (ch === '"') {
+      inString = true
+    } else if (ch === '{') {
+      closers.push('}')
+    } else if (ch === '[') {
+      closers.push(']')
+    } else if (ch === '}' || ch === ']') {
+      closers.pop()
+    }
+  }
+
+  // If string is unclosed, close it (dropping a half-written escape)
+  if (inString) {
+    if (escaped) json = json.slice(0, -1)
+    json += '"'
+  }
+
+  // Drop a dangling separator left where the output was cut off
+  json = json.replace(/[,\s]+$/, '')
+
+  // Close unclosed arrays and objects, innermost first
+  return json + closers.reverse().join('')
+}
+
+/**
+ * The JSON object in a model reply, complete or truncated, or null.
+ * @param {string} s
+ * @returns {Object|null}
+ */
+export function extractJSONObject(s) {
+  const parsed = parseJSONObject(s)
+  if (parsed) return parsed
+  const closed = closeTruncatedJSON(s)
+  if (!closed) return null
+  try { return JSON.parse(closed) } catch (_) { return null }
+}
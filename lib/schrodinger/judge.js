@@ -0,0 +1,153 @@
+import { callProvider } from '../llm/provider'
+import { resolvePrompts } from '../prompts/templates'
+import { PHYSICS_KEYWORDS } from './policies'
+import { log } from '../log/logger'
+
+const logger = log.child({ scope: 'judge' })
+
+/**
+ * Plan-step judge: after an iteration passes validation, check it against what
+ * its plan step promised, i.e. each deliverable, the success criterion and each
+ * physics check. Rule-based checks run first; a grader call then decides each
+ * item, except that a physics check the iteration never even mentions stays
+ * unmet whatever the grader says. Without the grader (mode 'rules', or when its
+ * call or reply fails) the rule verdicts stand.
+ */
+export const JUDGE_MODES = ['llm', 'rules']
+
+const KIND_LABELS = { deliverable: 'deliverable', success: 'success criterion', physics_check: 'physics check' }
+
+// Words that say what to do rather than what to produce, matched by their first letters
+const INSTRUCTION_STEMS = ['deriv', 'verif', 'state', 'show', 'compu', 'calcu', 'perfo', 'ident', 'formu', 'expli', 'obtai', 'estab', 'apply', 'check', 'using', 'with', 'from', 'that', 'this', 'each', 'their', 'into', 'under']
+
+// Share of an item's terms the iteration must contain for the rules to count it as met
+const MIN_TERM_SHARE = 0.5
+
+/**
+ * Resolve the `judge` option: false turns the stage off, 'rules' skips the
+ * grader call; the default ('llm' or true) runs both.
+ * @returns {false|'llm'|'rules'}
+ * @throws {Error} For other values
+ */
+export function resolveJudgeMode(judge, fallback = 'llm') {
+  if (judge === undefined || judge === null) return fallback
+  if (judge === false) return false
+  if (judge === true) return 'llm'
+  if (JUDGE_MODES.includes(judge)) return judge
+  throw new Error(`judge must be true, false or one of ${JUDGE_MODES.join(', ')}`)
+}
+
+/**
+ * What an iteration must deliver: its plan step's items followed by those
+ * carried over from earlier steps.
+ * @param {Object} [planStep] - A step from normalizePlan
+ * @param {Object[]} [carried] - Unmet items of earlier iterations
+ * @returns {Array<{ kind: string, text: string, step: number, carried?: boolean }>}
+ */
+export function judgeItems(planStep, carried = []) {
+  const items = []
+  if (planStep) {
+    const step = planStep.index
+    for (const text of planStep.deliverables || []) items.push({ kind: 'deliverable', text, step })
+    if (planStep.success) items.push({ kind: 'success', text: planStep.success, step })
+    for (const text of planStep.physics_checks || []) items.push({ kind: 'physics_check', text, step })
+  }
+  return [...items, ...carried.map((item) => ({ ...item, carried: true }))]
+}
+
+const iterationText = (it) => [
+  it?.goal,
+  it?.analysis,
+  ...(Array.isArray(it?.equations) ? it.equations.flatMap((e) => [e?.latex, e?.text]) : []),
+  it?.result_summary,
+  it?.main_result_latex,
+].filter(Boolean).join('\n').toLowerCase()
+
+const terms = (text) => [...new Set(text.toLowerCase().match(/[a-z]{4,}/g) || [])]
+  .map((word) => word.slice(0, 5))
+  .filter((stem) => !INSTRUCTION_STEMS.some((s) => s.startsWith(stem) || stem.startsWith(s)))
+
+/**
+ * Rule-based verdict on one item. A physics check naming a known check (see
+ * PHYSICS_KEYWORDS) is met when the iteration mentions it, and `definite`ly
+ * unmet when it does not; other items are met when most of their terms appear.
+ * @returns {{ met: boolean, definite: boolean, reason: string }}
+ */
+export function ruleVerdict(item, iteration) {
+  const blob = iterationText(iteration)
+  const keywords = item.kind === 'physics_check' ? PHYSICS_KEYWORDS.filter((k) => item.text.toLowerCase().includes(k)) : []
+  if (keywords.length) {
+    const missing = keywords.filter((k) => !blob.includes(k))
+    return missing.length
+      ? { met: false, definite: true, reason: `never mentions ${missing.join(', ')}` }
+      : { met: true, definite: false, reason: `mentions ${keywords.join(', ')}` }
+  }
+  const wanted = terms(item.text)
+  if (!wanted.length) return { met: true, definite: false, reason: 'no terms to look for' }
+  const found = wanted.filter((stem) => blob.includes(stem))
+  const met = found.length / wanted.length >= MIN_TERM_SHARE
+  return { met, definite: false, reason: `${found.length} of ${wanted.length} terms found` }
+}
+
+const describeItem = (item, n) => `${n}. [${KIND_LABELS[item.kind]}${item.carried ? `, carried over from step ${item.step}` : ''}] ${item.text}`
+
+const describeIteration = (it) => [
+  `Goal: ${it?.goal || ''}`,
+  `Analysis: ${it?.analysis || ''}`,
+  'Equations:',
+  ...(Array.isArray(it?.equations) ? it.equations.map((e, i) => `  (${i + 1}) ${e?.latex || ''}${e?.text ? ` -- ${e.text}` : ''}`) : []),
+  `Result summary: ${it?.result_summary || ''}`,
+].join('\n')
+
+async function gradeItems({ config, temperature, iteration, planStep, items, prompts }) {
+  const prompt = prompts.render('judge', {
+    step: planStep?.title || '(items carried over from earlier steps)',
+    items: items.map((item, i) => describeItem(item, i + 1)).join('\n'),
+    iteration: describeIteration(iteration),
+  })
+  const messages = [
+    { role: 'system', content: prompt.system },
+    { role: 'user', content: prompt.user },
+  ]
+  const body = { model: config.model, messages, temperature, max_tokens: 800, response_format: { type: 'json_object' } }
+  const data = await callProvider({ config, body, maxRetries: process.env.SCH_MAX_RETRIES || 3, baseDelayMs: process.env.SCH_BACKOFF_BASE_MS || 500 })
+  const content = data.choices?.[0]?.message?.content || ''
+  const grades = JSON.parse(content)?.items
+  if (!Array.isArray(grades)) throw new Error('Grader reply has no items')
+  return new Map(grades.filter((g) => Number.isInteger(g?.n) && typeof g.met === 'boolean').map((g) => [g.n, g]))
+}
+
+/**
+ * Judge an accepted iteration against its items (see judgeItems).
+ * @param {Object} options
+ * @param {Object} options.config - Provider config of the 'judge' stage
+ * @param {'llm'|'rules'} [options.mode]
+ * @param {Object} [options.prompts] - Template set (see lib/prompts/templates.js)
+ * @returns {Promise<{ items: Object[], unmet: Object[], grader: ('ok'|'failed'|'skipped') }>}
+ *   Each item gains `met`, `by` ('rules' or 'grader') and a `reason`.
+ * @throws {Error} Only when the run was aborted during the grader call
+ */
+export async function judgeIteration({ config, temperature = 0, iteration, planStep, items, mode = 'llm', prompts }) {
+  const rules = items.map((item) => ruleVerdict(item, iteration))
+  let grades = null
+  let grader = 'skipped'
+  if (mode === 'llm' && items.length) {
+    try {
+      grades = await gradeItems({ config, temperature, iteration, planStep, items, prompts: resolvePrompts(prompts) })
+      grader = 'ok'
+    } catch (e) {
+      if (config.signal?.aborted) throw e
+      grader = 'failed'
+      logger.warn('grader failed, keeping the rule verdicts', { code: e?.code, message: e?.message })
+    }
+  }
+  const judged = items.map((item, i) => {
+    const rule = rules[i]
+    const grade = grades?.get(i + 1)
+    if (!grade || (rule.definite && !rule.met)) return { ...item, met: rule.met, by: 'rules', reason: rule.reason }
+    return { ...item, met: grade.met, by: 'grader', reason: typeof grade.reason === 'string' ? grade.reason : '' }
+  })
+  const unmet = judged.filter((item) => !item.met)
+  if (unmet.length) logger.info('plan items unmet', { step: planStep?.index, unmet: unmet.map((item) => `${item.kind}: ${item.text}`) })
+  return { items: judged, unmet, grader }
+}
@@ -1,16 +1,43 @@
+// Characters with special meaning in LaTeX text mode. Backslash, tilde and
+// caret have no \X escape (those are a line break and accents), so they map
+// to their text commands. Done in one pass so inserted braces are not re-escaped.
+const TEXT_ESCAPES = {
+  '\\': '\\textbackslash{}',
+  '~': '\\textasciitilde{}',
+  '^': '\\textasciicircum{}',
+  '#': '\\#',
+  '%': '\\%',
+  '&': '\\&',
+  '_': '\\_',
+  '$': '\\$',
+  '{': '\\{',
+  '}': '\\}',
+}
+
 function esc(s) {
   if (typeof s !== 'string') return ''
-  return s
-    .replace(/\\/g, '\\\\')
-    .replace(/([#%&_$~^])/g, '\\$1')
-    .replace(/\{/g, '\\{')
-    .replace(/\}/g, '\\}')
+  return s.replace(/[\\~^#%&_${}]/g, (ch) => TEXT_ESCAPES[ch])
 }
 
 function section(title) {
   return `\\section{${esc(title || '')}}\n`
 }
 
+function num(v) {
+  return Number.isFinite(v) ? Number(v).toPrecision(6) : '--'
+}
+
+function verificationTable(v) {
+  const grid = v.grid || {}
+  let out = `The derived spectrum was compared with a finite-difference solution on ${grid.points || '?'} grid points over $[${num(grid.domain?.[0])}, ${num(grid.domain?.[1])}]$ (${esc(grid.boundary || '')} boundaries). `
+  out += `Status: \\textbf{${esc(v.status || '')}} (tolerance ${num(v.tolerance)} relative).\n\n`
+  out += '\\begin{center}\n\\begin{tabular}{rrrr}\n\\hline\n$n$ & Analytic $E_n$ & Numeric $E_n$ & Rel. error \\\\\n\\hline\n'
+  out += v.rows.map((r) => `${r.n} & ${num(r.analytic)} & ${num(r.numeric)} & ${num(r.relError)}${r.converged === false ? '$^*$' : ''} \\\\\n`).join('')
+  out += '\\hline\n\\end{tabular}\n\\end{center}\n'
+  if (v.rows.some((r) => r.converged === false)) out += '$^*$Not converged: the state reaches the edge of the numeric domain.\n\n'
+  return out
+}
+
 export function buildLatexDocument(meta = {}, iterations = [], final = {}) {
   const title = meta.title || 'Iterative Solution of the Schr\\"odinger Equation'
   const author = meta.author || 'AutoSolver'
@@ -58,6 +85,11 @@ export function buildLatexDocument(meta = {}, iterations = [], final = {}) {
   if (final.text) body += `${esc(final.text)}\\\n\n`
   if (final.main_result_latex) body += `\\begin{equation}\n${final.main_result_latex}\n\\end{equation}\n`
 
+  if (final.verification?.rows?.length) {
+    body += section('Numerical Verification')
+    body += verificationTable(final.verification)
+  }
+
   if (final.appendixLatex) {
     body += section('Appendix: Extended Derivations')
     body += `${final.appendixLatex}\n`
@@ -1,110 +1,94 @@
-export async function planSchrodingerSolution({ apiUrl, apiKey, model, equation, context = {}, request, extraHeaders = {} }) {
-  const messages = [
-    {
-      role: 'system',
-      content: `You are an expert theoretical physicist planning analytical solutions to Schrödinger/Hamiltonian problems at the level of Landau & Lifshitz or Sakurai.
-
-Your plan must be:
-1. COMPREHENSIVE: Cover all necessary steps from problem formulation to final solution
-2. GRANULAR: Each step should be atomic and produce 10-15 equations
-3. METHODICAL: Specify exact mathematical methods and physics principles
-4. RIGOROUS: Include all verification steps (Hermiticity, normalization, boundary conditions, dimensional analysis)
-5. NON-REDUNDANT: Each step builds on previous without repetition
-
-Output ONLY valid JSON. No prose.`
-    },
-    {
-      role: 'user',
-      content: `Create a detailed, expert-level plan to solve this quantum mechanics problem with extraordinary rigor and granularity.
-
-PROBLEM:
-Equation: ${equation || '(not provided)'}
-Context: ${JSON.stringify(context, null, 2)}
-Task: ${request || context?.task || '(not provided)'}
-
-PLANNING REQUIREMENTS:
+import { callProvider } from '../llm/provider'
+import { resolvePrompts } from '../prompts/templates'
+import { log } from '../log/logger'
 
-1. STRUCTURE (4-6 major steps):
-   - Step 1: Problem formulation and setup
-   - Steps 2-4: Core derivation using appropriate methods
-   - Step 5: Verification and physical interpretation
-   - Step 6 (if needed): Special cases or extensions
+const logger = log.child({ scope: 'plan' })
 
-2. For EACH step, specify:
-   - Clear, specific title
-   - Exact methods to use (be specific, not generic)
-   - Detailed deliverables (10-15 equations expected)
-   - Concrete success criterion
-   - Expected physics checks
+// No job runs more iterations than this (see SCH_JOB_MAX_ITERATIONS), so longer plans are cut short anyway
+export const MAX_PLAN_STEPS = 12
 
-3. METHODS (choose appropriate ones):
-   - Separation of variables (specify coordinates)
-   - Spectral decomposition (specify basis)
-   - Sturm-Liouville theory
-   - WKB approximation (specify regime)
-   - Perturbation theory (specify order and parameter)
-   - Variational method (specify trial function)
-   - Green's function (specify boundary conditions)
-   - Scattering theory (specify asymptotic form)
-   - Operator methods (ladder operators, etc.)
+const LIST_FIELDS = ['methods', 'deliverables', 'physics_checks']
 
-4. MANDATORY DELIVERABLES across all steps:
-   - Hamiltonian operator in appropriate representation
-   - Eigenvalue equation derivation
-   - Boundary condition enforcement
-   - Normalization constant calculation
-   - Hermiticity verification
-   - Dimensional analysis
-   - Orthogonality proof
-   - Energy spectrum derivation
-   - Wavefunction explicit form
-   - Physical interpretation
+/**
+ * Check a plan a user reviewed and edited before it is executed: every step
+ * needs a title; methods, deliverables and physics_checks are lists of strings
+ * and success a string, all optional. Steps are renumbered in their new order
+ * and unknown fields dropped.
+ * @param {Object[]} steps
+ * @returns {Array<{ index: number, title: string, methods: string[], deliverables: string[], success: string, physics_checks: string[] }>}
+ * @throws {Error} Naming the first step that is malformed
+ */
+export function normalizePlan(steps) {
+  if (!Array.isArray(steps) || !steps.length) throw new Error('Plan must be a non-empty array of steps')
+  if (steps.length > MAX_PLAN_STEPS) throw new Error(`Plan has ${steps.length} steps; at most ${MAX_PLAN_STEPS} are allowed`)
+  return steps.map((step, i) => {
+    const label = `Plan step ${i + 1}`
+    if (!step || typeof step !== 'object' || Array.isArray(step)) throw new Error(`${label} must be an object`)
+    if (typeof step.title !== 'string' || !step.title.trim()) throw new Error(`${label}: title must be a non-empty string`)
+    for (const field of LIST_FIELDS) {
+      const list = step[field] ?? []
+      if (!Array.isArray(list) || list.some((item) => typeof item !== 'string')) throw new Error(`${label}: ${field} must be a list of strings`)
+    }
+    if (step.success !== undefined && typeof step.success !== 'string') throw new Error(`${label}: success must be a string`)
+    return planStep(step, i + 1)
+  })
+}
 
-5. QUALITY STANDARDS:
-   - Each step should produce substantial mathematical content
-   - No vague statements like "solve the equation"
-   - Specify what approximations are valid and why
-   - Include error estimates for approximate methods
-   - State regimes of validity
+/**
+ * The planner's plan in the same shape as normalizePlan's, without trusting
+ * the model: steps without a title are dropped, a single string where a list
+ * belongs becomes a one-item list, items that are not strings are dropped and
+ * a success criterion that is not a string is ignored. At most MAX_PLAN_STEPS
+ * steps are kept.
+ * @param {*} steps - `plan` from the planner's reply
+ * @returns {Object[]} Possibly empty
+ */
+export function planFromModel(steps) {
+  if (!Array.isArray(steps)) return []
+  const usable = steps.filter((step) => step && typeof step === 'object' && typeof step.title === 'string' && step.title.trim())
+  if (usable.length < steps.length) logger.warn('dropped planner steps without a title', { dropped: steps.length - usable.length })
+  return usable.slice(0, MAX_PLAN_STEPS).map((step, i) => {
+    const lenient = { title: step.title, success: typeof step.success === 'string' ? step.success : '' }
+    for (const field of LIST_FIELDS) {
+      const list = typeof step[field] === 'string' ? [step[field]] : Array.isArray(step[field]) ? step[field] : []
+      lenient[field] = list.filter((item) => typeof item === 'string')
+    }
+    return planStep(lenient, i + 1)
+  })
+}
 
-OUTPUT SCHEMA:
-{
-  "plan": [
-    {
-      "index": 1,
-      "title": "Specific, clear title (e.g., 'Formulate eigenvalue problem and establish Sturm-Liouville form')",
-      "methods": ["specific method 1", "specific method 2"],
-      "deliverables": [
-        "Derive Hamiltonian operator in position representation",
-        "Formulate time-independent Schrödinger equation",
-        "Identify Sturm-Liouville form with weight function",
-        "State domain and boundary conditions explicitly",
-        "Verify Hermiticity by integration by parts",
-        "Perform dimensional analysis of all terms",
-        ...
-      ],
-      "success": "Concrete, measurable criterion (e.g., 'Eigenvalue equation in standard form with verified Hermiticity and stated boundary conditions')",
-      "physics_checks": ["Hermiticity", "Dimensional consistency", "Boundary conditions"]
-    },
-    ...
-  ],
-  "notes": "Global assumptions, approximations, and strategy overview",
-  "expected_total_equations": 50-80
+// A checked step: trimmed, empty list items dropped, numbered from 1
+function planStep(step, index) {
+  const list = (field) => (step[field] || []).map((item) => item.trim()).filter(Boolean)
+  return { index, title: step.title.trim(), methods: list('methods'), deliverables: list('deliverables'), success: (step.success || '').trim(), physics_checks: list('physics_checks') }
 }
 
-Create a plan with 4-6 steps that will produce a complete, rigorous solution.`,
-    },
+/**
+ * Ask the model for a step-by-step plan. Provider errors are thrown; a reply
+ * that is not JSON gives an empty plan.
+ * @returns {Promise<{ plan: Object[], notes: string }>}
+ */
+export async function planSchrodingerSolution({ config, temperature = 0.1, equation, context = {}, request, prompts }) {
+  const prompt = resolvePrompts(prompts).render('plan', {
+    equation: equation || '(not provided)',
+    context: JSON.stringify(context, null, 2),
+    task: request || context?.task || '(not provided)',
+  })
+  const messages = [
+    { role: 'system', content: prompt.system },
+    { role: 'user', content: prompt.user },
   ]
 
-  const body = { model, messages, temperature: 0.1, max_tokens: 2000, response_format: { type: 'json_object' } }
-  const headers = {
-    Authorization: `Bearer ${apiKey}`,
-    'Content-Type': 'application/json',
-    ...extraHeaders
-  }
-  const resp = await fetch(apiUrl, { method: 'POST', headers, body: JSON.stringify(body) })
-  if (!resp.ok) return { plan: [], notes: '' }
-  const data = await resp.json()
+  const body = { model: config.model, messages, temperature, max_tokens: 2000, response_format: { type: 'json_object' } }
+  const data = await callProvider({ config, body, maxRetries: 0 })
   const content = data.choices?.[0]?.message?.content || ''
-  try { return JSON.parse(content) } catch { return { plan: [], notes: '' } }
+  try {
+    const parsed = JSON.parse(content)
+    config.transcript?.annotate('plan', { parse: 'ok' })
+    return parsed
+  } catch {
+    logger.warn('planner reply is not JSON', { length: content.length })
+    config.transcript?.annotate('plan', { parse: 'failed' })
+    return { plan: [], notes: '' }
+  }
 }
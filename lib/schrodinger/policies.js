@@ -0,0 +1,155 @@
+import fs from 'fs'
+import { log } from '../log/logger'
+
+const logger = log.child({ scope: 'policies' })
+
+/**
+ * Validation policies: how strictly each iteration is gated, how many tokens
+ * it may use and how many iterations a run gets. `sketch`, `standard` and
+ * `exhaustive` follow the detail levels; further named policies can be defined
+ * in the JSON file named by SCH_POLICY_FILE, e.g.
+ *
+ *   { "lecture": { "extends": "sketch", "minEquations": 3, "iterations": { "min": 2, "max": 3 } } }
+ *
+ * Requests may also pass a policy object, which overrides the named policy it
+ * `extends` (by default the one matching the request's detail level).
+ */
+export const VALIDATION_POLICIES = {
+  sketch: {
+    name: 'sketch',
+    minEquations: 4,
+    minJustifiedFraction: 0.5,
+    minSummaryLength: 40,
+    minAnalysisLength: 30,
+    minGoalLength: 15,
+    minMathFraction: 0.6,
+    minPhysicsKeywords: 0,
+    requiredPhysicsChecks: [],
+    checkDimensions: true,
+    maxTokens: 1000,
+    iterations: { min: 1, max: 4 },
+  },
+  standard: {
+    name: 'standard',
+    minEquations: 5,
+    minJustifiedFraction: 0.6,
+    minSummaryLength: 60,
+    minAnalysisLength: 50,
+    minGoalLength: 20,
+    minMathFraction: 0.7,
+    minPhysicsKeywords: 1,
+    requiredPhysicsChecks: [],
+    checkDimensions: true,
+    maxTokens: 1000,
+    iterations: { min: 1, max: 12 },
+  },
+  exhaustive: {
+    name: 'exhaustive',
+    minEquations: 8,
+    minJustifiedFraction: 0.8,
+    minSummaryLength: 100,
+    minAnalysisLength: 80,
+    minGoalLength: 30,
+    minMathFraction: 0.8,
+    minPhysicsKeywords: 2,
+    // Every publication-grade derivation must carry these out somewhere
+    requiredPhysicsChecks: ['boundary', 'normalization', 'hermit', 'orthogon'],
+    checkDimensions: true,
+    maxTokens: 2500,
+    iterations: { min: 8, max: 20 },
+  },
+}
+
+// Keywords showing an iteration checked its physics; requiredPhysicsChecks name entries of this list
+export const PHYSICS_KEYWORDS = [
+  'boundary', 'normalization', 'hermit', 'dimension',
+  'orthogon', 'complete', 'eigenvalue', 'eigenfunction',
+  'continuity', 'differentiab', 'integra'
+]
+
+// How the prompts name each keyword
+export const PHYSICS_CHECK_NAMES = {
+  boundary: 'boundary conditions',
+  normalization: 'normalization',
+  hermit: 'Hermiticity',
+  dimension: 'dimensional analysis',
+  orthogon: 'orthogonality',
+  complete: 'completeness',
+  eigenvalue: 'eigenvalues',
+  eigenfunction: 'eigenfunctions',
+  continuity: 'continuity',
+  differentiab: 'differentiability',
+  integra: 'explicit integrals',
+}
+
+const COUNTS = ['minEquations', 'minSummaryLength', 'minAnalysisLength', 'minGoalLength', 'minPhysicsKeywords', 'maxTokens']
+const FRACTIONS = ['minJustifiedFraction', 'minMathFraction']
+
+let customCache = { path: null, policies: {} }
+
+function customPolicies() {
+  const file = process.env.SCH_POLICY_FILE
+  if (!file) return {}
+  if (customCache.path === file) return customCache.policies
+  let policies = {}
+  try {
+    policies = JSON.parse(fs.readFileSync(file, 'utf8'))
+  } catch (e) {
+    logger.warn('could not read SCH_POLICY_FILE', { file, message: e?.message })
+  }
+  customCache = { path: file, policies }
+  return policies
+}
+
+/** Names of the built-in and configured policies. */
+export function policyNames() {
+  return [...new Set([...Object.keys(VALIDATION_POLICIES), ...Object.keys(customPolicies())])]
+}
+
+function checkPolicy(policy) {
+  for (const key of COUNTS) {
+    if (!Number.isFinite(policy[key]) || policy[key] < 0) throw new Error(`Policy "${policy.name}": ${key} must be a non-negative number`)
+  }
+  for (const key of FRACTIONS) {
+    if (!Number.isFinite(policy[key]) || policy[key] < 0 || policy[key] > 1) throw new Error(`Policy "${policy.name}": ${key} must be between 0 and 1`)
+  }
+  if (policy.maxTokens < 1) throw new Error(`Policy "${policy.name}": maxTokens must be at least 1`)
+  const { min, max } = policy.iterations || {}
+  if (!Number.isInteger(min) || !Number.isInteger(max) || min < 1 || max < min) {
+    throw new Error(`Policy "${policy.name}": iterations must be integers with 1 <= min <= max`)
+  }
+  if (!Array.isArray(policy.requiredPhysicsChecks) || policy.requiredPhysicsChecks.some((k) => !PHYSICS_KEYWORDS.includes(k))) {
+    throw new Error(`Policy "${policy.name}": requiredPhysicsChecks must be drawn from ${PHYSICS_KEYWORDS.join(', ')}`)
+  }
+  return policy
+}
+
+function merge(base, overrides) {
+  const out = { ...base, ...overrides, iterations: { ...base.iterations, ...(overrides.iterations || {}) } }
+  delete out.extends
+  return out
+}
+
+function named(name, seen = []) {
+  if (VALIDATION_POLICIES[name]) return VALIDATION_POLICIES[name]
+  const custom = customPolicies()[name]
+  if (!custom) throw new Error(`Unknown validation policy "${name}" (available: ${policyNames().join(', ')})`)
+  if (seen.includes(name)) throw new Error(`Validation policy "${name}" extends itself`)
+  return merge(named(custom.extends || 'standard', [...seen, name]), { ...custom, name })
+}
+
+/**
+ * Resolve a policy name or override object to a complete, checked policy.
+ * @param {string|Object} [policy] - A policy name, or fields overriding the policy named by `policy.extends`
+ * @param {string} [detailLevel] - Used when no policy is given, and as the default for `extends`
+ * @returns {Object}
+ * @throws {Error} For unknown names or out-of-range values
+ */
+export function resolvePolicy(policy, detailLevel = 'standard') {
+  if (policy && typeof policy === 'object') {
+    const base = named(policy.extends || (VALIDATION_POLICIES[detailLevel] ? detailLevel : 'standard'))
+    return checkPolicy(merge(base, { name: policy.extends ? `custom (${policy.extends})` : `custom (${base.name})`, ...policy }))
+  }
+  if (typeof policy === 'string' && policy) return checkPolicy(named(policy))
+  return checkPolicy(named(VALIDATION_POLICIES[detailLevel] ? detailLevel : 'standard'))
+}
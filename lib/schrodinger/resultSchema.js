@@ -0,0 +1,122 @@
+import { parseExpression, evaluateAst, freeVariables } from '../numeric/expression'
+
+// Physical constants an energy expression may use without declaring them
+const IMPLICIT_SYMBOLS = new Set(['hbar'])
+
+/**
+ * Shape the final stage must return, embedded verbatim in its prompt.
+ * Expressions are plain-text math (see lib/numeric/expression.js).
+ */
+export const STRUCTURED_RESULT_SCHEMA = `{
+  "energySpectrum": {
+    "expression": string,   // plain-text E_n in the quantum numbers and parameters, e.g. "hbar*omega*(n + 1/2)"
+    "latex": string
+  },
+  "eigenfunctions": {
+    "expression": string,   // plain-text psi_n(x), special functions by name, e.g. "N_n*H_n(sqrt(m*omega/hbar)*x)*exp(-m*omega*x^2/(2*hbar))"
+    "latex": string,
+    "normalization": { "expression": string, "latex": string }
+  },
+  "quantumNumbers": [ { "symbol": string, "range": string, "min": number, "max": number | null } ],
+  "parameters": [ { "symbol": string, "unit": string, "description": string } ],
+  "validityRegime": string
+}`
+
+const isText = (v) => typeof v === 'string' && v.trim().length > 0
+
+/**
+ * Validate and normalize a model-produced structured result.
+ * @param {Object} raw
+ * @returns {{ valid: boolean, errors: string[], value: Object|null }}
+ */
+export function validateStructuredResult(raw) {
+  const errors = []
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { valid: false, errors: ['Structured result must be an object'], value: null }
+  }
+
+  const quantumNumbers = Array.isArray(raw.quantumNumbers) ? raw.quantumNumbers : []
+  if (!quantumNumbers.length) errors.push('quantumNumbers must be a non-empty array')
+  quantumNumbers.forEach((q, i) => {
+    if (!isText(q?.symbol)) errors.push(`quantumNumbers[${i}].symbol is required`)
+    if (!isText(q?.range)) errors.push(`quantumNumbers[${i}].range is required`)
+    if (q?.min !== undefined && !Number.isFinite(q.min)) errors.push(`quantumNumbers[${i}].min must be a number`)
+    if (q?.max !== undefined && q.max !== null && !Number.isFinite(q.max)) errors.push(`quantumNumbers[${i}].max must be a number or null`)
+  })
+
+  const parameters = Array.isArray(raw.parameters) ? raw.parameters : null
+  if (!parameters) errors.push('parameters must be an array')
+  ;(parameters || []).forEach((p, i) => {
+    if (!isText(p?.symbol)) errors.push(`parameters[${i}].symbol is required`)
+    if (!isText(p?.unit)) errors.push(`parameters[${i}].unit is required`)
+  })
+
+  const spectrum = raw.energySpectrum
+  if (!isText(spectrum?.expression)) {
+    errors.push('energySpectrum.expression is required')
+  } else {
+    try {
+      const declared = new Set([...quantumNumbers, ...(parameters || [])].map((s) => s?.symbol).filter(Boolean))
+      const undeclared = [...freeVariables(parseExpression(spectrum.expression))].filter((v) => !declared.has(v) && !IMPLICIT_SYMBOLS.has(v))
+      if (undeclared.length) errors.push(`energySpectrum.expression uses undeclared symbols: ${undeclared.join(', ')}`)
+    } catch (e) {
+      errors.push(`energySpectrum.expression does not parse: ${e.message}`)
+    }
+  }
+
+  const eigen = raw.eigenfunctions
+  if (!isText(eigen?.expression)) errors.push('eigenfunctions.expression is required')
+  if (!isText(eigen?.normalization?.expression)) errors.push('eigenfunctions.normalization.expression is required')
+
+  if (!isText(raw.validityRegime)) errors.push('validityRegime is required')
+
+  if (errors.length) return { valid: false, errors, value: null }
+
+  return {
+    valid: true,
+    errors: [],
+    value: {
+      energySpectrum: { expression: spectrum.expression.trim(), latex: spectrum.latex || '' },
+      eigenfunctions: {
+        expression: eigen.expression.trim(),
+        latex: eigen.latex || '',
+        normalization: { expression: eigen.normalization.expression.trim(), latex: eigen.normalization.latex || '' },
+      },
+      quantumNumbers: quantumNumbers.map((q) => ({ symbol: q.symbol, range: q.range, min: q.min ?? null, max: q.max ?? null })),
+      parameters: parameters.map((p) => ({ symbol: p.symbol, unit: p.unit, description: p.description || '' })),
+      validityRegime: raw.validityRegime.trim(),
+    },
+  }
+}
+
+/**
+ * Evaluate E_n from a validated structured result.
+ * `hbar` defaults to 1 (natural units) when not bound.
+ * @param {Object} structured - `value` from validateStructuredResult
+ * @param {Object<string, number>} bindings - Quantum numbers and parameter values
+ * @returns {number}
+ */
+export function evaluateEnergy(structured, bindings) {
+  for (const q of structured.quantumNumbers) {
+    const v = bindings[q.symbol]
+    if (v === undefined) continue
+    if ((q.min !== null && v < q.min) || (q.max !== null && v > q.max)) {
+      throw new Error(`${q.symbol} = ${v} is outside its range ${q.range}`)
+    }
+  }
+  const ast = parseExpression(structured.energySpectrum.expression)
+  return evaluateAst(ast, { hbar: 1, ...bindings })
+}
+
+/**
+ * First `count` levels of a single-quantum-number spectrum, starting at its minimum.
+ * @returns {Array<Object>} Entries keyed by the quantum number's symbol, plus `energy`
+ */
+export function energyLevels(structured, parameters, count = 5) {
+  const [q] = structured.quantumNumbers
+  const start = q.min ?? 0
+  return Array.from({ length: count }, (_, i) => {
+    const n = start + i
+    return { [q.symbol]: n, energy: evaluateEnergy(structured, { ...parameters, [q.symbol]: n }) }
+  })
+}
@@ -0,0 +1,114 @@
+import fs from 'fs'
+import { getLLMConfig } from '../llm/provider'
+import { log } from '../log/logger'
+
+const logger = log.child({ scope: 'routing' })
+
+/**
+ * Per-stage model routing: which provider, model and temperature each LLM
+ * stage of a run uses, e.g. a strong model to plan and a cheap one to repair
+ * truncated JSON:
+ *
+ *   { "plan": { "provider": "openai", "model": "gpt-4o" },
+ *     "repair": { "provider": "groq", "model": "llama-3.1-8b-instant", "temperature": 0 } }
+ *
+ * The server default comes from SCH_ROUTING (inline JSON) or SCH_ROUTING_FILE
+ * (path to a JSON file); a request's `routing` overrides it field by field.
+ * Stages without a route use the request's provider, its configured model and
+ * the stage's usual temperature.
+ */
+export const STAGES = ['intent', 'plan', 'iterate', 'revise', 'repair', 'judge', 'appendix', 'structured', 'verify']
+
+const FIELDS = ['provider', 'model', 'temperature']
+
+let defaultCache = { key: null, routes: {} }
+
+function serverDefault() {
+  const inline = process.env.SCH_ROUTING || ''
+  const file = process.env.SCH_ROUTING_FILE || ''
+  const key = `${inline}\u0000${file}`
+  if (defaultCache.key === key) return defaultCache.routes
+  let routes = {}
+  if (file) {
+    try {
+      routes = JSON.parse(fs.readFileSync(file, 'utf8'))
+    } catch (e) {
+      logger.warn('could not read SCH_ROUTING_FILE', { file, message: e?.message })
+    }
+  }
+  if (inline) {
+    try {
+      routes = mergeRoutes(routes, JSON.parse(inline))
+    } catch (e) {
+      logger.warn('could not parse SCH_ROUTING', { message: e?.message })
+    }
+  }
+  defaultCache = { key, routes }
+  return routes
+}
+
+function mergeRoutes(base, overrides) {
+  const out = { ...base }
+  for (const [stage, route] of Object.entries(overrides || {})) out[stage] = { ...(base[stage] || {}), ...route }
+  return out
+}
+
+function checkRoutes(routes) {
+  if (!routes || typeof routes !== 'object' || Array.isArray(routes)) throw new Error('Routing must be an object keyed by stage')
+  for (const [stage, route] of Object.entries(routes)) {
+    if (!STAGES.includes(stage)) throw new Error(`Unknown routing stage "${stage}" (stages: ${STAGES.join(', ')})`)
+    if (!route || typeof route !== 'object') throw new Error(`Routing for "${stage}" must be an object`)
+    const unknown = Object.keys(route).filter((k) => !FIELDS.includes(k))
+    if (unknown.length) throw new Error(`Routing for "${stage}": unknown field ${unknown.join(', ')} (fields: ${FIELDS.join(', ')})`)
+    for (const key of ['provider', 'model']) {
+      if (route[key] !== undefined && (typeof route[key] !== 'string' || !route[key])) throw new Error(`Routing for "${stage}": ${key} must be a non-empty string`)
+    }
+    if (route.temperature !== undefined && (!Number.isFinite(route.temperature) || route.temperature < 0 || route.temperature > 2)) {
+      throw new Error(`Routing for "${stage}": temperature must be between 0 and 2`)
+    }
+  }
+  return routes
+}
+
+/**
+ * Merge a request's routing over the server default and check it.
+ * @param {Object} [routing] - { [stage]: { provider?, model?, temperature? } }
+ * @returns {Object} Routes keyed by stage
+ * @throws {Error} For unknown stages or fields and out-of-range values
+ */
+export function resolveRouting(routing) {
+  return checkRoutes(mergeRoutes(serverDefault(), routing ? checkRoutes(routing) : {}))
+}
+
+/**
+ * Resolve provider configs and temperatures per stage, building each provider
+ * config once. Stage configs carry their `stage` and the run's usage `meter`,
+ * `cache` flag, AbortSignal, per-call timeout, `trace` and `transcript`.
+ * @param {Object} routes - From resolveRouting
+ * @param {Object} defaults
+ * @param {string} defaults.provider - The request's provider
+ * @param {string[]|string} [defaults.fallback] - The request's fallback chain
+ * @param {Object} [defaults.meter] - Usage meter for every stage (see lib/llm/usage.js)
+ * @param {boolean} [defaults.cache] - false bypasses the response cache (see lib/llm/cache.js)
+ * @param {AbortSignal} [defaults.signal] - Aborts every stage's calls
+ * @param {number} [defaults.callTimeoutMs] - Per-attempt timeout for every stage
+ * @param {Object} [defaults.trace] - The run's trace (see lib/log/trace.js)
+ * @param {Object} [defaults.transcript] - Records every call's prompt and reply (see lib/llm/transcript.js)
+ * @returns {{ config: (stage: string) => Object, temperature: (stage: string, usual: number) => number, summary: () => Object }}
+ */
+export function createRouter(routes, { provider, fallback, meter, cache, signal, callTimeoutMs, trace, transcript }) {
+  const configs = new Map()
+  const stages = new Map()
+  const config = (stage) => {
+    if (stages.has(stage)) return stages.get(stage)
+    const route = routes[stage] || {}
+    const key = `${route.provider || provider}\u0000${route.model || ''}`
+    if (!configs.has(key)) configs.set(key, getLLMConfig(route.provider || provider, { fallback, model: route.model }))
+    stages.set(stage, { ...configs.get(key), stage, meter, cache, signal, callTimeoutMs, trace, transcript })
+    return stages.get(stage)
+  }
+  const temperature = (stage, usual) => routes[stage]?.temperature ?? usual
+  // Provider and model of every routed stage, for the run's log
+  const summary = () => Object.fromEntries(Object.keys(routes).map((stage) => [stage, { provider: config(stage).provider, model: config(stage).model }]))
+  return { config, temperature, summary }
+}
@@ -1,17 +1,17 @@
-// --- Utilities: delay and API call with backoff to avoid 429s ---
-function delay(ms) { return new Promise((r) => setTimeout(r, ms)) }
+// --- Utilities: API call with backoff to avoid 429s ---
 // JSON repair for small models that get cut off
 // Updated validation: physics checks reduced to 1 minimum
 
-async function callChat({ apiUrl, apiKey, body, maxRetries, baseDelayMs, extraHeaders = {} }) {
+async function callChat({ apiUrl, apiKey, body, maxRetries, baseDelayMs, extraHeaders = {}, signal, timeoutMs, onAttempt }) {
   const retries = Number.isFinite(Number(maxRetries)) ? Number(maxRetries) : 3
   const base = Number.isFinite(Number(baseDelayMs)) ? Number(baseDelayMs) : 500
   let attempt = 0
   let lastErr
   while (attempt <= retries) {
+    onAttempt?.()
     try {
       const hdrs = {
-        Authorization: `Bearer ${apiKey}`,
+        ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
         'Content-Type': 'application/json',
         ...extraHeaders
       }
@@ -19,10 +19,11 @@ async function callChat({ apiUrl, apiKey, body, maxRetries, baseDelayMs, extraHe
         method: 'POST',
         headers: hdrs,
         body: JSON.stringify(body),
+        signal: withTimeout(signal, timeoutMs),
       })
       if (resp.status === 429 || resp.status >= 500) {
         const t = await resp.text().catch(() => '')
-        lastErr = new Error(`HTTP ${resp.status} ${t?.slice(0,200) || ''}`)
+        lastErr = providerHttpError(resp, t?.slice(0,200))
       } else if (!resp.ok) {
         const t = await resp.text().catch(() => '')
         // Check if error contains incomplete JSON (common with small models)
@@ -30,10 +31,10 @@ async function callChat({ apiUrl, apiKey, body, maxRetries, baseDelayMs, extraHe
           try {
             const errorData = JSON.parse(t)
             if (errorData.error_model_output) {
-              console.log('[callChat] Attempting to repair incomplete JSON from error')
+              logger.info('repairing incomplete JSON from error')
               const repaired = repairIncompleteJSON(errorData.error_model_output)
               if (repaired && repaired.k) {
-                console.log('[callChat] Successfully repaired JSON!', { k: repaired.k, equations: repaired.equations?.length })
+                logger.info('repaired incomplete JSON', { k: repaired.k, equations: repaired.equations?.length })
                 // Successfully repaired! Return as if it was a normal response
                 return {
                   choices: [{
@@ -43,112 +44,120 @@ async function callChat({ apiUrl, apiKey, body, maxRetries, baseDelayMs, extraHe
                   }]
                 }
               } else {
-                console.log('[callChat] Repair failed - missing required fields')
+                logger.warn('repaired JSON is missing required fields')
               }
             }
           } catch (repairErr) {
-            console.log('[callChat] Repair attempt failed:', repairErr.message)
+            logger.warn('JSON repair from error failed', { message: repairErr.message })
           }
         }
         // Don't truncate error message - we need the full JSON for debugging
-        throw new Error(`HTTP ${resp.status} ${t}`)
+        throw providerHttpError(resp, t)
       } else {
         return await resp.json()
       }
     } catch (e) {
       lastErr = e
+      signal?.throwIfAborted()
+      if (!isRetryable(e)) throw e
     }
     // backoff before next attempt
     const wait = base * Math.pow(2, attempt) + Math.floor(Math.random() * 100)
-    await delay(wait)
+    await delay(wait, signal)
     attempt++
   }
   throw lastErr || new Error('API call failed')
 }
 
 import { buildLatexDocument } from './latexBuilder'
-import { planSchrodingerSolution } from './plan'
-import { getLLMConfig } from '../llm/provider'
-
-const sysPreamble = `You are an expert theoretical physicist at the level of Einstein, Dirac, or Feynman. Your task is to solve Schrödinger equations with EXTRAORDINARY rigor, granularity, and mathematical precision.
-
-CORE PRINCIPLES:
-1. EQUATION-BY-EQUATION EXPOSITION: Every single mathematical transformation must be its own equation. Never skip algebra.
-2. EXPLICIT JUSTIFICATION: State the physical principle, theorem, or mathematical operation for EACH step.
-3. ZERO REDUNDANCY: Never repeat equations or derivations from prior iterations. Always advance from the last endpoint.
-4. ABSOLUTE CONSISTENCY: Maintain identical notation, symbols, and conventions throughout. Define every symbol exactly once.
-5. DIMENSIONAL RIGOR: Verify units and dimensions at critical steps. State natural units if used.
-6. MATHEMATICAL COMPLETENESS: Prove Hermiticity, normalization, orthogonality, completeness where applicable.
-7. APPROXIMATION TRANSPARENCY: For problems without exact solutions, use rigorous approximation methods with clear justification, error estimates, and regime of validity.
-
-EXACT VS APPROXIMATE SOLUTIONS:
-- If an exact analytical solution exists, derive it completely
-- If NO exact solution exists, use systematic approximation methods:
-  * WKB approximation for semi-classical regimes
-  * Perturbation theory for small parameters
-  * Variational methods with physically motivated trial functions
-  * Asymptotic analysis for limiting cases
-  * Series solutions with convergence analysis
-- ALWAYS state clearly whether the solution is exact or approximate
-- For approximations: specify the small parameter, order of approximation, and error bounds
-- Justify why the approximation is valid for the given physical regime
-
-REQUIRED METHODS (use as appropriate):
-- Separation of variables with explicit coordinate transformations
-- Spectral decomposition with completeness proofs
-- WKB approximation with connection formulas at turning points
-- Perturbation theory (Rayleigh-Schrödinger) to stated order with error estimates
-- Variational principles with trial wavefunctions and energy bounds
-- Green's functions with proper boundary conditions
-- Scattering theory with asymptotic analysis
-- Sturm-Liouville theory for eigenvalue problems
-- Adiabatic approximation for slowly varying potentials
-- Born-Oppenheimer approximation for multi-particle systems
-- Semiclassical methods (WKB, path integrals)
-
-MANDATORY CHECKS (include in derivation):
-- Boundary condition enforcement with explicit verification
-- Normalization integrals evaluated step-by-step
-- Hermiticity proofs using integration by parts
-- Dimensional analysis at key equations
-- Function space specification (L², Sobolev, etc.)
-- Regime of validity and approximation errors
-- Continuity and differentiability requirements
-- Small parameter identification for approximations
-- Leading-order behavior and corrections
-
-FORMAT REQUIREMENTS:
-- One equation per entry in the equations array
-- Each equation must have: (1) the equation itself, (2) brief justification
-- Use proper LaTeX: \\frac, \\partial, \\int, \\sum, \\hbar, etc.
-- Number equations implicitly by array order
-- NO PROSE in equation fields - only mathematical expressions
-- Analysis field: physical interpretation and method explanation
-- Result summary: what was accomplished and what follows next
-
-FORBIDDEN:
-- Skipping algebraic steps
-- Stating results without derivation
-- Repeating prior content
-- Vague statements like "it can be shown" or "we will apply"
-- Inconsistent notation
-- Hallucinating exact solutions when only approximations exist
-- Using approximations without justification or error analysis
-- SAYING you will apply a method without ACTUALLY APPLYING IT
-- Restating the problem instead of solving it
-
-CRITICAL: DO NOT just say "we will apply WKB" - ACTUALLY APPLY IT with explicit calculations:
-- For WKB: Write ψ(x) = A(x)exp(iS(x)/ℏ), expand S(x), derive the eikonal equation, find turning points, apply connection formulas
-- For perturbation: Write H = H₀ + λH₁, expand E and ψ in powers of λ, derive correction terms explicitly
-- For variational: Choose trial function, compute ⟨H⟩, minimize with respect to parameters, derive energy bounds
-
-If information is insufficient, explicitly state what is needed and provide the most general form possible.
-For problems without exact solutions, clearly state this and IMMEDIATELY proceed with executing the approximation method with full calculations.`
-
-function messagesForIteration({ equation, variable, context, prior, planStep }) {
-  // Detect small models and use simplified prompts
-  const isSmallModel = context?.model?.includes('ALLaM') || context?.model?.includes('7B') || context?.model?.includes('8B')
+import { normalizePlan, planFromModel, planSchrodingerSolution } from './plan'
+import { judgeItems, judgeIteration, resolveJudgeMode } from './judge'
+import { verifySpectrum } from './verify'
+import { closeTruncatedJSON, parseJSONObject } from './json'
+import { STRUCTURED_RESULT_SCHEMA, validateStructuredResult } from './resultSchema'
+import { findDimensionIssues } from '../math/dimensions'
+import { checkEquationChain } from '../math/consistency'
+import { resolvePolicy, PHYSICS_KEYWORDS, PHYSICS_CHECK_NAMES } from './policies'
+import { resolveRouting, createRouter } from './routing'
+import { resolvePrompts } from '../prompts/templates'
+import { callProvider } from '../llm/provider'
+import { createUsageMeter } from '../llm/usage'
+import { resolveTranscript, validationVerdict } from '../llm/transcript'
+import { withTimeout, delay } from '../llm/abort'
+import { isRetryable, providerHttpError } from '../llm/errors'
+import { DEFAULT_CAPABILITIES, estimateTokens } from '../llm/capabilities'
+import { log } from '../log/logger'
+import { createTrace } from '../log/trace'
+
+const logger = log.child({ scope: 'schrodinger' })
+
+// All solver traffic goes through callProvider (fixtures, recording, Gemini);
+// callChat above is the OpenAI-compatible transport with truncated-JSON recovery.
+function chat(config, body) {
+  return callProvider({ config, body, maxRetries: process.env.SCH_MAX_RETRIES || 3, baseDelayMs: process.env.SCH_BACKOFF_BASE_MS || 500, transport: callChat })
+}
+
+// Most of the context window belongs to the instructions and the answer
+const PRIOR_CONTEXT_SHARE = 0.25
+
+// The appendix asks for up to 8000 tokens; below this it would be truncated
+const APPENDIX_MIN_OUTPUT_TOKENS = 4000
+
+// Shape of one iteration for models with JSON-schema output; others fall back to JSON mode
+const ITERATION_RESPONSE_FORMAT = {
+  type: 'json_schema',
+  json_schema: {
+    name: 'iteration',
+    strict: false,
+    schema: {
+      type: 'object',
+      properties: {
+        k: { type: 'integer' },
+        goal: { type: 'string' },
+        analysis: { type: 'string' },
+        equations: {
+          type: 'array',
+          items: { type: 'object', properties: { latex: { type: 'string' }, text: { type: 'string' } }, required: ['latex', 'text'] },
+        },
+        result_summary: { type: 'string' },
+        latex: { type: 'string' },
+        stop: { type: 'boolean' },
+        main_result_latex: { type: 'string' },
+      },
+      required: ['k', 'goal', 'analysis', 'equations', 'result_summary'],
+    },
+  },
+}
 
+// How many equations an iteration is asked for: one above the policy's minimum, so a draft
+// that falls a little short still passes the equation_count check
+const equationTarget = (policy) => policy.minEquations + 1
+
+// The iteration prompt's output requirements, as demanding as the policy that will judge the draft
+function outputRequirements(policy) {
+  const target = equationTarget(policy)
+  const checks = policy.requiredPhysicsChecks.map((k) => PHYSICS_CHECK_NAMES[k])
+  const lines = checks.length
+    ? [
+        '- Provide thorough derivations, with no skipped algebraic steps.',
+        `- Carry out ${checks.join(', ')} explicitly wherever they apply.`,
+        '- Where applicable, derive eigenfunctions, eigenvalues and normalization constants explicitly.',
+      ]
+    : [
+        '- Show the key algebraic steps of this step; routine algebra may be summarized.',
+        `- ${policy.minPhysicsKeywords ? `Include at least ${policy.minPhysicsKeywords} physics check${policy.minPhysicsKeywords === 1 ? '' : 's'}` : 'Include physics checks'} (e.g. boundary conditions, normalization) where relevant.`,
+      ]
+  if (policy.checkDimensions) lines.push('- Keep both sides of every equation dimensionally consistent.')
+  lines.push(
+    '- When using an approximation (WKB, perturbation, variational), justify regime of validity, derive formulas step-by-step, and compare to exact limiting cases.',
+    `- Provide at least ${target} equations (more if needed) in this iteration's 'equations' array; each should be meaningful and sequential.`,
+    `- Justify at least ${Math.round(policy.minJustifiedFraction * 100)}% of the equations in their 'text'.`,
+    "- Conclude with a concise 'result_summary' of what was achieved in this iteration.",
+  )
+  return `Output requirements for THIS ITERATION (${policy.name} policy):\n${lines.join('\n')}`
+}
+
+function messagesForIteration({ equation, variable, context, prior, planStep, outstanding = [], policy = resolvePolicy('standard'), capabilities = DEFAULT_CAPABILITIES, prompts }) {
   // If the user provided a Hamiltonian operator only (e.g., H = ...), steer the model to form the eigenvalue problem
   const looksHamiltonianOnly = /(\bH\s*=|hamiltonian)/i.test(equation) && !/\b\psi|psi|Ψ|E\b|=\s*E\s*\w*/i.test(equation)
 
@@ -169,14 +178,18 @@ function messagesForIteration({ equation, variable, context, prior, planStep })
     .filter(Boolean)
     .join('\n')
 
-  // For small models: Only keep last 2 iterations in detail, summarize the rest
-  // For large models: Keep all iterations
+  // List every prior iteration, unless the model prefers compressed prompts or the
+  // list would crowd its context window: then keep the last 2 and summarize the rest
+  const detailedPrior = prior?.length
+    ? `\nPRIOR ITERATIONS:\n${prior.map((p, i) => `[${i + 1}] ${p.goal || 'Step ' + (i+1)}: ${p.result_summary || ''} (${(p.equations || []).length} eqs)`).join('\n')}`
+    : ''
+  const compress = capabilities.compressPrompts || estimateTokens(detailedPrior) > capabilities.contextWindow * PRIOR_CONTEXT_SHARE
   const priorBlock = prior?.length
-    ? (isSmallModel
+    ? (compress
         ? `\nPRIOR WORK (${prior.length} iterations, ${prior.reduce((s, p) => s + (p.equations || []).length, 0)} equations total):
 Earlier iterations (1-${Math.max(0, prior.length - 2)}): Established problem, derived foundational equations.
-${prior.slice(-2).map((p, i) => `[${prior.length - 1 + i}] ${p.goal || ''}: ${p.result_summary || ''} (${(p.equations || []).length} eqs)`).join('\n')}`
-        : `\nPRIOR ITERATIONS:\n${prior.map((p, i) => `[${i + 1}] ${p.goal || 'Step ' + (i+1)}: ${p.result_summary || ''} (${(p.equations || []).length} eqs)`).join('\n')}`)
+${prior.slice(-2).map((p, i) => `[${Math.max(prior.length - 2, 0) + i + 1}] ${p.goal || ''}: ${p.result_summary || ''} (${(p.equations || []).length} eqs)`).join('\n')}`
+        : detailedPrior)
     : '\nFIRST iteration. Establish notation and begin.'
 
   // Detailed continuity from ONLY the last iteration
@@ -199,83 +212,40 @@ START HERE. Don't repeat prior work. Maintain symbol consistency.`
     ? `REQUIRED DELIVERABLES:\n${planStep.deliverables.map((d, i) => `  ${i+1}. ${d}`).join('\n')}`
     : ''
   const stepSuccess = planStep?.success ? `SUCCESS CRITERION: ${planStep.success}` : ''
+  // Plan items an earlier iteration left unmet (see judge.js)
+  const stepOutstanding = outstanding.length
+    ? `\nOUTSTANDING FROM EARLIER STEPS (deliver these in this iteration too):\n${outstanding.map((item, i) => `  ${i+1}. ${item.text} (step ${item.step})`).join('\n')}`
+    : ''
 
-  const requirements = `\nREQUIREMENTS FOR THIS ITERATION:
-1. Provide 5-8 equations for this specific step (focused, not exhaustive)
-2. Each equation = one mathematical transformation
-3. Brief justification after each equation
-4. Include dimensional checks where relevant
-5. Verify boundary conditions if applicable
-6. Show key integration/differentiation steps
-7. State approximations and validity
-8. Use proper LaTeX formatting
-
-Focus on THIS iteration's goal only. Keep it concise - we'll build the full solution across multiple iterations.
-
-EQUATION FORMAT:
-Each entry in equations array should be:
-{
-  "latex": "mathematical expression only, e.g., \\frac{d^2\\psi}{dx^2} + k^2\\psi = 0",
-  "text": "brief justification, e.g., Substituting k² = 2mE/ℏ² into the Schrödinger equation"
-}
+  const missingChecks = physicsCoverage(prior, policy).missing
+  const requiredChecks = missingChecks.length
+    ? `\nREQUIRED CHECKS NOT YET CARRIED OUT (the derivation must include each before it ends): ${missingChecks.map((k) => PHYSICS_CHECK_NAMES[k]).join(', ')}`
+    : ''
 
-ANALYSIS FIELD:
-Explain the physical meaning, method choice, and strategy for this iteration.
-
-RESULT_SUMMARY FIELD:
-Concisely state what was accomplished and what the next step should address.`
-
-  const schema = `\nOUTPUT FORMAT:
-Return ONLY valid JSON with this exact structure:
-{
-  "k": <iteration number>,
-  "goal": "<clear statement of this iteration's objective>",
-  "analysis": "<physical interpretation and method explanation>",
-  "equations": [
-    {"latex": "<equation>", "text": "<justification>"},
-    ...
-  ],
-  "result_summary": "<what was accomplished and next steps>",
-  "latex": "<optional: key result in LaTeX>",
-  "stop": <boolean: true if solution is complete>,
-  "main_result_latex": "<optional: final answer if stop=true>"
-}`
+  const planBlock = [stepGoal, stepMethods, stepDeliver, stepSuccess].join('\n')
 
   return [
-    { role: 'system', content: sysPreamble },
+    { role: 'system', content: prompts.render('iterate').system },
     {
       role: 'user',
-      content: `${user}\n\n${priorBlock}\n${continuity}\n${stepGoal}\n${stepMethods}\n${stepDeliver}\n${stepSuccess}\n\nStrict anti-redundancy & consistency policy:\n- Do NOT repeat previously stated equations or definitions. Refer to them implicitly and continue transformations.\n- Maintain symbol consistency; introduce new symbols only once with clear definitions.\n- If a correction is needed, state it succinctly and proceed; do not re-derive prior steps.\n- Ensure logical continuity from the previous endpoint; each equation must advance the derivation.\n\nEquation formatting requirements:\n- One equation per 'equations[i]'.\n- No prose inside 'equations[i].latex'; use 'analysis' or 'result_summary' for text.\n- Prefer display math suitable for LaTeX equation environment.\n\nNo hallucinations:\n- If a closed form is not derivable with current information, explicitly state the limitation in 'result_summary' and propose the next minimal step.\n\nCRITICAL EXECUTION REQUIREMENT - DO NOT JUST PLAN, EXECUTE:\n- FORBIDDEN: Saying "we will apply WKB" or "we will use perturbation theory" without ACTUALLY DOING IT\n- REQUIRED: If you mention an approximation method, you MUST execute it with explicit calculations in THIS iteration\n- For WKB: Write ψ(x) = A(x)exp(iS(x)/ℏ), substitute into equation, derive eikonal equation S'(x)² = 2m(E-V), solve for S(x) explicitly, find turning points x₁,x₂ where E=V(x), apply Bohr-Sommerfeld quantization ∫p(x)dx = (n+1/2)πℏ\n- For perturbation: Write H = H₀ + λH₁, expand E_n = E_n⁽⁰⁾ + λE_n⁽¹⁾ + λ²E_n⁽²⁾, compute E_n⁽¹⁾ = ⟨ψ_n⁽⁰⁾|H₁|ψ_n⁽⁰⁾⟩ with explicit integrals\n- For variational: Choose trial ψ_trial(x;α), compute ⟨H⟩ = ∫ψ*Hψdx / ∫ψ*ψdx, take ∂⟨H⟩/∂α = 0, solve for optimal α\n- SHOW THE ACTUAL CALCULATIONS, not just the method name\n\nOutput requirements for THIS ITERATION (be exhaustive):\n- Provide thorough derivations, with no skipped algebraic steps.\n- Include boundary-condition enforcement, normalization integrals, dimensional analysis, and Hermiticity checks explicitly.\n- Where applicable, derive eigenfunctions, eigenvalues, orthogonality, completeness, and normalization constants explicitly.\n- When using an approximation (WKB, perturbation, variational), justify regime of validity, derive formulas step-by-step, and compare to exact limiting cases.\n- Provide at least 6 equations (more if needed) in this iteration's 'equations' array; each should be meaningful and sequential.\n- Conclude with a concise 'result_summary' of what was achieved in this iteration.\n\n${schema}`,
+      content: prompts.render('step', {
+        problem: user,
+        prior: priorBlock,
+        continuity,
+        planStep: planBlock,
+        outstanding: stepOutstanding,
+        requiredChecks,
+        requirements: outputRequirements(policy),
+      }).user,
     },
   ]
 }
 
-function extractJSON(s) {
+export function extractJSON(s) {
   if (!s) return null
 
-  // Try simple greedy match
-  let m = s.match(/\{[\s\S]*\}/)
-  if (m) {
-    try { return JSON.parse(m[0]) } catch (_) {}
-  }
-
-  // Bracket-balance extraction (handles extra prose)
-  let start = s.indexOf('{')
-  while (start !== -1) {
-    let depth = 0
-    for (let i = start; i < s.length; i++) {
-      const ch = s[i]
-      if (ch === '{') depth++
-      else if (ch === '}') {
-        depth--
-        if (depth === 0) {
-          const candidate = s.slice(start, i + 1)
-          try { return JSON.parse(candidate) } catch (_) { break }
-        }
-      }
-    }
-    start = s.indexOf('{', start + 1)
-  }
+  const parsed = parseJSONObject(s)
+  if (parsed) return parsed
 
   // Try to repair incomplete JSON (for small models that get cut off)
   try {
@@ -286,52 +256,9 @@ function extractJSON(s) {
   return null
 }
 
-function repairIncompleteJSON(s) {
-  if (!s) return null
-
-  // Find the opening brace
-  const start = s.indexOf('{')
-  if (start === -1) return null
-
-  let json = s.slice(start)
-
-  // Count unclosed braces, brackets, and quotes
-  let braceDepth = 0
-  let bracketDepth = 0
-  let inString = false
-  let lastChar = ''
-
-  for (let i = 0; i < json.length; i++) {
-    const ch = json[i]
-
-    if (ch === '"' && lastChar !== '\\') {
-      inString = !inString
-    } else if (!inString) {
-      if (ch === '{') braceDepth++
-      else if (ch === '}') braceDepth--
-      else if (ch === '[') bracketDepth++
-      else if (ch === ']') bracketDepth--
-    }
-
-    lastChar = ch
-  }
-
-  // If string is unclosed, close it
-  if (inString) {
-    json += '"'
-  }
-
-  // Close any unclosed arrays
-  while (bracketDepth > 0) {
-    json += ']'
-    bracketDepth--
-  }
-
-  // Close any unclosed objects
-  while (braceDepth > 0) {
-    json += '}'
-    braceDepth--
-  }
+export function repairIncompleteJSON(s) {
+  const json = closeTruncatedJSON(s)
+  if (!json) return null
 
   try {
     const parsed = JSON.parse(json)
@@ -346,8 +273,7 @@ function repairIncompleteJSON(s) {
     return parsed
   } catch (e) {
     // If still invalid, return a minimal valid object
-    console.log('[repairIncompleteJSON] repair failed:', e.message)
-    console.log('[repairIncompleteJSON] attempting minimal fallback')
+    logger.warn('incomplete JSON repair failed, falling back to a minimal iteration', { message: e.message })
 
     // Try to extract at least the k value
     const kMatch = s.match(/"k"\s*:\s*(\d+)/)
@@ -363,344 +289,604 @@ function repairIncompleteJSON(s) {
   }
 }
 
-async function tryRepairJSON({ apiUrl, apiKey, model, temperature, content, extraHeaders = {} }) {
+async function tryRepairJSON({ config, temperature, content, prompts }) {
+  const prompt = prompts.render('repair', { content })
   const repairMessages = [
-    { role: 'system', content: 'You must output ONLY valid JSON. No prose.' },
-    { role: 'user', content: `Convert the following content to valid JSON that matches this schema: {"k":number,"goal":string,"analysis":string,"equations":Array<{"latex"?:string,"text"?:string}>,"result_summary":string,"latex"?:string,"stop"?:boolean,"main_result_latex"?:string}. In the 'equations' array, each element MUST correspond to exactly one equation statement (one per line). Do NOT put prose in 'latex'. Content:\n${content}` },
+    { role: 'system', content: prompt.system },
+    { role: 'user', content: prompt.user },
   ]
-  const body = { model, messages: repairMessages, temperature: Math.max(0.0, Math.min(temperature, 0.3)), max_tokens: 1200 }
+  const body = { model: config.model, messages: repairMessages, temperature, max_tokens: 1200 }
   // Prefer JSON mode if supported by the backend (OpenAI-compatible field). Ignored otherwise.
   body.response_format = { type: 'json_object' }
-  const data = await callChat({ apiUrl, apiKey, body, maxRetries: process.env.SCH_MAX_RETRIES || 3, baseDelayMs: process.env.SCH_BACKOFF_BASE_MS || 500, extraHeaders })
+  const data = await chat(config, body)
   const repaired = data.choices?.[0]?.message?.content || ''
   return extractJSON(repaired)
 }
 
-async function synthesizeAppendix({ apiUrl, apiKey, model, temperature, equation, context, iterations, extraHeaders = {} }) {
+async function synthesizeAppendix({ config, temperature, equation, context, iterations, prompts }) {
   const summary = iterations.map((it, i) => `(${i + 1}) ${it.goal || ''} :: ${it.result_summary || ''} [${(it.equations || []).length} equations]`).join('\n')
   const totalEquations = iterations.reduce((sum, it) => sum + (it.equations || []).length, 0)
 
+  const prompt = prompts.render('appendix', {
+    iterationCount: iterations.length,
+    totalEquations,
+    equation,
+    contextFields: Object.keys(context || {}).join(', '),
+    summary,
+  })
   const messages = [
-    { role: 'system', content: 'You are an expert theoretical physicist producing a LaTeX appendix of EXTRAORDINARY detail - multi-page, publication-quality derivations. Output JSON only.' },
-    {
-      role: 'user',
-      content: `From the ${iterations.length} iterative derivation steps below (${totalEquations} total equations), produce an EXHAUSTIVE LaTeX appendix that:
-
-**CRITICAL REQUIREMENTS**:
-1. Expands ALL calculations with ZERO skipped algebra
-2. Shows EVERY integration step (u-substitution, limits, evaluation)
-3. Shows EVERY differentiation (chain rule, product rule)
-4. Includes boundary-condition enforcement with step-by-step verification
-5. Shows normalization integrals with explicit evaluation of EVERY integral
-6. Provides dimensional analysis at multiple key points
-7. Proves Hermiticity with complete integration by parts (show boundary terms)
-8. Includes orthogonality and completeness checks with explicit calculations
-9. Adds spectral decompositions if applicable
-10. Includes asymptotics with leading AND next-to-leading terms
-11. Shows perturbative corrections (up to second order minimum)
-12. Includes WKB analysis with turning point connections if applicable
-
-**APPROXIMATION METHODS** (when exact solutions don't exist):
-- Clearly identify the small parameter (ε, λ, ℏ, etc.)
-- State the order of approximation (leading order, O(ε²), etc.)
-- Show systematic expansion with error estimates
-- Verify regime of validity (e.g., ε << 1, semiclassical limit)
-- Include next-order corrections when relevant
-- Justify physical assumptions (adiabatic, weak coupling, etc.)
-- Compare with limiting cases where exact solutions exist
-
-**GRANULARITY STANDARD**:
-- This appendix should be 5-10 pages of dense LaTeX
-- If the iterations showed 100 equations, the appendix should add 50-100 MORE
-- Every "it can be shown" must be SHOWN
-- Every "straightforward calculation" must be CALCULATED
-- Think: Landau & Lifshitz level of detail
-
-**ZERO REDUNDANCY**:
-- Do NOT restate equations already in iterations
-- Only transform, extend, synthesize, or add missing details
-- Maintain perfect symbol consistency
-- Reference iteration equations when building on them
-
-**FORMATTING**:
-- Use subsections for organization
-- One equation per line (equation environment)
-- Number all equations
-- Add brief text between equation groups
-- For approximations: clearly mark "Exact" vs "Approximate to O(...)"
-- No hallucinations; state limits when exact results are not derivable
-
-Equation: ${equation}
-Context: ${Object.keys(context||{}).join(', ')}
-
-Iterations summary:
-${summary}
-
-Return ONLY valid JSON: {"appendixLatex": string, "main_result_latex"?: string}`,
-    },
+    { role: 'system', content: prompt.system },
+    { role: 'user', content: prompt.user },
   ]
-  const body = { model, messages, temperature: Math.max(0.0, Math.min(temperature, 0.2)), max_tokens: 8000, response_format: { type: 'json_object' } }
-  const data = await callChat({ apiUrl, apiKey, body, maxRetries: process.env.SCH_MAX_RETRIES || 3, baseDelayMs: process.env.SCH_BACKOFF_BASE_MS || 500, extraHeaders })
+  const body = { model: config.model, messages, temperature, max_tokens: 8000, response_format: { type: 'json_object' } }
+  const data = await chat(config, body)
   const content = data.choices?.[0]?.message?.content || ''
   try { return JSON.parse(content) } catch { return {} }
 }
 
+async function synthesizeStructuredResult({ config, temperature = 0, equation, context, iterations, mainLatex, prompts }) {
+  const summary = iterations.map((it, i) => `(${i + 1}) ${it.goal || ''} :: ${it.result_summary || ''}`).join('\n')
+  const lastEqs = (iterations[iterations.length - 1]?.equations || []).slice(-4).map((e) => e.latex || e.text || '').join('\n')
+  const prompt = prompts.render('structured', {
+    equation,
+    context: JSON.stringify(context || {}),
+    mainResult: mainLatex || '(not stated)',
+    summary,
+    finalEquations: lastEqs,
+    schema: STRUCTURED_RESULT_SCHEMA,
+  })
+  const messages = [
+    { role: 'system', content: prompt.system },
+    { role: 'user', content: prompt.user },
+  ]
+  const body = { model: config.model, messages, temperature, max_tokens: 1200, response_format: { type: 'json_object' } }
+  const data = await chat(config, body)
+  const content = data.choices?.[0]?.message?.content || ''
+  return validateStructuredResult(extractJSON(content))
+}
+
 function normalizeLatexTokens(s) {
   if (!s || typeof s !== 'string') return s
   return s
-    .replace(/\blambda\b/g, '\\lambda')
-    .replace(/\bhbar\b/g, '\\hbar')
-    .replace(/\bxi\b/g, '\\xi')
-    .replace(/\binfty\b/g, '\\infty')
-    .replace(/\bvarepsilon\b/g, '\\varepsilon')
+    .replace(/(?<!\\)\blambda\b/g, '\\lambda')
+    .replace(/(?<!\\)\bhbar\b/g, '\\hbar')
+    .replace(/(?<!\\)\bxi\b/g, '\\xi')
+    .replace(/(?<!\\)\binfty\b/g, '\\infty')
+    .replace(/(?<!\\)\bvarepsilon\b/g, '\\varepsilon')
+}
+
+const MATH_SYMBOLS = ['=', '\\frac', '\\int', '\\sum', '\\partial', 'psi', '\\hbar', '\\nabla']
+
+// An iteration's judgement lists every item with its verdict, so the unmet ones need not be kept twice
+const withoutUnmet = ({ unmet, ...judgement }) => judgement
+
+const equationKey = (e) => (e?.latex || e?.text || '').trim().toLowerCase()
+
+// Prose of an iteration, searched for physics keywords
+// Where a derivation may declare natural or scaled units (see dimensionSymbols)
+const unitsText = (context, ...its) => [
+  ...Object.values(context || {}).filter((v) => typeof v === 'string'),
+  ...its.flatMap((it) => [it?.goal, it?.analysis, it?.result_summary, ...(Array.isArray(it?.equations) ? it.equations.flatMap((e) => [e?.latex, e?.text]) : [])]),
+].filter(Boolean).join('\n')
+
+const physicsText = (it) => `${it?.analysis || ''}\n${it?.result_summary || ''}\n${(Array.isArray(it?.equations) ? it.equations : []).map(e => e?.text || '').join(' ')}`.toLowerCase()
+
+/**
+ * Which of the policy's required physics checks the derivation has carried out so far.
+ * @returns {{ required: string[], covered: string[], missing: string[], passed: boolean }}
+ */
+export function physicsCoverage(iterations, policy) {
+  const required = resolvePolicy(policy).requiredPhysicsChecks
+  const blob = (iterations || []).map(physicsText).join('\n')
+  const covered = required.filter(k => blob.includes(k))
+  const missing = required.filter(k => !covered.includes(k))
+  return { required, covered, missing, passed: missing.length === 0 }
 }
 
 /**
  * Enhanced validation for expert-level quality
  * Ensures granularity, non-redundancy, and mathematical rigor
  *
- * FOR EXHAUSTIVE DETAIL: Each iteration must produce 15-25 equations minimum
- * This ensures multi-page derivations with complete algebraic steps
+ * Thresholds come from the validation policy (see policies.js), given by name
+ * ('sketch', 'standard', 'exhaustive' or a configured one) or as an override
+ * object. Every check runs, so the report lists all failures with the values
+ * measured. `context.parameters` may declare units ("V0 [eV], a [nm], x
+ * dimensionless") for the dimensional check, which also honours natural or
+ * scaled units declared in the context or in this or the previous iteration.
+ *
+ * @returns {{ passed: boolean, checks: Array<{ id: string, label: string, passed: boolean, measured: (number|string), required: string, detail?: string }> }}
  */
-function validateIteration(it, last, detailLevel = 'exhaustive') {
-  if (!it) return false
+export function validationReport(it, last, policy = 'standard', { context } = {}) {
+  if (!it) {
+    return { passed: false, checks: [{ id: 'present', label: 'Iteration present', passed: false, measured: 'missing', required: 'an iteration object' }] }
+  }
+  const rules = resolvePolicy(policy)
+  const checks = []
+  const check = (id, label, passed, measured, required, detail) => {
+    checks.push(detail ? { id, label, passed, measured, required, detail } : { id, label, passed, measured, required })
+  }
+  const percent = (f) => `>= ${Math.round(f * 100)}%`
 
-  // 1. EQUATION COUNT: Require reasonable derivation per iteration
-  // With 1000 token limit: expect 5-8 equations per iteration
+  // 1. EQUATION COUNT: Require a real derivation per iteration
   // The key is MANY iterations, not massive iterations
-  // 5-8 equations × 8 iterations = 40-64 total equations
   const eqs = Array.isArray(it.equations) ? it.equations : []
-  const minEquations = 5  // Reduced from 6-10 to accommodate 1000 token limit
-
-  if (eqs.length < minEquations) {
-    console.warn(`[validation] Insufficient equations for ${detailLevel} detail:`, eqs.length, '<', minEquations)
-    console.warn('[validation] CRITICAL: Each iteration must show EVERY algebraic step')
-    console.warn('[validation] Expected: 15-25 equations for exhaustive, multi-page derivations')
-    return false
-  }
-
-  console.log(`[validation] Equation count OK: ${eqs.length} >= ${minEquations} (${detailLevel} mode)`)
-
+  check('equation_count', 'Equation count', eqs.length >= rules.minEquations, eqs.length, `>= ${rules.minEquations} (${rules.name} policy)`)
 
   // 2. EQUATION QUALITY: Each equation must have content
-  const emptyEqs = eqs.filter(e => !e.latex && !e.text)
-  if (emptyEqs.length > 0) {
-    console.warn('[validation] Found empty equations:', emptyEqs.length)
-    return false
-  }
+  const emptyEqs = eqs.filter(e => !e?.latex && !e?.text)
+  check('empty_equations', 'Empty equations', emptyEqs.length === 0, emptyEqs.length, '0')
 
   // 3. EQUATION JUSTIFICATION: Most equations should have text explanations
-  const withJustification = eqs.filter(e => e.text && e.text.length > 10)
-  if (withJustification.length < eqs.length * 0.6) {
-    console.warn('[validation] Insufficient justifications:', withJustification.length, '/', eqs.length)
-    return false
-  }
+  const withJustification = eqs.filter(e => e?.text && e.text.length > 10)
+  check('justifications', 'Justified equations', withJustification.length >= eqs.length * rules.minJustifiedFraction, `${withJustification.length}/${eqs.length}`, percent(rules.minJustifiedFraction))
 
   // 4. RESULT SUMMARY: Must be substantial
-  if (!it.result_summary || it.result_summary.length < 60) {
-    console.warn('[validation] Insufficient result summary:', it.result_summary?.length || 0)
-    return false
-  }
+  const summaryLength = it.result_summary?.length || 0
+  check('summary_length', 'Result summary length', summaryLength >= rules.minSummaryLength, summaryLength, `>= ${rules.minSummaryLength} characters`)
 
   // 5. ANALYSIS: Must explain approach
-  if (!it.analysis || it.analysis.length < 50) {
-    console.warn('[validation] Insufficient analysis:', it.analysis?.length || 0)
-    return false
-  }
+  const analysisLength = it.analysis?.length || 0
+  check('analysis_length', 'Analysis length', analysisLength >= rules.minAnalysisLength, analysisLength, `>= ${rules.minAnalysisLength} characters`)
 
-  // 6. NON-REDUNDANCY: Check against last iteration
+  // 6. NON-REDUNDANCY: Must not restart from or repeat the last iteration
   if (last && Array.isArray(last.equations) && last.equations.length && eqs.length) {
-    // Check if first equation is identical to last iteration's first equation
-    const lastFirst = (last.equations[0]?.latex || last.equations[0]?.text || '').trim().toLowerCase()
-    const thisFirst = (eqs[0]?.latex || eqs[0]?.text || '').trim().toLowerCase()
-    if (lastFirst && thisFirst && lastFirst === thisFirst) {
-      console.warn('[validation] Redundant first equation with previous iteration')
-      return false
-    }
-
-    // Check if last equation of previous iteration is repeated
-    const lastFinal = (last.equations[last.equations.length - 1]?.latex || last.equations[last.equations.length - 1]?.text || '').trim().toLowerCase()
-    const hasRepeat = eqs.some(e => {
-      const eq = (e.latex || e.text || '').trim().toLowerCase()
-      return eq && lastFinal && eq === lastFinal
-    })
-    if (hasRepeat) {
-      console.warn('[validation] Repeating equation from previous iteration')
-      return false
-    }
+    const lastFirst = equationKey(last.equations[0])
+    const lastFinal = equationKey(last.equations[last.equations.length - 1])
+    let repeated = 'none'
+    if (lastFirst && lastFirst === equationKey(eqs[0])) repeated = 'first equation of the previous iteration'
+    else if (lastFinal && eqs.some(e => equationKey(e) === lastFinal)) repeated = 'final equation of the previous iteration'
+    check('redundancy', 'Repeated equations', repeated === 'none', repeated, 'none')
+  } else {
+    check('redundancy', 'Repeated equations', true, 'no previous iteration', 'none')
   }
 
   // 7. PHYSICS RIGOR: Must mention key physics concepts
-  // Relaxed to 1 check for 1000 token limit
-  const blob = `${it.analysis || ''}\n${it.result_summary || ''}\n${eqs.map(e => e.text || '').join(' ')}`.toLowerCase()
-
-  // At least 1 of these physics checks should be present
-  const physicsChecks = [
-    'boundary', 'normalization', 'hermit', 'dimension',
-    'orthogon', 'complete', 'eigenvalue', 'eigenfunction',
-    'continuity', 'differentiab', 'integra'
-  ]
-  const checksFound = physicsChecks.filter(k => blob.includes(k)).length
-  if (checksFound < 1) {
-    console.warn('[validation] Insufficient physics rigor checks:', checksFound, '< 1')
-    return false
-  }
+  const blob = physicsText(it)
+  const keywordsFound = PHYSICS_KEYWORDS.filter(k => blob.includes(k))
+  check('physics_keywords', 'Physics checks mentioned', keywordsFound.length >= rules.minPhysicsKeywords, keywordsFound.length, `>= ${rules.minPhysicsKeywords}`, keywordsFound.join(', ') || undefined)
 
   // 8. MATHEMATICAL CONTENT: Should contain mathematical symbols
-  const mathSymbols = ['=', '\\frac', '\\int', '\\sum', '\\partial', 'psi', '\\hbar', '\\nabla']
   const mathContent = eqs.filter(e => {
-    const content = (e.latex || e.text || '')
-    return mathSymbols.some(sym => content.includes(sym))
+    const content = (e?.latex || e?.text || '')
+    return MATH_SYMBOLS.some(sym => content.includes(sym))
   })
-  if (mathContent.length < eqs.length * 0.7) {
-    console.warn('[validation] Insufficient mathematical content:', mathContent.length, '/', eqs.length)
-    return false
-  }
+  check('math_content', 'Equations with math content', mathContent.length >= eqs.length * rules.minMathFraction, `${mathContent.length}/${eqs.length}`, percent(rules.minMathFraction))
 
   // 9. GOAL CLARITY: Must have clear goal statement
-  if (!it.goal || it.goal.length < 20) {
-    console.warn('[validation] Insufficient goal statement:', it.goal?.length || 0)
-    return false
+  const goalLength = it.goal?.length || 0
+  check('goal_length', 'Goal statement length', goalLength >= rules.minGoalLength, goalLength, `>= ${rules.minGoalLength} characters`)
+
+  // 10. DIMENSIONAL CONSISTENCY: Both sides of every equation must agree
+  if (rules.checkDimensions) {
+    const dimensionIssues = findDimensionIssues(eqs, { parameters: context?.parameters, text: unitsText(context, it, last) })
+    check('dimensions', 'Dimensionally inconsistent equations', dimensionIssues.length === 0, dimensionIssues.length, '0',
+      dimensionIssues.map((f) => `equation ${f.index + 1}: ${f.issues.join('; ')}`).join(' | ') || undefined)
   }
 
-  console.log('[validation] Iteration passed all quality checks')
-  return true
+  const failed = checks.filter((c) => !c.passed)
+  if (failed.length) logger.warn('validation failed', { policy: rules.name, failed: failed.map((c) => `${c.id} (${c.measured}, need ${c.required})`) })
+  else logger.info('validation passed', { policy: rules.name, equations: eqs.length })
+  return { passed: failed.length === 0, checks }
 }
 
-async function reviseIteration({ apiUrl, apiKey, model, temperature, equation, variable, context, prior, planStep, badIteration, extraHeaders = {} }) {
-  const isSmallModel = model.includes('ALLaM') || model.includes('7B') || model.includes('8B')
-  const minEqs = isSmallModel ? 6 : 8
+/** Boolean form of validationReport. */
+export function validateIteration(it, last, policy = 'standard', options = {}) {
+  return validationReport(it, last, policy, options).passed
+}
 
-  const messages = [
-    { role: 'system', content: sysPreamble },
-    { role: 'user', content: `The previous iteration failed quality checks. Revise it:
+async function reviseIteration({ config, temperature, equation, variable, context, prior, planStep, badIteration, policy, report, unmet = [], prompts }) {
+  const { model } = config
+  const minEqs = equationTarget(policy)
+  const failed = (report?.checks || []).filter((c) => !c.passed && c.id !== 'dimensions')
+  const failedBlock = failed.length
+    ? `\n\nFailed checks:\n${failed.map((c) => `- ${c.label}: ${c.measured} (required ${c.required})`).join('\n')}`
+    : ''
+  const dimensionIssues = findDimensionIssues(badIteration?.equations, { parameters: context?.parameters, text: unitsText(context, badIteration, prior[prior.length - 1]) })
+  const dimensionBlock = dimensionIssues.length
+    ? `\n\nDimensional errors in the previous draft (fix each one):\n${dimensionIssues.map((f) => `- Equation ${f.index + 1}: ${f.latex} (${f.issues.join('; ')})`).join('\n')}`
+    : ''
+
+  // A focused revision: the draft passed its checks but left plan items undelivered
+  const intro = unmet.length
+    ? `The previous iteration passed its quality checks but did not deliver everything its plan asked for. Revise it so that it also delivers, with explicit equations:
+${unmet.map((item) => `- ${item.text}${item.reason ? ` (grader: ${item.reason})` : ''}`).join('\n')}
 
-- Minimum ${minEqs} equations for this step
-- No redundancy with prior steps
-- Show key algebraic steps
-- Brief justifications
-- Maintain symbol consistency
+Previous draft: ${badIteration?.goal || ''} :: ${badIteration?.result_summary || ''} [${(badIteration?.equations || []).length} equations]
 
-Prior: ${prior.length} iterations completed
-Planned step: ${planStep?.title || 'Continue derivation'}
+Also:`
+    : 'The previous iteration failed quality checks. Revise it:'
 
-Return ONLY valid JSON: {"k":number,"goal":string,"analysis":string,"equations":Array<{"latex":string,"text":string}>,"result_summary":string}` },
+  const messages = [
+    { role: 'system', content: prompts.render('iterate').system },
+    {
+      role: 'user',
+      content: prompts.render('revise', {
+        intro,
+        minEquations: minEqs,
+        failedChecks: failedBlock,
+        dimensionIssues: dimensionBlock,
+        priorCount: prior.length,
+        planStep: planStep?.title || 'Continue derivation',
+      }).user,
+    },
   ]
 
-  // Reduced to 1000 tokens to save on usage
-  const maxTokens = 1000
-  const body = { model, messages, temperature: Math.max(0, Math.min(temperature, 0.2)), max_tokens: maxTokens, response_format: { type: 'json_object' } }
-  const data = await callChat({ apiUrl, apiKey, body, maxRetries: process.env.SCH_MAX_RETRIES || 3, baseDelayMs: process.env.SCH_BACKOFF_BASE_MS || 500, extraHeaders })
+  const body = { model, messages, temperature, max_tokens: policy.maxTokens, response_format: ITERATION_RESPONSE_FORMAT }
+  const data = await chat(config, body)
   const content = data.choices?.[0]?.message?.content || ''
-  return extractJSON(content)
+  return { iteration: extractJSON(content), servedBy: data.servedBy }
 }
 
-export async function solveSchrodingerIterative({ equation, variable = 'x', context = {}, maxIterations = 6, temperature = 0.1, detailLevel = 'exhaustive', strategy = 'planner', provider = 'groq' }) {
-  const config = getLLMConfig(provider)
-  const { apiUrl, apiKey, model, extraHeaders } = config
-
-  // CRITICAL: For exhaustive detail, we need MANY more iterations
-  // Each iteration should produce 15-25 equations minimum
-  // Target: 200-400 total equations for complex problems
-  const effectiveMaxIterations = detailLevel === 'exhaustive'
-    ? Math.max(maxIterations, 8)  // Minimum 8 iterations for exhaustive
-    : maxIterations
+/**
+ * Iteratively derive a Schrödinger solution.
+ *
+ * `onEvent(type, payload)` is invoked as the run progresses so callers can stream
+ * progress: 'plan', 'iteration_start', 'validation_failed', 'revision', 'judge',
+ * 'iteration', 'appendix_start', 'appendix', 'structured_start', 'structured',
+ * 'verification_start', 'verification', 'cancelled' and 'done'.
+ *
+ * `policy` names or overrides the validation policy (see policies.js); it defaults to
+ * the one matching `detailLevel` and sets the validation thresholds, the per-iteration
+ * token budget and the range `maxIterations` is clamped to. `maxIterationsCap` is a
+ * hard ceiling that wins over the policy's minimum.
+ * `signal` (an AbortSignal) cancels the run, and `deadlineMs` (default
+ * SCH_DEADLINE_MS) times it out; either aborts the LLM call in flight, skips the
+ * remaining stages and returns the iterations derived so far, with
+ * `result.status` 'cancelled' or 'timed_out' instead of 'completed'.
+ * `callTimeoutMs` limits each HTTP attempt (default LLM_TIMEOUT_MS).
+ * A provider failure that ends the run is rethrown (an LLMError, see
+ * lib/llm/errors.js) with the progress made so far in `e.partial`
+ * ({ plan, iterations }).
+ * `fallback` lists providers to try, in order, when `provider` fails (see
+ * getLLMConfig); each iteration's `servedBy` names the provider and model that wrote it.
+ * `routing` assigns a provider, model and temperature to individual stages (see
+ * routing.js); stages without a route use `provider` and `temperature`.
+ * Every LLM call is recorded in `meter` (a new one unless the caller passes one
+ * that already holds, e.g., the intent call) and summarized in `result.usage`.
+ * Calls are served from the response cache when LLM_CACHE is set, unless `cache`
+ * is false (see lib/llm/cache.js); `usage.cacheHits` counts them.
+ * `structured` asks for a machine-readable final result (spectrum, eigenfunctions,
+ * quantum numbers, parameters) and `verify` cross-checks the derived spectrum with
+ * a finite-difference solve; both default to on for the detail levels that also
+ * synthesize an appendix.
+ *
+ * `transcript` records every call's messages and raw reply, annotated with the
+ * iteration, parse or repair outcome and validation verdict, in
+ * `result.transcript` (see lib/llm/transcript.js): true for a new recorder, or
+ * one the caller already used, e.g. for the intent call. It defaults to
+ * SCH_TRANSCRIPT=1.
+ * `plan` executes a plan the caller reviewed (see normalizePlan and /api/plan)
+ * instead of asking the planner for one, whatever the strategy; `result.plan` is
+ * the plan the run followed.
+ * `judge` checks each accepted iteration against its plan step's deliverables,
+ * success criterion and physics checks (see judge.js): 'llm' (or true) adds a
+ * grader call to the rule-based checks, 'rules' skips it and false turns the
+ * stage off; it defaults to 'llm' for the detail levels that synthesize an
+ * appendix. Unmet items are carried into the next iteration's prompt; items
+ * still unmet after that, or unmet in the last iteration, get one focused
+ * revision, kept if it passes validation and delivers more of the plan. Each
+ * judged iteration carries its `judgement`, and `result.validation.judge.unmet`
+ * lists the items the run never delivered.
+ * `prompts` picks template versions by name, e.g. { iterate: 'v2' } (see
+ * lib/prompts/templates.js), or is a set the caller already resolved;
+ * `result.prompts` records the version and hash of each template rendered.
+ * The run is traced in `trace` (a new one unless the caller passes one, see
+ * lib/log/trace.js): a `solve` span with the plan, each iteration and its
+ * repair or revision, the appendix, structured result and verification nested
+ * inside; every log line written during the run carries `result.runId`.
+ *
+ * Each iteration carries its `validation` report (see validationReport), and
+ * `result.validation` records why the loop ended: 'model_stop', 'plan_complete',
+ * 'max_iterations', 'revision_rejected', 'unparseable_output', 'cancelled' or
+ * 'timed_out'; an aborted run's termination also names the `stage` it was in
+ * when that was after the iterations.
+ */
+export async function solveSchrodingerIterative({ trace = createTrace(), ...params }) {
+  return trace.span('solve', { provider: params.provider, strategy: params.strategy, detailLevel: params.detailLevel }, async (span) => {
+    const result = await derive({ ...params, trace })
+    span.set({ iterations: result.iterations.length, termination: result.validation.termination.reason })
+    if (result.status !== 'completed') span.end(result.status)
+    return result
+  })
+}
 
-  console.log('[schrodinger] Starting with exhaustive detail mode:', {
+async function derive({ equation, variable = 'x', context = {}, maxIterations = 6, maxIterationsCap = Infinity, temperature = 0.1, detailLevel = 'exhaustive', strategy = 'planner', provider = 'groq', fallback, routing, meter = createUsageMeter(), cache, policy, structured, verify, onEvent, signal, deadlineMs, callTimeoutMs, trace, transcript, prompts, plan: reviewedPlan, judge }) {
+  const emit = (type, payload) => {
+    if (typeof onEvent !== 'function') return
+    try { onEvent(type, payload) } catch (e) { logger.warn('event handler failed', { type, message: e?.message }) }
+  }
+  const rules = resolvePolicy(policy, detailLevel)
+  const templates = resolvePrompts(prompts)
+  const createdAt = new Date().toISOString()
+  const recorder = resolveTranscript(transcript)
+  const transcriptJSON = () => (recorder ? { runId: trace.runId, equation, createdAt, entries: recorder.entries } : undefined)
+  // Annotate a step's calls in the transcript; `since` is the entry count before the step
+  const note = (stage, since, fields) => recorder?.annotate(stage, fields, since)
+  const entryCount = () => recorder?.entries.length || 0
+  // The caller's signal and the overall deadline abort every LLM call of the run
+  const runSignal = withTimeout(signal, Number(deadlineMs ?? process.env.SCH_DEADLINE_MS) || 0)
+  const router = createRouter(resolveRouting(routing), { provider, fallback, meter, cache, signal: runSignal, callTimeoutMs: Number(callTimeoutMs) || undefined, trace, transcript: recorder })
+  const config = router.config('iterate')
+  const { apiUrl, model } = config
+  const iterateTemperature = router.temperature('iterate', temperature)
+
+  // The policy's iteration range wins over the request, e.g. at least 8 for exhaustive runs
+  const effectiveMaxIterations = Math.min(maxIterationsCap, Math.max(rules.iterations.min, Math.min(maxIterations, rules.iterations.max)))
+  const fullRun = detailLevel === 'exhaustive' || detailLevel === 'standard'
+  const judgeMode = resolveJudgeMode(judge, fullRun ? 'llm' : false)
+
+  logger.info('starting derivation', {
     requestedIterations: maxIterations,
     effectiveIterations: effectiveMaxIterations,
     detailLevel,
+    policy: rules.name,
     strategy,
-    provider
+    provider,
+    fallback: (config.fallbacks || []).map((c) => c.provider),
+    routing: router.summary()
   })
 
-  // 1) Planning phase (only for planner strategy)
+  // 1) Planning phase: a plan the caller reviewed is executed as given, else the planner strategy asks for one
   let plan = []
-  if (strategy === 'planner') {
+  if (reviewedPlan) {
+    plan = normalizePlan(reviewedPlan)
+    trace.start('plan', { steps: plan.length, source: 'reviewed' }).end()
+    emit('plan', { plan, source: 'reviewed' })
+  } else if (strategy === 'planner') {
     try {
-      const planOut = await planSchrodingerSolution({ apiUrl, apiKey, model, equation, context, request: context?.task || '', extraHeaders })
-      plan = Array.isArray(planOut?.plan) ? planOut.plan : []
-      if (!plan.length) console.warn('[schrodinger] empty plan, will fall back to generic iterations')
+      plan = await trace.span('plan', {}, async (span) => {
+        const planOut = await planSchrodingerSolution({ config: router.config('plan'), temperature: router.temperature('plan', 0.1), equation, context, request: context?.task || '', prompts: templates })
+        const steps = planFromModel(planOut?.plan)
+        span.set({ steps: steps.length })
+        if (!steps.length) span.end('empty')
+        return steps
+      })
+      if (!plan.length) logger.warn('empty plan, will fall back to generic iterations')
     } catch (e) {
-      console.warn('[schrodinger] planning failed', e?.message)
+      logger.warn('planning failed', { message: e?.message })
     }
+    emit('plan', { plan, source: 'planner' })
   }
 
   const iterations = []
   let stop = false
-  const totalLoops = (strategy === 'planner' && plan.length) ? Math.min(plan.length, effectiveMaxIterations) : effectiveMaxIterations
+  let aborted = false
+  // Why the loop ended, and the draft that ended it if validation did
+  let termination = null
+  let rejected = null
+  // Plan items left unmet: carried into the next iteration, then given up on
+  let outstanding = []
+  const unresolved = []
+  const pending = ({ kind, text, step }) => ({ kind, text, step })
+  const totalLoops = plan.length ? Math.min(plan.length, effectiveMaxIterations) : effectiveMaxIterations
   const minDelay = Number(process.env.SCH_MIN_DELAY_MS || 300)
 
-  console.log('[schrodinger] Beginning iterative derivation:', {
+  const target = equationTarget(rules)
+  logger.info('beginning iterative derivation', {
     totalLoops,
-    targetEquationsPerIteration: '15-25',
-    expectedTotalEquations: `${totalLoops * 15}-${totalLoops * 25}`
+    policy: rules.name,
+    targetEquationsPerIteration: `>= ${target}`,
+    expectedTotalEquations: `>= ${totalLoops * target}`
   })
 
-  for (let k = 1; k <= totalLoops && !stop; k++) {
-    if (k > 1 && minDelay > 0) { await delay(minDelay) }
-    const planStep = (strategy === 'planner' && plan.length) ? plan[k - 1] : null
-    const messages = messagesForIteration({ equation, variable, context, prior: iterations, planStep })
-    console.log('[schrodinger] iteration start', { k, model, temperature, apiUrl, provider })
-
-    // Reduced max_tokens to 1000 per iteration to save on token usage
-    // This encourages more iterations with smaller, focused outputs
-    const maxTokens = 1000
-
-    const body = { model, messages, temperature, max_tokens: maxTokens }
-    // Prefer JSON mode if supported
-    body.response_format = { type: 'json_object' }
-    const data = await callChat({ apiUrl, apiKey, body, maxRetries: process.env.SCH_MAX_RETRIES || 3, baseDelayMs: process.env.SCH_BACKOFF_BASE_MS || 500, extraHeaders })
-    console.log('[schrodinger] iteration response ok', { k })
-    const content = data.choices?.[0]?.message?.content || ''
-    console.log('[schrodinger] content length', { k, len: content.length })
-    let parsed = extractJSON(content)
-    if (!parsed) {
-      console.warn('[schrodinger] parse failed, attempting repair', { k })
-      parsed = await tryRepairJSON({ apiUrl, apiKey, model, temperature, content, extraHeaders })
+  // Keep what was derived when the run is cancelled or runs out of time
+  const abortRun = (k, stage) => {
+    aborted = true
+    termination = { reason: runSignal.reason?.name === 'TimeoutError' ? 'timed_out' : 'cancelled', k }
+    if (stage) termination.stage = stage
+    logger.info(`run ${termination.reason}`, termination)
+    emit('cancelled', termination)
+  }
+
+  // The iteration in progress; it ends in several places, so it is closed by hand
+  let iterationSpan = null
+  try {
+    for (let k = 1; k <= totalLoops && !stop; k++) {
+      if (k > 1 && minDelay > 0) { await delay(minDelay, runSignal) }
+      if (runSignal?.aborted) break
+      const planStep = plan.length ? plan[k - 1] : null
+      const messages = messagesForIteration({ equation, variable, context, prior: iterations, planStep, outstanding, policy: rules, capabilities: config.capabilities, prompts: templates })
+      logger.info('iteration start', { k, model, temperature: iterateTemperature, apiUrl, provider: config.provider })
+      iterationSpan = trace.start('iteration', { k, title: planStep?.title || '' })
+      emit('iteration_start', { k, total: totalLoops, title: planStep?.title || '' })
+
+      // The policy's token budget keeps iterations small and focused; many iterations beat one huge one
+      // JSON schema or JSON mode, whichever the model supports (see fitRequestToModel)
+      const body = { model, messages, temperature: iterateTemperature, max_tokens: rules.maxTokens, response_format: ITERATION_RESPONSE_FORMAT }
+      const draftMark = entryCount()
+      const data = await iterationSpan.run(() => chat(config, body))
+      const content = data.choices?.[0]?.message?.content || ''
+      logger.info('iteration response', { k, len: content.length })
+      let parsed = extractJSON(content)
+      note('iterate', draftMark, { k, parse: parsed ? 'ok' : 'failed' })
+      // The validation verdict belongs to whichever reply was validated: the draft or its repair
+      let validatedStage = 'iterate'
       if (!parsed) {
-        console.warn('[schrodinger] repair failed, stopping', { k })
-        break
+        validatedStage = 'repair'
+        logger.warn('parse failed, attempting repair', { k })
+        const repairMark = entryCount()
+        parsed = await iterationSpan.span('repair', { k }, async (span) => {
+          const repaired = await tryRepairJSON({ config: router.config('repair'), temperature: router.temperature('repair', Math.max(0, Math.min(temperature, 0.3))), content, prompts: templates })
+          if (!repaired) span.end('failed')
+          return repaired
+        })
+        note('repair', repairMark, { k, parse: parsed ? 'ok' : 'failed' })
+        if (!parsed) {
+          logger.warn('repair failed, stopping', { k })
+          termination = { reason: 'unparseable_output', k }
+          iterationSpan.end('unparseable_output')
+          break
+        }
       }
-    }
-    // Quality gate with detail level
-    if (!validateIteration(parsed, iterations[iterations.length - 1], detailLevel)) {
-      console.warn('[schrodinger] iteration failed validation, requesting revision', { k })
-      const revised = await reviseIteration({ apiUrl, apiKey, model, temperature, equation, variable, context, prior: iterations, planStep, badIteration: parsed, extraHeaders })
-      if (revised && validateIteration(revised, iterations[iterations.length - 1], detailLevel)) {
-        parsed = revised
-      } else {
-        console.warn('[schrodinger] revision failed validation, stopping', { k })
-        break
+      // Quality gate with detail level
+      const last = iterations[iterations.length - 1]
+      const draft = validationReport(parsed, last, rules, { context })
+      note(validatedStage, draftMark, { validation: validationVerdict(draft) })
+      let validation = { ...draft, revisionAttempted: false }
+      let servedBy = data.servedBy
+      if (!draft.passed) {
+        logger.warn('iteration failed validation, requesting revision', { k })
+        emit('validation_failed', { k, validation: draft })
+        const revisionMark = entryCount()
+        const { revised, revisedBy, revision } = await iterationSpan.span('revision', { k }, async (span) => {
+          const { iteration: revised, servedBy: revisedBy } = await reviseIteration({ config: router.config('revise'), temperature: router.temperature('revise', Math.max(0, Math.min(temperature, 0.2))), equation, variable, context, prior: iterations, planStep, badIteration: parsed, policy: rules, report: draft, prompts: templates })
+          const revision = revised ? validationReport(revised, last, rules, { context }) : null
+          if (!revision?.passed) span.end('rejected')
+          return { revised, revisedBy, revision }
+        })
+        note('revise', revisionMark, { k, parse: revised ? 'ok' : 'failed', ...(revision ? { validation: validationVerdict(revision) } : {}) })
+        if (revision?.passed) {
+          emit('revision', { k, accepted: true, validation: revision })
+          parsed = revised
+          servedBy = revisedBy
+          validation = { ...revision, revisionAttempted: true, draft }
+        } else {
+          logger.warn('revision failed validation, stopping', { k })
+          emit('revision', { k, accepted: false, validation: revision })
+          rejected = { k, draft, revision }
+          termination = { reason: 'revision_rejected', k }
+          iterationSpan.end('revision_rejected')
+          break
+        }
+      }
+      // Judge the iteration against its plan step and the items earlier steps left unmet
+      const items = judgeMode ? judgeItems(planStep, outstanding) : []
+      let judgement = null
+      if (items.length) {
+        const lastLoop = k === totalLoops || parsed.stop === true
+        const runJudge = (iteration) => iterationSpan.span('judge', { k }, async (span) => {
+          const judgeMark = entryCount()
+          const out = await judgeIteration({ config: router.config('judge'), temperature: router.temperature('judge', 0), iteration, planStep, items, mode: judgeMode, prompts: templates })
+          if (out.grader !== 'skipped') note('judge', judgeMark, { k, parse: out.grader === 'ok' ? 'ok' : 'failed' })
+          span.set({ unmet: out.unmet.length })
+          return out
+        })
+        judgement = await runJudge(parsed)
+        // Items already carried once, or with no later iteration to take them, get one focused revision
+        const due = judgement.unmet.filter((item) => item.carried || lastLoop)
+        if (due.length) {
+          logger.info('plan items unmet, requesting a focused revision', { k, unmet: due.length })
+          const focusMark = entryCount()
+          const { revised, revisedBy, report } = await iterationSpan.span('revision', { k, focus: 'plan' }, async (span) => {
+            const { iteration: revised, servedBy: revisedBy } = await reviseIteration({ config: router.config('revise'), temperature: router.temperature('revise', Math.max(0, Math.min(temperature, 0.2))), equation, variable, context, prior: iterations, planStep, badIteration: parsed, policy: rules, unmet: due, prompts: templates })
+            const report = revised ? validationReport(revised, last, rules, { context }) : null
+            if (!report?.passed) span.end('rejected')
+            return { revised, revisedBy, report }
+          })
+          note('revise', focusMark, { k, parse: revised ? 'ok' : 'failed', ...(report ? { validation: validationVerdict(report) } : {}) })
+          // Kept only if it still passes validation and delivers more of the plan
+          const rejudged = report?.passed ? await runJudge(revised) : null
+          const accepted = !!rejudged && rejudged.unmet.length < judgement.unmet.length
+          if (accepted) {
+            parsed = revised
+            servedBy = revisedBy
+            validation = { ...validation, ...report }
+          }
+          judgement = { ...(accepted ? rejudged : judgement), revision: { accepted, unmetBefore: judgement.unmet.length } }
+        }
+        outstanding = lastLoop ? [] : judgement.unmet.filter((item) => !item.carried).map(pending)
+        unresolved.push(...judgement.unmet.filter((item) => item.carried || lastLoop).map(pending))
+        emit('judge', { k, judgement })
+      }
+      // Normalize latex tokens in equations, then check each step against the one before
+      if (Array.isArray(parsed.equations)) {
+        const normalized = parsed.equations.map(e => ({
+          ...e,
+          latex: e.latex ? normalizeLatexTokens(e.latex) : e.latex,
+          text: e.text ? normalizeLatexTokens(e.text) : e.text,
+        }))
+        const verdicts = checkEquationChain(normalized)
+        parsed.equations = normalized.map((e, i) => (verdicts[i] ? { ...e, consistency: verdicts[i] } : e))
+        const flagged = verdicts.map((v, i) => (v?.status === 'flagged' ? `${i + 1}: ${v.label}` : null)).filter(Boolean)
+        if (flagged.length) logger.warn('inconsistent steps', { k, flagged })
+      }
+      iterations.push({ ...parsed, k, validation, servedBy, ...(judgement ? { judgement: withoutUnmet(judgement) } : {}) })
+      iterationSpan.set({ equations: parsed.equations?.length || 0, revised: validation.revisionAttempted })
+      iterationSpan.end()
+      emit('iteration', { k, iteration: iterations[iterations.length - 1] })
+      if (parsed.stop === true) stop = true
+      if (stop) {
+        logger.info('stop requested by model', { k })
+        termination = { reason: 'model_stop', k }
       }
     }
-    // Normalize latex tokens in equations
-    if (Array.isArray(parsed.equations)) {
-      parsed.equations = parsed.equations.map(e => ({
-        ...e,
-        latex: e.latex ? normalizeLatexTokens(e.latex) : e.latex,
-        text: e.text ? normalizeLatexTokens(e.text) : e.text,
-      }))
-    }
-    iterations.push({ ...parsed, k })
-    if (parsed.stop === true) stop = true
-    if (stop) console.log('[schrodinger] stop requested by model', { k })
+  } catch (e) {
+    iterationSpan?.end(null, runSignal?.aborted ? runSignal.reason : e)
+    if (!runSignal?.aborted) throw Object.assign(e, { partial: { plan, iterations, transcript: transcriptJSON() } })
+  }
+  if (runSignal?.aborted && !termination) abortRun(iterations.length + 1)
+  unresolved.push(...outstanding)
+  if (!termination) {
+    const planDone = plan.length && plan.length <= effectiveMaxIterations
+    termination = { reason: planDone ? 'plan_complete' : 'max_iterations', k: totalLoops }
   }
 
   const finalStep = iterations[iterations.length - 1] || {}
   let mainLatex = finalStep.main_result_latex || ''
 
-  // Skip appendix for small models to save tokens
+  // Skip the appendix for models whose output limit would truncate it
   let appendixLatex = ''
-  const isSmallModel = model.includes('ALLaM') || model.includes('7B') || model.includes('8B')
-  if (!isSmallModel && iterations.length && (detailLevel === 'exhaustive' || detailLevel === 'standard')) {
-    console.log('[schrodinger] synthesis appendix start')
-    const syn = await synthesizeAppendix({ apiUrl, apiKey, model, temperature, equation, context, iterations, extraHeaders })
-    appendixLatex = syn?.appendixLatex || ''
-    if (!mainLatex && syn?.main_result_latex) mainLatex = syn.main_result_latex
-    console.log('[schrodinger] synthesis appendix done', { len: appendixLatex?.length || 0 })
-  } else if (isSmallModel) {
-    console.log('[schrodinger] skipping appendix for small model')
+  const appendixConfig = router.config('appendix')
+  const appendixFits = (appendixConfig.capabilities?.maxOutputTokens ?? Infinity) >= APPENDIX_MIN_OUTPUT_TOKENS
+  if (appendixFits && !aborted && iterations.length && (detailLevel === 'exhaustive' || detailLevel === 'standard')) {
+    logger.info('synthesis appendix start')
+    emit('appendix_start', {})
+    try {
+      const syn = await trace.span('appendix', {}, () => synthesizeAppendix({ config: appendixConfig, temperature: router.temperature('appendix', Math.max(0, Math.min(temperature, 0.2))), equation, context, iterations, prompts: templates }))
+      appendixLatex = syn?.appendixLatex || ''
+      if (!mainLatex && syn?.main_result_latex) mainLatex = syn.main_result_latex
+      logger.info('synthesis appendix done', { len: appendixLatex?.length || 0 })
+      emit('appendix', { length: appendixLatex.length })
+    } catch (e) {
+      if (!runSignal?.aborted) throw Object.assign(e, { partial: { plan, iterations, transcript: transcriptJSON() } })
+      abortRun(iterations.length, 'appendix')
+    }
+  } else if (!appendixFits) {
+    logger.info('skipping appendix: model output limit too small', { model: appendixConfig.model, maxOutputTokens: appendixConfig.capabilities.maxOutputTokens })
+  }
+
+  // Machine-readable final result, validated before it is returned
+  let structuredResult = null
+  let structuredErrors = []
+  if ((structured ?? fullRun) && !aborted && iterations.length) {
+    emit('structured_start', {})
+    const structuredMark = entryCount()
+    try {
+      const checked = await trace.span('structured', {}, async (span) => {
+        const out = await synthesizeStructuredResult({ config: router.config('structured'), temperature: router.temperature('structured', 0), equation, context, iterations, mainLatex, prompts: templates })
+        if (out.errors.length) span.end('rejected')
+        return out
+      })
+      structuredResult = checked.value
+      structuredErrors = checked.errors
+      note('structured', structuredMark, { validation: { passed: !structuredErrors.length, failed: structuredErrors } })
+    } catch (e) {
+      structuredErrors = [e?.message || 'Structured result synthesis failed']
+    }
+    if (runSignal?.aborted) {
+      abortRun(iterations.length, 'structured')
+    } else {
+      if (structuredErrors.length) logger.warn('structured result rejected', { errors: structuredErrors })
+      emit('structured', { structured: structuredResult, errors: structuredErrors })
+    }
+  }
+
+  // Numeric cross-check of the derived spectrum
+  let verification = null
+  if ((verify ?? fullRun) && !aborted && iterations.length) {
+    emit('verification_start', {})
+    verification = await trace.span('verification', {}, async (span) => {
+      const report = await verifySpectrum({ config: router.config('verify'), temperature: router.temperature('verify', 0), equation, context, mainResultLatex: mainLatex, iterations, structured: structuredResult, prompts: templates })
+      span.set({ status: report.status })
+      return report
+    })
+    if (runSignal?.aborted) {
+      verification = null
+      abortRun(iterations.length, 'verification')
+    } else {
+      logger.info('numeric verification', { status: verification.status, maxRelError: verification.maxRelError })
+      emit('verification', { verification })
+    }
   }
 
   const meta = {
@@ -717,7 +903,25 @@ export async function solveSchrodingerIterative({ equation, variable = 'x', cont
     text: 'We have constructed the solution iteratively, with stated assumptions and regimes of validity. The final expression summarizes the solved wavefunction/energies under the specified conditions.',
     main_result_latex: mainLatex,
     appendixLatex,
+    verification,
   })
 
-  return { iterations, latex, final: { main_result_latex: mainLatex, appendix: !!appendixLatex } }
+  const final = { main_result_latex: mainLatex, appendix: !!appendixLatex, structured: structuredResult }
+  if (structuredErrors.length) final.structuredErrors = structuredErrors
+  const validation = {
+    policy: rules,
+    termination,
+    physicsCoverage: physicsCoverage(iterations, rules),
+    judge: judgeMode ? { mode: judgeMode, unmet: unresolved } : null,
+    iterations: iterations.map((it) => ({ k: it.k, passed: it.validation.passed, revisionAttempted: it.validation.revisionAttempted })),
+    rejected,
+  }
+  const usage = meter.summary()
+  logger.info('usage', { calls: usage.calls, cacheHits: usage.cacheHits, totalTokens: usage.totalTokens, cost: usage.cost })
+  const status = aborted ? termination.reason : 'completed'
+  const result = { runId: trace.runId, status, plan, iterations, latex, final, verification, validation, usage, prompts: templates.used() }
+  if (status === 'cancelled') result.cancelled = true
+  if (recorder) result.transcript = transcriptJSON()
+  emit('done', { runId: trace.runId, status, latex, final: result.final, validation, usage, prompts: result.prompts, transcript: result.transcript })
+  return result
 }
@@ -0,0 +1,129 @@
+import { callProvider } from '../llm/provider'
+import { compileExpression } from '../numeric/expression'
+import { solveEigenproblem } from '../numeric/eigen'
+import { extractJSONObject } from './json'
+import { resolvePrompts } from '../prompts/templates'
+import { log } from '../log/logger'
+
+const logger = log.child({ scope: 'verify' })
+
+const MAX_STATES = 10
+
+/**
+ * Ask the model to restate the solved problem as a numeric specification:
+ * plain-text expressions for V(x), m(x) and E_n plus parameter values. The
+ * reply may be fenced, wrapped in prose or truncated (see json.js). The
+ * prompt is the `verify` template of `prompts` (see lib/prompts/templates.js).
+ */
+export async function requestVerificationSpec({ config, temperature = 0, equation, context = {}, mainResultLatex, iterations = [], structured = null, prompts }) {
+  const knownSpectrum = structured
+    ? `\nStructured result: E_n = ${structured.energySpectrum.expression} with parameters ${structured.parameters.map((p) => p.symbol).join(', ') || '(none)'} and quantum number ${structured.quantumNumbers[0]?.symbol} (${structured.quantumNumbers[0]?.range}). Use exactly these parameter names, copy this expression into "energySpectrum" and set "quantumNumber" to "${structured.quantumNumbers[0]?.symbol}".`
+    : ''
+  const lastSummaries = iterations.slice(-3).map((it) => `- ${it.result_summary || it.goal || ''}`).join('\n')
+  const prompt = resolvePrompts(prompts).render('verify', {
+    equation,
+    context: JSON.stringify(context),
+    mainResult: mainResultLatex || '(not stated)',
+    knownSpectrum,
+    summaries: lastSummaries || '(none)',
+    maxStates: MAX_STATES,
+  })
+  const messages = [
+    { role: 'system', content: prompt.system },
+    { role: 'user', content: prompt.user },
+  ]
+  const body = { model: config.model, messages, temperature, max_tokens: 800, response_format: { type: 'json_object' } }
+  const data = await callProvider({ config, body, maxRetries: process.env.SCH_MAX_RETRIES || 3, baseDelayMs: process.env.SCH_BACKOFF_BASE_MS || 500 })
+  const content = data.choices?.[0]?.message?.content || ''
+  const spec = extractJSONObject(content)
+  if (!spec) throw new Error('Verification spec is not valid JSON')
+  return spec
+}
+
+/**
+ * Solve the spec's Hamiltonian on a grid and compare with its analytic E_n.
+ * @param {Object} spec - From requestVerificationSpec
+ * @param {Object} options
+ * @param {number} options.points - Interior grid points
+ * @param {number} options.tolerance - Maximum relative error for a level to pass
+ * @returns {Object} Report with status 'passed' | 'failed' | 'inconclusive' | 'skipped'
+ */
+export function runNumericVerification(spec, { points = 1000, tolerance = 0.02 } = {}) {
+  if (!spec || spec.applicable === false) {
+    return { status: 'skipped', reason: spec?.reason || 'Not a 1D bound-state problem', rows: [] }
+  }
+  const params = Object.fromEntries(Object.entries(spec.parameters || {}).map(([k, v]) => [k, Number(v)]))
+  const hbar = Number.isFinite(params.hbar) ? params.hbar : 1
+  const V = compileExpression(spec.potential)
+  const M = spec.mass ? compileExpression(spec.mass) : null
+  const En = compileExpression(spec.energySpectrum)
+  const domain = (spec.domain || []).map(Number)
+  const boundary = spec.boundary === 'dirichlet' ? 'dirichlet' : 'decaying'
+  const count = Math.min(Math.max(1, Number(spec.count) || 5), MAX_STATES)
+  const nStart = Number.isFinite(Number(spec.nStart)) ? Number(spec.nStart) : 0
+  const quantumNumber = typeof spec.quantumNumber === 'string' && spec.quantumNumber.trim() ? spec.quantumNumber.trim() : 'n'
+
+  const numeric = solveEigenproblem({
+    potential: (x) => V({ ...params, x }),
+    mass: M ? (x) => M({ ...params, x }) : undefined,
+    domain,
+    boundary,
+    count,
+    points,
+    hbar,
+  })
+
+  const rows = numeric.eigenvalues.map((value, i) => {
+    const n = nStart + i
+    const analytic = En({ ...params, [quantumNumber]: n })
+    const absError = Math.abs(analytic - value)
+    return {
+      n,
+      analytic,
+      numeric: value,
+      absError,
+      relError: absError / Math.max(Math.abs(value), 1e-12),
+      converged: numeric.converged[i],
+    }
+  })
+
+  const checked = rows.filter((r) => r.converged)
+  const maxRelError = checked.length ? Math.max(...checked.map((r) => r.relError)) : null
+  let status = 'inconclusive'
+  if (checked.length) status = checked.every((r) => r.relError <= tolerance) ? 'passed' : 'failed'
+
+  return {
+    status,
+    tolerance,
+    maxRelError,
+    grid: { points, domain, boundary, hbar },
+    spec,
+    rows,
+  }
+}
+
+/**
+ * Verification step run after the final iteration. Never throws: failures are
+ * reported with status 'error' so they cannot sink an otherwise complete run.
+ */
+export async function verifySpectrum({ config, temperature = 0, equation, context = {}, mainResultLatex, iterations, structured = null, prompts }) {
+  if (context?.type === 'time-dependent') {
+    return { status: 'skipped', reason: 'Time-dependent problem', rows: [] }
+  }
+  try {
+    const spec = await requestVerificationSpec({ config, temperature, equation, context, mainResultLatex, iterations, structured, prompts })
+    // The validated structured spectrum is authoritative over the model's restatement,
+    // and is written in the structured result's own quantum number
+    if (structured && spec?.applicable !== false) {
+      spec.energySpectrum = structured.energySpectrum.expression
+      spec.quantumNumber = structured.quantumNumbers[0]?.symbol || 'n'
+    }
+    return runNumericVerification(spec, {
+      points: Number(process.env.SCH_VERIFY_POINTS || 1000),
+      tolerance: Number(process.env.SCH_VERIFY_TOLERANCE || 0.02),
+    })
+  } catch (e) {
+    logger.warn('numeric verification failed', { message: e?.message })
+    return { status: 'error', reason: e?.message || 'Verification failed', rows: [] }
+  }
+}
@@ -2,6 +2,12 @@
 const nextConfig = {
   reactStrictMode: true,
   swcMinify: true,
+  experimental: {
+    // Prompt templates are read from disk at runtime, so serverless bundles must ship them
+    outputFileTracingIncludes: {
+      '/api/**/*': ['./prompts/**/*'],
+    },
+  },
 }
 
 module.exports = nextConfig
\ No newline at end of file
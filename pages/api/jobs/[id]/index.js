@@ -0,0 +1,36 @@
+import { getJob, cancelJob } from '../../../../lib/jobs/runner'
+import { ApiError, sendError } from '../../../../lib/http/errors'
+import { log } from '../../../../lib/log/logger'
+
+const logger = log.child({ scope: 'api/jobs' })
+
+// The transcript can be large; it has its own endpoint
+function view(job) {
+  const { params, transcript, ...rest } = job
+  return { ...rest, provider: params?.provider, hasTranscript: !!transcript }
+}
+
+export default async function handler(req, res) {
+  const { id } = req.query
+
+  try {
+    if (req.method === 'GET') {
+      const job = await getJob(id)
+      if (!job) return sendError(res, new ApiError('not_found', 'Job not found'))
+      return res.status(200).json(view(job))
+    }
+
+    if (req.method === 'DELETE') {
+      const job = await cancelJob(id)
+      if (!job) return sendError(res, new ApiError('not_found', 'Job not found'))
+      logger.info('cancel requested', { id, runId: job.runId, status: job.status })
+      return res.status(200).json(view(job))
+    }
+
+    res.setHeader('Allow', ['GET', 'DELETE'])
+    return res.status(405).json({ error: 'Method Not Allowed' })
+  } catch (e) {
+    logger.error('error', { id, message: e?.message, stack: e?.stack })
+    return sendError(res, e)
+  }
+}
@@ -0,0 +1,36 @@
+import { getJob } from '../../../../lib/jobs/runner'
+import { ApiError, sendError } from '../../../../lib/http/errors'
+import { transcriptToMarkdown } from '../../../../lib/llm/transcript'
+import { log } from '../../../../lib/log/logger'
+
+const logger = log.child({ scope: 'api/jobs' })
+
+export default async function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET'])
+    return res.status(405).json({ error: 'Method Not Allowed' })
+  }
+
+  const { id, format = 'json' } = req.query
+  if (!['json', 'markdown', 'md'].includes(format)) {
+    return sendError(res, new ApiError('invalid_request', 'format must be json or markdown'))
+  }
+
+  try {
+    const job = await getJob(id)
+    if (!job) return sendError(res, new ApiError('not_found', 'Job not found'))
+    // Recorded only when the job was created with `transcript`, and stored once it ends
+    if (!job.transcript) return sendError(res, new ApiError('not_found', 'No transcript for this job'))
+
+    if (format === 'json') {
+      res.setHeader('Content-Disposition', `attachment; filename="transcript-${job.id}.json"`)
+      return res.status(200).json(job.transcript)
+    }
+    res.setHeader('Content-Type', 'text/markdown; charset=utf-8')
+    res.setHeader('Content-Disposition', `attachment; filename="transcript-${job.id}.md"`)
+    return res.status(200).send(transcriptToMarkdown(job.transcript))
+  } catch (e) {
+    logger.error('error', { id, message: e?.message, stack: e?.stack })
+    return sendError(res, e)
+  }
+}
@@ -0,0 +1,82 @@
+import { resolveSchrodingerRequest } from '../../../lib/schrodinger/intent'
+import { createSolveJob } from '../../../lib/jobs/runner'
+import { resolvePolicy } from '../../../lib/schrodinger/policies'
+import { resolveRouting } from '../../../lib/schrodinger/routing'
+import { normalizePlan } from '../../../lib/schrodinger/plan'
+import { resolveJudgeMode } from '../../../lib/schrodinger/judge'
+import { resolvePrompts } from '../../../lib/prompts/templates'
+import { abortOnDisconnect } from '../../../lib/http/disconnect'
+import { ApiError, sendError } from '../../../lib/http/errors'
+import { getLLMConfig } from '../../../lib/llm/provider'
+import { resolveTranscript } from '../../../lib/llm/transcript'
+import { log } from '../../../lib/log/logger'
+import { createTrace, requestId } from '../../../lib/log/trace'
+
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST'])
+    return res.status(405).json({ error: 'Method Not Allowed' })
+  }
+
+  let { equation, variable = 'x', context = {}, maxIterations, temperature = 0.1, detailLevel = 'exhaustive', request: nlRequest, strategy = 'planner', provider = 'groq', fallback, routing, cache, policy, structured, verify, deadlineMs, callTimeoutMs, transcript, prompts, plan, judge } = req.body || {}
+  // Reject unknown or out-of-range validation policies, routes, prompt versions, judge modes and malformed plans before creating the job
+  let templates
+  let reviewedPlan
+  try {
+    resolvePolicy(policy, detailLevel)
+    resolveRouting(routing)
+    templates = resolvePrompts(prompts)
+    resolveJudgeMode(judge)
+    if (plan !== undefined && plan !== null) reviewedPlan = normalizePlan(plan)
+  } catch (e) {
+    return sendError(res, new ApiError('invalid_request', e.message))
+  }
+
+  // The job's trace and transcript start here, so intent parsing shares its run id and is recorded with it
+  const trace = createTrace({ requestId: requestId(req) })
+  const recorder = resolveTranscript(transcript)
+  const logger = log.child({ scope: 'api/jobs', runId: trace.runId })
+  res.setHeader('X-Run-Id', trace.runId)
+
+  try {
+    // A missing API key fails now rather than in the background job
+    getLLMConfig(provider, { fallback })
+    const resolved = await resolveSchrodingerRequest({ equation, context, request: nlRequest, provider, fallback, routing, cache, signal: abortOnDisconnect(res), trace, transcript: recorder, prompts: templates })
+    equation = resolved.equation
+    context = resolved.context
+    if (!equation || !equation.trim()) {
+      return sendError(res, new ApiError('invalid_request', 'Missing equation'))
+    }
+
+    const requested = Number(maxIterations ?? reviewedPlan?.length)
+    const maxItNum = Number.isFinite(requested) ? requested : 8
+    const tempNum = Number.isFinite(Number(temperature)) ? Number(temperature) : 0.1
+    const job = await createSolveJob({
+      equation,
+      variable,
+      context,
+      maxIterations: Math.max(1, maxItNum),
+      temperature: Math.max(0, Math.min(tempNum, 1)),
+      detailLevel,
+      strategy,
+      provider,
+      fallback,
+      routing,
+      cache,
+      policy,
+      structured,
+      verify,
+      deadlineMs,
+      callTimeoutMs,
+      prompts: templates.selection,
+      plan: reviewedPlan,
+      judge,
+    }, { trace, transcript: recorder || false, prompts: templates })
+    logger.info('created', { id: job.id, provider, maxIterations: maxItNum, detailLevel })
+    res.setHeader('Location', `/api/jobs/${job.id}`)
+    return res.status(202).json({ id: job.id, runId: job.runId, status: job.status, createdAt: job.createdAt })
+  } catch (e) {
+    logger.error('error', { code: e?.code, message: e?.message, stack: e?.stack })
+    return sendError(res, e)
+  }
+}
@@ -0,0 +1,60 @@
+import { planSchrodingerSolution, planFromModel } from '../../lib/schrodinger/plan'
+import { resolveSchrodingerRequest } from '../../lib/schrodinger/intent'
+import { resolveRouting, createRouter } from '../../lib/schrodinger/routing'
+import { resolvePrompts } from '../../lib/prompts/templates'
+import { createUsageMeter } from '../../lib/llm/usage'
+import { abortOnDisconnect } from '../../lib/http/disconnect'
+import { ApiError, sendError } from '../../lib/http/errors'
+import { log } from '../../lib/log/logger'
+import { createTrace, requestId } from '../../lib/log/trace'
+
+// Plan a derivation without running it, so the steps can be reviewed and
+// edited, then executed by POSTing them to /api/schrodinger (or /api/jobs) as `plan`.
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST'])
+    return res.status(405).json({ error: 'Method Not Allowed' })
+  }
+
+  let { equation, context = {}, request: nlRequest, temperature = 0.1, provider = 'groq', fallback, routing, cache, prompts } = req.body || {}
+  let templates
+  try {
+    resolveRouting(routing)
+    templates = resolvePrompts(prompts)
+  } catch (e) {
+    return sendError(res, new ApiError('invalid_request', e.message))
+  }
+
+  const signal = abortOnDisconnect(res)
+  const trace = createTrace({ requestId: requestId(req) })
+  const logger = log.child({ scope: 'api/plan', runId: trace.runId })
+  res.setHeader('X-Run-Id', trace.runId)
+  let status = 'failed'
+
+  try {
+    const meter = createUsageMeter()
+    const resolved = await resolveSchrodingerRequest({ equation, context, request: nlRequest, provider, fallback, routing, meter, cache, signal, trace, prompts: templates })
+    equation = resolved.equation
+    context = resolved.context
+    if (!equation || !equation.trim()) {
+      return sendError(res, new ApiError('invalid_request', 'Missing equation'))
+    }
+
+    const router = createRouter(resolveRouting(routing), { provider, fallback, meter, cache, signal, trace })
+    const tempNum = Number.isFinite(Number(temperature)) ? Number(temperature) : 0.1
+    const planOut = await trace.span('plan', {}, () => planSchrodingerSolution({ config: router.config('plan'), temperature: router.temperature('plan', Math.max(0, Math.min(tempNum, 1))), equation, context, request: context?.task || '', prompts: templates }))
+    const plan = planFromModel(planOut?.plan)
+    if (!plan.length) {
+      return sendError(res, new ApiError('unparseable_output', 'The planner returned no usable plan: no step has a title'))
+    }
+    status = 'completed'
+    logger.info('planned', { steps: plan.length, provider })
+    // The resolved equation and context go back with the plan, so executing it skips intent parsing
+    return res.status(200).json({ runId: trace.runId, equation, context, plan, notes: typeof planOut.notes === 'string' ? planOut.notes : '', usage: meter.summary(), prompts: templates.used() })
+  } catch (e) {
+    logger.error('error', { code: e?.code, message: e?.message, stack: e?.stack })
+    return sendError(res, e)
+  } finally {
+    await trace.export({ route: '/api/plan', status })
+  }
+}
@@ -0,0 +1,60 @@
+import { comparePrompts } from '../../../lib/prompts/compare'
+import { resolvePrompts } from '../../../lib/prompts/templates'
+import { resolvePolicy } from '../../../lib/schrodinger/policies'
+import { resolveRouting } from '../../../lib/schrodinger/routing'
+import { resolveJudgeMode } from '../../../lib/schrodinger/judge'
+import { abortOnDisconnect } from '../../../lib/http/disconnect'
+import { ApiError, sendError } from '../../../lib/http/errors'
+import { getLLMConfig } from '../../../lib/llm/provider'
+import { log } from '../../../lib/log/logger'
+import { createTrace, requestId } from '../../../lib/log/trace'
+
+// Every problem is solved twice, one run at a time, so this belongs on a
+// long-lived server (`npm start`) rather than a serverless function.
+export default async function handler(req, res) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST'])
+    return res.status(405).json({ error: 'Method Not Allowed' })
+  }
+
+  const { a = {}, b = {}, problems, maxIterations = 4, temperature = 0.1, detailLevel = 'standard', strategy = 'planner', provider = 'groq', fallback, routing, cache = false, policy, structured = false, verify = false, judge } = req.body || {}
+  try {
+    resolvePolicy(policy, detailLevel)
+    resolveRouting(routing)
+    resolvePrompts(a)
+    resolvePrompts(b)
+    resolveJudgeMode(judge)
+    if (problems !== undefined && (!Array.isArray(problems) || !problems.length || problems.some((p) => !p?.equation || typeof p.equation !== 'string'))) {
+      throw new Error('problems must be a non-empty array of { name?, equation, context? }')
+    }
+  } catch (e) {
+    return sendError(res, new ApiError('invalid_request', e.message))
+  }
+
+  const trace = createTrace({ requestId: requestId(req) })
+  const logger = log.child({ scope: 'api/prompts', runId: trace.runId })
+  res.setHeader('X-Run-Id', trace.runId)
+
+  let status = 'failed'
+  try {
+    getLLMConfig(provider, { fallback })
+    // The response cache is off by default: a cached reply would hide what the prompt changed
+    const params = { maxIterations, temperature, detailLevel, strategy, provider, fallback, routing, cache, policy, structured, verify, judge, trace }
+    const report = await comparePrompts({
+      a,
+      b,
+      problems,
+      params,
+      signal: abortOnDisconnect(res),
+      onRun: ({ problem, variant, metrics }) => logger.info('comparison run', { problem, variant, status: metrics.status, iterations: metrics.iterations, tokens: metrics.tokens }),
+    })
+    status = 'completed'
+    logger.info('comparison done', { problems: report.problems.length, delta: report.summary.delta })
+    return res.status(200).json({ runId: trace.runId, ...report })
+  } catch (e) {
+    logger.error('error', { code: e?.code, message: e?.message, stack: e?.stack })
+    return sendError(res, e)
+  } finally {
+    await trace.export({ route: '/api/prompts/compare', status })
+  }
+}
@@ -0,0 +1,15 @@
+import { listPrompts } from '../../../lib/prompts/templates'
+import { sendError } from '../../../lib/http/errors'
+
+// Prompt templates with their versions, for picking `prompts` in a request
+export default function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET'])
+    return res.status(405).json({ error: 'Method Not Allowed' })
+  }
+  try {
+    return res.status(200).json({ prompts: listPrompts() })
+  } catch (e) {
+    return sendError(res, e)
+  }
+}
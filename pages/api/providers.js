@@ -0,0 +1,10 @@
+import { customProviderOptions } from '../../lib/llm/custom'
+
+// Self-hosted providers configured on this server, for the provider dropdown
+export default function handler(req, res) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET'])
+    return res.status(405).json({ error: 'Method Not Allowed' })
+  }
+  return res.status(200).json({ providers: customProviderOptions() })
+}
@@ -1,5 +1,21 @@
 import { solveSchrodingerIterative } from '../../lib/schrodinger/solver'
-import { parseSchrodingerIntent } from '../../lib/schrodinger/intent'
+import { resolveSchrodingerRequest } from '../../lib/schrodinger/intent'
+import { resolvePolicy } from '../../lib/schrodinger/policies'
+import { resolveRouting } from '../../lib/schrodinger/routing'
+import { normalizePlan } from '../../lib/schrodinger/plan'
+import { resolveJudgeMode } from '../../lib/schrodinger/judge'
+import { resolvePrompts } from '../../lib/prompts/templates'
+import { wantsEventStream, openEventStream } from '../../lib/http/sse'
+import { createUsageMeter } from '../../lib/llm/usage'
+import { resolveTranscript } from '../../lib/llm/transcript'
+import { abortOnDisconnect } from '../../lib/http/disconnect'
+import { ApiError, errorResponse, sendError, solveFailure } from '../../lib/http/errors'
+import { log } from '../../lib/log/logger'
+import { createTrace, requestId } from '../../lib/log/trace'
+
+// Synchronous requests must finish inside the Vercel Hobby timeout; longer
+// derivations go through /api/jobs instead.
+const SYNC_ITERATION_CAP = 4
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
@@ -7,53 +23,81 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method Not Allowed' })
   }
 
-  let { equation, variable = 'x', context = {}, maxIterations = 6, temperature = 0.1, detailLevel = 'exhaustive', request: nlRequest, strategy = 'planner', provider = 'groq' } = req.body || {}
-  if (!equation || !equation.trim()) {
-    // Try to parse a natural-language request if provided
-    if (nlRequest) {
-      const intent = await parseSchrodingerIntent({ request: nlRequest, provider })
-      if (intent?.equation) {
-        equation = intent.equation
-        context = {
-          ...context,
-          type: intent.type || context.type,
-          potential: intent.potential || context.potential,
-          domain: intent.domain || context.domain,
-          boundary: intent.boundary || context.boundary,
-          initial: intent.initial || context.initial,
-          parameters: intent.parameters || context.parameters,
-          equationLatex: intent.equationLatex || context.equationLatex,
-          task: intent.task || context.task,
-          mass: intent.mass || context.mass,
-        }
-      }
-    }
-    if (!equation || !equation.trim()) {
-      return res.status(400).json({ error: 'Missing equation' })
-    }
+  let { equation, variable = 'x', context = {}, maxIterations, temperature = 0.1, detailLevel = 'exhaustive', request: nlRequest, strategy = 'planner', provider = 'groq', fallback, routing, cache, policy, structured, verify, deadlineMs, callTimeoutMs, transcript, prompts, plan, judge } = req.body || {}
+  // Reject unknown or out-of-range validation policies, routes, prompt versions, judge modes and malformed plans before any model call
+  let templates
+  let reviewedPlan
+  try {
+    resolvePolicy(policy, detailLevel)
+    resolveRouting(routing)
+    templates = resolvePrompts(prompts)
+    resolveJudgeMode(judge)
+    if (plan !== undefined && plan !== null) reviewedPlan = normalizePlan(plan)
+  } catch (e) {
+    return sendError(res, new ApiError('invalid_request', e.message))
   }
+  // A closed tab stops the run instead of paying for the remaining iterations
+  const signal = abortOnDisconnect(res)
+  // One run id ties together every log line and span of this request
+  const trace = createTrace({ requestId: requestId(req) })
+  const logger = log.child({ scope: 'api/schrodinger', runId: trace.runId })
+  res.setHeader('X-Run-Id', trace.runId)
+  let status = 'failed'
 
   try {
-    console.log('[api/schrodinger] request', {
+    // Try to parse a natural-language request if no equation was provided; its usage and transcript count towards the run
+    const meter = createUsageMeter()
+    const recorder = resolveTranscript(transcript)
+    const resolved = await resolveSchrodingerRequest({ equation, context, request: nlRequest, provider, fallback, routing, meter, cache, signal, trace, transcript: recorder, prompts: templates })
+    equation = resolved.equation
+    context = resolved.context
+    if (!equation || !equation.trim()) {
+      return sendError(res, new ApiError('invalid_request', 'Missing equation'))
+    }
+
+    logger.info('request', {
       provider,
+      fallback,
+      routing: routing ? Object.keys(routing) : undefined,
       variable,
       maxIterations,
       temperature,
       detailLevel,
+      policy: policy && typeof policy === 'object' ? 'custom' : policy,
       strategy,
       ctxKeys: Object.keys(context || {}),
     })
-    const maxItNum = Number.isFinite(Number(maxIterations)) ? Number(maxIterations) : 6
+    // A reviewed plan runs all its steps unless told otherwise (up to the cap)
+    const requested = Number(maxIterations ?? reviewedPlan?.length)
+    const maxItNum = Number.isFinite(requested) ? requested : 6
     const tempNum = Number.isFinite(Number(temperature)) ? Number(temperature) : 0.1
-    const clamped = Math.max(1, Math.min(maxItNum, 4)) // Vercel Hobby timeout friendly
+    const clamped = Math.max(1, Math.min(maxItNum, SYNC_ITERATION_CAP)) // Vercel Hobby timeout friendly
     const t = Math.max(0, Math.min(tempNum, 1))
 
-    const result = await solveSchrodingerIterative({ equation, variable, context, maxIterations: clamped, temperature: t, detailLevel, strategy, provider })
-    console.log('[api/schrodinger] success', { iterations: result?.iterations?.length || 0, latexLen: result?.latex?.length || 0 })
+    if (wantsEventStream(req)) {
+      const stream = openEventStream(res)
+      try {
+        const result = await solveSchrodingerIterative({ equation, variable, context, maxIterations: clamped, maxIterationsCap: SYNC_ITERATION_CAP, temperature: t, detailLevel, strategy, provider, fallback, routing, meter, cache, policy, structured, verify, signal, deadlineMs, callTimeoutMs, trace, transcript: recorder || false, prompts: templates, plan: reviewedPlan, judge, onEvent: stream.send })
+        const failure = solveFailure(result)
+        if (failure) stream.send('error', errorResponse(failure).body)
+        status = failure ? 'failed' : result.status
+      } catch (e) {
+        logger.error('stream error', { code: e?.code, message: e?.message, stack: e?.stack })
+        stream.send('error', errorResponse(e).body)
+      }
+      return stream.close()
+    }
+
+    const result = await solveSchrodingerIterative({ equation, variable, context, maxIterations: clamped, maxIterationsCap: SYNC_ITERATION_CAP, temperature: t, detailLevel, strategy, provider, fallback, routing, meter, cache, policy, structured, verify, signal, deadlineMs, callTimeoutMs, trace, transcript: recorder || false, prompts: templates, plan: reviewedPlan, judge })
+    const failure = solveFailure(result)
+    if (failure) return sendError(res, failure)
+    status = result.status
+    logger.info('success', { status: result.status, iterations: result?.iterations?.length || 0, latexLen: result?.latex?.length || 0 })
     return res.status(200).json(result)
   } catch (e) {
-    console.error('[api/schrodinger] error', { message: e?.message, stack: e?.stack })
-    const message = e?.message || 'Failed to solve Schrödinger equation'
-    return res.status(500).json({ error: message })
+    logger.error('error', { code: e?.code, message: e?.message, stack: e?.stack })
+    return sendError(res, e)
+  } finally {
+    await trace.export({ route: '/api/schrodinger', status })
   }
 }
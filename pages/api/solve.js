@@ -1,5 +1,13 @@
 import { solveSchrodingerIterative } from '../../lib/schrodinger/solver'
 import { callLLM } from '../../lib/llm/provider'
+import { withTimeout } from '../../lib/llm/abort'
+import { createUsageMeter } from '../../lib/llm/usage'
+import { resolveTranscript } from '../../lib/llm/transcript'
+import { resolvePrompts } from '../../lib/prompts/templates'
+import { abortOnDisconnect } from '../../lib/http/disconnect'
+import { ApiError, sendError, solveFailure } from '../../lib/http/errors'
+import { log } from '../../lib/log/logger'
+import { createTrace, requestId } from '../../lib/log/trace'
 
 export default async function handler(req, res) {
   if (req.method !== 'POST') {
@@ -7,16 +15,28 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method Not Allowed' })
   }
 
-  const { equation, variable, provider = 'groq' } = req.body || {}
+  const { equation, variable, provider = 'groq', fallback, cache, deadlineMs, callTimeoutMs, transcript, prompts } = req.body || {}
   if (!equation || !equation.trim()) {
-    return res.status(400).json({ error: 'Missing equation' })
+    return sendError(res, new ApiError('invalid_request', 'Missing equation'))
   }
+  let templates
+  try {
+    templates = resolvePrompts(prompts)
+  } catch (e) {
+    return sendError(res, new ApiError('invalid_request', e.message))
+  }
+
+  const signal = abortOnDisconnect(res)
+  const trace = createTrace({ requestId: requestId(req) })
+  const logger = log.child({ scope: 'api/solve', runId: trace.runId })
+  res.setHeader('X-Run-Id', trace.runId)
+  let status = 'failed'
 
   // Auto-route physics/Hamiltonian style inputs to the dedicated Schrödinger solver
   const physicsLike = /(\bH\s*=|schro(e|ö)ding|psi|Ψ|\bV\(|ħ|\\hbar|wave\s*function|hamiltonian)/i.test(equation)
   if (physicsLike) {
     try {
-      console.log('[api/solve] delegating to schrodinger solver')
+      logger.info('delegating to schrodinger solver')
       const result = await solveSchrodingerIterative({
         equation,
         variable: variable || 'x',
@@ -24,7 +44,18 @@ export default async function handler(req, res) {
         maxIterations: 4,
         temperature: 0.1,
         provider,
+        fallback,
+        cache,
+        signal,
+        deadlineMs,
+        callTimeoutMs,
+        trace,
+        transcript,
+        prompts: templates,
       })
+      const failure = solveFailure(result)
+      if (failure) return sendError(res, failure)
+      status = result.status
       return res.status(200).json({
         type: 'hamiltonian',
         steps: result.iterations?.map((it) => ({
@@ -37,26 +68,38 @@ export default async function handler(req, res) {
         finalSolution: 'See iterative derivation',
         finalSolutionLatex: result.final?.main_result_latex || 'See document',
         latexDocument: result.latex,
+        runId: result.runId,
+        status: result.status,
+        usage: result.usage,
+        prompts: result.prompts,
+        transcript: result.transcript,
       })
     } catch (e) {
-      console.error('[api/solve] schrodinger delegation failed', e)
-      return res.status(500).json({ error: e?.message || 'Schrödinger solver failed' })
+      logger.error('schrodinger delegation failed', { code: e?.code, message: e?.message })
+      return sendError(res, e)
+    } finally {
+      await trace.export({ route: '/api/solve', status })
     }
   }
 
+  const meter = createUsageMeter()
+  const recorder = resolveTranscript(transcript)
+  const createdAt = new Date().toISOString()
   try {
+    const prompt = templates.render('solve', { equation, variable: variable || 'x' })
     const data = await callLLM({
       provider,
+      fallback,
+      meter,
+      stage: 'solve',
+      cache,
+      signal: withTimeout(signal, Number(deadlineMs) || 0),
+      timeoutMs: Number(callTimeoutMs) || undefined,
+      trace,
+      transcript: recorder,
       messages: [
-        {
-          role: 'system',
-          content:
-            'You are an expert mathematical solver. Solve equations step-by-step with extraordinary detail.\n- For cubic equations, explicitly use Cardano\'s method (depress the cubic, compute discriminant, derive casus irreducibilis handling).\n- For quartic, use Ferrari\'s method when symbolic solution is feasible.\n- For general polynomials: try factorization (rational root theorem, factoring by grouping), reduce to lower degrees if possible, and provide exact radicals when feasible; only mention numerical methods if exact form is provably not expressible with radicals.\n\nFor each solution, provide a JSON response with this EXACT structure:\n{\n  "type": "linear|quadratic|cubic|polynomial|hamiltonian|differential",\n  "steps": [\n    {\n      "step": 1,\n      "description": "Clear title",\n      "equation": "plain text equation",\n      "latex": "LaTeX formatted equation",\n      "explanation": "Detailed explanation of this step"\n    }\n  ],\n  "finalSolution": "plain text solution",\n  "finalSolutionLatex": "LaTeX formatted solution"\n}\n\nIMPORTANT: Return ONLY valid JSON, no other text.',
-        },
-        {
-          role: 'user',
-          content: `Solve this equation with detailed steps: ${equation}\nVariable: ${variable || 'x'}\n\nProvide the solution in the JSON format specified.`,
-        },
+        { role: 'system', content: prompt.system },
+        { role: 'user', content: prompt.user },
       ],
       temperature: 0.1,
       maxTokens: 4000,
@@ -90,9 +133,14 @@ export default async function handler(req, res) {
       }
     }
 
-    return res.status(200).json(parsed)
+    status = 'completed'
+    const transcriptJSON = recorder ? { runId: trace.runId, equation, createdAt, entries: recorder.entries } : undefined
+    return res.status(200).json({ ...parsed, runId: trace.runId, usage: meter.summary(), prompts: templates.used(), transcript: transcriptJSON })
   } catch (e) {
-    console.error('[api/solve] error', e)
-    return res.status(500).json({ error: `Failed to contact ${provider === 'openrouter' ? 'OpenRouter' : 'Groq'} API: ${e.message}` })
+    // details.provider names the provider that actually failed, which may be a fallback
+    logger.error('error', { code: e?.code, provider: e?.details?.provider || provider, message: e?.message })
+    return sendError(res, e)
+  } finally {
+    await trace.export({ route: '/api/solve', status })
   }
 }
@@ -1,16 +1,129 @@
-import React, { useState } from 'react';
-import { Calculator, Loader2, Download, Copy, CheckCircle2 } from 'lucide-react';
+import React, { useEffect, useRef, useState } from 'react';
+import { Calculator, Loader2, Download, Copy, CheckCircle2, ArrowUp, ArrowDown, Trash2, Plus, ListChecks } from 'lucide-react';
 import Head from 'next/head';
+import { createEventParser } from '../lib/http/sse';
+import { energyLevels } from '../lib/schrodinger/resultSchema';
+import { transcriptToMarkdown } from '../lib/llm/transcript';
+
+// Evaluate the first few E_n locally with every parameter set to 1
+function naturalUnitLevels(structured) {
+  try {
+    const ones = Object.fromEntries(structured.parameters.map((p) => [p.symbol, 1]));
+    const symbol = structured.quantumNumbers[0].symbol;
+    return energyLevels(structured, ones, 4).map((l) => `${symbol}=${l[symbol]}: ${l.energy.toPrecision(4)}`).join(', ');
+  } catch {
+    return null;
+  }
+}
+
+const TERMINATION_LABELS = {
+  model_stop: 'the model reported the derivation complete',
+  plan_complete: 'every plan step was derived',
+  max_iterations: 'the iteration limit was reached',
+  revision_rejected: 'an iteration and its revision both failed validation',
+  unparseable_output: 'the model returned output that could not be parsed',
+  cancelled: 'the run was cancelled',
+  timed_out: 'the run reached its time limit',
+};
+
+// One row per validation check with the measured value and the requirement
+function ValidationChecks({ checks }) {
+  return (
+    <table className="w-full text-xs font-mono mt-2">
+      <tbody>
+        {checks.map((c) => (
+          <tr key={c.id} className={c.passed ? 'text-gray-700' : 'text-red-700'}>
+            <td className="py-0.5 pr-2">{c.passed ? 'pass' : 'FAIL'}</td>
+            <td className="py-0.5 pr-2">{c.label}</td>
+            <td className="py-0.5 pr-2">{String(c.measured)}</td>
+            <td className="py-0.5 pr-2">{c.required}</td>
+            <td className="py-0.5 break-all">{c.detail || ''}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+// What the user can do about an API error, by its code
+const ERROR_HINTS = {
+  provider_not_configured: 'Check the provider\'s API key in the server configuration.',
+  provider_auth_failed: 'The provider rejected the API key; check it in the server configuration.',
+  provider_error: 'The provider is unavailable; try again later or choose another provider.',
+  provider_timeout: 'The provider took too long; try again later or choose another provider.',
+  unparseable_output: 'Try again, or choose a stronger model.',
+  validation_failed: 'Try again, or choose a stronger model.',
+};
+
+// Message for the API's error envelope ({ error, code, retryAfter? }), naming
+// the run id (X-Run-Id) to quote when reporting it
+function apiErrorMessage(body, status, runId) {
+  const message = body?.error || `API error: ${status}`;
+  const run = runId ? ` (run ${runId})` : '';
+  if (body?.code === 'provider_rate_limited') return `${message}. Rate limited: try again in ${body.retryAfter} s.${run}`;
+  const hint = ERROR_HINTS[body?.code];
+  return hint ? `${message}. ${hint}${run}` : `${message}${run}`;
+}
+
+const formatCost = (cost) => (cost === null ? 'no price configured' : `$${cost.toFixed(4)}`);
+
+// Tokens, latency and cost of a run, overall and per stage
+function UsageSummary({ usage, runId }) {
+  return (
+    <div className="mt-8 p-6 rounded-xl border-2 bg-gray-50 border-gray-200">
+      <h3 className="text-xl font-bold text-gray-900 mb-2">Usage</h3>
+      <p className="text-sm text-gray-700">
+        {usage.calls} LLM calls{usage.failedCalls > 0 && ` (${usage.failedCalls} failed)`}{usage.cacheHits > 0 && ` (${usage.cacheHits} from cache)`}, {usage.totalTokens.toLocaleString()} tokens
+        ({usage.promptTokens.toLocaleString()} prompt, {usage.completionTokens.toLocaleString()} completion),
+        {' '}{(usage.latencyMs / 1000).toFixed(1)} s, {usage.retries} retries. Cost: {formatCost(usage.cost)}
+        {usage.cost !== null && usage.unpricedCalls > 0 && ` plus ${usage.unpricedCalls} unpriced calls`}.
+      </p>
+      {runId && <p className="text-xs text-gray-500 font-mono mt-1">Run {runId}</p>}
+      {Object.keys(usage.byStage).length > 1 && (
+        <table className="w-full text-xs font-mono mt-2">
+          <tbody>
+            {Object.entries(usage.byStage).map(([stage, s]) => (
+              <tr key={stage} className="text-gray-700">
+                <td className="py-0.5 pr-2">{stage}</td>
+                <td className="py-0.5 pr-2">{s.calls} calls</td>
+                <td className="py-0.5 pr-2">{s.totalTokens.toLocaleString()} tokens</td>
+                <td className="py-0.5">{formatCost(s.cost)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+// /api/schrodinger stops after this many iterations; longer plans need a job
+const SYNC_ITERATION_CAP = 4;
+
+// Plan steps are edited with one list item per line
+const PLAN_LIST_FIELDS = ['methods', 'deliverables', 'physics_checks'];
+
+function editablePlanStep(step) {
+  const lists = Object.fromEntries(PLAN_LIST_FIELDS.map((field) => [field, (step[field] || []).join('\n')]));
+  return { title: step.title || '', success: step.success || '', ...lists };
+}
+
+function planStepFromEdit(step) {
+  const lists = Object.fromEntries(PLAN_LIST_FIELDS.map((field) => [field, step[field].split('\n').map((line) => line.trim()).filter(Boolean)]));
+  return { title: step.title.trim(), success: step.success.trim(), ...lists };
+}
 
 export default function Home() {
   const [equation, setEquation] = useState('');
   const [variable, setVariable] = useState('x');
   const [mode, setMode] = useState('general'); // 'general' | 'schrodinger'
   const [provider, setProvider] = useState('nvidia'); // Default: NVIDIA NIM
+  const [customProviders, setCustomProviders] = useState([]); // self-hosted servers from /api/providers
   // Schrödinger context
   const [schType, setSchType] = useState('time-independent');
   const [requestText, setRequestText] = useState('');
   const [strategy, setStrategy] = useState('planner'); // 'planner' | 'baseline'
+  const [detailLevel, setDetailLevel] = useState('exhaustive'); // also names the validation policy
   const [potential, setPotential] = useState('');
   const [domain, setDomain] = useState('');
   const [boundary, setBoundary] = useState('');
@@ -19,12 +132,26 @@ export default function Home() {
   const [equationLatex, setEquationLatex] = useState('');
   const [maxIterations, setMaxIterations] = useState(4);
   const [temperature, setTemperature] = useState(0.1);
+  const [recordTranscript, setRecordTranscript] = useState(false);
+  const [planDraft, setPlanDraft] = useState(null); // { equation, context, notes, steps } under review before execution
+  const [planning, setPlanning] = useState(false);
   const [loading, setLoading] = useState(false);
   const [result, setResult] = useState(null); // general solver result
   const [schResult, setSchResult] = useState(null); // schrodinger solver result
+  const runController = useRef(null); // aborts the streaming request; the server stops the run when the client disconnects
+  const [progress, setProgress] = useState(''); // live status while streaming
   const [error, setError] = useState('');
   const [copied, setCopied] = useState(false);
 
+  useEffect(() => {
+    fetch('/api/providers')
+      .then((r) => (r.ok ? r.json() : { providers: [] }))
+      .then((data) => setCustomProviders(data.providers || []))
+      .catch(() => setCustomProviders([]));
+  }, []);
+
+  const customProvider = customProviders.find((p) => p.id === provider);
+
   const solveEquation = async () => {
     if (!equation.trim()) {
       setError('Please enter an equation');
@@ -47,7 +174,7 @@ export default function Home() {
 
       if (!response.ok) {
         const errJson = await response.json().catch(() => ({}));
-        throw new Error(errJson.error || `API error: ${response.status}`);
+        throw new Error(apiErrorMessage(errJson, response.status, response.headers.get('X-Run-Id')));
       }
 
       const parsedResult = await response.json();
@@ -60,58 +187,168 @@ export default function Home() {
     }
   };
 
-  const solveSchrodinger = async () => {
+  const schrodingerContext = () => ({
+    type: schType || undefined,
+    potential: potential || undefined,
+    domain: domain || undefined,
+    boundary: boundary || undefined,
+    initial: initialCond || undefined,
+    parameters: parameters || undefined,
+    equationLatex: equationLatex || undefined,
+  });
+
+  // Ask for the plan alone, so its steps can be reviewed before any iteration runs
+  const reviewPlan = async () => {
     if (!equation.trim() && !requestText.trim()) {
       setError('Provide either an equation/Hamiltonian or a natural-language request.');
       return;
     }
+    setPlanning(true);
+    setError('');
+    try {
+      const response = await fetch('/api/plan', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ equation, context: schrodingerContext(), request: requestText || undefined, provider, temperature: Number(temperature) || 0.1 }),
+      });
+      const data = await response.json().catch(() => ({}));
+      if (!response.ok) throw new Error(apiErrorMessage(data, response.status, response.headers.get('X-Run-Id')));
+      setPlanDraft({ equation: data.equation, context: data.context, notes: data.notes, steps: data.plan.map(editablePlanStep) });
+    } catch (err) {
+      setError(err.message || 'Failed to plan the derivation. Please try again.');
+    } finally {
+      setPlanning(false);
+    }
+  };
+
+  const updatePlanStep = (i, field, value) => {
+    setPlanDraft((prev) => ({ ...prev, steps: prev.steps.map((step, j) => (j === i ? { ...step, [field]: value } : step)) }));
+  };
+
+  const movePlanStep = (i, offset) => {
+    setPlanDraft((prev) => {
+      const steps = [...prev.steps];
+      const [step] = steps.splice(i, 1);
+      steps.splice(i + offset, 0, step);
+      return { ...prev, steps };
+    });
+  };
+
+  const removePlanStep = (i) => setPlanDraft((prev) => ({ ...prev, steps: prev.steps.filter((_, j) => j !== i) }));
+
+  const addPlanStep = () => setPlanDraft((prev) => ({ ...prev, steps: [...prev.steps, editablePlanStep({})] }));
+
+  const runReviewedPlan = () => {
+    if (planDraft.steps.some((step) => !step.title.trim())) {
+      setError('Every plan step needs a title.');
+      return;
+    }
+    solveSchrodinger({ equation: planDraft.equation, context: planDraft.context, plan: planDraft.steps.map(planStepFromEdit) });
+  };
+
+  // `reviewed` carries an edited plan with the equation and context it was made for
+  const solveSchrodinger = async (reviewed) => {
+    if (!reviewed && !equation.trim() && !requestText.trim()) {
+      setError('Provide either an equation/Hamiltonian or a natural-language request.');
+      return;
+    }
 
     setLoading(true);
     setError('');
     setResult(null);
     setSchResult(null);
+    setProgress('Starting...');
+    const controller = new AbortController();
+    runController.current = controller;
 
     try {
-      const context = {
-        type: schType || undefined,
-        potential: potential || undefined,
-        domain: domain || undefined,
-        boundary: boundary || undefined,
-        initial: initialCond || undefined,
-        parameters: parameters || undefined,
-        equationLatex: equationLatex || undefined,
-      };
       const response = await fetch('/api/schrodinger', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json', Accept: 'text/event-stream' },
         body: JSON.stringify({
-          equation,
+          equation: reviewed ? reviewed.equation : equation,
           variable,
-          context,
-          maxIterations: Number(maxIterations) || 4,
+          context: reviewed ? reviewed.context : schrodingerContext(),
+          maxIterations: reviewed ? reviewed.plan.length : Number(maxIterations) || 4,
           temperature: Number(temperature) || 0.1,
-          detailLevel: 'exhaustive',
-          request: requestText || undefined,
+          detailLevel,
+          request: reviewed ? undefined : requestText || undefined,
+          plan: reviewed?.plan,
           strategy,
           provider,
+          transcript: recordTranscript || undefined,
+          stream: true,
         }),
+        signal: controller.signal,
       });
 
       if (!response.ok) {
         const errJson = await response.json().catch(() => ({}));
-        throw new Error(errJson.error || `API error: ${response.status}`);
+        throw new Error(apiErrorMessage(errJson, response.status, response.headers.get('X-Run-Id')));
       }
 
-      const parsed = await response.json();
-      setSchResult(parsed);
+      await readSchrodingerStream(response);
     } catch (err) {
-      setError(err.message || 'Failed to solve Schrödinger equation. Please try again.');
-      console.error('Error:', err);
+      if (controller.signal.aborted) {
+        // Keep the iterations that arrived before the run was stopped
+        setSchResult((prev) => prev && { ...prev, status: 'cancelled' });
+      } else {
+        setError(err.message || 'Failed to solve Schrödinger equation. Please try again.');
+        console.error('Error:', err);
+      }
     } finally {
+      runController.current = null;
       setLoading(false);
+      setProgress('');
     }
   };
 
+  // Render iterations as they arrive from /api/schrodinger's event stream
+  const readSchrodingerStream = async (response) => {
+    let streamError = null;
+    setSchResult({ iterations: [], latex: '', final: null });
+    const parse = createEventParser((event, data) => {
+      if (event === 'plan') {
+        setProgress(`Plan ready (${data.plan?.length || 0} steps)`);
+      } else if (event === 'iteration_start') {
+        setProgress(`Iteration ${data.k} of ${data.total}${data.title ? `: ${data.title}` : ''}`);
+      } else if (event === 'validation_failed') {
+        const failed = (data.validation?.checks || []).filter((c) => !c.passed).map((c) => c.label.toLowerCase());
+        setProgress(`Iteration ${data.k} failed validation${failed.length ? ` (${failed.join(', ')})` : ''}, requesting revision...`);
+      } else if (event === 'revision') {
+        setProgress(data.accepted ? `Revision of iteration ${data.k} accepted` : `Revision of iteration ${data.k} rejected, stopping`);
+      } else if (event === 'judge') {
+        const unmet = data.judgement.items.filter((item) => !item.met).length;
+        setProgress(`Iteration ${data.k}: ${unmet ? `${unmet} plan item${unmet === 1 ? '' : 's'} not delivered` : 'plan step delivered'}`);
+      } else if (event === 'iteration') {
+        setSchResult((prev) => ({ ...prev, iterations: [...(prev?.iterations || []), data.iteration] }));
+      } else if (event === 'appendix_start') {
+        setProgress('Synthesizing appendix...');
+      } else if (event === 'structured_start') {
+        setProgress('Extracting the structured result...');
+      } else if (event === 'verification_start') {
+        setProgress('Cross-checking the spectrum numerically...');
+      } else if (event === 'verification') {
+        setSchResult((prev) => ({ ...prev, verification: data.verification }));
+      } else if (event === 'done') {
+        setSchResult((prev) => ({ ...prev, runId: data.runId, status: data.status, latex: data.latex, final: data.final, validation: data.validation, usage: data.usage, transcript: data.transcript }));
+      } else if (event === 'error') {
+        streamError = apiErrorMessage(data, undefined, response.headers.get('X-Run-Id'));
+        // A failed run's transcript is the most useful one to read
+        if (data.partial?.transcript) setSchResult((prev) => ({ ...prev, transcript: data.partial.transcript }));
+      }
+    });
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      parse(decoder.decode(value, { stream: true }));
+    }
+    if (streamError) throw new Error(streamError);
+  };
+
   const copyLatex = () => {
     if (mode === 'schrodinger' && schResult?.latex) {
       navigator.clipboard.writeText(schResult.latex);
@@ -148,6 +385,20 @@ export default function Home() {
     URL.revokeObjectURL(url);
   };
 
+  const downloadTranscript = (format) => {
+    const transcript = schResult?.transcript;
+    if (!transcript) return;
+    const markdown = format === 'markdown';
+    const text = markdown ? transcriptToMarkdown(transcript) : JSON.stringify(transcript, null, 2);
+    const blob = new Blob([text], { type: markdown ? 'text/markdown' : 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `transcript-${transcript.runId || 'run'}.${markdown ? 'md' : 'json'}`;
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
   const generateFullLatex = () => {
     if (!result) return '';
 
@@ -229,6 +480,8 @@ ${step.latex}
                     provider === 'sambanova' ? 'SambaNova Llama 3.1 405B' :
                     provider === 'nvidia' ? 'NVIDIA NIM Llama 4 Maverick' :
                     provider === 'cerebras' ? 'Cerebras Llama 3.3 70B' :
+                    provider === 'anthropic' ? 'Anthropic Claude' :
+                    customProvider ? customProvider.label :
                     'OpenRouter'
                   } - Extraordinary Detail & Consistency
                 </p>
@@ -298,6 +551,10 @@ ${step.latex}
                     <option value="sambanova">SambaNova (Llama 3.1 405B)</option>
                     <option value="nvidia">NVIDIA NIM (Llama 4 Maverick 17B)</option>
                     <option value="cerebras">Cerebras (Llama 3.3 70B)</option>
+                    <option value="anthropic">Anthropic (Claude)</option>
+                    {customProviders.map((p) => (
+                      <option key={p.id} value={p.id}>{p.label} ({p.model})</option>
+                    ))}
                   </select>
                   <p className="mt-1 text-xs text-gray-500">
                     {provider === 'groq' && 'Fast responses, good for standard problems'}
@@ -307,6 +564,8 @@ ${step.latex}
                     {provider === 'sambanova' && 'Llama 3.1 405B - Powerful open model, excellent for physics'}
                     {provider === 'nvidia' && 'Llama 4 Maverick 17B - NVIDIA optimized, fast inference'}
                     {provider === 'cerebras' && 'Llama 3.3 70B - Ultra-fast inference on Cerebras hardware'}
+                    {provider === 'anthropic' && 'Claude via the native Messages API - strong long-form reasoning'}
+                    {customProvider && `Self-hosted ${customProvider.model} - runs on your own server`}
                   </p>
                 </div>
               </div>
@@ -329,6 +588,18 @@ ${step.latex}
                       <option value="baseline">Baseline (direct iterative)</option>
                     </select>
                   </div>
+                  <div>
+                    <label className="block text-sm font-semibold text-gray-700 mb-2">Validation Policy</label>
+                    <select
+                      value={detailLevel}
+                      onChange={(e) => setDetailLevel(e.target.value)}
+                      className="w-full px-4 py-3 border-2 border-gray-200 rounded-xl focus:border-blue-500 focus:ring-2 focus:ring-blue-200 outline-none transition-all text-sm"
+                    >
+                      <option value="sketch">Sketch (quick lecture notes)</option>
+                      <option value="standard">Standard</option>
+                      <option value="exhaustive">Exhaustive (publication grade)</option>
+                    </select>
+                  </div>
                   <div>
                     <label className="block text-sm font-semibold text-gray-700 mb-2">Type</label>
                     <select
@@ -372,6 +643,13 @@ ${step.latex}
                     <label className="block text-sm font-semibold text-gray-700 mb-2">Temperature</label>
                     <input type="number" step="0.05" min="0" max="1" value={temperature} onChange={(e)=>setTemperature(e.target.value)} className="w-full px-4 py-3 border-2 border-gray-200 rounded-xl focus:border-blue-500 focus:ring-2 focus:ring-blue-200 outline-none transition-all text-sm" />
                   </div>
+                  <div className="md:col-span-2">
+                    <label className="flex items-center gap-2 text-sm font-semibold text-gray-700">
+                      <input type="checkbox" checked={recordTranscript} onChange={(e)=>setRecordTranscript(e.target.checked)} className="rounded" />
+                      Record transcript
+                    </label>
+                    <p className="mt-1 text-xs text-gray-500">Keeps every prompt and raw model reply of the run for download, to audit or debug a derivation.</p>
+                  </div>
                 </div>
               )}
 
@@ -395,14 +673,14 @@ ${step.latex}
               </div>
 
               <button
-                onClick={mode==='general' ? solveEquation : solveSchrodinger}
-                disabled={loading}
+                onClick={mode==='general' ? solveEquation : () => solveSchrodinger()}
+                disabled={loading || planning}
                 className="w-full bg-gradient-to-r from-blue-600 to-indigo-600 hover:from-blue-700 hover:to-indigo-700 text-white font-bold py-4 rounded-xl shadow-lg hover:shadow-xl transition-all disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
               >
                 {loading ? (
                   <>
                     <Loader2 className="animate-spin" size={20} />
-                    {mode==='general' ? 'Solving...' : 'Solving Schrödinger...'}
+                    {mode==='general' ? 'Solving...' : (progress || 'Solving Schrödinger...')}
                   </>
                 ) : (
                   <>
@@ -411,6 +689,72 @@ ${step.latex}
                   </>
                 )}
               </button>
+              {loading && mode==='schrodinger' && (
+                <button
+                  onClick={() => runController.current?.abort()}
+                  className="w-full mt-2 py-2 rounded-xl border-2 border-gray-300 text-gray-700 font-semibold hover:bg-gray-50"
+                >
+                  Stop
+                </button>
+              )}
+              {!loading && mode==='schrodinger' && strategy==='planner' && (
+                <button
+                  onClick={reviewPlan}
+                  disabled={planning}
+                  className="w-full mt-2 py-2 rounded-xl border-2 border-indigo-300 text-indigo-700 font-semibold hover:bg-indigo-50 disabled:opacity-50 flex items-center justify-center gap-2"
+                >
+                  {planning ? <Loader2 className="animate-spin" size={18} /> : <ListChecks size={18} />}
+                  {planning ? 'Planning...' : 'Review plan before solving'}
+                </button>
+              )}
+
+              {mode==='schrodinger' && planDraft && (
+                <div className="mt-4 p-4 border-2 border-indigo-200 rounded-xl space-y-4">
+                  <div className="flex items-center justify-between">
+                    <h3 className="text-lg font-bold text-gray-900">Plan ({planDraft.steps.length} steps)</h3>
+                    <button onClick={() => setPlanDraft(null)} className="text-sm text-gray-500 hover:text-gray-700">Discard</button>
+                  </div>
+                  <p className="text-xs text-gray-500 font-mono break-all">{planDraft.equation}</p>
+                  {planDraft.notes && <p className="text-sm text-gray-600">{planDraft.notes}</p>}
+                  {planDraft.steps.map((step, i) => (
+                    <div key={i} className="p-3 bg-gray-50 border border-gray-200 rounded-lg space-y-2">
+                      <div className="flex items-center gap-2">
+                        <span className="flex-shrink-0 w-7 h-7 bg-indigo-600 text-white rounded-full flex items-center justify-center font-bold text-xs">{i + 1}</span>
+                        <input value={step.title} onChange={(e) => updatePlanStep(i, 'title', e.target.value)} placeholder="Step title" className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm font-semibold" />
+                        <button onClick={() => movePlanStep(i, -1)} disabled={i === 0} title="Move up" className="p-1 text-gray-500 hover:text-gray-800 disabled:opacity-30"><ArrowUp size={16} /></button>
+                        <button onClick={() => movePlanStep(i, 1)} disabled={i === planDraft.steps.length - 1} title="Move down" className="p-1 text-gray-500 hover:text-gray-800 disabled:opacity-30"><ArrowDown size={16} /></button>
+                        <button onClick={() => removePlanStep(i)} title="Delete step" className="p-1 text-red-500 hover:text-red-700"><Trash2 size={16} /></button>
+                      </div>
+                      <div className="grid grid-cols-1 md:grid-cols-3 gap-2">
+                        <label className="text-xs font-semibold text-gray-600">Methods (one per line)
+                          <textarea value={step.methods} onChange={(e) => updatePlanStep(i, 'methods', e.target.value)} className="mt-1 w-full px-2 py-1 border border-gray-300 rounded text-xs font-normal min-h-[70px]" />
+                        </label>
+                        <label className="text-xs font-semibold text-gray-600">Deliverables (one per line)
+                          <textarea value={step.deliverables} onChange={(e) => updatePlanStep(i, 'deliverables', e.target.value)} className="mt-1 w-full px-2 py-1 border border-gray-300 rounded text-xs font-normal min-h-[70px]" />
+                        </label>
+                        <label className="text-xs font-semibold text-gray-600">Physics checks (one per line)
+                          <textarea value={step.physics_checks} onChange={(e) => updatePlanStep(i, 'physics_checks', e.target.value)} className="mt-1 w-full px-2 py-1 border border-gray-300 rounded text-xs font-normal min-h-[70px]" />
+                        </label>
+                      </div>
+                      <input value={step.success} onChange={(e) => updatePlanStep(i, 'success', e.target.value)} placeholder="Success criterion" className="w-full px-3 py-2 border border-gray-300 rounded-lg text-xs" />
+                    </div>
+                  ))}
+                  <button onClick={addPlanStep} className="flex items-center gap-1 px-3 py-2 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-lg text-sm font-medium">
+                    <Plus size={16} />
+                    Add step
+                  </button>
+                  {planDraft.steps.length > SYNC_ITERATION_CAP && (
+                    <p className="text-xs text-amber-700">Only the first {SYNC_ITERATION_CAP} steps run here; submit longer plans as a job (POST /api/jobs with the same plan).</p>
+                  )}
+                  <button
+                    onClick={runReviewedPlan}
+                    disabled={loading || !planDraft.steps.length}
+                    className="w-full bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-3 rounded-xl disabled:opacity-50"
+                  >
+                    Solve with this plan
+                  </button>
+                </div>
+              )}
             </div>
 
             {error && (
@@ -483,6 +827,8 @@ ${step.latex}
                   <code className="text-sm text-green-800 break-all">{result.finalSolutionLatex}</code>
                 </div>
               </div>
+
+              {result.usage && <UsageSummary usage={result.usage} runId={result.runId} />}
             </div>
           )}
 
@@ -508,6 +854,32 @@ ${step.latex}
                 </div>
               </div>
 
+              {schResult.transcript && (
+                <div className="mb-6 flex flex-wrap items-center gap-2 text-sm">
+                  <span className="text-gray-700">Transcript ({schResult.transcript.entries.length} calls):</span>
+                  <button
+                    onClick={() => downloadTranscript('json')}
+                    className="flex items-center gap-1 px-3 py-1 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-lg font-medium transition-colors"
+                  >
+                    <Download size={14} />
+                    .json
+                  </button>
+                  <button
+                    onClick={() => downloadTranscript('markdown')}
+                    className="flex items-center gap-1 px-3 py-1 bg-gray-100 hover:bg-gray-200 text-gray-700 rounded-lg font-medium transition-colors"
+                  >
+                    <Download size={14} />
+                    .md
+                  </button>
+                </div>
+              )}
+
+              {(schResult.status === 'cancelled' || schResult.status === 'timed_out') && (
+                <div className="mb-6 p-4 bg-amber-50 border border-amber-300 rounded-xl text-sm text-amber-900">
+                  {schResult.status === 'timed_out' ? 'The run reached its time limit' : 'The run was stopped'}; showing the iterations derived so far.
+                </div>
+              )}
+
               <div className="mb-6 p-4 bg-blue-50 border border-blue-200 rounded-xl">
                 <p className="text-sm font-semibold text-blue-900 mb-1">Iterations</p>
                 <p className="text-lg font-mono text-blue-700">{schResult.iterations?.length || 0} steps</p>
@@ -523,7 +895,7 @@ ${step.latex}
                       <div className="flex-1">
                         <h3 className="text-lg font-bold text-gray-900 mb-2">{it.goal || `Iteration ${it.k || (idx + 1)}`}</h3>
                         {Array.isArray(it.equations) && it.equations.map((eq, j) => (
-                          <div key={j} className="bg-gray-50 rounded-lg p-4 mb-3 border border-gray-200">
+                          <div key={j} className={`rounded-lg p-4 mb-3 border ${eq.consistency?.status === 'flagged' ? 'bg-red-50 border-red-300' : 'bg-gray-50 border-gray-200'}`}>
                             {eq.text && <p className="font-mono text-gray-800 mb-2">{eq.text}</p>}
                             {eq.latex && (
                               <div className="bg-blue-50 rounded-lg p-3 border border-blue-200">
@@ -531,17 +903,163 @@ ${step.latex}
                                 <code className="text-xs text-blue-700 break-all">{eq.latex}</code>
                               </div>
                             )}
+                            {eq.consistency?.status === 'flagged' && (
+                              <p className="mt-2 text-sm text-red-700">
+                                <strong>Step check: {eq.consistency.label}</strong> - {eq.consistency.detail} (from equation {j})
+                              </p>
+                            )}
+                            {eq.consistency?.status === 'ok' && (
+                              <p className="mt-2 text-xs text-green-700">Step check: follows from equation {j}</p>
+                            )}
                           </div>
                         ))}
                         {it.analysis && <p className="text-gray-700 leading-relaxed">{it.analysis}</p>}
                         {it.result_summary && (
                           <div className="mt-2 text-sm text-gray-600"><strong>Summary:</strong> {it.result_summary}</div>
                         )}
+                        {it.servedBy && (
+                          <p className="mt-2 text-xs text-gray-500">
+                            Written by {it.servedBy.provider} / {it.servedBy.model}
+                            {it.servedBy.cached && ' (cached)'}
+                            {it.servedBy.skipped?.length > 0 && ` (fell back from ${it.servedBy.skipped.map((s) => s.provider).join(', ')})`}
+                          </p>
+                        )}
+                        {it.validation && (
+                          <details className="mt-2 text-sm text-gray-600">
+                            <summary className="cursor-pointer">
+                              Validation: {it.validation.passed ? 'passed' : 'failed'}
+                              {it.validation.revisionAttempted && ' after revising a draft that failed'}
+                            </summary>
+                            <ValidationChecks checks={it.validation.checks} />
+                            {it.validation.draft && (
+                              <>
+                                <p className="mt-2 font-semibold">Rejected draft</p>
+                                <ValidationChecks checks={it.validation.draft.checks} />
+                              </>
+                            )}
+                          </details>
+                        )}
+                        {it.judgement && (
+                          <details className="mt-2 text-sm text-gray-600">
+                            <summary className="cursor-pointer">
+                              Plan step: {it.judgement.items.filter((item) => item.met).length} of {it.judgement.items.length} items delivered
+                              {it.judgement.revision && ` (focused revision ${it.judgement.revision.accepted ? 'kept' : 'dropped'})`}
+                            </summary>
+                            <ul className="mt-2 text-xs space-y-0.5">
+                              {it.judgement.items.map((item, i) => (
+                                <li key={i} className={item.met ? 'text-gray-700' : 'text-red-700'}>
+                                  {item.met ? 'met' : 'UNMET'} [{item.kind.replace('_', ' ')}{item.carried ? `, from step ${item.step}` : ''}] {item.text}
+                                  {item.reason && <span className="text-gray-500"> ({item.by}: {item.reason})</span>}
+                                </li>
+                              ))}
+                            </ul>
+                          </details>
+                        )}
                       </div>
                     </div>
                   </div>
                 ))}
               </div>
+
+              {schResult.validation && (
+                <div className={`mt-8 p-6 rounded-xl border-2 ${schResult.validation.rejected ? 'bg-red-50 border-red-300' : 'bg-gray-50 border-gray-200'}`}>
+                  <h3 className="text-xl font-bold text-gray-900 mb-2">Validation Report</h3>
+                  <p className="text-sm text-gray-700">
+                    Stopped after iteration {schResult.validation.termination.k}: {TERMINATION_LABELS[schResult.validation.termination.reason] || schResult.validation.termination.reason}.
+                    {' '}{schResult.validation.iterations.filter((i) => i.revisionAttempted).length} of {schResult.validation.iterations.length} accepted iterations needed a revision
+                    {schResult.validation.policy && ` under the ${schResult.validation.policy.name} policy`}.
+                  </p>
+                  {schResult.validation.physicsCoverage?.required.length > 0 && (
+                    <p className={`mt-1 text-sm ${schResult.validation.physicsCoverage.passed ? 'text-gray-700' : 'text-red-700'}`}>
+                      Required physics checks: {schResult.validation.physicsCoverage.covered.length} of {schResult.validation.physicsCoverage.required.length} carried out
+                      {schResult.validation.physicsCoverage.missing.length > 0 && ` (missing: ${schResult.validation.physicsCoverage.missing.join(', ')})`}
+                    </p>
+                  )}
+                  {schResult.validation.judge?.unmet.length > 0 && (
+                    <p className="mt-1 text-sm text-red-700">
+                      Plan items never delivered: {schResult.validation.judge.unmet.map((item) => `${item.text} (step ${item.step})`).join('; ')}
+                    </p>
+                  )}
+                  {schResult.validation.rejected && (
+                    <div className="mt-3 text-sm text-gray-700">
+                      <p className="font-semibold">Iteration {schResult.validation.rejected.k} draft</p>
+                      <ValidationChecks checks={schResult.validation.rejected.draft.checks} />
+                      {schResult.validation.rejected.revision && (
+                        <>
+                          <p className="mt-2 font-semibold">Iteration {schResult.validation.rejected.k} revision</p>
+                          <ValidationChecks checks={schResult.validation.rejected.revision.checks} />
+                        </>
+                      )}
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {schResult.usage && <UsageSummary usage={schResult.usage} runId={schResult.runId} />}
+
+              {schResult.final?.structured && (
+                <div className="mt-8 p-6 rounded-xl border-2 bg-indigo-50 border-indigo-200">
+                  <h3 className="text-xl font-bold text-gray-900 mb-2">Structured Result</h3>
+                  <dl className="text-sm text-gray-800 grid grid-cols-[max-content_1fr] gap-x-4 gap-y-1">
+                    <dt className="font-semibold">Energy spectrum</dt>
+                    <dd className="font-mono break-all">E = {schResult.final.structured.energySpectrum.expression}</dd>
+                    <dt className="font-semibold">Eigenfunctions</dt>
+                    <dd className="font-mono break-all">{schResult.final.structured.eigenfunctions.expression}</dd>
+                    <dt className="font-semibold">Normalization</dt>
+                    <dd className="font-mono break-all">{schResult.final.structured.eigenfunctions.normalization.expression}</dd>
+                    <dt className="font-semibold">Quantum numbers</dt>
+                    <dd>{schResult.final.structured.quantumNumbers.map((q) => `${q.symbol}: ${q.range}`).join('; ')}</dd>
+                    <dt className="font-semibold">Parameters</dt>
+                    <dd>{schResult.final.structured.parameters.map((p) => `${p.symbol} [${p.unit}]${p.description ? ` ${p.description}` : ''}`).join('; ') || 'none'}</dd>
+                    <dt className="font-semibold">Validity</dt>
+                    <dd>{schResult.final.structured.validityRegime}</dd>
+                  </dl>
+                  {naturalUnitLevels(schResult.final.structured) && (
+                    <p className="mt-3 text-sm font-mono text-gray-700">
+                      Lowest levels (all parameters = 1): {naturalUnitLevels(schResult.final.structured)}
+                    </p>
+                  )}
+                </div>
+              )}
+
+              {schResult.final?.structuredErrors?.length > 0 && (
+                <div className="mt-8 p-4 rounded-xl border-2 bg-yellow-50 border-yellow-300 text-sm text-yellow-900">
+                  <strong>Structured result rejected:</strong> {schResult.final.structuredErrors.join('; ')}
+                </div>
+              )}
+
+              {schResult.verification && (
+                <div className={`mt-8 p-6 rounded-xl border-2 ${schResult.verification.status === 'passed' ? 'bg-green-50 border-green-300' : schResult.verification.status === 'failed' ? 'bg-red-50 border-red-300' : 'bg-gray-50 border-gray-200'}`}>
+                  <h3 className="text-xl font-bold text-gray-900 mb-2">Numerical Verification</h3>
+                  <p className="text-sm text-gray-700 mb-3">
+                    Status: <strong>{schResult.verification.status}</strong>
+                    {schResult.verification.reason && ` - ${schResult.verification.reason}`}
+                    {schResult.verification.grid && ` (finite differences, ${schResult.verification.grid.points} points, ${schResult.verification.grid.boundary} boundaries)`}
+                  </p>
+                  {schResult.verification.rows?.length > 0 && (
+                    <table className="w-full text-sm font-mono">
+                      <thead>
+                        <tr className="text-left text-gray-600">
+                          <th className="py-1">n</th>
+                          <th className="py-1">Analytic E_n</th>
+                          <th className="py-1">Numeric E_n</th>
+                          <th className="py-1">Rel. error</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {schResult.verification.rows.map((row) => (
+                          <tr key={row.n} className={row.relError > schResult.verification.tolerance ? 'text-red-700' : 'text-gray-800'}>
+                            <td className="py-1">{row.n}</td>
+                            <td className="py-1">{Number(row.analytic).toPrecision(6)}</td>
+                            <td className="py-1">{Number(row.numeric).toPrecision(6)}</td>
+                            <td className="py-1">{Number(row.relError).toExponential(2)}{row.converged === false ? ' *' : ''}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  )}
+                </div>
+              )}
             </div>
           )}
         </div>
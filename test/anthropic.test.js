@@ -0,0 +1,109 @@
+import http from 'http'
+import { callLLM, getLLMConfig } from '../lib/llm/provider'
+import { resetProviderHealth } from '../lib/llm/health'
+import { planSchrodingerSolution } from '../lib/schrodinger/plan'
+import { solveSchrodingerIterative } from '../lib/schrodinger/solver'
+import { loadTranscript, silenceConsole } from './helpers/transcripts'
+
+const ENV = { ...process.env }
+
+// A stand-in for the Messages API: records each request and answers from a queue
+let server
+let requests
+let replies
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    let raw = ''
+    req.on('data', (chunk) => { raw += chunk })
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body: JSON.parse(raw) })
+      const { status = 200, body } = replies.shift() || { status: 500, body: { error: 'no reply queued' } }
+      res.writeHead(status, { 'Content-Type': 'application/json' })
+      res.end(JSON.stringify(body))
+    })
+  })
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+})
+
+afterAll(() => new Promise((resolve) => server.close(resolve)))
+
+beforeEach(() => {
+  requests = []
+  replies = []
+  process.env = {
+    ...ENV,
+    ANTHROPIC_API_KEY: 'test-key',
+    ANTHROPIC_API_URL: `http://127.0.0.1:${server.address().port}/v1/messages`,
+    SCH_MIN_DELAY_MS: '0',
+    SCH_MAX_RETRIES: '0',
+  }
+  resetProviderHealth()
+  silenceConsole()
+})
+
+afterEach(() => {
+  process.env = ENV
+  jest.restoreAllMocks()
+})
+
+const textReply = (text, extra = {}) => ({ body: { content: [{ type: 'text', text }], stop_reason: 'end_turn', usage: { input_tokens: 12, output_tokens: 5 }, ...extra } })
+
+describe('anthropic provider', () => {
+  test('moves system prompts out of the messages and merges repeated roles', async () => {
+    replies.push(textReply('x = 2'))
+
+    const data = await callLLM({
+      provider: 'anthropic',
+      messages: [
+        { role: 'system', content: 'Be exact.' },
+        { role: 'user', content: 'Solve 2x = 4.' },
+        { role: 'user', content: 'Show steps.' },
+      ],
+      temperature: 1.5,
+      maxTokens: 300,
+      maxRetries: 0,
+    })
+
+    const [{ headers, body }] = requests
+    expect(headers['x-api-key']).toBe('test-key')
+    expect(headers['anthropic-version']).toBe('2023-06-01')
+    expect(body).toMatchObject({ model: 'claude-3-5-sonnet-latest', system: 'Be exact.', max_tokens: 300, temperature: 1 })
+    expect(body.messages).toEqual([{ role: 'user', content: 'Solve 2x = 4.\n\nShow steps.' }])
+    expect(data.choices[0]).toEqual({ message: { role: 'assistant', content: 'x = 2' }, finish_reason: 'stop' })
+    expect(data.usage).toEqual({ prompt_tokens: 12, completion_tokens: 5, total_tokens: 17 })
+  })
+
+  test('prefills an opening brace for JSON mode', async () => {
+    replies.push(textReply('"plan": [{"title": "Separate variables"}]}'))
+
+    const plan = await planSchrodingerSolution({
+      config: getLLMConfig('anthropic'),
+      equation: 'H psi = E psi',
+      context: {},
+    })
+
+    const { body } = requests[0]
+    expect(body.messages[body.messages.length - 1]).toEqual({ role: 'assistant', content: '{' })
+    expect(body).not.toHaveProperty('response_format')
+    expect(plan.plan[0].title).toBe('Separate variables')
+  })
+
+  test('forces a tool call for JSON schemas and returns its input as the content', async () => {
+    const { iteration } = loadTranscript('stop-flag.json').responses[0]
+    replies.push({ body: { content: [{ type: 'tool_use', id: 't1', name: 'iteration', input: iteration }], stop_reason: 'tool_use' } })
+
+    const result = await solveSchrodingerIterative({ equation: 'H psi = E psi', strategy: 'baseline', detailLevel: 'sketch', provider: 'anthropic', structured: false, verify: false })
+
+    const { body } = requests[0]
+    expect(body.tool_choice).toEqual({ type: 'tool', name: 'iteration' })
+    expect(body.tools[0].input_schema.properties).toHaveProperty('equations')
+    expect(result.iterations[0]).toMatchObject({ goal: iteration.goal, servedBy: { provider: 'anthropic' } })
+  })
+
+  test('reports API errors', async () => {
+    replies.push({ status: 400, body: { type: 'error', error: { message: 'max_tokens: too large' } } })
+
+    await expect(callLLM({ provider: 'anthropic', messages: [{ role: 'user', content: 'hi' }], maxRetries: 0 })).rejects.toThrow('HTTP 400')
+  })
+})
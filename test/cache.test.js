@@ -0,0 +1,130 @@
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { createMemoryCache, createFileCache, responseCacheKey, resetResponseCache } from '../lib/llm/cache'
+import { callLLM } from '../lib/llm/provider'
+import { resetProviderHealth } from '../lib/llm/health'
+import { solveSchrodingerIterative } from '../lib/schrodinger/solver'
+import { loadTranscript, mockFetchWithTranscript, silenceConsole } from './helpers/transcripts'
+
+const ENV = { ...process.env }
+
+beforeEach(() => {
+  process.env = { ...ENV, GROQ_API_KEY: 'test-key', CEREBRAS_API_KEY: 'cerebras-key', SCH_MIN_DELAY_MS: '0', SCH_MAX_RETRIES: '0', SCH_BACKOFF_BASE_MS: '0', LLM_CACHE: 'memory' }
+  resetResponseCache()
+  resetProviderHealth()
+  silenceConsole()
+})
+
+afterEach(() => {
+  process.env = ENV
+  resetResponseCache()
+  jest.restoreAllMocks()
+})
+
+const messages = [{ role: 'user', content: 'Solve x + 1 = 2' }]
+const entry = (key, storedAt = Date.now()) => ({ key, provider: 'groq', model: 'm', storedAt, response: { choices: [{ message: { content: key } }] } })
+
+describe('responseCacheKey', () => {
+  test('ignores key order but not parameters', () => {
+    const body = { model: 'm', messages, temperature: 0 }
+    expect(responseCacheKey('groq', body)).toBe(responseCacheKey('groq', { temperature: 0, messages, model: 'm' }))
+    expect(responseCacheKey('groq', body)).not.toBe(responseCacheKey('groq', { ...body, temperature: 0.1 }))
+    expect(responseCacheKey('groq', body)).not.toBe(responseCacheKey('cerebras', body))
+  })
+})
+
+describe('memory cache', () => {
+  test('expires entries after the TTL', async () => {
+    const cache = createMemoryCache({ ttlMs: 100 })
+    await cache.set('a', entry('a', 1000))
+
+    expect(await cache.get('a', 1050)).toMatchObject({ key: 'a' })
+    expect(await cache.get('a', 1200)).toBeNull()
+  })
+
+  test('evicts the least recently used entry beyond the size limit', async () => {
+    const cache = createMemoryCache({ maxEntries: 2 })
+    await cache.set('a', entry('a'))
+    await cache.set('b', entry('b'))
+    await cache.get('a')
+    await cache.set('c', entry('c'))
+
+    expect(await cache.get('a')).not.toBeNull()
+    expect(await cache.get('b')).toBeNull()
+  })
+})
+
+describe('file cache', () => {
+  const tmpDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'llm-cache-'))
+
+  test('stores one JSON document per key and evicts the oldest', async () => {
+    const dir = tmpDir()
+    const cache = createFileCache(dir, { maxEntries: 2 })
+    for (const [i, key] of ['aa', 'bb', 'cc'].entries()) {
+      await cache.set(key, entry(key))
+      const at = new Date(1000 + i * 1000)
+      fs.utimesSync(path.join(dir, `${key}.json`), at, at)
+    }
+    await cache.set('dd', entry('dd'))
+
+    expect(fs.readdirSync(dir).sort()).toEqual(['cc.json', 'dd.json'])
+    expect((await cache.get('cc')).response.choices[0].message.content).toBe('cc')
+  })
+
+  test('removes expired entries on read', async () => {
+    const dir = tmpDir()
+    const cache = createFileCache(dir, { ttlMs: 100 })
+    await cache.set('aa', entry('aa', 1000))
+
+    expect(await cache.get('aa', 1200)).toBeNull()
+    expect(fs.readdirSync(dir)).toEqual([])
+  })
+})
+
+describe('cached calls', () => {
+  test('replay a repeated request without calling the provider', async () => {
+    const fetchMock = mockFetchWithTranscript({ responses: [{ content: '{"x":1}' }] })
+
+    const first = await callLLM({ provider: 'groq', messages, maxRetries: 0 })
+    const second = await callLLM({ provider: 'groq', messages, maxRetries: 0 })
+
+    expect(fetchMock).toHaveBeenCalledTimes(1)
+    expect(first.servedBy).not.toHaveProperty('cached')
+    expect(second).toMatchObject({ choices: [{ message: { content: '{"x":1}' } }], servedBy: { provider: 'groq', cached: true } })
+  })
+
+  test('are bypassed with cache: false', async () => {
+    const fetchMock = mockFetchWithTranscript({ responses: [{ content: '{}' }, { content: '{}' }] })
+
+    await callLLM({ provider: 'groq', messages, maxRetries: 0 })
+    await callLLM({ provider: 'groq', messages, maxRetries: 0, cache: false })
+
+    expect(fetchMock).toHaveBeenCalledTimes(2)
+  })
+
+  test('are off unless LLM_CACHE is set', async () => {
+    delete process.env.LLM_CACHE
+    const fetchMock = mockFetchWithTranscript({ responses: [{ content: '{}' }, { content: '{}' }] })
+
+    await callLLM({ provider: 'groq', messages, maxRetries: 0 })
+    await callLLM({ provider: 'groq', messages, maxRetries: 0 })
+
+    expect(fetchMock).toHaveBeenCalledTimes(2)
+  })
+
+  test('make a repeated solver run free and report the hits', async () => {
+    const params = { equation: 'H psi = E psi', strategy: 'planner', detailLevel: 'sketch', provider: 'groq', temperature: 0 }
+    const fetchMock = mockFetchWithTranscript(loadTranscript('planner.json'))
+    const first = await solveSchrodingerIterative(params)
+    const calls = fetchMock.mock.calls.length
+
+    const second = await solveSchrodingerIterative(params)
+
+    expect(fetchMock.mock.calls.length).toBe(calls)
+    expect(second.iterations.map((it) => it.result_summary)).toEqual(first.iterations.map((it) => it.result_summary))
+    expect(second.iterations[0].servedBy.cached).toBe(true)
+    expect(second.usage).toMatchObject({ calls, cacheHits: calls, totalTokens: 0 })
+    expect(first.usage.cacheHits).toBe(0)
+  })
+})
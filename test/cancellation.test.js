@@ -0,0 +1,129 @@
+import { EventEmitter } from 'events'
+import { solveSchrodingerIterative } from '../lib/schrodinger/solver'
+import { callLLM } from '../lib/llm/provider'
+import { providerHealth, resetProviderHealth } from '../lib/llm/health'
+import { abortOnDisconnect } from '../lib/http/disconnect'
+import { loadTranscript, mockFetchWithTranscript, silenceConsole } from './helpers/transcripts'
+
+const ENV = { ...process.env }
+
+beforeEach(() => {
+  process.env = { ...ENV, GROQ_API_KEY: 'test-key', CEREBRAS_API_KEY: 'cerebras-key', SCH_MIN_DELAY_MS: '0', SCH_MAX_RETRIES: '0', SCH_BACKOFF_BASE_MS: '0' }
+  delete process.env.SCH_DEADLINE_MS
+  delete process.env.LLM_TIMEOUT_MS
+  resetProviderHealth()
+  silenceConsole()
+})
+
+afterEach(() => {
+  process.env = ENV
+  jest.restoreAllMocks()
+})
+
+const baseParams = {
+  equation: '- (hbar^2 / 2m) d^2 psi/dx^2 + 1/2 m omega^2 x^2 psi = E psi',
+  strategy: 'planner',
+  detailLevel: 'sketch',
+  maxIterations: 4,
+  provider: 'groq',
+}
+
+// The plan and the first iteration answer; the second iteration never does
+function hangingTranscript() {
+  const transcript = loadTranscript('planner.json')
+  return { responses: [...transcript.responses.slice(0, 2), { hang: true }] }
+}
+
+const messages = [{ role: 'user', content: 'Solve x + 1 = 2' }]
+
+describe('run cancellation', () => {
+  test('aborts the call in flight and keeps the iterations derived so far', async () => {
+    const fetchMock = mockFetchWithTranscript(hangingTranscript())
+    const controller = new AbortController()
+    const events = []
+
+    const run = solveSchrodingerIterative({ ...baseParams, signal: controller.signal, onEvent: (type, payload) => events.push([type, payload]) })
+    await new Promise((resolve) => setTimeout(resolve, 20))
+    controller.abort()
+    const result = await run
+
+    expect(fetchMock).toHaveBeenCalledTimes(3)
+    expect(result.status).toBe('cancelled')
+    expect(result.cancelled).toBe(true)
+    expect(result.iterations).toHaveLength(1)
+    expect(result.validation.termination).toEqual({ reason: 'cancelled', k: 2 })
+    expect(events.map(([type]) => type).slice(-2)).toEqual(['cancelled', 'done'])
+    expect(providerHealth().groq.recentFailures).toBe(0)
+  })
+
+  test('times out at the overall deadline', async () => {
+    mockFetchWithTranscript(hangingTranscript())
+
+    const result = await solveSchrodingerIterative({ ...baseParams, deadlineMs: 50 })
+
+    expect(result.status).toBe('timed_out')
+    expect(result).not.toHaveProperty('cancelled')
+    expect(result.iterations).toHaveLength(1)
+    expect(result.validation.termination).toEqual({ reason: 'timed_out', k: 2 })
+  })
+
+  test('reads the default deadline from SCH_DEADLINE_MS', async () => {
+    process.env.SCH_DEADLINE_MS = '50'
+    mockFetchWithTranscript(hangingTranscript())
+
+    const result = await solveSchrodingerIterative(baseParams)
+
+    expect(result.status).toBe('timed_out')
+  })
+
+  test('completes normally without a signal or deadline', async () => {
+    mockFetchWithTranscript(loadTranscript('planner.json'))
+
+    const result = await solveSchrodingerIterative(baseParams)
+
+    expect(result.status).toBe('completed')
+  })
+})
+
+describe('aborted calls', () => {
+  test('time out each attempt and retry', async () => {
+    const fetchMock = mockFetchWithTranscript({ responses: [{ hang: true }, { content: '{}' }] })
+
+    const data = await callLLM({ provider: 'groq', messages, timeoutMs: 20, maxRetries: 1, baseDelayMs: 0 })
+
+    expect(fetchMock).toHaveBeenCalledTimes(2)
+    expect(data.choices[0].message.content).toBe('{}')
+  })
+
+  test('stop during the backoff wait without trying a fallback', async () => {
+    const fetchMock = mockFetchWithTranscript({ responses: [{ status: 503 }, { content: '{}' }, { content: '{}' }] })
+    const controller = new AbortController()
+    setTimeout(() => controller.abort(), 20)
+    const started = Date.now()
+
+    await expect(callLLM({ provider: 'groq', fallback: ['cerebras'], messages, signal: controller.signal, maxRetries: 3, baseDelayMs: 10000 })).rejects.toThrow(/abort/i)
+
+    expect(Date.now() - started).toBeLessThan(2000)
+    expect(fetchMock).toHaveBeenCalledTimes(1)
+  })
+})
+
+describe('abortOnDisconnect', () => {
+  test('aborts when the connection closes before the response is complete', () => {
+    const res = Object.assign(new EventEmitter(), { writableFinished: false })
+    const signal = abortOnDisconnect(res)
+
+    res.emit('close')
+
+    expect(signal.aborted).toBe(true)
+  })
+
+  test('ignores the close that follows a complete response', () => {
+    const res = Object.assign(new EventEmitter(), { writableFinished: true })
+    const signal = abortOnDisconnect(res)
+
+    res.emit('close')
+
+    expect(signal.aborted).toBe(false)
+  })
+})
@@ -0,0 +1,77 @@
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { DEFAULT_CAPABILITIES, getModelCapabilities, fitRequestToModel } from '../lib/llm/capabilities'
+import { getLLMConfig } from '../lib/llm/provider'
+import { silenceConsole } from './helpers/transcripts'
+
+const ENV = { ...process.env }
+
+beforeEach(() => silenceConsole())
+
+afterEach(() => {
+  process.env = ENV
+  jest.restoreAllMocks()
+})
+
+describe('getModelCapabilities', () => {
+  test('finds the default models of each provider', () => {
+    expect(getModelCapabilities('groq', 'openai/gpt-oss-20b')).toMatchObject({ jsonSchema: true, compressPrompts: false, source: 'openai/gpt-oss-20b' })
+    expect(getModelCapabilities('openrouter', 'openai/gpt-4o').source).toBe('openrouter:openai/gpt-4o')
+    expect(getModelCapabilities('cerebras', 'llama-3.3-70b').compressPrompts).toBe(false)
+  })
+
+  test.each([
+    'meta/llama-4-maverick-17b-128e-instruct',
+    'Llama-4-Maverick-17B-128E-Instruct',
+    'meta-llama/llama-4-maverick-17b-128e-instruct',
+  ])('does not treat %s as a small model', (model) => {
+    expect(getModelCapabilities('nvidia', model)).toMatchObject({ compressPrompts: false, source: '/llama-4-maverick/i' })
+  })
+
+  test.each([
+    ['llama-3.1-8b-instant', true],
+    ['Qwen2.5-7B-Instruct', true],
+    ['ALLaM-2-7b', true],
+    ['mixtral-8x7b-32768', false],
+    ['Meta-Llama-3.1-405B-Instruct', false],
+  ])('classifies %s by size', (model, small) => {
+    expect(getModelCapabilities('groq', model).compressPrompts).toBe(small)
+  })
+
+  test('falls back to the defaults for unknown models', () => {
+    expect(getModelCapabilities('groq', 'mystery-model')).toEqual({ ...DEFAULT_CAPABILITIES, source: 'default' })
+  })
+
+  test('merges overrides from LLM_CAPABILITIES and LLM_CAPABILITIES_FILE', () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'caps-')), 'capabilities.json')
+    fs.writeFileSync(file, JSON.stringify({ 'mystery-model': { contextWindow: 32768, jsonSchema: true }, '/maverick/i': { compressPrompts: true } }))
+    process.env = { ...ENV, LLM_CAPABILITIES_FILE: file, LLM_CAPABILITIES: JSON.stringify({ 'gpt-4o': { maxOutputTokens: 4096 } }) }
+
+    expect(getModelCapabilities('groq', 'mystery-model')).toMatchObject({ contextWindow: 32768, jsonSchema: true, maxOutputTokens: DEFAULT_CAPABILITIES.maxOutputTokens })
+    expect(getModelCapabilities('openai', 'gpt-4o')).toMatchObject({ maxOutputTokens: 4096, contextWindow: 128000 })
+    expect(getModelCapabilities('nvidia', 'meta/llama-4-maverick-17b-128e-instruct')).toMatchObject({ compressPrompts: true, source: '/maverick/i' })
+  })
+
+  test('is attached to every provider config', () => {
+    process.env = { ...ENV, NVIDIA_API_KEY: 'k' }
+    expect(getLLMConfig('nvidia').capabilities.source).toBe('/llama-4-maverick/i')
+  })
+})
+
+describe('fitRequestToModel', () => {
+  const schema = { type: 'json_schema', json_schema: { name: 'x', schema: {} } }
+
+  test('clamps max_tokens to the output limit and the context left', () => {
+    const caps = { ...DEFAULT_CAPABILITIES, contextWindow: 3000, maxOutputTokens: 2048 }
+    expect(fitRequestToModel(caps, { messages: [], max_tokens: 8000 }).max_tokens).toBe(2048)
+    const long = { messages: [{ role: 'user', content: 'x'.repeat(8000) }], max_tokens: 8000 }
+    expect(fitRequestToModel(caps, long).max_tokens).toBe(1000)
+  })
+
+  test('falls back from JSON schema to JSON mode to plain output', () => {
+    expect(fitRequestToModel({ ...DEFAULT_CAPABILITIES, jsonSchema: true }, { response_format: schema }).response_format).toBe(schema)
+    expect(fitRequestToModel(DEFAULT_CAPABILITIES, { response_format: schema }).response_format).toEqual({ type: 'json_object' })
+    expect(fitRequestToModel({ ...DEFAULT_CAPABILITIES, jsonMode: false }, { response_format: schema })).not.toHaveProperty('response_format')
+  })
+})
@@ -0,0 +1,49 @@
+import { checkStep, checkEquationChain } from '../lib/math/consistency'
+
+describe('checkStep', () => {
+  test.each([
+    ['E = \\hbar\\omega(n + \\frac{1}{2})', 'E = \\hbar\\omega n + \\frac{\\hbar\\omega}{2}'],
+    ['E = \\frac{\\hbar^2 k^2}{2m}', 'k = \\frac{\\sqrt{2mE}}{\\hbar}'],
+    ['2x + 3 = 7', 'x = 2'],
+    ['x^2 - 4 = 0', '(x - 2)(x + 2) = 0'],
+    ['k \\tan(ka) = \\kappa', '\\tan(ka) = \\frac{\\kappa}{k}'],
+    ['a(b + c) = ab + ac', 'ab + ac = ba + ca'],
+  ])('accepts %s => %s', (prev, next) => {
+    expect(checkStep(prev, next)).toEqual({ status: 'ok' })
+  })
+
+  test.each([
+    ['E = \\hbar\\omega(n + \\frac{1}{2})', 'E = -\\hbar\\omega(n + \\frac{1}{2})', 'sign error', 'the expression changed sign'],
+    ['E = \\hbar\\omega(n + \\frac{1}{2})', 'E = \\hbar\\omega n - \\frac{\\hbar\\omega}{2}', 'sign error', 'one term changed sign'],
+    ['a(b + c) = ab + ac', 'ab + ac = ba - ca', 'sign error', 'one term changed sign'],
+    ['E = \\frac{\\hbar^2 k^2}{2m}', 'E = \\frac{\\hbar^2 k^2}{m}', 'dropped factor', 'off by a factor of 2'],
+    ['E = \\frac{\\hbar^2 k^2}{2m}', 'E = \\frac{\\hbar k^2}{2m}', 'dropped factor', 'off by a factor of hbar^-1'],
+    ['2x + 3 = 7', 'x = 3', 'not an identity', 'does not hold where the previous equation does'],
+    ['x^2 - 4 = 0', '(x - 2)(x + 3) = 0', 'not an identity', 'does not hold where the previous equation does'],
+  ])('flags %s => %s', (prev, next, label, detail) => {
+    expect(checkStep(prev, next)).toEqual({ status: 'flagged', label, detail })
+  })
+
+  test.each([
+    ['E = \\hbar\\omega', 'E_0 = \\hbar\\omega', 'introduces E_0'],
+    ['\\frac{d^2\\psi}{dx^2} = -k^2\\psi', '\\psi = A\\sin(kx)', 'involves derivatives'],
+    ['\\int_0^a \\psi^2 = 1', 'A = 1', 'could not parse'],
+    ['\\psi \\approx 0', '\\psi = 0', 'not an equation'],
+  ])('leaves %s => %s unchecked', (prev, next, detail) => {
+    expect(checkStep(prev, next)).toEqual({ status: 'unchecked', detail })
+  })
+})
+
+describe('checkEquationChain', () => {
+  test('returns one verdict per equation after the first', () => {
+    const verdicts = checkEquationChain([
+      { latex: 'E = \\frac{p^2}{2m}' },
+      { latex: 'p^2 = 2mE' },
+      { text: 'prose only' },
+      { latex: 'p = \\sqrt{2mE}' },
+      { latex: 'p = \\sqrt{mE}' },
+    ])
+    expect(verdicts.map((v) => v?.status ?? null)).toEqual([null, 'ok', null, null, 'flagged'])
+    expect(verdicts[4]).toMatchObject({ label: 'dropped factor' })
+  })
+})
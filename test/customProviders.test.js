@@ -0,0 +1,125 @@
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import http from 'http'
+import { customProviderConfig, customProviderOptions } from '../lib/llm/custom'
+import { callLLM, getLLMConfig } from '../lib/llm/provider'
+import { resetProviderHealth } from '../lib/llm/health'
+import handler from '../pages/api/providers'
+import { silenceConsole } from './helpers/transcripts'
+
+const ENV = { ...process.env }
+
+// An OpenAI-compatible server that can reject response_format or stall
+let server
+let requests
+let behaviour
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    let raw = ''
+    req.on('data', (chunk) => { raw += chunk })
+    req.on('end', () => {
+      const body = JSON.parse(raw)
+      requests.push({ url: req.url, headers: req.headers, body })
+      if (behaviour === 'stall') return setTimeout(() => res.end('{}'), 500)
+      if (behaviour === 'strict' && body.response_format) {
+        res.writeHead(400, { 'Content-Type': 'application/json' })
+        return res.end(JSON.stringify({ error: 'response_format is not supported' }))
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' })
+      res.end(JSON.stringify({ choices: [{ message: { role: 'assistant', content: '{"ok":true}' } }] }))
+    })
+  })
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+})
+
+afterAll(() => new Promise((resolve) => server.close(resolve)))
+
+function writeProviders(entries) {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'providers-')), 'providers.json')
+  fs.writeFileSync(file, JSON.stringify(entries))
+  process.env.LLM_PROVIDERS_FILE = file
+}
+
+const baseUrl = () => `http://127.0.0.1:${server.address().port}/v1`
+
+beforeEach(() => {
+  requests = []
+  behaviour = 'ok'
+  process.env = { ...ENV }
+  for (const key of Object.keys(process.env)) if (key.startsWith('LOCAL_LLM_')) delete process.env[key]
+  delete process.env.LLM_PROVIDERS_FILE
+  resetProviderHealth()
+  silenceConsole()
+})
+
+afterEach(() => {
+  process.env = ENV
+  jest.restoreAllMocks()
+})
+
+describe('self-hosted providers', () => {
+  test('local defaults to a keyless server on localhost', () => {
+    expect(customProviderConfig('local')).toMatchObject({ apiUrl: 'http://localhost:8080/v1/chat/completions', apiKey: null, provider: 'local', jsonMode: true })
+    expect(customProviderOptions()).toEqual([])
+  })
+
+  test('local is configured from LOCAL_LLM_* variables', async () => {
+    process.env.LOCAL_LLM_URL = `${baseUrl()}/`
+    process.env.LOCAL_LLM_MODEL = 'llama3.1:70b'
+    process.env.LOCAL_LLM_API_KEY = 'secret'
+
+    const data = await callLLM({ provider: 'local', messages: [{ role: 'user', content: 'hi' }], maxRetries: 0 })
+
+    expect(data.choices[0].message.content).toBe('{"ok":true}')
+    expect(requests[0]).toMatchObject({ url: '/v1/chat/completions', body: { model: 'llama3.1:70b' } })
+    expect(requests[0].headers.authorization).toBe('Bearer secret')
+    expect(customProviderOptions()).toEqual([{ id: 'local', label: 'Local server', model: 'llama3.1:70b' }])
+  })
+
+  test('named instances come from LLM_PROVIDERS_FILE, without auth unless configured', async () => {
+    writeProviders({ 'lab-vllm': { label: 'Lab vLLM', baseUrl: baseUrl(), model: 'Qwen2.5-72B-Instruct' } })
+
+    await callLLM({ provider: 'lab-vllm', messages: [{ role: 'user', content: 'hi' }], maxRetries: 0 })
+
+    expect(requests[0].body.model).toBe('Qwen2.5-72B-Instruct')
+    expect(requests[0].headers).not.toHaveProperty('authorization')
+    expect(customProviderOptions()).toEqual([{ id: 'lab-vllm', label: 'Lab vLLM', model: 'Qwen2.5-72B-Instruct' }])
+  })
+
+  test('leave out response_format for servers that reject it', async () => {
+    behaviour = 'strict'
+    writeProviders({ ollama: { baseUrl: baseUrl(), model: 'mistral', jsonMode: false } })
+    expect(getLLMConfig('ollama').capabilities.jsonMode).toBe(false)
+
+    const data = await callLLM({ provider: 'ollama', messages: [{ role: 'user', content: 'hi' }], responseFormat: { type: 'json_object' }, maxRetries: 0 })
+
+    expect(requests[0].body).not.toHaveProperty('response_format')
+    expect(data.choices[0].message.content).toBe('{"ok":true}')
+  })
+
+  test('time out slow servers', async () => {
+    behaviour = 'stall'
+    writeProviders({ slow: { baseUrl: baseUrl(), model: 'm', timeoutMs: 50 } })
+
+    await expect(callLLM({ provider: 'slow', messages: [{ role: 'user', content: 'hi' }], maxRetries: 0, baseDelayMs: 0 })).rejects.toThrow(/timeout|aborted/i)
+  })
+
+  test('reject incomplete entries and built-in names', () => {
+    writeProviders({ broken: { baseUrl: baseUrl() }, groq: { baseUrl: baseUrl(), model: 'm' } })
+
+    expect(() => getLLMConfig('broken')).toThrow('Custom provider "broken": baseUrl and model are required')
+    expect(customProviderConfig('groq')).toBeNull()
+  })
+
+  test('are listed by /api/providers', () => {
+    writeProviders({ 'lab-vllm': { baseUrl: baseUrl(), model: 'Qwen2.5-72B-Instruct', apiKey: 'secret' } })
+    const res = { status: jest.fn().mockReturnThis(), json: jest.fn(), setHeader: jest.fn() }
+
+    handler({ method: 'GET' }, res)
+
+    expect(res.status).toHaveBeenCalledWith(200)
+    expect(res.json).toHaveBeenCalledWith({ providers: [{ id: 'lab-vllm', label: 'lab-vllm', model: 'Qwen2.5-72B-Instruct' }] })
+  })
+})
@@ -0,0 +1,125 @@
+import { checkEquationDimensions, findDimensionIssues, parseUnit, parseParameterUnits, formatDimension, unitConventions, STANDARD_DIMENSIONS } from '../lib/math/dimensions'
+
+describe('parseUnit', () => {
+  test.each([
+    ['kg', 'M'],
+    ['J s', 'M L^2 T^-1'],
+    ['1/m', 'L^-1'],
+    ['m^2 s^-1', 'L^2 T^-1'],
+    ['eV', 'M L^2 T^-2'],
+    ['dimensionless', '1'],
+  ])('%s is %s', (unit, expected) => {
+    expect(formatDimension(parseUnit(unit))).toBe(expected)
+  })
+
+  test('returns null for unknown units', () => {
+    expect(parseUnit('furlongs')).toBeNull()
+  })
+})
+
+describe('parseParameterUnits', () => {
+  test('reads bracketed, parenthesized and colon forms', () => {
+    const units = parseParameterUnits('V0 [eV], a (nm); ω: 1/s, g = 2')
+    expect(formatDimension(units.V0)).toBe('M L^2 T^-2')
+    expect(units.V_0).toEqual(units.V0)
+    expect(formatDimension(units.a)).toBe('L')
+    expect(formatDimension(units.omega)).toBe('T^-1')
+    expect(units.g).toBeUndefined()
+  })
+})
+
+describe('checkEquationDimensions', () => {
+  test.each([
+    'E_n = \\hbar\\omega\\left(n + \\frac{1}{2}\\right)',
+    'E_n = \\frac{n^2\\pi^2\\hbar^2}{2mx_0^2}',
+    '-\\frac{\\hbar^2}{2m}\\frac{d^2\\psi(x)}{dx^2} + V(x)\\psi(x) = E\\psi(x)',
+    '-\\frac{\\hbar^2}{2m}\\psi\'\' + \\frac{1}{2}m\\omega^2x^2\\psi = E\\psi',
+    '\\psi_n(x) = \\sqrt{\\frac{2}{x_0}}\\sin\\left(\\frac{n\\pi x}{x_0}\\right)',
+    'k = \\frac{\\sqrt{2mE}}{\\hbar}',
+    'i\\hbar\\frac{\\partial\\Psi(x,t)}{\\partial t} = \\hat{H}\\Psi(x,t)',
+    '\\frac{d^2\\psi}{d\\xi^2} + (\\epsilon - \\xi^2)\\psi = 0',
+    'E_{1,0} = \\hbar\\omega\\left(0 + \\frac{1}{2}\\right) + c_{1}',
+  ])('accepts %s', (latex) => {
+    expect(checkEquationDimensions(latex)).toEqual([])
+  })
+
+  test('flags sides of different dimension', () => {
+    expect(checkEquationDimensions('E_n = \\frac{n^2\\pi^2\\hbar}{2mx^2}')).toEqual(['side 1 has dimension M L^2 T^-2 but side 2 has T^-1'])
+  })
+
+  test('flags mismatched terms and dimensional function arguments', () => {
+    expect(checkEquationDimensions('E = \\hbar\\omega + m')).toEqual(['terms of dimension M L^2 T^-2 and M are added'])
+    expect(checkEquationDimensions('\\psi = \\sin(x)')).toContain('argument of sin has dimension L')
+  })
+
+  test('skips equations it cannot parse or fully resolve', () => {
+    expect(checkEquationDimensions('\\int_0^L |\\psi|^2 dx = 1')).toEqual([])
+    expect(checkEquationDimensions('E = \\alpha\\hbar')).toEqual([])
+  })
+
+  test('leaves ambiguous symbols unknown, so the oscillator\'s spring constant passes', () => {
+    expect(checkEquationDimensions('V(x) = \\frac{1}{2} k x^2')).toEqual([])
+    expect(checkEquationDimensions('\\omega = \\sqrt{k/m}')).toEqual([])
+    expect(findDimensionIssues([{ latex: 'V(x) = \\frac{1}{2} k x^2' }, { latex: '\\omega = \\sqrt{k/m}' }])).toEqual([])
+  })
+
+  test('checks ambiguous symbols once the parameters declare them', () => {
+    expect(findDimensionIssues([{ latex: '\\omega = \\sqrt{k/m}' }], { parameters: 'k [N/m]' })).toEqual([])
+    expect(findDimensionIssues([{ latex: 'E = \\frac{\\hbar^2 k^2}{2m}' }], { parameters: 'k [1/m]' })).toEqual([])
+    expect(findDimensionIssues([{ latex: 'V(x) = \\frac{1}{2} k x^2' }], { parameters: 'k [1/m]' })).toHaveLength(1)
+  })
+
+  test('uses declared parameter units', () => {
+    const symbols = { ...STANDARD_DIMENSIONS, ...parseParameterUnits('V0 [eV], g [1/m]') }
+    expect(checkEquationDimensions('V(x) = V_0 e^{-gx}', symbols)).toEqual([])
+    expect(checkEquationDimensions('V(x) = V_0 g', symbols)).toHaveLength(1)
+  })
+})
+
+describe('findDimensionIssues', () => {
+  test('reports the index and LaTeX of each offending equation', () => {
+    const equations = [
+      { latex: 'E = \\hbar\\omega' },
+      { text: 'prose only' },
+      { latex: 'E = \\hbar / m' },
+    ]
+    expect(findDimensionIssues(equations)).toEqual([
+      { index: 2, latex: 'E = \\hbar / m', issues: ['side 1 has dimension M L^2 T^-2 but side 2 has L^2 T^-1'] },
+    ])
+  })
+})
+
+describe('natural and scaled units', () => {
+  const oscillator = [
+    { latex: '-\\frac{1}{2}\\psi\'\' + \\frac{1}{2}x^2\\psi = E\\psi' },
+    { latex: '\\psi_0 = \\pi^{-1/4} e^{-x^2/2}' },
+    { latex: 'E_n = n + \\frac{1}{2}' },
+  ]
+
+  test('read the conventions a derivation declares', () => {
+    expect(unitConventions('We set \\hbar = m = \\omega = 1.')).toEqual({ natural: true, dimensionless: [] })
+    expect(unitConventions('In atomic units the energy is')).toMatchObject({ natural: true })
+    expect(unitConventions('\\sum_{m=1}^{\\infty} and m = 1 kg')).toMatchObject({ natural: false })
+    expect(unitConventions('\\xi = \\sqrt{\\frac{m\\omega}{\\hbar}}x, where x is dimensionless')).toEqual({ natural: false, dimensionless: ['xi', 'x'] })
+  })
+
+  test('pass the oscillator written with ħ = m = ω = 1', () => {
+    expect(findDimensionIssues(oscillator)).toHaveLength(3)
+    expect(findDimensionIssues(oscillator, { text: 'Work in natural units, \\hbar = m = \\omega = 1.' })).toEqual([])
+    expect(findDimensionIssues([...oscillator, { latex: '\\hbar = m = \\omega = 1', text: 'Natural units' }])).toEqual([])
+  })
+
+  test('pass a position-dependent mass in a dimensionless coordinate', () => {
+    const equations = [
+      { latex: 'm(x) = m_0(1 + x^2)' },
+      { latex: '-\\frac{1}{2}\\frac{d}{dx}\\left(\\frac{1}{1 + x^2}\\frac{d\\psi}{dx}\\right) = \\epsilon\\psi' },
+    ]
+    expect(findDimensionIssues(equations, { parameters: 'm_0 [kg]' })).toHaveLength(2)
+    expect(findDimensionIssues(equations, { parameters: 'm_0 [kg], x dimensionless' })).toEqual([])
+    expect(findDimensionIssues(equations, { parameters: 'm_0 [kg]', text: 'x is dimensionless' })).toEqual([])
+  })
+
+  test('still check the symbols the parameters declare', () => {
+    expect(findDimensionIssues([{ latex: 'm(x) = m_0 + x^2' }], { parameters: 'm_0 [kg], x (dimensionless)' })).toHaveLength(1)
+  })
+})
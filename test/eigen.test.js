@@ -0,0 +1,68 @@
+import { solveEigenproblem, buildHamiltonian } from '../lib/numeric/eigen'
+
+describe('solveEigenproblem', () => {
+  test('reproduces the infinite square well spectrum with Dirichlet walls', () => {
+    const L = 1
+    const { eigenvalues } = solveEigenproblem({ potential: () => 0, domain: [0, L], count: 4, points: 1000 })
+    eigenvalues.forEach((E, i) => {
+      const n = i + 1
+      expect(E).toBeCloseTo((n * n * Math.PI * Math.PI) / (2 * L * L), 2)
+    })
+  })
+
+  test('reproduces the harmonic oscillator spectrum with decaying boundaries', () => {
+    const { eigenvalues, converged } = solveEigenproblem({
+      potential: (x) => 0.5 * x * x,
+      domain: [-10, 10],
+      boundary: 'decaying',
+      count: 5,
+      points: 1200,
+    })
+    eigenvalues.forEach((E, n) => expect(E).toBeCloseTo(n + 0.5, 3))
+    expect(converged).toEqual([true, true, true, true, true])
+  })
+
+  test('scales with a constant mass and hbar', () => {
+    const m = 2
+    const hbar = 0.5
+    const omega = 3
+    const { eigenvalues } = solveEigenproblem({
+      potential: (x) => 0.5 * m * omega * omega * x * x,
+      mass: () => m,
+      hbar,
+      domain: [-3, 3],
+      boundary: 'decaying',
+      count: 3,
+      points: 1200,
+    })
+    eigenvalues.forEach((E, n) => expect(E).toBeCloseTo(hbar * omega * (n + 0.5), 3))
+  })
+
+  test('returns normalized, mutually orthogonal eigenvectors', () => {
+    const { x, eigenvectors } = solveEigenproblem({ potential: (x) => 0.5 * x * x, domain: [-8, 8], boundary: 'decaying', count: 3, points: 600 })
+    const h = x[1] - x[0]
+    const dot = (u, v) => u.reduce((s, ui, i) => s + ui * v[i], 0) * h
+    expect(dot(eigenvectors[0], eigenvectors[0])).toBeCloseTo(1, 6)
+    expect(dot(eigenvectors[2], eigenvectors[2])).toBeCloseTo(1, 6)
+    expect(dot(eigenvectors[0], eigenvectors[1])).toBeCloseTo(0, 6)
+    expect(dot(eigenvectors[1], eigenvectors[2])).toBeCloseTo(0, 6)
+  })
+
+  test('flags states that leak into a too-small decaying box', () => {
+    const { converged } = solveEigenproblem({ potential: (x) => 0.5 * x * x, domain: [-2, 2], boundary: 'decaying', count: 3, points: 400 })
+    expect(converged[2]).toBe(false)
+  })
+
+  test('uses BenDaniel–Duke ordering for a position-dependent mass', () => {
+    const mass = (x) => 1 + 0.5 * x
+    const { diag, off, h } = buildHamiltonian({ potential: () => 0, mass, domain: [0, 1], points: 9 })
+    const k = 1 / (2 * h * h)
+    expect(off[0]).toBeCloseTo(-k / mass(1.5 * h), 12)
+    expect(diag[0]).toBeCloseTo(k * (1 / mass(0.5 * h) + 1 / mass(1.5 * h)), 12)
+  })
+
+  test('rejects non-positive masses and unknown boundaries', () => {
+    expect(() => solveEigenproblem({ potential: () => 0, mass: (x) => x, domain: [-1, 1] })).toThrow('Mass must be positive')
+    expect(() => solveEigenproblem({ potential: () => 0, domain: [0, 1], boundary: 'periodic' })).toThrow('Unsupported boundary')
+  })
+})
@@ -0,0 +1,181 @@
+import { EventEmitter } from 'events'
+import { LLMError, providerHttpError, toLLMError } from '../lib/llm/errors'
+import { ApiError, errorResponse, solveFailure } from '../lib/http/errors'
+import { callLLM, getLLMConfig } from '../lib/llm/provider'
+import { resetProviderHealth } from '../lib/llm/health'
+import schrodinger from '../pages/api/schrodinger'
+import solve from '../pages/api/solve'
+import { loadTranscript, mockFetchWithTranscript, silenceConsole } from './helpers/transcripts'
+
+const ENV = { ...process.env }
+
+beforeEach(() => {
+  process.env = { ...ENV, GROQ_API_KEY: 'test-key', SCH_MIN_DELAY_MS: '0', SCH_MAX_RETRIES: '0', SCH_BACKOFF_BASE_MS: '0' }
+  delete process.env.NVIDIA_API_KEY
+  delete process.env.LLM_FALLBACK
+  resetProviderHealth()
+  silenceConsole()
+})
+
+afterEach(() => {
+  process.env = ENV
+  jest.restoreAllMocks()
+})
+
+const messages = [{ role: 'user', content: 'Solve x + 1 = 2' }]
+
+function mockRes() {
+  const res = Object.assign(new EventEmitter(), { writableFinished: false, headers: {} })
+  res.status = jest.fn().mockReturnValue(res)
+  res.json = jest.fn().mockImplementation(() => { res.writableFinished = true; return res })
+  res.setHeader = jest.fn((name, value) => { res.headers[name] = value })
+  return res
+}
+
+describe('provider errors', () => {
+  test.each([
+    [401, 'provider_auth_failed'],
+    [403, 'provider_auth_failed'],
+    [429, 'provider_rate_limited'],
+    [400, 'provider_error'],
+    [503, 'provider_error'],
+  ])('HTTP %i is %s', (status, code) => {
+    const error = providerHttpError(new Response('', { status }), 'nope')
+    expect(error).toMatchObject({ code, message: `HTTP ${status} nope`, details: { httpStatus: status } })
+  })
+
+  test('keep the provider\'s Retry-After', () => {
+    const error = providerHttpError(new Response('', { status: 429, headers: { 'Retry-After': '12' } }))
+    expect(error.retryAfterMs).toBe(12000)
+  })
+
+  test('classify timeouts, aborts and anything else', () => {
+    expect(toLLMError(new DOMException('slow', 'TimeoutError')).code).toBe('provider_timeout')
+    expect(toLLMError(new DOMException('gone', 'AbortError')).code).toBe('cancelled')
+    expect(toLLMError(new TypeError('fetch failed'), { provider: 'groq' })).toMatchObject({ code: 'provider_error', details: { provider: 'groq' } })
+  })
+
+  test('report a missing API key as not configured', () => {
+    expect(() => getLLMConfig('nvidia')).toThrow(expect.objectContaining({ code: 'provider_not_configured', message: 'NVIDIA_API_KEY not set' }))
+  })
+
+  test('name the provider that failed', async () => {
+    mockFetchWithTranscript({ responses: [{ status: 401, body: { error: 'bad key' } }] })
+
+    await expect(callLLM({ provider: 'groq', messages, maxRetries: 0 })).rejects.toMatchObject({
+      code: 'provider_auth_failed',
+      details: { provider: 'groq', model: 'openai/gpt-oss-20b', httpStatus: 401 },
+    })
+  })
+
+  test.each(['groq', 'gemini', 'anthropic'])('retry only rate limits and server errors (%s)', async (provider) => {
+    process.env = { ...process.env, GEMINI_API_KEY: 'test-key', ANTHROPIC_API_KEY: 'test-key' }
+    const fetchMock = mockFetchWithTranscript({ responses: [{ status: 503 }, { status: 401 }, { status: 401 }] })
+
+    await expect(callLLM({ provider, messages, maxRetries: 2, baseDelayMs: 0 })).rejects.toMatchObject({ code: 'provider_auth_failed' })
+
+    expect(fetchMock).toHaveBeenCalledTimes(2)
+  })
+})
+
+describe('errorResponse', () => {
+  test.each([
+    ['invalid_request', 400],
+    ['validation_failed', 424],
+    ['provider_error', 502],
+    ['provider_not_configured', 503],
+    ['provider_timeout', 504],
+  ])('maps %s to HTTP %i', (code, status) => {
+    expect(errorResponse(new LLMError(code, 'x')).status).toBe(status)
+  })
+
+  test('answers unknown errors with 500 internal_error', () => {
+    expect(errorResponse(new Error('boom'))).toEqual({ status: 500, retryAfter: undefined, body: { error: 'boom', code: 'internal_error' } })
+  })
+
+  test('gives rate limits a Retry-After, defaulting to 30 s', () => {
+    expect(errorResponse(new LLMError('provider_rate_limited', 'x', { retryAfterMs: 1500 })).retryAfter).toBe(2)
+    expect(errorResponse(new LLMError('provider_rate_limited', 'x')).body.retryAfter).toBe(30)
+  })
+
+  test('carries partial progress', () => {
+    const error = Object.assign(new LLMError('provider_error', 'x'), { partial: { plan: [], iterations: [{ k: 1 }] } })
+    expect(errorResponse(error).body.partial).toEqual({ plan: [], iterations: [{ k: 1 }] })
+  })
+})
+
+describe('solveFailure', () => {
+  test('fails runs that end without an accepted iteration', () => {
+    const rejected = { k: 1, draft: {}, revision: {} }
+    const failure = solveFailure({ iterations: [], validation: { termination: { reason: 'revision_rejected', k: 1 }, rejected } })
+    expect(failure).toBeInstanceOf(ApiError)
+    expect(failure).toMatchObject({ code: 'validation_failed', details: { rejected } })
+    expect(solveFailure({ iterations: [], validation: { termination: { reason: 'unparseable_output', k: 1 } } }).code).toBe('unparseable_output')
+  })
+
+  test('accepts runs with iterations or other endings', () => {
+    expect(solveFailure({ iterations: [{ k: 1 }], validation: { termination: { reason: 'revision_rejected', k: 2 } } })).toBeNull()
+    expect(solveFailure({ iterations: [], validation: { termination: { reason: 'cancelled', k: 1 } } })).toBeNull()
+  })
+})
+
+describe('API routes', () => {
+  const body = { equation: 'H psi = E psi', strategy: 'planner', detailLevel: 'sketch', provider: 'groq' }
+
+  test('reject invalid requests with 400 invalid_request', async () => {
+    const res = mockRes()
+
+    await schrodinger({ method: 'POST', headers: {}, body: { ...body, routing: { planning: {} } } }, res)
+
+    expect(res.status).toHaveBeenCalledWith(400)
+    expect(res.json.mock.calls[0][0]).toMatchObject({ code: 'invalid_request' })
+  })
+
+  test('tell a missing key apart from a rate limit', async () => {
+    const res = mockRes()
+
+    await schrodinger({ method: 'POST', headers: {}, body: { ...body, provider: 'nvidia' } }, res)
+
+    expect(res.status).toHaveBeenCalledWith(503)
+    expect(res.json.mock.calls[0][0]).toEqual({ error: 'NVIDIA_API_KEY not set', code: 'provider_not_configured', details: { setting: 'NVIDIA_API_KEY' } })
+  })
+
+  test('do not retry a request the provider refused', async () => {
+    process.env.SCH_MAX_RETRIES = '2'
+    const fetchMock = mockFetchWithTranscript({ responses: [{ status: 400 }, { status: 400 }, { status: 400 }] })
+    const res = mockRes()
+
+    await schrodinger({ method: 'POST', headers: {}, body: { ...body, strategy: 'baseline' } }, res)
+
+    expect(fetchMock).toHaveBeenCalledTimes(1)
+    expect(res.status).toHaveBeenCalledWith(502)
+    expect(res.json.mock.calls[0][0]).toMatchObject({ code: 'provider_error', details: { httpStatus: 400 } })
+  })
+
+  test('answer a mid-run rate limit with 429, Retry-After and the iterations so far', async () => {
+    const transcript = loadTranscript('planner.json')
+    mockFetchWithTranscript({ responses: [...transcript.responses.slice(0, 2), { status: 429, headers: { 'Retry-After': '20' } }] })
+    const res = mockRes()
+
+    await schrodinger({ method: 'POST', headers: {}, body }, res)
+
+    expect(res.status).toHaveBeenCalledWith(429)
+    expect(res.headers['Retry-After']).toBe('20')
+    const envelope = res.json.mock.calls[0][0]
+    expect(envelope).toMatchObject({ code: 'provider_rate_limited', retryAfter: 20, details: { provider: 'groq' } })
+    expect(envelope.partial.iterations).toHaveLength(1)
+    expect(envelope.partial.plan).toHaveLength(2)
+  })
+
+  test('name the failing provider in /api/solve', async () => {
+    process.env.NVIDIA_API_KEY = 'nvidia-key'
+    mockFetchWithTranscript({ responses: [{ status: 503 }] })
+    const res = mockRes()
+
+    await solve({ method: 'POST', headers: {}, body: { equation: 'H psi = E psi', provider: 'nvidia' } }, res)
+
+    expect(res.status).toHaveBeenCalledWith(502)
+    expect(res.json.mock.calls[0][0]).toMatchObject({ code: 'provider_error', details: { provider: 'nvidia' } })
+    expect(res.json.mock.calls[0][0].error).not.toMatch(/Groq|OpenRouter/)
+  })
+})
@@ -0,0 +1,42 @@
+import { parseExpression, compileExpression, evaluateAst, freeVariables } from '../lib/numeric/expression'
+import { parseLatex } from '../lib/math/parse'
+
+describe('compileExpression', () => {
+  test.each([
+    ['1 + 2 * 3', {}, 7],
+    ['2^3^2', {}, 512],
+    ['-x^2', { x: 3 }, -9],
+    ['2^-1', {}, 0.5],
+    ['0.5*m*omega**2*x^2', { m: 2, omega: 3, x: 1 }, 9],
+    ['hbar*omega*(n + 1/2)', { hbar: 1, omega: 2, n: 1 }, 3],
+    ['2x(n+1)', { x: 1.5, n: 1 }, 6],
+    ['n^2 pi^2 / (2 L^2)', { n: 1, L: 1 }, Math.PI ** 2 / 2],
+    ['sqrt(4) + exp(0) + ln(e)', {}, 4],
+    ['ħω(n+0.5)', { hbar: 1, omega: 2, n: 1 }, 3],
+    ['0.5mω²x²', { m: 1, omega: 2, x: 1 }, 2],
+    ['1.5e-3 * 1000', {}, 1.5],
+  ])('%s', (src, bindings, expected) => {
+    expect(compileExpression(src)(bindings)).toBeCloseTo(expected, 10)
+  })
+
+  test('reports unbound variables', () => {
+    expect(() => compileExpression('a*x')({ x: 1 })).toThrow('Unbound variable "a"')
+  })
+
+  test('rejects malformed input', () => {
+    expect(() => parseExpression('1 + (2')).toThrow('Expected ")"')
+    expect(() => parseExpression('x $ 2')).toThrow('Unexpected character "$"')
+    expect(() => parseExpression('')).toThrow('Unexpected end')
+  })
+
+  test('lists free variables without constants', () => {
+    expect([...freeVariables(parseExpression('hbar*omega*(n + 1/2) + pi'))].sort()).toEqual(['hbar', 'n', 'omega'])
+  })
+
+  test('evaluates the LaTeX parser\'s ASTs with the same functions', () => {
+    expect(compileExpression('coth(1) * tanh(1) + factorial(3)')({})).toBeCloseTo(7, 10)
+    expect(evaluateAst(parseLatex('\\coth 1 \\tanh 1 + 3!'))).toBeCloseTo(7, 10)
+    expect(evaluateAst(parseLatex('\\sum_{k=0}^{\\infty} \\frac{x^k}{k!}'), { x: 1 })).toBeCloseTo(Math.E, 10)
+    expect([...freeVariables(parseLatex('\\sum_{k=0}^{N} a_k x^k'))]).toEqual(['N', 'a_k', 'x'])
+  })
+})
@@ -0,0 +1,140 @@
+import { acquireProvider, circuitState, isProviderAvailable, releaseProvider, recordProviderFailure, recordProviderSuccess, providerHealth, resetProviderHealth } from '../lib/llm/health'
+import { callProvider, fallbackChain, getLLMConfig } from '../lib/llm/provider'
+import { silenceConsole } from './helpers/transcripts'
+
+const ENV = { ...process.env }
+
+beforeEach(() => {
+  process.env = { ...ENV, GROQ_API_KEY: 'g', CEREBRAS_API_KEY: 'c', LLM_BREAKER_THRESHOLD: '2', LLM_BREAKER_WINDOW_MS: '1000', LLM_BREAKER_COOLDOWN_MS: '5000' }
+  delete process.env.LLM_FALLBACK
+  delete process.env.NVIDIA_API_KEY
+  resetProviderHealth()
+  silenceConsole()
+})
+
+afterEach(() => {
+  process.env = ENV
+  jest.restoreAllMocks()
+})
+
+const completion = (content) => new Response(JSON.stringify({ choices: [{ message: { content } }] }), { status: 200 })
+
+describe('circuit breaker', () => {
+  test('opens after repeated failures inside the window', () => {
+    recordProviderFailure('groq', new Error('HTTP 500'), 0)
+    expect(circuitState('groq', 0)).toBe('closed')
+    recordProviderFailure('groq', new Error('HTTP 503'), 100)
+    expect(circuitState('groq', 100)).toBe('open')
+    expect(isProviderAvailable('groq', 100)).toBe(false)
+    expect(providerHealth(100).groq).toEqual({ state: 'open', recentFailures: 2, lastError: 'HTTP 503' })
+  })
+
+  test('forgets failures older than the window', () => {
+    recordProviderFailure('groq', new Error('HTTP 500'), 0)
+    recordProviderFailure('groq', new Error('HTTP 500'), 2000)
+    expect(circuitState('groq', 2000)).toBe('closed')
+  })
+
+  test('lets a trial call through after the cooldown', () => {
+    recordProviderFailure('groq', new Error('HTTP 500'), 0)
+    recordProviderFailure('groq', new Error('HTTP 500'), 0)
+    expect(circuitState('groq', 5000)).toBe('half-open')
+
+    recordProviderFailure('groq', new Error('HTTP 500'), 5000)
+    expect(circuitState('groq', 5001)).toBe('open')
+
+    recordProviderSuccess('groq')
+    expect(circuitState('groq', 5001)).toBe('closed')
+  })
+
+  test('lets only one trial call through until it settles', () => {
+    recordProviderFailure('groq', new Error('HTTP 500'), 0)
+    recordProviderFailure('groq', new Error('HTTP 500'), 0)
+
+    expect(acquireProvider('groq', 5000)).toBe(true)
+    expect(acquireProvider('groq', 5000)).toBe(false)
+    expect(isProviderAvailable('groq', 5000)).toBe(false)
+
+    releaseProvider('groq')
+    expect(acquireProvider('groq', 5000)).toBe(true)
+    recordProviderSuccess('groq')
+    expect(acquireProvider('groq', 5000)).toBe(true)
+    expect(acquireProvider('groq', 5000)).toBe(true)
+  })
+})
+
+describe('fallback chains', () => {
+  test('come from the request, or LLM_FALLBACK by default', () => {
+    expect(fallbackChain('nvidia', 'cerebras, groq')).toEqual(['nvidia', 'cerebras', 'groq'])
+    process.env.LLM_FALLBACK = 'groq,nvidia'
+    expect(fallbackChain('nvidia')).toEqual(['nvidia', 'groq'])
+    expect(fallbackChain('nvidia', [])).toEqual(['nvidia'])
+  })
+
+  test('leave out providers without an API key', () => {
+    const config = getLLMConfig('nvidia', { fallback: ['cerebras', 'groq'] })
+    expect(config.provider).toBe('cerebras')
+    expect(config.fallbacks.map((c) => c.provider)).toEqual(['groq'])
+  })
+
+  test('throw when no provider in the chain is configured', () => {
+    delete process.env.GROQ_API_KEY
+    expect(() => getLLMConfig('nvidia', { fallback: ['groq'] })).toThrow('NVIDIA_API_KEY not set')
+  })
+})
+
+describe('callProvider with fallbacks', () => {
+  const body = { messages: [{ role: 'user', content: 'hi' }], max_tokens: 100 }
+
+  test('tries the next provider after a failure and reports who answered', async () => {
+    const config = getLLMConfig('groq', { fallback: 'cerebras' })
+    const fetchMock = jest.spyOn(global, 'fetch')
+      .mockResolvedValueOnce(new Response('busy', { status: 429 }))
+      .mockResolvedValueOnce(completion('ok'))
+
+    const data = await callProvider({ config, body: { ...body, model: config.model }, maxRetries: 0, baseDelayMs: 0 })
+
+    expect(data.choices[0].message.content).toBe('ok')
+    expect(data.servedBy).toEqual({ provider: 'cerebras', model: 'llama-3.3-70b', skipped: [{ provider: 'groq', reason: 'HTTP 429 busy' }] })
+    expect(JSON.parse(fetchMock.mock.calls[1][1].body).model).toBe('llama-3.3-70b')
+  })
+
+  test('skips providers whose circuit is open', async () => {
+    recordProviderFailure('groq', new Error('HTTP 500'))
+    recordProviderFailure('groq', new Error('HTTP 500'))
+    const config = getLLMConfig('groq', { fallback: ['cerebras'] })
+    const fetchMock = jest.spyOn(global, 'fetch').mockResolvedValueOnce(completion('ok'))
+
+    const data = await callProvider({ config, body, maxRetries: 0, baseDelayMs: 0 })
+
+    expect(fetchMock).toHaveBeenCalledTimes(1)
+    expect(data.servedBy.skipped).toEqual([{ provider: 'groq', reason: 'circuit open' }])
+  })
+
+  test('send one trial call to a half-open provider and the concurrent one to the fallback', async () => {
+    recordProviderFailure('groq', new Error('HTTP 500'), Date.now() - 5000)
+    recordProviderFailure('groq', new Error('HTTP 500'), Date.now() - 5000)
+    const config = getLLMConfig('groq', { fallback: ['cerebras'] })
+    let answerTrial
+    const fetchMock = jest.spyOn(global, 'fetch').mockImplementation((url) => (
+      url.includes('groq') ? new Promise((resolve) => { answerTrial = resolve }) : Promise.resolve(completion('fallback'))
+    ))
+
+    const trial = callProvider({ config, body, maxRetries: 0, baseDelayMs: 0 })
+    const concurrent = await callProvider({ config, body, maxRetries: 0, baseDelayMs: 0 })
+
+    expect(concurrent.servedBy).toMatchObject({ provider: 'cerebras', skipped: [{ provider: 'groq', reason: 'circuit open' }] })
+    expect(fetchMock.mock.calls.filter(([url]) => url.includes('groq'))).toHaveLength(1)
+    answerTrial(completion('trial'))
+    expect((await trial).servedBy.provider).toBe('groq')
+    expect(circuitState('groq')).toBe('closed')
+  })
+
+  test('throws the last error when every provider fails', async () => {
+    const config = getLLMConfig('groq', { fallback: ['cerebras'] })
+    jest.spyOn(global, 'fetch').mockImplementation(async () => new Response('down', { status: 502 }))
+
+    await expect(callProvider({ config, body, maxRetries: 0, baseDelayMs: 0 })).rejects.toThrow('HTTP 502')
+    expect(providerHealth()).toMatchObject({ groq: { recentFailures: 1 }, cerebras: { recentFailures: 1 } })
+  })
+})
@@ -0,0 +1,48 @@
+import fs from 'fs'
+import path from 'path'
+
+const FIXTURES = path.join(__dirname, '..', 'fixtures')
+
+export function readModelOutput(name) {
+  return fs.readFileSync(path.join(FIXTURES, 'model-outputs', name), 'utf8')
+}
+
+export function loadTranscript(name) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES, 'transcripts', name), 'utf8'))
+}
+
+function completion(content, usage) {
+  return { choices: [{ message: { role: 'assistant', content } }], ...(usage ? { usage } : {}) }
+}
+
+/**
+ * Replace global fetch with a mock that serves a transcript's responses in order.
+ * Each entry is either { iteration } (serialized as the completion content),
+ * { content } (raw completion text), { status, body, headers? } (an HTTP error)
+ * or { hang: true } (a request that never answers until its signal aborts);
+ * completions may add an OpenAI-style `usage` block.
+ * The mock's `calls` record the request bodies the solver sent.
+ */
+export function mockFetchWithTranscript(transcript) {
+  const queue = [...transcript.responses]
+  return jest.spyOn(global, 'fetch').mockImplementation(async (url, init) => {
+    const next = queue.shift()
+    if (!next) throw new Error('Transcript exhausted: unexpected extra LLM call')
+    if (next.hang) {
+      return new Promise((resolve, reject) => init?.signal?.addEventListener('abort', () => reject(init.signal.reason)))
+    }
+    if (next.status) return new Response(JSON.stringify(next.body || {}), { status: next.status, headers: next.headers })
+    const content = next.iteration ? JSON.stringify(next.iteration) : next.content
+    return new Response(JSON.stringify(completion(content, next.usage)), { status: 200, headers: { 'Content-Type': 'application/json' } })
+  })
+}
+
+export function requestBodies(fetchMock) {
+  return fetchMock.mock.calls.map(([, init]) => JSON.parse(init.body))
+}
+
+export function silenceConsole() {
+  for (const level of ['log', 'warn', 'error']) {
+    jest.spyOn(console, level).mockImplementation(() => {})
+  }
+}
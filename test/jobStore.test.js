@@ -0,0 +1,70 @@
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { createFileStore, createMemoryStore } from '../lib/jobs/store'
+
+const job = (id, status = 'completed') => ({ id, status, transcript: { entries: [] } })
+
+describe('createMemoryStore', () => {
+  test('returns copies of the stored jobs', async () => {
+    const store = createMemoryStore()
+    const stored = job('a')
+    await store.put(stored)
+    stored.status = 'failed'
+
+    const read = await store.get('a')
+    read.transcript.entries.push('x')
+
+    expect(await store.get('a')).toEqual(job('a'))
+    expect(await store.get('missing')).toBeNull()
+  })
+
+  test('drops the least recently updated finished jobs beyond maxEntries', async () => {
+    const store = createMemoryStore({ maxEntries: 2 })
+    await store.put(job('a'))
+    await store.put(job('b'))
+    await store.put(job('a', 'cancelled'))
+    await store.put(job('c'))
+
+    expect(await store.get('b')).toBeNull()
+    expect((await store.get('a')).status).toBe('cancelled')
+    expect(await store.get('c')).not.toBeNull()
+  })
+
+  test('keeps jobs that are still in progress', async () => {
+    const store = createMemoryStore({ maxEntries: 1 })
+    await store.put(job('a', 'running'))
+    await store.put(job('b', 'queued'))
+    await store.put(job('c'))
+
+    expect(await store.get('a')).not.toBeNull()
+    expect(await store.get('b')).not.toBeNull()
+    expect(await store.get('c')).toBeNull()
+  })
+})
+
+describe.each([
+  ['memory', () => createMemoryStore()],
+  ['file', () => createFileStore(fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-')))],
+])('%s store', (kind, create) => {
+  test('does not overwrite a record with the status given as unlessStored', async () => {
+    const store = create()
+    await store.put(job('a', 'cancelled'))
+
+    expect(await store.put(job('a', 'running'), { unlessStored: 'cancelled' })).toBe(false)
+    expect((await store.get('a')).status).toBe('cancelled')
+    expect(await store.put(job('b', 'running'), { unlessStored: 'cancelled' })).toBe(true)
+  })
+})
+
+describe('createFileStore', () => {
+  test('keeps concurrent writes of one job apart', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jobs-'))
+    const store = createFileStore(dir)
+
+    await Promise.all(Array.from({ length: 10 }, (_, i) => store.put({ ...job('a'), progress: { k: i } })))
+
+    expect((await store.get('a')).progress.k).toEqual(expect.any(Number))
+    expect(fs.readdirSync(dir)).toEqual(['a.json'])
+  })
+})
@@ -0,0 +1,85 @@
+import { createSolveJob, getJob, isTerminal } from '../lib/jobs/runner'
+import { createMemoryStore, setJobStore } from '../lib/jobs/store'
+import { resetProviderHealth } from '../lib/llm/health'
+import { loadTranscript, mockFetchWithTranscript, silenceConsole } from './helpers/transcripts'
+
+const ENV = { ...process.env }
+
+beforeEach(() => {
+  process.env = { ...ENV, GROQ_API_KEY: 'test-key', SCH_MIN_DELAY_MS: '0', SCH_MAX_RETRIES: '0', SCH_BACKOFF_BASE_MS: '0' }
+  delete process.env.LLM_CACHE
+  resetProviderHealth()
+  silenceConsole()
+  setJobStore(createMemoryStore())
+})
+
+afterEach(() => {
+  process.env = ENV
+  setJobStore(null)
+  jest.restoreAllMocks()
+})
+
+const baseParams = {
+  equation: '- (hbar^2 / 2m) d^2 psi/dx^2 + 1/2 m omega^2 x^2 psi = E psi',
+  strategy: 'baseline',
+  detailLevel: 'sketch',
+  maxIterations: 2,
+  provider: 'groq',
+}
+
+async function finishedJob(responses) {
+  mockFetchWithTranscript({ responses })
+  const job = await createSolveJob(baseParams)
+  for (let i = 0; i < 100; i++) {
+    const current = await getJob(job.id)
+    if (isTerminal(current.status)) return current
+    await new Promise((resolve) => setTimeout(resolve, 10))
+  }
+  throw new Error('job did not finish')
+}
+
+describe('solve jobs', () => {
+  test('fail when no iteration could be parsed', async () => {
+    const job = await finishedJob(loadTranscript('parse-failure.json').responses)
+
+    expect(job).toMatchObject({ status: 'failed', errorCode: 'unparseable_output', error: 'The model returned output that could not be parsed' })
+    expect(job.result.validation.termination).toEqual({ reason: 'unparseable_output', k: 1 })
+  })
+
+  test('fail when the first draft and its revision are rejected', async () => {
+    // revision-rejected.json without its accepted first iteration
+    const job = await finishedJob(loadTranscript('revision-rejected.json').responses.slice(1))
+
+    expect(job).toMatchObject({ status: 'failed', errorCode: 'validation_failed' })
+    expect(job.iterations).toEqual([])
+  })
+
+  test('complete once an iteration is accepted, even if a later one is rejected', async () => {
+    const job = await finishedJob(loadTranscript('revision-rejected.json').responses)
+
+    expect(job.status).toBe('completed')
+    expect(job).toMatchObject({ error: null, errorCode: null })
+    expect(job.iterations).toHaveLength(1)
+  })
+
+  test('stay cancelled when a cancel lands as an update is written', async () => {
+    const memory = createMemoryStore()
+    let cancelled = false
+    setJobStore({
+      ...memory,
+      async put(job, options) {
+        // Another process cancels the job just before the first progress update is written
+        if (job.progress && !cancelled) {
+          cancelled = true
+          await memory.put({ ...(await memory.get(job.id)), status: 'cancelled' })
+        }
+        return memory.put(job, options)
+      },
+    })
+
+    const job = await finishedJob(loadTranscript('stop-flag.json').responses)
+
+    expect(job.status).toBe('cancelled')
+    expect(job.progress).toMatchObject({ k: 1 })
+  })
+})
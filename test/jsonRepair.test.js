@@ -0,0 +1,79 @@
+import { extractJSON, repairIncompleteJSON } from '../lib/schrodinger/solver'
+import { readModelOutput, silenceConsole } from './helpers/transcripts'
+
+beforeEach(() => silenceConsole())
+afterEach(() => jest.restoreAllMocks())
+
+const clean = JSON.parse(readModelOutput('clean.json'))
+
+describe('extractJSON', () => {
+  test.each(['clean.json', 'prose-wrapped.txt', 'code-fenced.txt'])('recovers the full iteration from %s', (name) => {
+    expect(extractJSON(readModelOutput(name))).toEqual(clean)
+  })
+
+  test('takes the first balanced object when the model emits two', () => {
+    expect(extractJSON(readModelOutput('two-objects.txt'))).toEqual({ k: 3, goal: 'first object' })
+  })
+
+  test('returns null when there is no JSON at all', () => {
+    expect(extractJSON(readModelOutput('no-json.txt'))).toBeNull()
+    expect(extractJSON('')).toBeNull()
+    expect(extractJSON(undefined)).toBeNull()
+  })
+
+  test('falls through to repair for truncated output', () => {
+    const parsed = extractJSON(readModelOutput('truncated-string.txt'))
+    expect(parsed.k).toBe(1)
+    expect(parsed.equations).toHaveLength(4)
+  })
+})
+
+describe('repairIncompleteJSON', () => {
+  test('closes a string cut off inside the equations array', () => {
+    const parsed = repairIncompleteJSON(readModelOutput('truncated-string.txt'))
+    expect(parsed.goal).toBe(clean.goal)
+    expect(parsed.equations.slice(0, 3)).toEqual(clean.equations.slice(0, 3))
+    expect(parsed.equations[3]).toEqual({ latex: clean.equations[3].latex, text: 'Substituting' })
+    expect(parsed.result_summary).toBe('Partial iteration (output was truncated)')
+  })
+
+  test('drops a dangling comma after the last complete equation', () => {
+    const parsed = repairIncompleteJSON(readModelOutput('truncated-after-comma.txt'))
+    expect(parsed.equations).toEqual(clean.equations.slice(0, 2))
+  })
+
+  test('drops a half-written escape sequence', () => {
+    const parsed = repairIncompleteJSON(readModelOutput('truncated-escape.txt'))
+    expect(parsed.equations).toHaveLength(4)
+    expect(parsed.equations[3].latex).toBe('')
+  })
+
+  test('falls back to a minimal iteration when the cut is unrecoverable', () => {
+    const parsed = repairIncompleteJSON(readModelOutput('truncated-key.txt'))
+    expect(parsed).toEqual({
+      k: 1,
+      goal: 'Continue derivation (recovered from truncated output)',
+      analysis: 'Output was truncated, continuing with minimal iteration',
+      equations: [],
+      result_summary: 'Iteration truncated - please use a larger model or reduce complexity',
+    })
+  })
+
+  test('keeps the iteration number from the fallback', () => {
+    expect(repairIncompleteJSON('{"k": 7, "goal": "x", "equ').k).toBe(7)
+  })
+
+  test('fills in required fields missing from a short object', () => {
+    expect(repairIncompleteJSON('{"goal": "Find the spectrum"')).toEqual({
+      k: 1,
+      goal: 'Find the spectrum',
+      analysis: 'Continuing the solution',
+      equations: [],
+      result_summary: 'Partial iteration (output was truncated)',
+    })
+  })
+
+  test('returns null without an opening brace', () => {
+    expect(repairIncompleteJSON(readModelOutput('no-json.txt'))).toBeNull()
+  })
+})
@@ -0,0 +1,166 @@
+import { judgeItems, judgeIteration, resolveJudgeMode, ruleVerdict } from '../lib/schrodinger/judge'
+import { solveSchrodingerIterative } from '../lib/schrodinger/solver'
+import { getLLMConfig } from '../lib/llm/provider'
+import { resetProviderHealth } from '../lib/llm/health'
+import { loadTranscript, mockFetchWithTranscript, requestBodies, silenceConsole } from './helpers/transcripts'
+
+const ENV = { ...process.env }
+
+beforeEach(() => {
+  process.env = { ...ENV, GROQ_API_KEY: 'test-key', SCH_MIN_DELAY_MS: '0', SCH_MAX_RETRIES: '0', SCH_BACKOFF_BASE_MS: '0' }
+  delete process.env.LLM_CACHE
+  resetProviderHealth()
+  silenceConsole()
+})
+
+afterEach(() => {
+  process.env = ENV
+  jest.restoreAllMocks()
+})
+
+const baseParams = {
+  equation: '- (hbar^2 / 2m) d^2 psi/dx^2 + 1/2 m omega^2 x^2 psi = E psi',
+  strategy: 'planner',
+  detailLevel: 'sketch',
+  maxIterations: 4,
+  provider: 'groq',
+}
+
+// The planner's two iterations: both mention normalization and boundaries, neither Hermiticity or orthogonality
+const [, { iteration: first }, { iteration: second }] = loadTranscript('planner.json').responses
+
+const step = { index: 1, title: 'Construct the eigenstates', methods: [], deliverables: ['Energy spectrum', 'Ground-state wavefunction'], success: '', physics_checks: ['Orthogonality'] }
+
+const grades = (...met) => ({ content: JSON.stringify({ items: met.map((m, i) => ({ n: i + 1, met: m, reason: m ? 'derived' : 'missing' })) }) })
+
+describe('rules', () => {
+  test('hold a physics check unmet when the iteration never mentions it', () => {
+    expect(ruleVerdict({ kind: 'physics_check', text: 'Orthogonality' }, first)).toEqual({ met: false, definite: true, reason: 'never mentions orthogon' })
+    expect(ruleVerdict({ kind: 'physics_check', text: 'Normalization of ψ' }, first)).toMatchObject({ met: true, definite: false })
+  })
+
+  test('look for the terms of other items', () => {
+    expect(ruleVerdict({ kind: 'deliverable', text: 'Spectrum derivation' }, second)).toMatchObject({ met: true, reason: '1 of 1 terms found' })
+    expect(ruleVerdict({ kind: 'deliverable', text: 'Prove completeness of the Hermite basis' }, second)).toMatchObject({ met: false, definite: false })
+  })
+})
+
+describe('judgeItems', () => {
+  test('lists the step\'s deliverables, success criterion and checks, then the carried items', () => {
+    const items = judgeItems({ ...step, success: 'E_n stated' }, [{ kind: 'physics_check', text: 'Hermiticity', step: 0 }])
+
+    expect(items.map((item) => [item.kind, item.text, item.step, !!item.carried])).toEqual([
+      ['deliverable', 'Energy spectrum', 1, false],
+      ['deliverable', 'Ground-state wavefunction', 1, false],
+      ['success', 'E_n stated', 1, false],
+      ['physics_check', 'Orthogonality', 1, false],
+      ['physics_check', 'Hermiticity', 0, true],
+    ])
+  })
+
+  test('is switched by the judge option', () => {
+    expect(resolveJudgeMode(undefined, false)).toBe(false)
+    expect(resolveJudgeMode(true, false)).toBe('llm')
+    expect(resolveJudgeMode('rules')).toBe('rules')
+    expect(() => resolveJudgeMode('strict')).toThrow('judge must be true, false or one of llm, rules')
+  })
+})
+
+describe('judgeIteration', () => {
+  const config = () => ({ ...getLLMConfig('groq'), stage: 'judge' })
+
+  test('takes the grader\'s verdicts unless the rules rule them out', async () => {
+    const fetchMock = mockFetchWithTranscript({ responses: [grades(true, false, true)] })
+
+    const judgement = await judgeIteration({ config: config(), iteration: first, planStep: step, items: judgeItems(step) })
+
+    expect(judgement.grader).toBe('ok')
+    expect(judgement.items.map((item) => [item.text, item.met, item.by])).toEqual([
+      ['Energy spectrum', true, 'grader'],
+      ['Ground-state wavefunction', false, 'grader'],
+      ['Orthogonality', false, 'rules'],
+    ])
+    expect(judgement.unmet.map((item) => item.text)).toEqual(['Ground-state wavefunction', 'Orthogonality'])
+    const [body] = requestBodies(fetchMock)
+    expect(body.messages[0].content).toMatch(/^You are a strict examiner/)
+    expect(body.messages[1].content).toContain('3. [physics check] Orthogonality')
+  })
+
+  test('keeps the rule verdicts when the grader fails', async () => {
+    mockFetchWithTranscript({ responses: [{ status: 503 }] })
+
+    const judgement = await judgeIteration({ config: config(), iteration: first, planStep: step, items: judgeItems(step) })
+
+    expect(judgement.grader).toBe('failed')
+    expect(judgement.items.every((item) => item.by === 'rules')).toBe(true)
+  })
+})
+
+describe('solver judge stage', () => {
+  test('carries unmet items into the next iteration and revises the last one to deliver them', async () => {
+    const revised = { ...second, analysis: `${second.analysis} Hermiticity of the Hamiltonian is verified by integration by parts.` }
+    const { responses } = loadTranscript('planner.json')
+    const fetchMock = mockFetchWithTranscript({ responses: [...responses, { iteration: revised }] })
+    const events = []
+
+    const result = await solveSchrodingerIterative({ ...baseParams, judge: 'rules', onEvent: (type, payload) => events.push([type, payload]) })
+
+    expect(fetchMock).toHaveBeenCalledTimes(4)
+    const [, , next, revision] = requestBodies(fetchMock)
+    expect(next.messages[1].content).toContain('OUTSTANDING FROM EARLIER STEPS (deliver these in this iteration too):\n  1. Hermiticity (step 1)')
+    expect(revision.messages[1].content).toContain('did not deliver everything its plan asked for')
+    expect(revision.messages[1].content).toContain('- Hermiticity')
+    expect(result.iterations[0].judgement.items.find((item) => item.text === 'Hermiticity')).toMatchObject({ met: false, by: 'rules' })
+    expect(result.iterations[1].judgement.revision).toEqual({ accepted: true, unmetBefore: 1 })
+    expect(result.iterations[1].analysis).toContain('Hermiticity')
+    expect(result.validation.judge).toEqual({ mode: 'rules', unmet: [] })
+    expect(events.filter(([type]) => type === 'judge').map(([, payload]) => payload.k)).toEqual([1, 2])
+  })
+
+  test('reports a promised orthogonality check that never appears', async () => {
+    const thin = { ...first, equations: first.equations.slice(0, 2) }
+    const fetchMock = mockFetchWithTranscript({ responses: [{ iteration: first }, grades(true, true, true), { iteration: thin }] })
+
+    const result = await solveSchrodingerIterative({ ...baseParams, plan: [step], judge: true })
+
+    // Iteration, grader, then a focused revision that fails validation and is dropped
+    expect(fetchMock).toHaveBeenCalledTimes(3)
+    expect(requestBodies(fetchMock)[2].messages[1].content).toContain('- Orthogonality (grader: never mentions orthogon)')
+    expect(result.iterations[0].equations).toHaveLength(first.equations.length)
+    expect(result.iterations[0].judgement).toMatchObject({ grader: 'ok', revision: { accepted: false, unmetBefore: 1 } })
+    expect(result.validation.judge).toEqual({ mode: 'llm', unmet: [{ kind: 'physics_check', text: 'Orthogonality', step: 1 }] })
+  })
+
+  test('judges a malformed planner step by what can be read from it', async () => {
+    const plan = [
+      { title: 'Set up', deliverables: [{ name: 'energy spectrum' }], physics_checks: 'Hermiticity' },
+      { description: 'a step without a title' },
+      { title: 'Solve', deliverables: 'Energy spectrum', success: 3 },
+    ]
+    const revised = { ...second, analysis: `${second.analysis} Hermiticity of the Hamiltonian is verified by integration by parts.` }
+    const fetchMock = mockFetchWithTranscript({ responses: [{ content: JSON.stringify({ plan }) }, { iteration: first }, { iteration: second }, { iteration: revised }] })
+
+    const result = await solveSchrodingerIterative({ ...baseParams, judge: 'rules' })
+
+    expect(result.plan).toEqual([
+      { index: 1, title: 'Set up', methods: [], deliverables: [], success: '', physics_checks: ['Hermiticity'] },
+      { index: 2, title: 'Solve', methods: [], deliverables: ['Energy spectrum'], success: '', physics_checks: [] },
+    ])
+    expect(fetchMock).toHaveBeenCalledTimes(4)
+    expect(requestBodies(fetchMock)[2].messages[1].content).toContain('1. Hermiticity (step 1)')
+    expect(result.iterations[1].judgement.items.map((item) => [item.text, item.step, item.met])).toEqual([
+      ['Energy spectrum', 2, true],
+      ['Hermiticity', 1, true],
+    ])
+  })
+
+  test('is off by default for sketches', async () => {
+    const fetchMock = mockFetchWithTranscript(loadTranscript('planner.json'))
+
+    const result = await solveSchrodingerIterative(baseParams)
+
+    expect(fetchMock).toHaveBeenCalledTimes(3)
+    expect(result.iterations[0].judgement).toBeUndefined()
+    expect(result.validation.judge).toBeNull()
+  })
+})
@@ -0,0 +1,38 @@
+import { buildLatexDocument } from '../lib/schrodinger/latexBuilder'
+
+describe('buildLatexDocument', () => {
+  test('escapes LaTeX special characters in text fields', () => {
+    const doc = buildLatexDocument({ problem: '50% of a_b & c #1 costs $5 {x}' })
+    expect(doc).toContain('50\\% of a\\_b \\& c \\#1 costs \\$5 \\{x\\}')
+  })
+
+  test('maps backslash, tilde and caret to text commands', () => {
+    const doc = buildLatexDocument({ problem: 'C:\\path ~ x^2' })
+    expect(doc).toContain('C:\\textbackslash{}path \\textasciitilde{} x\\textasciicircum{}2')
+  })
+
+  test('does not escape equation LaTeX', () => {
+    const latex = '\\frac{\\hbar^2}{2m}\\psi_n'
+    const doc = buildLatexDocument({}, [{ k: 1, equations: [{ latex, text: 'Kinetic term_1' }] }], { main_result_latex: 'E_n = \\hbar\\omega' })
+    expect(doc).toContain(`\\begin{equation}\n${latex}\n\\end{equation}`)
+    expect(doc).toContain('Kinetic term\\_1')
+    expect(doc).toContain('\\begin{equation}\nE_n = \\hbar\\omega\n\\end{equation}')
+  })
+
+  test('escapes section titles and the document title', () => {
+    const doc = buildLatexDocument({ title: 'Well & Barrier' })
+    expect(doc).toContain('\\title{Well \\& Barrier}')
+  })
+
+  test('numbers iterations and includes the appendix when present', () => {
+    const doc = buildLatexDocument({}, [{ goal: 'First' }, { k: 5, goal: 'Second' }], { appendixLatex: '\\subsection{Extra}' })
+    expect(doc).toContain('\\subsection{Iteration 1}')
+    expect(doc).toContain('\\subsection{Iteration 5}')
+    expect(doc).toContain('\\section{Appendix: Extended Derivations}\n\\subsection{Extra}')
+  })
+
+  test('ignores non-string text', () => {
+    const doc = buildLatexDocument({ abstract: 42 })
+    expect(doc).not.toContain('\\begin{abstract}\n42')
+  })
+})
@@ -0,0 +1,100 @@
+import { parseLatex } from '../lib/math/parse'
+import { printLatex } from '../lib/math/print'
+import { evaluate, freeSymbols, compileLatex } from '../lib/math/evaluate'
+
+const canonical = (src) => printLatex(parseLatex(src))
+
+describe('parseLatex', () => {
+  test('reads the oscillator spectrum as a relation', () => {
+    const ast = parseLatex('E_n = \\hbar\\omega\\left(n + \\frac{1}{2}\\right)')
+    expect(ast.type).toBe('relation')
+    expect(ast.ops).toEqual(['='])
+    expect(ast.args[0]).toEqual({ type: 'var', name: 'E_n' })
+    expect([...freeSymbols(ast.args[1])].sort()).toEqual(['hbar', 'n', 'omega'])
+  })
+
+  test('treats adjacent letters as separate factors', () => {
+    expect([...freeSymbols(parseLatex('2mx'))]).toEqual(['m', 'x'])
+  })
+
+  test('keeps subscripts, accents and primes in the symbol name', () => {
+    expect([...freeSymbols(parseLatex('m_{\\text{eff}} \\omega_0 x_{10} \\hat{a}_k \\psi\'\''))]).toEqual(['m_eff', 'omega_0', 'x_10', 'a.hat_k', 'psi\'\''])
+  })
+
+  test('splits single-token arguments as TeX does', () => {
+    expect(evaluate(parseLatex('\\frac12'))).toBe(0.5)
+    expect(evaluate(parseLatex('x^23'), { x: 2 })).toBe(12)
+  })
+
+  test('reads unparenthesized function arguments up to the next call', () => {
+    const ast = parseLatex('\\sin kx \\cos kx')
+    expect(ast).toMatchObject({ type: 'binary', op: '*', left: { type: 'call', name: 'sin' }, right: { type: 'call', name: 'cos' } })
+    expect(evaluate(parseLatex('\\sin^2 x + \\cos^2 x'), { x: 0.7 })).toBeCloseTo(1)
+  })
+
+  test('parses sums with bounds', () => {
+    const ast = parseLatex('\\sum_{k=0}^{\\infty} \\frac{x^k}{k!}')
+    expect(ast).toMatchObject({ type: 'sum', index: 'k', lower: { type: 'num', value: 0 }, upper: { type: 'var', name: 'infty' } })
+    expect([...freeSymbols(ast)]).toEqual(['x'])
+  })
+
+  test('rejects unsupported commands and unbalanced input', () => {
+    expect(() => parseLatex('\\int_0^1 x dx')).toThrow('Unsupported command "\\int"')
+    expect(() => parseLatex('\\frac{1}{2')).toThrow('Expected "}"')
+    expect(() => parseLatex('')).toThrow('Empty formula')
+  })
+})
+
+describe('printLatex', () => {
+  test.each([
+    ['E_n = \\hbar \\omega (n + 1/2)', 'E_n = \\hbar \\omega \\left(n + \\frac{1}{2}\\right)'],
+    ['\\dfrac{\\hbar^2 k^2}{2m}', '\\frac{\\hbar^{2} k^{2}}{2 m}'],
+    ['-\\frac{\\hbar^2}{2m}\\psi\'\' + V\\psi', '-\\frac{\\hbar^{2}}{2 m} \\psi\'\' + V \\psi'],
+    ['\\sqrt[3]{x}', 'x^{\\frac{1}{3}}'],
+    ['|x - a| \\cdot 2', '\\left|x - a\\right| \\cdot 2'],
+    ['a - (b - c)', 'a - \\left(b - c\\right)'],
+    ['(a b) c', 'a b c'],
+    ['\\sin kx', '\\sin\\left(k x\\right)'],
+    ['\\left(n+1\\right)!', '\\left(n + 1\\right)!'],
+    ['x \\mp y', 'x \\pm -y'],
+    ['\\sum_{n=1}^{N} n^2 + 1', '\\sum_{n = 1}^{N} n^{2} + 1'],
+  ])('%s', (src, expected) => {
+    expect(canonical(src)).toBe(expected)
+  })
+
+  test('round-trips through the parser', () => {
+    const sources = [
+      'E_{n,l} = -\\frac{m e^4}{2\\hbar^2 (n + l)^2}',
+      '\\psi_n(x) = \\frac{1}{\\sqrt{2^n n!}} \\left(\\frac{m\\omega}{\\pi\\hbar}\\right)^{1/4} e^{-m\\omega x^2/2\\hbar}',
+      'k \\tan\\left(\\frac{k L}{2}\\right) = \\kappa',
+      '-(a + b)^2 \\cdot -c',
+      'x_{\\mathrm{eff}} \\approx \\hat{p}^2 / 2m',
+    ]
+    for (const src of sources) {
+      const once = canonical(src)
+      expect(parseLatex(once)).toEqual(parseLatex(src))
+      expect(canonical(once)).toBe(once)
+    }
+  })
+})
+
+describe('evaluate', () => {
+  test('evaluates with bindings and constants', () => {
+    const E = compileLatex('\\hbar\\omega\\left(n + \\frac{1}{2}\\right)')
+    expect(E({ hbar: 1, omega: 2, n: 3 })).toBe(7)
+    expect(evaluate(parseLatex('e^{i\\pi}'), { i: 0 })).toBe(1)
+    expect(evaluate(parseLatex('\\cos(\\pi)'))).toBe(-1)
+  })
+
+  test('sums finite and convergent infinite series', () => {
+    expect(evaluate(parseLatex('\\sum_{n=1}^{N} n^2'), { N: 4 })).toBe(30)
+    expect(evaluate(parseLatex('\\sum_{k=0}^{\\infty} \\frac{x^k}{k!}'), { x: 1 })).toBeCloseTo(Math.E, 12)
+  })
+
+  test('reports unbound variables and unevaluable forms', () => {
+    expect(() => evaluate(parseLatex('m x'), { m: 1 })).toThrow('Unbound variable "x"')
+    expect(() => evaluate(parseLatex('a = b'), { a: 1, b: 1 })).toThrow('Cannot evaluate a relation')
+    expect(() => evaluate(parseLatex('1 \\pm 2'))).toThrow('choose a sign')
+    expect(() => evaluate(parseLatex('(1/2)!'))).toThrow('Factorial of 0.5 is undefined')
+  })
+})
@@ -0,0 +1,141 @@
+import { EventEmitter } from 'events'
+import { MAX_PLAN_STEPS, normalizePlan } from '../lib/schrodinger/plan'
+import { solveSchrodingerIterative } from '../lib/schrodinger/solver'
+import { resetProviderHealth } from '../lib/llm/health'
+import planRoute from '../pages/api/plan'
+import schrodinger from '../pages/api/schrodinger'
+import { loadTranscript, mockFetchWithTranscript, requestBodies, silenceConsole } from './helpers/transcripts'
+
+const ENV = { ...process.env }
+
+beforeEach(() => {
+  process.env = { ...ENV, GROQ_API_KEY: 'test-key', SCH_MIN_DELAY_MS: '0', SCH_MAX_RETRIES: '0', SCH_BACKOFF_BASE_MS: '0' }
+  delete process.env.LLM_CACHE
+  resetProviderHealth()
+  silenceConsole()
+})
+
+afterEach(() => {
+  process.env = ENV
+  jest.restoreAllMocks()
+})
+
+function mockRes() {
+  const res = Object.assign(new EventEmitter(), { writableFinished: false, headers: {} })
+  res.status = jest.fn().mockReturnValue(res)
+  res.json = jest.fn().mockReturnValue(res)
+  res.setHeader = (name, value) => { res.headers[name] = value }
+  return res
+}
+
+const baseParams = {
+  equation: '- (hbar^2 / 2m) d^2 psi/dx^2 + 1/2 m omega^2 x^2 psi = E psi',
+  strategy: 'planner',
+  detailLevel: 'sketch',
+  maxIterations: 4,
+  provider: 'groq',
+}
+
+// planner.json without its planner reply: the two iterations
+const iterationReplies = () => loadTranscript('planner.json').responses.slice(1)
+
+const reviewed = [
+  { title: 'Derive the energy spectrum', methods: ['Ladder operators'], deliverables: ['Energy spectrum'] },
+  { title: 'Normalize the ground state', success: 'ψ_0 normalized' },
+]
+
+describe('normalizePlan', () => {
+  test('renumbers the steps and fills in the optional fields', () => {
+    const plan = normalizePlan([{ index: 7, title: ' Solve ', methods: ['Frobenius', ' '], extra: true }, { title: 'Check' }])
+
+    expect(plan).toEqual([
+      { index: 1, title: 'Solve', methods: ['Frobenius'], deliverables: [], success: '', physics_checks: [] },
+      { index: 2, title: 'Check', methods: [], deliverables: [], success: '', physics_checks: [] },
+    ])
+  })
+
+  test('names the step that is malformed', () => {
+    expect(() => normalizePlan([])).toThrow('Plan must be a non-empty array of steps')
+    expect(() => normalizePlan([{ title: 'a' }, { title: '  ' }])).toThrow('Plan step 2: title must be a non-empty string')
+    expect(() => normalizePlan([{ title: 'a', deliverables: 'E_n' }])).toThrow('Plan step 1: deliverables must be a list of strings')
+    expect(() => normalizePlan([{ title: 'a', success: 1 }])).toThrow('Plan step 1: success must be a string')
+    expect(() => normalizePlan(Array.from({ length: MAX_PLAN_STEPS + 1 }, () => ({ title: 'a' })))).toThrow(`at most ${MAX_PLAN_STEPS}`)
+  })
+})
+
+describe('/api/plan', () => {
+  test('returns the plan without running any iteration', async () => {
+    const fetchMock = mockFetchWithTranscript({ responses: loadTranscript('planner.json').responses.slice(0, 1) })
+    const res = mockRes()
+
+    await planRoute({ method: 'POST', headers: {}, body: { equation: baseParams.equation, context: { type: 'time-independent' } } }, res)
+
+    expect(fetchMock).toHaveBeenCalledTimes(1)
+    expect(res.status).toHaveBeenCalledWith(200)
+    const body = res.json.mock.calls[0][0]
+    expect(body).toMatchObject({ equation: baseParams.equation, context: { type: 'time-independent' }, notes: 'Exactly solvable' })
+    expect(body.plan.map((step) => step.title)).toEqual(['Formulate the eigenvalue problem', 'Derive the energy spectrum'])
+    expect(body.plan[1]).toMatchObject({ index: 2, methods: ['Ladder operators'], physics_checks: ['Normalization'] })
+    expect(res.headers['X-Run-Id']).toBe(body.runId)
+  })
+
+  test('reports a planner failure instead of an empty plan', async () => {
+    mockFetchWithTranscript({ responses: [{ status: 503 }] })
+    const res = mockRes()
+
+    await planRoute({ method: 'POST', headers: {}, body: { equation: baseParams.equation } }, res)
+
+    expect(res.status).toHaveBeenCalledWith(502)
+    expect(res.json.mock.calls[0][0].code).toBe('provider_error')
+  })
+
+  test('rejects a reply with no steps', async () => {
+    mockFetchWithTranscript({ responses: [{ content: '{"plan":[]}' }] })
+    const res = mockRes()
+
+    await planRoute({ method: 'POST', headers: {}, body: { equation: baseParams.equation } }, res)
+
+    expect(res.status).toHaveBeenCalledWith(424)
+    expect(res.json.mock.calls[0][0]).toMatchObject({ code: 'unparseable_output' })
+  })
+})
+
+describe('reviewed plans', () => {
+  test('run in the given order without calling the planner', async () => {
+    const fetchMock = mockFetchWithTranscript({ responses: iterationReplies() })
+    const events = []
+
+    const result = await solveSchrodingerIterative({ ...baseParams, plan: reviewed, onEvent: (type, payload) => events.push([type, payload]) })
+
+    expect(fetchMock).toHaveBeenCalledTimes(2)
+    const [first, second] = requestBodies(fetchMock)
+    expect(first.messages[1].content).toContain('PLANNED STEP: Derive the energy spectrum')
+    expect(second.messages[1].content).toContain('PLANNED STEP: Normalize the ground state')
+    expect(second.messages[1].content).toContain('SUCCESS CRITERION: ψ_0 normalized')
+    expect(events.find(([type]) => type === 'plan')[1]).toMatchObject({ source: 'reviewed', plan: [{ index: 1 }, { index: 2 }] })
+    expect(result.plan.map((step) => step.title)).toEqual(reviewed.map((step) => step.title))
+    expect(result.validation.termination).toEqual({ reason: 'plan_complete', k: 2 })
+  })
+
+  test('are executed by /api/schrodinger whatever the strategy', async () => {
+    const fetchMock = mockFetchWithTranscript({ responses: iterationReplies() })
+    const res = mockRes()
+
+    await schrodinger({ method: 'POST', headers: {}, body: { ...baseParams, strategy: 'baseline', maxIterations: undefined, plan: reviewed } }, res)
+
+    expect(res.status).toHaveBeenCalledWith(200)
+    expect(fetchMock).toHaveBeenCalledTimes(2)
+    expect(res.json.mock.calls[0][0].plan).toHaveLength(2)
+  })
+
+  test('are checked before the run starts', async () => {
+    const fetchMock = mockFetchWithTranscript({ responses: [] })
+    const res = mockRes()
+
+    await schrodinger({ method: 'POST', headers: {}, body: { ...baseParams, plan: [{ methods: ['WKB'] }] } }, res)
+
+    expect(res.status).toHaveBeenCalledWith(400)
+    expect(res.json.mock.calls[0][0]).toMatchObject({ code: 'invalid_request', error: 'Plan step 1: title must be a non-empty string' })
+    expect(fetchMock).not.toHaveBeenCalled()
+  })
+})
@@ -0,0 +1,76 @@
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { VALIDATION_POLICIES, resolvePolicy, policyNames } from '../lib/schrodinger/policies'
+import { silenceConsole } from './helpers/transcripts'
+
+const ENV = { ...process.env }
+
+beforeEach(() => silenceConsole())
+
+afterEach(() => {
+  process.env = ENV
+  jest.restoreAllMocks()
+})
+
+function writePolicyFile(policies) {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'policies-')), 'policies.json')
+  fs.writeFileSync(file, JSON.stringify(policies))
+  process.env = { ...ENV, SCH_POLICY_FILE: file }
+  return file
+}
+
+describe('resolvePolicy', () => {
+  test('defaults to the policy matching the detail level', () => {
+    expect(resolvePolicy(undefined, 'exhaustive')).toEqual(VALIDATION_POLICIES.exhaustive)
+    expect(resolvePolicy(undefined, 'sketch')).toEqual(VALIDATION_POLICIES.sketch)
+    expect(resolvePolicy(undefined, 'unheard-of')).toEqual(VALIDATION_POLICIES.standard)
+  })
+
+  test('gates the detail levels differently', () => {
+    const { sketch, standard, exhaustive } = VALIDATION_POLICIES
+    expect(sketch.minEquations).toBeLessThan(standard.minEquations)
+    expect(standard.minEquations).toBeLessThan(exhaustive.minEquations)
+    expect(exhaustive.maxTokens).toBeGreaterThan(standard.maxTokens)
+    expect(exhaustive.iterations.min).toBe(8)
+    expect(exhaustive.requiredPhysicsChecks).toContain('normalization')
+  })
+
+  test('selects a named policy over the detail level', () => {
+    expect(resolvePolicy('sketch', 'exhaustive').name).toBe('sketch')
+  })
+
+  test('overrides the detail level policy with an object', () => {
+    const policy = resolvePolicy({ minEquations: 3, iterations: { max: 10 } }, 'exhaustive')
+    expect(policy).toMatchObject({ name: 'custom (exhaustive)', minEquations: 3, maxTokens: 2500, iterations: { min: 8, max: 10 } })
+  })
+
+  test('rejects unknown names and out-of-range values', () => {
+    expect(() => resolvePolicy('lecture')).toThrow('Unknown validation policy "lecture"')
+    expect(() => resolvePolicy({ minJustifiedFraction: 1.5 })).toThrow('minJustifiedFraction must be between 0 and 1')
+    expect(() => resolvePolicy({ maxTokens: 0 })).toThrow('maxTokens must be at least 1')
+    expect(() => resolvePolicy({ iterations: { min: 3, max: 2 } })).toThrow('iterations must be integers with 1 <= min <= max')
+    expect(() => resolvePolicy({ requiredPhysicsChecks: ['vibes'] })).toThrow('requiredPhysicsChecks must be drawn from')
+  })
+
+  test('reads named policies from SCH_POLICY_FILE', () => {
+    writePolicyFile({
+      lecture: { extends: 'sketch', minEquations: 3, iterations: { min: 2, max: 3 } },
+      seminar: { extends: 'lecture', requiredPhysicsChecks: ['boundary'] },
+    })
+    expect(policyNames()).toEqual(['sketch', 'standard', 'exhaustive', 'lecture', 'seminar'])
+    expect(resolvePolicy('seminar')).toMatchObject({
+      name: 'seminar',
+      minEquations: 3,
+      minSummaryLength: VALIDATION_POLICIES.sketch.minSummaryLength,
+      iterations: { min: 2, max: 3 },
+      requiredPhysicsChecks: ['boundary'],
+    })
+    expect(resolvePolicy({ extends: 'lecture', maxTokens: 600 })).toMatchObject({ name: 'custom (lecture)', minEquations: 3, maxTokens: 600 })
+  })
+
+  test('refuses policies that extend themselves', () => {
+    writePolicyFile({ a: { extends: 'b' }, b: { extends: 'a' } })
+    expect(() => resolvePolicy('a')).toThrow('extends itself')
+  })
+})
@@ -0,0 +1,188 @@
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { EventEmitter } from 'events'
+import { interpolate, listPrompts, loadPrompt, resolvePrompts } from '../lib/prompts/templates'
+import { comparePrompts } from '../lib/prompts/compare'
+import { solveSchrodingerIterative } from '../lib/schrodinger/solver'
+import { resetProviderHealth } from '../lib/llm/health'
+import schrodinger from '../pages/api/schrodinger'
+import compare from '../pages/api/prompts/compare'
+import { loadTranscript, mockFetchWithTranscript, requestBodies, silenceConsole } from './helpers/transcripts'
+
+const ENV = { ...process.env }
+
+beforeEach(() => {
+  process.env = { ...ENV, GROQ_API_KEY: 'test-key', SCH_MIN_DELAY_MS: '0', SCH_MAX_RETRIES: '0', SCH_BACKOFF_BASE_MS: '0' }
+  delete process.env.SCH_PROMPTS
+  delete process.env.SCH_PROMPTS_DIR
+  delete process.env.LLM_CACHE
+  resetProviderHealth()
+  silenceConsole()
+})
+
+afterEach(() => {
+  process.env = ENV
+  jest.restoreAllMocks()
+})
+
+function mockRes() {
+  const res = Object.assign(new EventEmitter(), { writableFinished: false, headers: {} })
+  res.status = jest.fn().mockReturnValue(res)
+  res.json = jest.fn().mockReturnValue(res)
+  res.setHeader = (name, value) => { res.headers[name] = value }
+  return res
+}
+
+// A copy of the shipped prompts with extra version files
+function promptsDirWith(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompts-'))
+  fs.cpSync(path.join(__dirname, '..', 'prompts'), dir, { recursive: true })
+  for (const [file, text] of Object.entries(files)) fs.writeFileSync(path.join(dir, file), text)
+  return dir
+}
+
+const baseParams = {
+  equation: '- (hbar^2 / 2m) d^2 psi/dx^2 + 1/2 m omega^2 x^2 psi = E psi',
+  strategy: 'planner',
+  detailLevel: 'sketch',
+  maxIterations: 4,
+  provider: 'groq',
+}
+
+describe('templates', () => {
+  test('ship a first version of every prompt', () => {
+    const prompts = listPrompts()
+    expect(Object.keys(prompts).sort()).toEqual(['appendix', 'intent', 'iterate', 'judge', 'plan', 'repair', 'revise', 'solve', 'step', 'structured', 'verify'])
+    expect(Object.values(prompts).every((p) => p.default === 'v1' && p.versions.includes('v1'))).toBe(true)
+  })
+
+  test('render their sections with the caller\'s values', () => {
+    const prompts = resolvePrompts()
+    const rendered = prompts.render('solve', { equation: 'x^2 = 4', variable: 'x' })
+
+    expect(rendered.system).toMatch(/^You are an expert mathematical solver/)
+    expect(rendered.user).toBe('Solve this equation with detailed steps: x^2 = 4\nVariable: x\n\nProvide the solution in the JSON format specified.')
+    expect(prompts.used()).toEqual({ solve: { version: 'v1', hash: loadPrompt('solve', 'v1').hash } })
+  })
+
+  test('interpolate values once and require every variable', () => {
+    expect(interpolate('a {{ x }} b {{y}}', { x: 1, y: '{{x}}' })).toBe('a 1 b {{x}}')
+    expect(() => interpolate('{{missing}}', {})).toThrow('No value for prompt variable "missing"')
+  })
+
+  test('reject unknown names and versions', () => {
+    expect(() => resolvePrompts({ plan: 'v9' })).toThrow('Unknown version "v9" of prompt "plan" (versions: v1)')
+    expect(() => resolvePrompts({ planner: 'v1' })).toThrow(/Unknown prompt "planner"/)
+    expect(() => resolvePrompts({ plan: '../intent/v1' })).toThrow(/Unknown version/)
+    expect(() => resolvePrompts(['v1'])).toThrow('prompts must be an object mapping prompt names to versions')
+  })
+
+  test('reject variables the index does not declare', () => {
+    process.env.SCH_PROMPTS_DIR = promptsDirWith({ 'plan/v2.md': '--- user ---\nSolve {{equation}} in {{units}}\n' })
+
+    expect(() => resolvePrompts({ plan: 'v2' })).toThrow('Prompt plan@v2 (user) uses undeclared variables: units')
+  })
+
+  test('take the server default from SCH_PROMPTS', () => {
+    process.env.SCH_PROMPTS_DIR = promptsDirWith({ 'iterate/v2.md': '--- system ---\nBe terse.\n' })
+    process.env.SCH_PROMPTS = '{"iterate":"v2"}'
+
+    expect(resolvePrompts().selection.iterate).toBe('v2')
+    expect(resolvePrompts({ iterate: 'v1' }).selection.iterate).toBe('v1')
+  })
+})
+
+describe('solver prompts', () => {
+  test('send the selected version and record it', async () => {
+    process.env.SCH_PROMPTS_DIR = promptsDirWith({ 'iterate/v2.md': '--- system ---\nBe terse.\n' })
+    const fetchMock = mockFetchWithTranscript(loadTranscript('planner.json'))
+
+    const result = await solveSchrodingerIterative({ ...baseParams, prompts: { iterate: 'v2' } })
+
+    const systems = requestBodies(fetchMock).map((body) => body.messages[0].content)
+    expect(systems[0]).toMatch(/^You are an expert theoretical physicist planning/)
+    expect(systems.slice(1)).toEqual(['Be terse.', 'Be terse.'])
+    expect(Object.keys(result.prompts).sort()).toEqual(['iterate', 'plan', 'step'])
+    expect(result.prompts.iterate).toEqual({ version: 'v2', hash: loadPrompt('iterate', 'v2').hash })
+  })
+
+  test('cover every stage of the run', async () => {
+    mockFetchWithTranscript(loadTranscript('verification.json'))
+
+    const result = await solveSchrodingerIterative({ ...baseParams, strategy: 'baseline', detailLevel: 'standard' })
+
+    expect(Object.keys(result.prompts).sort()).toEqual(['appendix', 'iterate', 'step', 'structured', 'verify'])
+    expect(result.prompts.verify).toEqual({ version: 'v1', hash: loadPrompt('verify', 'v1').hash })
+  })
+
+  test('send the selected revision and repair versions', async () => {
+    process.env.SCH_PROMPTS_DIR = promptsDirWith({
+      'revise/v2.md': '--- user ---\nFix it: {{failedChecks}}\n',
+      'repair/v2.md': '--- system ---\nJSON only.\n--- user ---\n{{content}}\n',
+    })
+    const fetchMock = mockFetchWithTranscript({ responses: [...loadTranscript('revision-accepted.json').responses.slice(0, 2), ...loadTranscript('parse-failure.json').responses] })
+
+    const result = await solveSchrodingerIterative({ ...baseParams, strategy: 'baseline', maxIterations: 2, prompts: { revise: 'v2', repair: 'v2' } })
+
+    const [, revise, , repair] = requestBodies(fetchMock).map((body) => body.messages)
+    expect(revise[1].content).toMatch(/^Fix it: \n\nFailed checks:/)
+    expect(repair).toEqual([{ role: 'system', content: 'JSON only.' }, { role: 'user', content: 'I cannot express this derivation as JSON.' }])
+    expect(result.prompts).toMatchObject({ revise: { version: 'v2' }, repair: { version: 'v2' } })
+  })
+
+  test('are checked before the run starts', async () => {
+    const fetchMock = mockFetchWithTranscript({ responses: [] })
+    const res = mockRes()
+
+    await schrodinger({ method: 'POST', headers: {}, body: { ...baseParams, prompts: { iterate: 'v9' } } }, res)
+
+    expect(res.status).toHaveBeenCalledWith(400)
+    expect(res.json.mock.calls[0][0]).toMatchObject({ code: 'invalid_request' })
+    expect(fetchMock).not.toHaveBeenCalled()
+  })
+})
+
+describe('comparePrompts', () => {
+  const problems = [{ name: 'oscillator', equation: baseParams.equation }]
+
+  test('solves each problem under both selections and compares them', async () => {
+    process.env.SCH_PROMPTS_DIR = promptsDirWith({ 'iterate/v2.md': '--- system ---\nBe terse.\n' })
+    const { responses } = loadTranscript('planner.json')
+    const fetchMock = mockFetchWithTranscript({ responses: [...responses, ...responses] })
+
+    const report = await comparePrompts({ a: {}, b: { iterate: 'v2' }, problems, params: baseParams })
+
+    expect(report.b.iterate).toBe('v2')
+    expect(requestBodies(fetchMock).map((body) => body.messages[0].content === 'Be terse.')).toEqual([false, false, false, false, true, true])
+    const [row] = report.problems
+    expect(row.a).toMatchObject({ status: 'completed', iterations: 2, attempted: 2, passedFirstDraft: 2 })
+    expect(row.b.prompts.iterate.version).toBe('v2')
+    expect(report.summary.a).toMatchObject({ runs: 1, completed: 1, passRate: 1, acceptRate: 1 })
+    expect(report.summary.a.equationsPerRun).toBe(row.a.equations)
+    expect(report.summary.delta).toMatchObject({ passRate: 0, acceptRate: 0, equationsPerRun: 0 })
+    // The shorter system prompt shows in the (estimated) token use
+    expect(report.summary.delta.tokensPerRun).toBeLessThan(0)
+  })
+
+  test('counts a run that failed as attempted', async () => {
+    mockFetchWithTranscript({ responses: [...loadTranscript('revision-rejected.json').responses, { status: 503 }] })
+
+    const report = await comparePrompts({ a: {}, b: {}, problems, params: { ...baseParams, strategy: 'baseline' } })
+
+    const [row] = report.problems
+    expect(row.a).toMatchObject({ termination: 'revision_rejected', iterations: 1, attempted: 2 })
+    expect(row.b).toMatchObject({ status: 'failed', code: 'provider_error' })
+    expect(report.summary.a.acceptRate).toBe(0.5)
+    expect(report.summary.b.failed).toBe(1)
+  })
+
+  test('are rejected with unknown versions', async () => {
+    const res = mockRes()
+
+    await compare({ method: 'POST', headers: {}, body: { a: {}, b: { plan: 'v2' } } }, res)
+
+    expect(res.status).toHaveBeenCalledWith(400)
+    expect(res.json.mock.calls[0][0].error).toMatch(/Unknown version "v2" of prompt "plan"/)
+  })
+})
@@ -0,0 +1,73 @@
+import { validateStructuredResult, evaluateEnergy, energyLevels } from '../lib/schrodinger/resultSchema'
+
+const oscillator = () => ({
+  energySpectrum: { expression: 'hbar*omega*(n + 1/2)', latex: 'E_n = \\hbar\\omega(n + 1/2)' },
+  eigenfunctions: {
+    expression: 'N_n*H_n(sqrt(m*omega/hbar)*x)*exp(-m*omega*x^2/(2*hbar))',
+    latex: '',
+    normalization: { expression: '(m*omega/(pi*hbar))^(1/4)/sqrt(2^n*n!)' },
+  },
+  quantumNumbers: [{ symbol: 'n', range: 'n = 0, 1, 2, ...', min: 0, max: null }],
+  parameters: [
+    { symbol: 'm', unit: 'kg' },
+    { symbol: 'omega', unit: 'rad/s', description: 'angular frequency' },
+  ],
+  validityRegime: 'exact',
+})
+
+describe('validateStructuredResult', () => {
+  test('accepts a complete result and fills optional fields', () => {
+    const { valid, errors, value } = validateStructuredResult(oscillator())
+    expect(valid).toBe(true)
+    expect(errors).toEqual([])
+    expect(value.parameters[0]).toEqual({ symbol: 'm', unit: 'kg', description: '' })
+    expect(value.eigenfunctions.normalization.latex).toBe('')
+  })
+
+  test('rejects symbols the result does not declare', () => {
+    const raw = oscillator()
+    raw.parameters = raw.parameters.filter((p) => p.symbol !== 'omega')
+    expect(validateStructuredResult(raw).errors).toEqual(['energySpectrum.expression uses undeclared symbols: omega'])
+  })
+
+  test('reports unparseable expressions and missing fields together', () => {
+    const raw = oscillator()
+    raw.energySpectrum.expression = '\\hbar\\omega(n+1/2)'
+    delete raw.validityRegime
+    raw.parameters[0].unit = ''
+    const { valid, errors, value } = validateStructuredResult(raw)
+    expect(valid).toBe(false)
+    expect(value).toBeNull()
+    expect(errors).toEqual([
+      'parameters[0].unit is required',
+      expect.stringMatching(/^energySpectrum\.expression does not parse/),
+      'validityRegime is required',
+    ])
+  })
+
+  test('rejects non-objects', () => {
+    expect(validateStructuredResult(null).valid).toBe(false)
+    expect(validateStructuredResult([]).valid).toBe(false)
+  })
+})
+
+describe('evaluateEnergy', () => {
+  const { value } = validateStructuredResult(oscillator())
+
+  test('evaluates E_n with hbar defaulting to 1', () => {
+    expect(evaluateEnergy(value, { n: 2, m: 1, omega: 2 })).toBeCloseTo(5)
+    expect(evaluateEnergy(value, { n: 0, m: 1, omega: 1, hbar: 2 })).toBeCloseTo(1)
+  })
+
+  test('rejects quantum numbers outside their range', () => {
+    expect(() => evaluateEnergy(value, { n: -1, m: 1, omega: 1 })).toThrow('n = -1 is outside its range n = 0, 1, 2, ...')
+  })
+
+  test('lists the lowest levels from the minimum quantum number', () => {
+    expect(energyLevels(value, { m: 1, omega: 1 }, 3)).toEqual([
+      { n: 0, energy: 0.5 },
+      { n: 1, energy: 1.5 },
+      { n: 2, energy: 2.5 },
+    ])
+  })
+})
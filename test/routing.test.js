@@ -0,0 +1,99 @@
+import { resolveRouting, createRouter, STAGES } from '../lib/schrodinger/routing'
+import { solveSchrodingerIterative } from '../lib/schrodinger/solver'
+import { resetProviderHealth } from '../lib/llm/health'
+import { loadTranscript, mockFetchWithTranscript, requestBodies, silenceConsole } from './helpers/transcripts'
+
+const ENV = { ...process.env }
+
+beforeEach(() => {
+  process.env = { ...ENV, GROQ_API_KEY: 'test-key', CEREBRAS_API_KEY: 'cerebras-key', SCH_MIN_DELAY_MS: '0', SCH_MAX_RETRIES: '0', SCH_BACKOFF_BASE_MS: '0' }
+  delete process.env.SCH_ROUTING
+  delete process.env.SCH_ROUTING_FILE
+  resetProviderHealth()
+  silenceConsole()
+})
+
+afterEach(() => {
+  process.env = ENV
+  jest.restoreAllMocks()
+})
+
+const baseParams = {
+  equation: '- (hbar^2 / 2m) d^2 psi/dx^2 + 1/2 m omega^2 x^2 psi = E psi',
+  strategy: 'baseline',
+  detailLevel: 'sketch',
+  maxIterations: 4,
+  provider: 'groq',
+}
+
+describe('resolveRouting', () => {
+  test('merges the request over the server default field by field', () => {
+    process.env.SCH_ROUTING = JSON.stringify({ plan: { provider: 'cerebras', temperature: 0.3 }, repair: { model: 'llama-3.1-8b-instant' } })
+
+    expect(resolveRouting({ plan: { temperature: 0 } })).toEqual({
+      plan: { provider: 'cerebras', temperature: 0 },
+      repair: { model: 'llama-3.1-8b-instant' },
+    })
+  })
+
+  test.each([
+    [{ planning: {} }, 'Unknown routing stage "planning"'],
+    [{ plan: { provider: 'groq', size: 'xl' } }, 'unknown field size'],
+    [{ plan: { temperature: 3 } }, 'temperature must be between 0 and 2'],
+    [{ plan: { model: '' } }, 'model must be a non-empty string'],
+    [['plan'], 'Routing must be an object keyed by stage'],
+  ])('rejects %j', (routing, message) => {
+    expect(() => resolveRouting(routing)).toThrow(message)
+  })
+
+  test('covers every LLM stage of a run', () => {
+    expect(STAGES).toEqual(['intent', 'plan', 'iterate', 'revise', 'repair', 'judge', 'appendix', 'structured', 'verify'])
+  })
+
+  test('gives each stage its config, tagged with the stage and meter', () => {
+    const meter = { record: jest.fn() }
+    const router = createRouter({ plan: { model: 'openai/gpt-oss-120b' }, repair: { model: 'openai/gpt-oss-120b' } }, { provider: 'groq', meter })
+
+    expect(router.config('plan')).toMatchObject({ model: 'openai/gpt-oss-120b', stage: 'plan', meter })
+    expect(router.config('repair')).toMatchObject({ model: 'openai/gpt-oss-120b', stage: 'repair' })
+    expect(router.config('iterate')).toMatchObject({ provider: 'groq', model: 'openai/gpt-oss-20b' })
+    expect(router.config('plan').capabilities.source).toBe('openai/gpt-oss-120b')
+    expect(router.temperature('iterate', 0.4)).toBe(0.4)
+  })
+})
+
+describe('solveSchrodingerIterative routing', () => {
+  test('sends the plan to its own provider, model and temperature', async () => {
+    const fetchMock = mockFetchWithTranscript(loadTranscript('planner.json'))
+
+    await solveSchrodingerIterative({ ...baseParams, strategy: 'planner', routing: { plan: { provider: 'cerebras', model: 'llama-3.3-70b', temperature: 0.5 } } })
+
+    const [plan, first] = requestBodies(fetchMock)
+    expect(fetchMock.mock.calls[0][0]).toContain('cerebras.ai')
+    expect(plan).toMatchObject({ model: 'llama-3.3-70b', temperature: 0.5 })
+    expect(fetchMock.mock.calls[1][0]).toContain('groq.com')
+    expect(first).toMatchObject({ model: 'openai/gpt-oss-20b', temperature: 0.1 })
+  })
+
+  test('repairs JSON with the repair route', async () => {
+    const fetchMock = mockFetchWithTranscript(loadTranscript('parse-failure.json'))
+
+    await solveSchrodingerIterative({ ...baseParams, routing: { repair: { model: 'llama-3.1-8b-instant', temperature: 0 } } })
+
+    const [iteration, repair] = requestBodies(fetchMock)
+    expect(iteration.model).toBe('openai/gpt-oss-20b')
+    expect(repair).toMatchObject({ model: 'llama-3.1-8b-instant', temperature: 0 })
+  })
+
+  test('revises with the revise route and records who wrote the accepted revision', async () => {
+    const fetchMock = mockFetchWithTranscript(loadTranscript('revision-accepted.json'))
+
+    const result = await solveSchrodingerIterative({ ...baseParams, routing: { revise: { provider: 'cerebras' } } })
+
+    const bodies = requestBodies(fetchMock)
+    expect(bodies[1].model).toBe('llama-3.3-70b')
+    expect(bodies[1].temperature).toBe(0.1)
+    expect(result.iterations[0].servedBy).toEqual({ provider: 'cerebras', model: 'llama-3.3-70b' })
+    expect(result.iterations[1].servedBy.provider).toBe('groq')
+  })
+})
@@ -0,0 +1,339 @@
+import { solveSchrodingerIterative } from '../lib/schrodinger/solver'
+import { resetProviderHealth } from '../lib/llm/health'
+import { loadTranscript, mockFetchWithTranscript, requestBodies, silenceConsole } from './helpers/transcripts'
+
+const ENV = { ...process.env }
+
+beforeEach(() => {
+  process.env = { ...ENV, GROQ_API_KEY: 'test-key', SCH_MIN_DELAY_MS: '0', SCH_MAX_RETRIES: '0', SCH_BACKOFF_BASE_MS: '0' }
+  resetProviderHealth()
+  silenceConsole()
+})
+
+afterEach(() => {
+  process.env = ENV
+  jest.restoreAllMocks()
+})
+
+const baseParams = {
+  equation: '- (hbar^2 / 2m) d^2 psi/dx^2 + 1/2 m omega^2 x^2 psi = E psi',
+  strategy: 'baseline',
+  detailLevel: 'sketch',
+  maxIterations: 4,
+  provider: 'groq',
+}
+
+describe('solveSchrodingerIterative control flow', () => {
+  test('accepts a revision when the first draft fails validation', async () => {
+    const transcript = loadTranscript('revision-accepted.json')
+    const fetchMock = mockFetchWithTranscript(transcript)
+    const events = []
+
+    const result = await solveSchrodingerIterative({ ...baseParams, onEvent: (type, payload) => events.push([type, payload]) })
+
+    expect(fetchMock).toHaveBeenCalledTimes(3)
+    expect(result.iterations.map((it) => it.k)).toEqual([1, 2])
+    expect(result.iterations[0].goal).toBe(transcript.responses[1].iteration.goal)
+    expect(events.map(([type]) => type)).toEqual([
+      'iteration_start', 'validation_failed', 'revision', 'iteration',
+      'iteration_start', 'iteration', 'done',
+    ])
+    expect(events[2][1]).toMatchObject({ k: 1, accepted: true, validation: { passed: true } })
+  })
+
+  test('records the validation report of each iteration and the rejected draft', async () => {
+    const events = []
+    mockFetchWithTranscript(loadTranscript('revision-accepted.json'))
+
+    const result = await solveSchrodingerIterative({ ...baseParams, onEvent: (type, payload) => events.push([type, payload]) })
+
+    const [first, second] = result.iterations
+    expect(first.validation).toMatchObject({ passed: true, revisionAttempted: true, draft: { passed: false } })
+    expect(first.validation.checks.map((c) => c.id)).toEqual([
+      'equation_count', 'empty_equations', 'justifications', 'summary_length', 'analysis_length',
+      'redundancy', 'physics_keywords', 'math_content', 'goal_length', 'dimensions',
+    ])
+    expect(first.validation.draft.checks.filter((c) => !c.passed).length).toBeGreaterThan(0)
+    expect(second.validation).toMatchObject({ passed: true, revisionAttempted: false })
+    expect(second.validation.draft).toBeUndefined()
+    expect(events.find(([type]) => type === 'validation_failed')[1].validation).toEqual(first.validation.draft)
+    expect(result.validation).toMatchObject({
+      policy: { name: 'sketch', maxTokens: 1000 },
+      termination: { reason: 'model_stop', k: 2 },
+      iterations: [{ k: 1, passed: true, revisionAttempted: true }, { k: 2, passed: true, revisionAttempted: false }],
+      rejected: null,
+    })
+    expect(events[events.length - 1][1].validation).toEqual(result.validation)
+  })
+
+  test('stops after an iteration whose revision also fails validation', async () => {
+    const fetchMock = mockFetchWithTranscript(loadTranscript('revision-rejected.json'))
+
+    const result = await solveSchrodingerIterative(baseParams)
+
+    expect(fetchMock).toHaveBeenCalledTimes(3)
+    expect(result.iterations).toHaveLength(1)
+    expect(result.latex).toContain('\\subsection{Iteration 1}')
+    expect(result.latex).not.toContain('\\subsection{Iteration 2}')
+    expect(result.validation.termination).toEqual({ reason: 'revision_rejected', k: 2 })
+    expect(result.validation.rejected.k).toBe(2)
+    expect(result.validation.rejected.draft.passed).toBe(false)
+    expect(result.validation.rejected.revision.passed).toBe(false)
+  })
+
+  test('honours the stop flag and carries the main result', async () => {
+    const fetchMock = mockFetchWithTranscript(loadTranscript('stop-flag.json'))
+
+    const result = await solveSchrodingerIterative(baseParams)
+
+    expect(fetchMock).toHaveBeenCalledTimes(1)
+    expect(result.iterations).toHaveLength(1)
+    expect(result.final.main_result_latex).toBe('E_n = \\hbar\\omega\\left(n + \\frac{1}{2}\\right)')
+    expect(result.validation.termination).toEqual({ reason: 'model_stop', k: 1 })
+  })
+
+  test('cites dimensionally inconsistent equations when requesting a revision', async () => {
+    const transcript = loadTranscript('stop-flag.json')
+    const good = transcript.responses[0].iteration
+    const bad = { ...good, equations: good.equations.map((e, i) => (i === 2 ? { ...e, latex: 'E_{1,2} = \\hbar\\omega^2' } : e)) }
+    const fetchMock = mockFetchWithTranscript({ responses: [{ iteration: bad }, { iteration: good }] })
+    const events = []
+
+    const result = await solveSchrodingerIterative({ ...baseParams, onEvent: (type, payload) => events.push([type, payload]) })
+
+    expect(fetchMock).toHaveBeenCalledTimes(2)
+    expect(result.iterations).toHaveLength(1)
+    expect(events.find(([type]) => type === 'revision')[1]).toMatchObject({ k: 1, accepted: true })
+    expect(result.iterations[0].validation.draft.checks.find((c) => c.id === 'dimensions')).toMatchObject({ passed: false, measured: 1 })
+    const revision = requestBodies(fetchMock)[1].messages[1].content
+    expect(revision).toContain('- Equation 3: E_{1,2} = \\hbar\\omega^2 (side 1 has dimension M L^2 T^-2 but side 2 has M L^2 T^-3)')
+  })
+
+  test('attaches a step-consistency verdict to each equation', async () => {
+    const transcript = loadTranscript('stop-flag.json')
+    const iteration = transcript.responses[0].iteration
+    const chain = ['E = \\hbar\\omega\\left(n + \\frac{1}{2}\\right)', 'E = \\hbar\\omega n + \\frac{\\hbar\\omega}{2}', 'E = \\hbar\\omega n - \\frac{\\hbar\\omega}{2}']
+    iteration.equations = iteration.equations.map((e, i) => (i < chain.length ? { ...e, latex: chain[i] } : e))
+    mockFetchWithTranscript(transcript)
+
+    const result = await solveSchrodingerIterative(baseParams)
+
+    const [first, second, third] = result.iterations[0].equations
+    expect(first.latex).toBe(chain[0])
+    expect(first.consistency).toBeUndefined()
+    expect(second.consistency).toEqual({ status: 'ok' })
+    expect(third.consistency).toEqual({ status: 'flagged', label: 'sign error', detail: 'one term changed sign' })
+  })
+
+  test('breaks out of the loop when neither parsing nor repair succeeds', async () => {
+    const fetchMock = mockFetchWithTranscript(loadTranscript('parse-failure.json'))
+
+    const result = await solveSchrodingerIterative(baseParams)
+
+    expect(fetchMock).toHaveBeenCalledTimes(2)
+    expect(result.iterations).toEqual([])
+    const [, repair] = requestBodies(fetchMock)
+    expect(repair.messages[1].content).toContain('I cannot express this derivation as JSON.')
+    expect(result.validation.termination).toEqual({ reason: 'unparseable_output', k: 1 })
+  })
+
+  test('runs one iteration per plan step with the planner strategy', async () => {
+    const fetchMock = mockFetchWithTranscript(loadTranscript('planner.json'))
+
+    const result = await solveSchrodingerIterative({ ...baseParams, strategy: 'planner' })
+
+    expect(fetchMock).toHaveBeenCalledTimes(3)
+    expect(result.iterations).toHaveLength(2)
+    const [, first, second] = requestBodies(fetchMock)
+    expect(first.messages[1].content).toContain('PLANNED STEP: Formulate the eigenvalue problem')
+    expect(second.messages[1].content).toContain('PLANNED STEP: Derive the energy spectrum')
+    expect(result.validation.termination).toEqual({ reason: 'plan_complete', k: 2 })
+  })
+
+  test('stops before the next iteration once the signal is aborted', async () => {
+    mockFetchWithTranscript(loadTranscript('revision-rejected.json'))
+    const controller = new AbortController()
+
+    const result = await solveSchrodingerIterative({
+      ...baseParams,
+      signal: controller.signal,
+      onEvent: (type) => { if (type === 'iteration') controller.abort() },
+    })
+
+    expect(result.iterations).toHaveLength(1)
+    expect(result.cancelled).toBe(true)
+    expect(result.validation.termination).toEqual({ reason: 'cancelled', k: 2 })
+  })
+
+  test('caps exhaustive runs at maxIterationsCap before synthesizing the appendix', async () => {
+    const fetchMock = mockFetchWithTranscript(loadTranscript('revision-accepted.json'))
+
+    const result = await solveSchrodingerIterative({ ...baseParams, detailLevel: 'exhaustive', policy: { minEquations: 5 }, maxIterationsCap: 1, structured: false, verify: false })
+
+    // Draft and revision for iteration 1, then the appendix call
+    expect(result.iterations).toHaveLength(1)
+    expect(fetchMock).toHaveBeenCalledTimes(3)
+    expect(result.validation.termination).toEqual({ reason: 'max_iterations', k: 1 })
+    expect(requestBodies(fetchMock)[2].max_tokens).toBe(8000)
+  })
+
+  test('cross-checks the derived spectrum numerically after the final iteration', async () => {
+    const fetchMock = mockFetchWithTranscript(loadTranscript('verification.json'))
+    const events = []
+
+    const result = await solveSchrodingerIterative({ ...baseParams, detailLevel: 'standard', onEvent: (type) => events.push(type) })
+
+    expect(fetchMock).toHaveBeenCalledTimes(4)
+    expect(result.verification.status).toBe('passed')
+    expect(result.verification.rows.map((r) => r.n)).toEqual([0, 1, 2, 3])
+    expect(events.slice(-5)).toEqual(['structured_start', 'structured', 'verification_start', 'verification', 'done'])
+    expect(result.latex).toContain('\\section{Numerical Verification}')
+  })
+
+  test('returns a validated structured result and feeds its spectrum to verification', async () => {
+    const fetchMock = mockFetchWithTranscript(loadTranscript('verification.json'))
+
+    const result = await solveSchrodingerIterative({ ...baseParams, detailLevel: 'standard' })
+
+    expect(result.final.structured.energySpectrum.expression).toBe('hbar*omega*(n + 1/2)')
+    expect(result.final.structured.quantumNumbers).toEqual([{ symbol: 'n', range: 'n = 0, 1, 2, ...', min: 0, max: null }])
+    expect(result.final.structuredErrors).toBeUndefined()
+    expect(requestBodies(fetchMock)[3].messages[1].content).toContain('E_n = hbar*omega*(n + 1/2)')
+  })
+
+  test('reports structured-result errors without failing the run', async () => {
+    const transcript = loadTranscript('verification.json')
+    const structured = JSON.parse(transcript.responses[2].content)
+    structured.energySpectrum.expression = 'hbar*omega*(n + 1/2) + V0'
+    transcript.responses[2] = { content: JSON.stringify(structured) }
+    mockFetchWithTranscript(transcript)
+
+    const result = await solveSchrodingerIterative({ ...baseParams, detailLevel: 'standard' })
+
+    expect(result.final.structured).toBeNull()
+    expect(result.final.structuredErrors).toEqual(['energySpectrum.expression uses undeclared symbols: V0'])
+    expect(result.verification.status).toBe('passed')
+  })
+})
+
+describe('validation policies', () => {
+  test('set the token budget per iteration', async () => {
+    const fetchMock = mockFetchWithTranscript(loadTranscript('stop-flag.json'))
+
+    const result = await solveSchrodingerIterative({ ...baseParams, policy: { maxTokens: 1800, minEquations: 4 } })
+
+    expect(requestBodies(fetchMock)[0].max_tokens).toBe(1800)
+    expect(result.validation.policy).toMatchObject({ name: 'custom (sketch)', maxTokens: 1800, minEquations: 4 })
+  })
+
+  test('clamp maxIterations to the policy range', async () => {
+    const events = []
+    mockFetchWithTranscript(loadTranscript('revision-rejected.json'))
+
+    await solveSchrodingerIterative({ ...baseParams, maxIterations: 10, onEvent: (type, payload) => events.push([type, payload]) })
+
+    expect(events.find(([type]) => type === 'iteration_start')[1].total).toBe(4)
+  })
+
+  test('ask for required physics checks not yet carried out and report coverage', async () => {
+    const transcript = loadTranscript('stop-flag.json')
+    const fetchMock = mockFetchWithTranscript(transcript)
+
+    const result = await solveSchrodingerIterative({ ...baseParams, policy: { requiredPhysicsChecks: ['normalization', 'orthogon'] } })
+
+    expect(requestBodies(fetchMock)[0].messages[1].content).toContain('REQUIRED CHECKS NOT YET CARRIED OUT (the derivation must include each before it ends): normalization, orthogonality')
+    const coverage = result.validation.physicsCoverage
+    expect(coverage.required).toEqual(['normalization', 'orthogon'])
+    expect(coverage.covered.concat(coverage.missing).sort()).toEqual(['normalization', 'orthogon'])
+    expect(coverage.passed).toBe(coverage.missing.length === 0)
+  })
+
+  test('list the failed checks when requesting a revision', async () => {
+    const fetchMock = mockFetchWithTranscript(loadTranscript('revision-accepted.json'))
+
+    await solveSchrodingerIterative(baseParams)
+
+    expect(requestBodies(fetchMock)[1].messages[1].content).toContain('- Equation count: 3 (required >= 4 (sketch policy))')
+  })
+
+  test('ask the draft and its revision for the same number of equations', async () => {
+    const fetchMock = mockFetchWithTranscript(loadTranscript('revision-accepted.json'))
+
+    await solveSchrodingerIterative(baseParams)
+
+    const [draft, revision] = requestBodies(fetchMock)
+    expect(draft.messages[1].content).toContain('Provide at least 5 equations')
+    expect(revision.messages[1].content).toContain('- Minimum 5 equations for this step')
+  })
+
+  test('ask for as much as the policy requires', async () => {
+    // Only the first prompt of each run matters: the exhaustive one ends on unparseable output
+    const fetchMock = mockFetchWithTranscript({ responses: [...loadTranscript('stop-flag.json').responses, ...loadTranscript('parse-failure.json').responses] })
+
+    await solveSchrodingerIterative(baseParams)
+    await solveSchrodingerIterative({ ...baseParams, policy: 'exhaustive', maxIterations: 8 })
+
+    const [sketch, exhaustive] = requestBodies(fetchMock).filter((body) => body.messages[1].content.includes('Output requirements'))
+    expect(sketch.messages[1].content).toContain('Output requirements for THIS ITERATION (sketch policy):\n- Show the key algebraic steps')
+    expect(sketch.messages[1].content).not.toMatch(/exhaustive|Hermiticity/)
+    expect(exhaustive.messages[1].content).toContain('Output requirements for THIS ITERATION (exhaustive policy):\n- Provide thorough derivations')
+    expect(exhaustive.messages[1].content).toContain('- Carry out boundary conditions, normalization, Hermiticity, orthogonality explicitly wherever they apply.')
+    expect(exhaustive.messages[1].content).toContain('- Provide at least 9 equations')
+  })
+})
+
+describe('model capabilities', () => {
+  test('request the iteration JSON schema from models that support it', async () => {
+    const fetchMock = mockFetchWithTranscript(loadTranscript('stop-flag.json'))
+
+    await solveSchrodingerIterative(baseParams)
+
+    expect(requestBodies(fetchMock)[0].response_format).toMatchObject({ type: 'json_schema', json_schema: { name: 'iteration' } })
+  })
+
+  test('compress prior iterations and skip the appendix for small models', async () => {
+    process.env.GROQ_MODEL = 'llama-3.1-8b-instant'
+    const fetchMock = mockFetchWithTranscript(loadTranscript('planner.json'))
+
+    const result = await solveSchrodingerIterative({ ...baseParams, strategy: 'planner', detailLevel: 'standard', policy: 'sketch', structured: false, verify: false, judge: false })
+
+    expect(result.iterations).toHaveLength(2)
+    expect(fetchMock).toHaveBeenCalledTimes(3)
+    const [, first, second] = requestBodies(fetchMock)
+    expect(first.response_format).toEqual({ type: 'json_object' })
+    expect(second.messages[1].content).toContain('PRIOR WORK (1 iterations, 5 equations total)')
+    expect(second.messages[1].content).not.toContain('PRIOR ITERATIONS:')
+  })
+
+  test('keep the appendix for Llama 4 Maverick', async () => {
+    process.env.GROQ_MODEL = 'meta-llama/llama-4-maverick-17b-128e-instruct'
+    const events = []
+    mockFetchWithTranscript({ responses: [...loadTranscript('stop-flag.json').responses, { content: '{"appendixLatex":"\\\\section{A}"}' }] })
+
+    await solveSchrodingerIterative({ ...baseParams, detailLevel: 'standard', structured: false, verify: false, onEvent: (type) => events.push(type) })
+
+    expect(events).toContain('appendix_start')
+  })
+})
+
+describe('provider fallback', () => {
+  test('records the provider that wrote each iteration', async () => {
+    mockFetchWithTranscript(loadTranscript('stop-flag.json'))
+
+    const result = await solveSchrodingerIterative(baseParams)
+
+    expect(result.iterations[0].servedBy).toEqual({ provider: 'groq', model: 'openai/gpt-oss-20b' })
+  })
+
+  test('moves to the next provider when one fails', async () => {
+    process.env.CEREBRAS_API_KEY = 'cerebras-key'
+    const fetchMock = mockFetchWithTranscript({ responses: [{ status: 503, body: { error: 'overloaded' } }, ...loadTranscript('stop-flag.json').responses] })
+
+    const result = await solveSchrodingerIterative({ ...baseParams, fallback: ['cerebras'] })
+
+    expect(fetchMock.mock.calls[0][0]).toContain('groq.com')
+    expect(fetchMock.mock.calls[1][0]).toContain('cerebras.ai')
+    expect(requestBodies(fetchMock)[1].model).toBe('llama-3.3-70b')
+    expect(result.iterations[0].servedBy).toMatchObject({ provider: 'cerebras', model: 'llama-3.3-70b', skipped: [{ provider: 'groq' }] })
+  })
+})
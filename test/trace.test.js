@@ -0,0 +1,215 @@
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { EventEmitter } from 'events'
+import { createLogger, log } from '../lib/log/logger'
+import { createTrace, requestId } from '../lib/log/trace'
+import { solveSchrodingerIterative } from '../lib/schrodinger/solver'
+import { resetProviderHealth } from '../lib/llm/health'
+import schrodinger from '../pages/api/schrodinger'
+import compare from '../pages/api/prompts/compare'
+import { loadTranscript, mockFetchWithTranscript, silenceConsole } from './helpers/transcripts'
+
+const ENV = { ...process.env }
+
+beforeEach(() => {
+  process.env = { ...ENV, GROQ_API_KEY: 'test-key', SCH_MIN_DELAY_MS: '0', SCH_MAX_RETRIES: '0', SCH_BACKOFF_BASE_MS: '0' }
+  delete process.env.LOG_LEVEL
+  delete process.env.LOG_FORMAT
+  delete process.env.LOG_TRACE_DIR
+  resetProviderHealth()
+  silenceConsole()
+})
+
+afterEach(() => {
+  process.env = ENV
+  jest.restoreAllMocks()
+})
+
+// Every JSON line written to the console
+function logLines() {
+  return ['log', 'warn', 'error'].flatMap((level) => console[level].mock.calls)
+    .map(([line]) => { try { return JSON.parse(line) } catch { return null } })
+    .filter(Boolean)
+}
+
+const baseParams = {
+  equation: '- (hbar^2 / 2m) d^2 psi/dx^2 + 1/2 m omega^2 x^2 psi = E psi',
+  strategy: 'planner',
+  detailLevel: 'sketch',
+  maxIterations: 4,
+  provider: 'groq',
+}
+
+describe('logger', () => {
+  test('writes one JSON object per entry', () => {
+    createLogger({ scope: 'test' }).child({ k: 2 }).warn('something odd', { error: new TypeError('bad') })
+
+    expect(console.warn).toHaveBeenCalledTimes(1)
+    const entry = JSON.parse(console.warn.mock.calls[0][0])
+    expect(entry).toMatchObject({ level: 'warn', scope: 'test', msg: 'something odd', k: 2, error: { name: 'TypeError', message: 'bad' } })
+    expect(Date.parse(entry.time)).not.toBeNaN()
+  })
+
+  test('drops entries below LOG_LEVEL', () => {
+    process.env.LOG_LEVEL = 'warn'
+    log.info('hidden')
+    log.debug('hidden')
+    log.error('shown')
+
+    expect(console.log).not.toHaveBeenCalled()
+    expect(console.error).toHaveBeenCalledTimes(1)
+  })
+
+  test('prints scope and message with LOG_FORMAT=pretty', () => {
+    process.env.LOG_FORMAT = 'pretty'
+    createLogger({ scope: 'llm' }).info('circuit opened', { provider: 'groq' })
+
+    expect(console.log).toHaveBeenCalledWith('[llm] circuit opened', { provider: 'groq' })
+  })
+})
+
+describe('trace', () => {
+  test('nests spans and records their outcomes', async () => {
+    const trace = createTrace({ runId: 'run-1' })
+
+    await trace.span('solve', { provider: 'groq' }, async () => {
+      const iteration = trace.start('iteration', { k: 1 })
+      await iteration.span('revision', {}, async (span) => span.end('rejected'))
+      iteration.end('revision_rejected')
+      await trace.span('appendix', {}, async () => { throw new DOMException('gone', 'AbortError') }).catch(() => {})
+    })
+
+    const spans = trace.toJSON().spans
+    expect(spans.map(({ id, parentId, name, outcome }) => ({ id, parentId, name, outcome }))).toEqual([
+      { id: 1, parentId: null, name: 'solve', outcome: 'ok' },
+      { id: 2, parentId: 1, name: 'iteration', outcome: 'revision_rejected' },
+      { id: 3, parentId: 2, name: 'revision', outcome: 'rejected' },
+      { id: 4, parentId: 1, name: 'appendix', outcome: 'cancelled' },
+    ])
+    expect(spans[0].attrs).toEqual({ provider: 'groq' })
+    expect(spans[3].error).toEqual({ message: 'gone' })
+    expect(spans.every((s) => s.durationMs >= 0)).toBe(true)
+  })
+
+  test('tags log entries written inside a span with the run id', async () => {
+    const trace = createTrace({ runId: 'run-2' })
+
+    await trace.span('solve', {}, async () => { log.info('inside') })
+    log.info('outside')
+
+    const [inside, outside] = logLines()
+    expect(inside).toMatchObject({ msg: 'inside', runId: 'run-2', spanId: 1 })
+    expect(outside).not.toHaveProperty('runId')
+    expect(trace.toJSON().logs.map((e) => e.msg)).toEqual(['inside'])
+  })
+
+  test('exports to LOG_TRACE_DIR', async () => {
+    process.env.LOG_TRACE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'traces-'))
+    const trace = createTrace({ runId: 'run-3' })
+    await trace.span('solve', {}, async () => {})
+
+    const file = await trace.export({ status: 'completed' })
+
+    expect(file).toBe(path.join(process.env.LOG_TRACE_DIR, 'run-3.json'))
+    expect(JSON.parse(fs.readFileSync(file, 'utf8'))).toMatchObject({ runId: 'run-3', status: 'completed', spans: [{ name: 'solve' }] })
+  })
+
+  test('does not export without LOG_TRACE_DIR', async () => {
+    expect(await createTrace().export()).toBeNull()
+  })
+
+  test('keeps a plain X-Request-Id header as the request id', () => {
+    expect(requestId({ headers: { 'x-request-id': 'client-42' } })).toBe('client-42')
+    expect(requestId({ headers: { 'x-request-id': '../../etc/passwd' } })).toBeNull()
+    expect(requestId({ headers: {} })).toBeNull()
+  })
+
+  test('give requests with the same X-Request-Id their own run ids and trace files', async () => {
+    process.env.LOG_TRACE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'traces-'))
+    const first = createTrace({ requestId: 'retry-me' })
+    const second = createTrace({ requestId: 'retry-me' })
+    await first.span('solve', {}, async () => log.info('inside'))
+
+    const files = [await first.export({ status: 'failed' }), await second.export({ status: 'completed' })]
+
+    expect(first.runId).not.toBe(second.runId)
+    expect(files[0]).not.toBe(files[1])
+    expect(files.map((file) => JSON.parse(fs.readFileSync(file, 'utf8')))).toEqual([
+      expect.objectContaining({ runId: first.runId, requestId: 'retry-me', status: 'failed' }),
+      expect.objectContaining({ runId: second.runId, requestId: 'retry-me', status: 'completed' }),
+    ])
+    expect(logLines()[0]).toMatchObject({ msg: 'inside', runId: first.runId, requestId: 'retry-me' })
+  })
+})
+
+describe('solver tracing', () => {
+  test('traces the plan, each iteration and its LLM calls', async () => {
+    mockFetchWithTranscript(loadTranscript('planner.json'))
+    const trace = createTrace({ runId: 'run-4' })
+
+    const result = await solveSchrodingerIterative({ ...baseParams, trace })
+
+    expect(result.runId).toBe('run-4')
+    const spans = trace.toJSON().spans
+    const byId = new Map(spans.map((s) => [s.id, s]))
+    const parentName = (s) => byId.get(s.parentId)?.name
+    expect(spans.filter((s) => !s.parentId).map((s) => s.name)).toEqual(['solve'])
+    expect(spans.find((s) => s.name === 'solve')).toMatchObject({ outcome: 'ok', attrs: { iterations: 2, termination: 'plan_complete' } })
+    expect(spans.find((s) => s.name === 'plan').attrs.steps).toBe(2)
+    expect(spans.filter((s) => s.name === 'iteration').map((s) => s.attrs.k)).toEqual([1, 2])
+    const llm = spans.filter((s) => s.name === 'llm')
+    expect(llm.map((s) => [s.attrs.stage, parentName(s)])).toEqual([['plan', 'plan'], ['iterate', 'iteration'], ['iterate', 'iteration']])
+    expect(llm[0].attrs).toMatchObject({ provider: 'groq', retries: 0 })
+  })
+
+  test('records why a run stopped', async () => {
+    mockFetchWithTranscript(loadTranscript('revision-rejected.json'))
+    const trace = createTrace()
+
+    await solveSchrodingerIterative({ ...baseParams, strategy: 'baseline', trace })
+
+    const spans = trace.toJSON().spans
+    expect(spans.filter((s) => s.name === 'iteration').map((s) => s.outcome)).toEqual(['ok', 'revision_rejected'])
+    expect(spans.find((s) => s.name === 'revision').outcome).toBe('rejected')
+    expect(trace.toJSON().logs.some((e) => e.msg === 'revision failed validation, stopping' && e.k === 2)).toBe(true)
+    expect(logLines().filter((e) => e.scope === 'schrodinger').every((e) => e.runId === trace.runId)).toBe(true)
+  })
+})
+
+describe('API run ids', () => {
+  function mockRes() {
+    const res = Object.assign(new EventEmitter(), { writableFinished: false, headers: {} })
+    res.status = jest.fn().mockReturnValue(res)
+    res.json = jest.fn().mockReturnValue(res)
+    res.setHeader = (name, value) => { res.headers[name] = value }
+    return res
+  }
+
+  test('are generated, keep the X-Request-Id and export the trace', async () => {
+    process.env.LOG_TRACE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'traces-'))
+    mockFetchWithTranscript(loadTranscript('planner.json'))
+    const res = mockRes()
+
+    await schrodinger({ method: 'POST', headers: { 'x-request-id': 'req-7' }, body: baseParams }, res)
+
+    const { runId } = res.json.mock.calls[0][0]
+    expect(runId).toMatch(/^[0-9a-f-]{36}$/)
+    expect(res.headers['X-Run-Id']).toBe(runId)
+    const exported = JSON.parse(fs.readFileSync(path.join(process.env.LOG_TRACE_DIR, `${runId}.json`), 'utf8'))
+    expect(exported).toMatchObject({ runId, requestId: 'req-7', route: '/api/schrodinger', status: 'completed' })
+  })
+
+  test('export the trace of a prompt comparison', async () => {
+    process.env.LOG_TRACE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'traces-'))
+    const { responses } = loadTranscript('parse-failure.json')
+    mockFetchWithTranscript({ responses: [...responses, ...responses] })
+    const res = mockRes()
+
+    await compare({ method: 'POST', headers: {}, body: { a: {}, b: {}, problems: [{ equation: baseParams.equation }], strategy: 'baseline', detailLevel: 'sketch' } }, res)
+
+    expect(res.status).toHaveBeenCalledWith(200)
+    const exported = JSON.parse(fs.readFileSync(path.join(process.env.LOG_TRACE_DIR, `${res.headers['X-Run-Id']}.json`), 'utf8'))
+    expect(exported).toMatchObject({ route: '/api/prompts/compare', status: 'completed' })
+  })
+})
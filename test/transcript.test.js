@@ -0,0 +1,187 @@
+import { EventEmitter } from 'events'
+import { createTranscript, resolveTranscript, transcriptToMarkdown } from '../lib/llm/transcript'
+import { solveSchrodingerIterative } from '../lib/schrodinger/solver'
+import { createSolveJob, getJob, isTerminal } from '../lib/jobs/runner'
+import { createMemoryStore, setJobStore } from '../lib/jobs/store'
+import { resetProviderHealth } from '../lib/llm/health'
+import schrodinger from '../pages/api/schrodinger'
+import transcriptRoute from '../pages/api/jobs/[id]/transcript'
+import { loadTranscript, mockFetchWithTranscript, silenceConsole } from './helpers/transcripts'
+
+const ENV = { ...process.env }
+
+beforeEach(() => {
+  process.env = { ...ENV, GROQ_API_KEY: 'test-key', SCH_MIN_DELAY_MS: '0', SCH_MAX_RETRIES: '0', SCH_BACKOFF_BASE_MS: '0' }
+  delete process.env.SCH_TRANSCRIPT
+  resetProviderHealth()
+  silenceConsole()
+})
+
+afterEach(() => {
+  process.env = ENV
+  jest.restoreAllMocks()
+})
+
+function mockRes() {
+  const res = Object.assign(new EventEmitter(), { writableFinished: false, headers: {} })
+  res.status = jest.fn().mockReturnValue(res)
+  res.json = jest.fn().mockReturnValue(res)
+  res.send = jest.fn().mockReturnValue(res)
+  res.setHeader = (name, value) => { res.headers[name] = value }
+  return res
+}
+
+const baseParams = {
+  equation: '- (hbar^2 / 2m) d^2 psi/dx^2 + 1/2 m omega^2 x^2 psi = E psi',
+  strategy: 'planner',
+  detailLevel: 'sketch',
+  maxIterations: 4,
+  provider: 'groq',
+}
+
+const call = (stage, content) => ({
+  stage,
+  provider: 'groq',
+  model: 'm',
+  body: { model: 'm', temperature: 0.1, messages: [{ role: 'user', content: 'go' }] },
+  content,
+  latencyMs: 5,
+})
+
+describe('createTranscript', () => {
+  test('records the messages and parameters sent and the raw reply', () => {
+    const transcript = createTranscript()
+    transcript.record(call('plan', '{"steps":[]}'))
+    transcript.record({ ...call('iterate'), error: new Error('HTTP 503') })
+
+    expect(transcript.entries).toEqual([
+      { n: 1, stage: 'plan', provider: 'groq', model: 'm', params: { temperature: 0.1 }, messages: [{ role: 'user', content: 'go' }], latencyMs: 5, content: '{"steps":[]}' },
+      { n: 2, stage: 'iterate', provider: 'groq', model: 'm', params: { temperature: 0.1 }, messages: [{ role: 'user', content: 'go' }], latencyMs: 5, error: 'HTTP 503' },
+    ])
+  })
+
+  test('annotates the last answered call of a stage since a mark', () => {
+    const transcript = createTranscript()
+    transcript.record(call('iterate', 'a'))
+    const mark = transcript.entries.length
+    transcript.record(call('iterate', 'b'))
+    transcript.record({ ...call('iterate'), error: new Error('down') })
+
+    transcript.annotate('iterate', { k: 2 }, mark)
+    transcript.annotate('revise', { k: 2 }, mark)
+
+    expect(transcript.entries.map((e) => e.k)).toEqual([undefined, 2, undefined])
+  })
+
+  test('is created on request or with SCH_TRANSCRIPT=1', () => {
+    expect(resolveTranscript(undefined)).toBeNull()
+    expect(resolveTranscript(true).entries).toEqual([])
+    process.env.SCH_TRANSCRIPT = '1'
+    expect(resolveTranscript(undefined)).not.toBeNull()
+    expect(resolveTranscript(false)).toBeNull()
+  })
+})
+
+describe('transcriptToMarkdown', () => {
+  test('renders each call with its outcome, messages and reply', () => {
+    const markdown = transcriptToMarkdown({
+      runId: 'run-1',
+      equation: 'H psi = E psi',
+      entries: [{ ...call('iterate', '{"k":1}'), n: 1, k: 1, parse: 'ok', validation: { passed: false, failed: ['steps (3, need 5)'] }, messages: [{ role: 'user', content: 'go' }] }],
+    })
+
+    expect(markdown).toContain('# Transcript: H psi = E psi')
+    expect(markdown).toContain('- Run: run-1')
+    expect(markdown).toContain('## 1. iterate, iteration 1 (groq/m)')
+    expect(markdown).toContain('parse: ok · validation: failed (steps (3, need 5)) · 5 ms')
+    expect(markdown).toContain('### reply\n\n```json\n{"k":1}\n```')
+  })
+
+  test('fences text containing backticks with a longer fence', () => {
+    const markdown = transcriptToMarkdown({ entries: [{ ...call('iterate', 'see ```latex``` and ````x````'), n: 1, messages: [] }] })
+
+    expect(markdown).toContain('`````\nsee ```latex``` and ````x````\n`````')
+  })
+})
+
+describe('solver transcripts', () => {
+  test('record every call with what the solver made of it', async () => {
+    mockFetchWithTranscript(loadTranscript('planner.json'))
+
+    const result = await solveSchrodingerIterative({ ...baseParams, transcript: true })
+
+    const { entries } = result.transcript
+    expect(result.transcript).toMatchObject({ runId: result.runId, equation: baseParams.equation })
+    expect(entries.map((e) => [e.stage, e.k, e.parse])).toEqual([['plan', undefined, 'ok'], ['iterate', 1, 'ok'], ['iterate', 2, 'ok']])
+    expect(entries[1].messages.map((m) => m.role)).toEqual(['system', 'user'])
+    expect(JSON.parse(entries[1].content).goal).toBe(result.iterations[0].goal)
+    expect(entries[1].validation.passed).toBe(true)
+  })
+
+  test('are off by default', async () => {
+    mockFetchWithTranscript(loadTranscript('planner.json'))
+
+    const result = await solveSchrodingerIterative(baseParams)
+
+    expect(result).not.toHaveProperty('transcript')
+  })
+
+  test('show which checks a rejected revision failed', async () => {
+    mockFetchWithTranscript(loadTranscript('revision-rejected.json'))
+
+    const result = await solveSchrodingerIterative({ ...baseParams, strategy: 'baseline', transcript: true })
+
+    const revise = result.transcript.entries.find((e) => e.stage === 'revise')
+    expect(revise).toMatchObject({ k: 2, parse: 'ok', validation: { passed: false } })
+    expect(revise.validation.failed.length).toBeGreaterThan(0)
+  })
+
+  test('come back from /api/schrodinger when asked for', async () => {
+    mockFetchWithTranscript(loadTranscript('planner.json'))
+    const res = mockRes()
+
+    await schrodinger({ method: 'POST', headers: {}, body: { ...baseParams, transcript: true } }, res)
+
+    expect(res.json.mock.calls[0][0].transcript.entries).toHaveLength(3)
+  })
+})
+
+describe('job transcripts', () => {
+  async function finishedJob(options) {
+    mockFetchWithTranscript(loadTranscript('planner.json'))
+    const job = await createSolveJob(baseParams, options)
+    for (let i = 0; i < 100; i++) {
+      const current = await getJob(job.id)
+      if (isTerminal(current.status)) return current
+      await new Promise((resolve) => setTimeout(resolve, 10))
+    }
+    throw new Error('job did not finish')
+  }
+
+  beforeEach(() => setJobStore(createMemoryStore()))
+  afterEach(() => setJobStore(null))
+
+  test('download as JSON or Markdown', async () => {
+    const job = await finishedJob({ transcript: true })
+
+    const json = mockRes()
+    await transcriptRoute({ method: 'GET', query: { id: job.id } }, json)
+    expect(json.headers['Content-Disposition']).toBe(`attachment; filename="transcript-${job.id}.json"`)
+    expect(json.json.mock.calls[0][0].entries.map((e) => e.stage)).toEqual(['plan', 'iterate', 'iterate'])
+
+    const markdown = mockRes()
+    await transcriptRoute({ method: 'GET', query: { id: job.id, format: 'markdown' } }, markdown)
+    expect(markdown.headers['Content-Type']).toMatch(/^text\/markdown/)
+    expect(markdown.send.mock.calls[0][0]).toContain('## 3. iterate, iteration 2')
+  })
+
+  test('are 404 when the job did not record one', async () => {
+    const job = await finishedJob({ transcript: false })
+    const res = mockRes()
+
+    await transcriptRoute({ method: 'GET', query: { id: job.id } }, res)
+
+    expect(res.status).toHaveBeenCalledWith(404)
+    expect(res.json.mock.calls[0][0]).toMatchObject({ code: 'not_found', error: 'No transcript for this job' })
+  })
+})
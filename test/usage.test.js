@@ -0,0 +1,100 @@
+import { createUsageMeter, summarizeUsage, usageRecord } from '../lib/llm/usage'
+import { callLLM } from '../lib/llm/provider'
+import { resetProviderHealth } from '../lib/llm/health'
+import { solveSchrodingerIterative } from '../lib/schrodinger/solver'
+import { loadTranscript, mockFetchWithTranscript, silenceConsole } from './helpers/transcripts'
+
+const ENV = { ...process.env }
+
+beforeEach(() => {
+  process.env = { ...ENV, GROQ_API_KEY: 'test-key', CEREBRAS_API_KEY: 'cerebras-key', SCH_MIN_DELAY_MS: '0', SCH_MAX_RETRIES: '0', SCH_BACKOFF_BASE_MS: '0' }
+  delete process.env.LLM_PRICES
+  delete process.env.LLM_PRICES_FILE
+  resetProviderHealth()
+  silenceConsole()
+})
+
+afterEach(() => {
+  process.env = ENV
+  jest.restoreAllMocks()
+})
+
+const messages = [{ role: 'user', content: 'Solve 2x = 4' }]
+
+describe('usageRecord', () => {
+  test('takes token counts from the provider', () => {
+    const data = { choices: [{ message: { content: 'x = 2' } }], usage: { prompt_tokens: 30, completion_tokens: 8 } }
+    expect(usageRecord({ stage: 'plan', provider: 'groq', model: 'm', body: { messages }, data, latencyMs: 12, retries: 1 })).toEqual({
+      stage: 'plan', provider: 'groq', model: 'm', latencyMs: 12, retries: 1,
+      status: 'ok', promptTokens: 30, completionTokens: 8, totalTokens: 38, estimated: false,
+    })
+  })
+
+  test('estimates token counts the provider left out', () => {
+    const record = usageRecord({ provider: 'groq', model: 'm', body: { messages }, data: { choices: [{ message: { content: 'x'.repeat(40) } }] }, latencyMs: 1, retries: 0 })
+    expect(record).toMatchObject({ stage: 'other', promptTokens: 3, completionTokens: 10, estimated: true })
+  })
+})
+
+describe('summarizeUsage', () => {
+  const records = [
+    { stage: 'plan', provider: 'openai', model: 'gpt-4o', status: 'ok', promptTokens: 1000, completionTokens: 500, totalTokens: 1500, latencyMs: 900, retries: 0 },
+    { stage: 'iterate', provider: 'groq', model: 'openai/gpt-oss-20b', status: 'ok', promptTokens: 2000, completionTokens: 1000, totalTokens: 3000, latencyMs: 400, retries: 2 },
+    { stage: 'iterate', provider: 'groq', model: 'openai/gpt-oss-20b', status: 'failed', promptTokens: 0, completionTokens: 0, totalTokens: 0, latencyMs: 100, retries: 0 },
+  ]
+
+  test('totals tokens, latency and retries overall, per stage and per model', () => {
+    const summary = summarizeUsage(records, {})
+    expect(summary).toMatchObject({ calls: 3, failedCalls: 1, promptTokens: 3000, completionTokens: 1500, totalTokens: 4500, latencyMs: 1400, retries: 2, cost: null, unpricedCalls: 2 })
+    expect(summary.byStage.iterate).toMatchObject({ calls: 2, failedCalls: 1, totalTokens: 3000 })
+    expect(Object.keys(summary.byModel)).toEqual(['openai:gpt-4o', 'groq:openai/gpt-oss-20b'])
+  })
+
+  test('prices calls per million tokens from the price table', () => {
+    const summary = summarizeUsage(records, { 'gpt-4o': { input: 2.5, output: 10 }, 'groq:*': { input: 0.1, output: 0.5 } })
+    expect(summary.byStage.plan.cost).toBe(0.0075)
+    expect(summary.byStage.iterate.cost).toBe(0.0007)
+    expect(summary.cost).toBe(0.0082)
+    expect(summary.unpricedCalls).toBe(0)
+    expect(summary.records[0].cost).toBe(0.0075)
+  })
+
+  test('reads the price table from LLM_PRICES', () => {
+    process.env.LLM_PRICES = JSON.stringify({ 'openai:gpt-4o': { input: 2.5, output: 10 } })
+    expect(summarizeUsage(records.slice(0, 1)).cost).toBe(0.0075)
+  })
+})
+
+describe('metered calls', () => {
+  test('record the stage, provider, model and retries of each call', async () => {
+    const meter = createUsageMeter()
+    mockFetchWithTranscript({ responses: [{ status: 503 }, { content: '{}', usage: { prompt_tokens: 20, completion_tokens: 2 } }] })
+
+    await callLLM({ provider: 'groq', messages, meter, stage: 'solve', maxRetries: 1, baseDelayMs: 0 })
+
+    expect(meter.records).toEqual([expect.objectContaining({ stage: 'solve', provider: 'groq', model: 'openai/gpt-oss-20b', retries: 1, promptTokens: 20, completionTokens: 2, status: 'ok' })])
+  })
+
+  test('record failed providers before a fallback', async () => {
+    const meter = createUsageMeter()
+    mockFetchWithTranscript({ responses: [{ status: 500 }, { content: '{}' }] })
+
+    await callLLM({ provider: 'groq', fallback: ['cerebras'], messages, meter, maxRetries: 0 })
+
+    expect(meter.records.map((r) => [r.provider, r.status])).toEqual([['groq', 'failed'], ['cerebras', 'ok']])
+  })
+
+  test('are summarized per stage in the solver result', async () => {
+    const transcript = loadTranscript('planner.json')
+    transcript.responses[1].usage = { prompt_tokens: 1200, completion_tokens: 600 }
+    mockFetchWithTranscript(transcript)
+    const events = []
+
+    const result = await solveSchrodingerIterative({ equation: 'H psi = E psi', strategy: 'planner', detailLevel: 'sketch', provider: 'groq', onEvent: (type, payload) => events.push([type, payload]) })
+
+    expect(Object.keys(result.usage.byStage)).toEqual(['plan', 'iterate'])
+    expect(result.usage.byStage.iterate.calls).toBe(2)
+    expect(result.usage.records[1]).toMatchObject({ stage: 'iterate', promptTokens: 1200, completionTokens: 600, estimated: false })
+    expect(events[events.length - 1][1].usage).toEqual(result.usage)
+  })
+})
@@ -0,0 +1,164 @@
+import { validateIteration, validationReport } from '../lib/schrodinger/solver'
+import { readModelOutput, silenceConsole } from './helpers/transcripts'
+
+beforeEach(() => silenceConsole())
+afterEach(() => jest.restoreAllMocks())
+
+const good = () => JSON.parse(readModelOutput('clean.json'))
+
+describe('validateIteration', () => {
+  test('accepts a well-formed iteration', () => {
+    expect(validateIteration(good(), null)).toBe(true)
+  })
+
+  test('rejects a missing iteration', () => {
+    expect(validateIteration(null, null)).toBe(false)
+  })
+
+  test('requires at least five equations', () => {
+    const it = good()
+    it.equations = it.equations.slice(0, 4)
+    expect(validateIteration(it, null)).toBe(false)
+  })
+
+  test('rejects empty equations', () => {
+    const it = good()
+    it.equations[2] = {}
+    expect(validateIteration(it, null)).toBe(false)
+  })
+
+  test('requires most equations to be justified', () => {
+    const it = good()
+    it.equations = it.equations.map((e, i) => (i < 3 ? { latex: e.latex, text: 'short' } : e))
+    expect(validateIteration(it, null)).toBe(false)
+  })
+
+  test.each([
+    ['result_summary', 'Too short.'],
+    ['analysis', 'Too short.'],
+    ['goal', 'Solve it'],
+  ])('rejects an insufficient %s', (field, value) => {
+    const it = good()
+    it[field] = value
+    expect(validateIteration(it, null)).toBe(false)
+  })
+
+  test('rejects an iteration that restarts from the previous first equation', () => {
+    const last = good()
+    const it = good()
+    it.equations = [last.equations[0], ...it.equations.slice(1).map((e) => ({ ...e, latex: `${e.latex} + 0` }))]
+    expect(validateIteration(it, last)).toBe(false)
+  })
+
+  test('rejects an iteration that repeats the previous final equation', () => {
+    const last = good()
+    const it = good()
+    it.equations = [...it.equations.slice(0, 4).map((e) => ({ ...e, latex: `${e.latex} + 1` })), last.equations[4]]
+    expect(validateIteration(it, last)).toBe(false)
+  })
+
+  test('accepts an iteration that advances from the previous one', () => {
+    const last = good()
+    const it = good()
+    it.equations = it.equations.map((e) => ({ ...e, latex: `${e.latex} + 0` }))
+    expect(validateIteration(it, last)).toBe(true)
+  })
+
+  test('requires at least one physics check keyword', () => {
+    const it = good()
+    it.analysis = 'We rewrite the operator and reduce the problem to a simpler form here.'
+    it.result_summary = 'Reduced the problem to a scaled form with a Gaussian factor; next we solve for h(xi) in the new variable.'
+    it.equations = it.equations.map((e) => ({ ...e, text: 'Algebraic rearrangement of terms' }))
+    expect(validateIteration(it, null)).toBe(false)
+  })
+
+  test('requires mathematical content in most equations', () => {
+    const it = good()
+    it.equations = it.equations.map((e, i) => (i < 2 ? { ...e, latex: 'a b c' } : e))
+    expect(validateIteration(it, null)).toBe(false)
+  })
+
+  test('rejects an equation whose sides differ in dimension', () => {
+    const it = good()
+    it.equations[4] = { ...it.equations[4], latex: 'E = \\frac{\\hbar}{m x^2}' }
+    expect(validateIteration(it, null)).toBe(false)
+  })
+
+  test('accepts the oscillator written with its spring constant', () => {
+    const it = good()
+    it.equations[3] = { ...it.equations[3], latex: 'V(x) = \\frac{1}{2} k x^2' }
+    it.equations[4] = { ...it.equations[4], latex: '\\omega = \\sqrt{k/m}' }
+    expect(validateIteration(it, null)).toBe(true)
+  })
+
+  test('accepts the oscillator in natural units', () => {
+    const it = good()
+    it.analysis = 'We work in natural units, hbar = m = omega = 1, and check normalization of the ground state.'
+    it.equations[3] = { ...it.equations[3], latex: '-\\frac{1}{2}\\psi\'\' + \\frac{1}{2}x^2\\psi = E\\psi' }
+    it.equations[4] = { ...it.equations[4], latex: 'E_n = n + \\frac{1}{2}' }
+    expect(validateIteration(it, null, 'sketch')).toBe(true)
+    expect(validateIteration(it, null, 'sketch', { context: { parameters: 'x dimensionless' } })).toBe(true)
+    it.analysis = 'We check normalization of the ground state.'
+    expect(validateIteration(it, null, 'sketch')).toBe(false)
+  })
+
+  test('checks declared parameter units from the context', () => {
+    const it = good()
+    it.equations[4] = { ...it.equations[4], latex: 'E_0 = \\frac{\\hbar^2}{2 m a^2}' }
+    expect(validateIteration(it, null)).toBe(true)
+    expect(validateIteration(it, null, 'exhaustive', { context: { parameters: 'a [1/m]' } })).toBe(false)
+  })
+})
+
+describe('validationReport', () => {
+  test('runs every check and reports the measured values', () => {
+    const it = good()
+    it.equations = it.equations.slice(0, 4)
+    it.goal = 'Solve it'
+    const report = validationReport(it, null)
+    expect(report.passed).toBe(false)
+    expect(report.checks).toHaveLength(10)
+    expect(report.checks.filter((c) => !c.passed).map((c) => c.id)).toEqual(['equation_count', 'goal_length'])
+    expect(report.checks.find((c) => c.id === 'equation_count')).toMatchObject({ measured: 4, required: '>= 5 (standard policy)' })
+    expect(report.checks.find((c) => c.id === 'goal_length')).toMatchObject({ measured: 8, required: '>= 20 characters' })
+    expect(report.checks.find((c) => c.id === 'justifications').measured).toBe('4/4')
+  })
+
+  test('names the repeated equation and the physics keywords found', () => {
+    const last = good()
+    const report = validationReport(good(), last)
+    expect(report.checks.find((c) => c.id === 'redundancy')).toMatchObject({ passed: false, measured: 'first equation of the previous iteration' })
+    expect(report.checks.find((c) => c.id === 'physics_keywords').detail).toBeTruthy()
+  })
+
+  test('describes dimensional issues per equation', () => {
+    const it = good()
+    it.equations[4] = { ...it.equations[4], latex: 'E = \\frac{\\hbar}{m x^2}' }
+    const check = validationReport(it, null).checks.find((c) => c.id === 'dimensions')
+    expect(check).toMatchObject({ passed: false, measured: 1 })
+    expect(check.detail).toMatch(/^equation 5: side 1 has dimension/)
+  })
+
+  test('reports a missing iteration', () => {
+    expect(validationReport(undefined, null)).toEqual({ passed: false, checks: [expect.objectContaining({ id: 'present', passed: false })] })
+  })
+})
+
+describe('validation policies', () => {
+  test('apply their own thresholds', () => {
+    const it = good()
+    expect(validateIteration(it, null, 'standard')).toBe(true)
+    const exhaustive = validationReport(it, null, 'exhaustive')
+    expect(exhaustive.checks.find((c) => c.id === 'equation_count')).toMatchObject({ passed: false, required: '>= 8 (exhaustive policy)' })
+    it.equations = it.equations.slice(0, 4)
+    expect(validateIteration(it, null, 'standard')).toBe(false)
+    expect(validateIteration(it, null, 'sketch')).toBe(true)
+  })
+
+  test('accept override objects', () => {
+    const it = good()
+    it.goal = 'Solve it'
+    expect(validateIteration(it, null, { minGoalLength: 5 })).toBe(true)
+    expect(validationReport(it, null, { checkDimensions: false }).checks.map((c) => c.id)).not.toContain('dimensions')
+  })
+})
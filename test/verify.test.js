@@ -0,0 +1,113 @@
+import { runNumericVerification, verifySpectrum } from '../lib/schrodinger/verify'
+import { silenceConsole } from './helpers/transcripts'
+
+const oscillator = {
+  applicable: true,
+  parameters: { hbar: 1, m: 2, omega: 1.5 },
+  potential: '0.5*m*omega^2*x^2',
+  mass: 'm',
+  domain: [-8, 8],
+  boundary: 'decaying',
+  energySpectrum: 'hbar*omega*(n + 1/2)',
+  nStart: 0,
+  count: 4,
+}
+
+describe('runNumericVerification', () => {
+  test('passes a correct harmonic oscillator spectrum', () => {
+    const report = runNumericVerification(oscillator)
+    expect(report.status).toBe('passed')
+    expect(report.rows).toHaveLength(4)
+    report.rows.forEach((row) => expect(row.numeric).toBeCloseTo(1.5 * (row.n + 0.5), 2))
+    expect(report.maxRelError).toBeLessThan(1e-3)
+  })
+
+  test('fails a hallucinated spectrum', () => {
+    const report = runNumericVerification({ ...oscillator, energySpectrum: 'hbar*omega*n' })
+    expect(report.status).toBe('failed')
+    expect(report.rows[0].relError).toBeCloseTo(1, 6)
+  })
+
+  test('handles Dirichlet walls with quantum numbers starting at 1', () => {
+    const report = runNumericVerification({
+      parameters: { hbar: 1, m: 1, L: 2 },
+      potential: '0',
+      domain: [0, 2],
+      boundary: 'dirichlet',
+      energySpectrum: 'n^2 pi^2 hbar^2 / (2 m L^2)',
+      nStart: 1,
+      count: 3,
+    })
+    expect(report.status).toBe('passed')
+    expect(report.rows.map((r) => r.n)).toEqual([1, 2, 3])
+  })
+
+  test('is inconclusive when no level fits inside the numeric window', () => {
+    const report = runNumericVerification({ ...oscillator, domain: [-0.5, 0.5], count: 2 })
+    expect(report.status).toBe('inconclusive')
+  })
+
+  test('binds the quantum number the spectrum is written in', () => {
+    const report = runNumericVerification({ ...oscillator, energySpectrum: 'hbar*omega*(k + 1/2)', quantumNumber: 'k' })
+    expect(report.status).toBe('passed')
+    expect(report.rows.map((r) => r.n)).toEqual([0, 1, 2, 3])
+  })
+
+  test('skips problems the spec marks as not applicable', () => {
+    expect(runNumericVerification({ applicable: false, reason: 'Scattering problem' })).toEqual({ status: 'skipped', reason: 'Scattering problem', rows: [] })
+  })
+})
+
+describe('verifySpectrum', () => {
+  const config = { provider: 'groq', model: 'test', apiUrl: 'http://llm.test/v1', apiKey: 'k', extraHeaders: {} }
+
+  beforeEach(() => silenceConsole())
+  afterEach(() => jest.restoreAllMocks())
+
+  test('reports errors instead of throwing', async () => {
+    jest.spyOn(global, 'fetch').mockResolvedValue(new Response(JSON.stringify({ choices: [{ message: { content: 'not json' } }] })))
+    const report = await verifySpectrum({ config, equation: 'H = p^2/2m', iterations: [] })
+    expect(report.status).toBe('error')
+  })
+
+  test('reads a spec the model fenced and explained', async () => {
+    const content = `Here is the numeric test case:\n\n\`\`\`json\n${JSON.stringify(oscillator, null, 2)}\n\`\`\`\n\nThe window is wide enough for the lowest states.`
+    jest.spyOn(global, 'fetch').mockResolvedValue(new Response(JSON.stringify({ choices: [{ message: { content } }] })))
+
+    const report = await verifySpectrum({ config, equation: 'H = p^2/2m + m omega^2 x^2/2', iterations: [] })
+
+    expect(report.status).toBe('passed')
+    expect(report.spec).toEqual(oscillator)
+  })
+
+  test('reads a spec cut off after its last field', async () => {
+    const content = JSON.stringify(oscillator).replace(/\}$/, ',')
+    jest.spyOn(global, 'fetch').mockResolvedValue(new Response(JSON.stringify({ choices: [{ message: { content } }] })))
+
+    const report = await verifySpectrum({ config, equation: 'H = p^2/2m + m omega^2 x^2/2', iterations: [] })
+
+    expect(report.status).toBe('passed')
+  })
+
+  test('evaluates the structured spectrum in its own quantum number', async () => {
+    const fetchMock = jest.spyOn(global, 'fetch').mockResolvedValue(new Response(JSON.stringify({ choices: [{ message: { content: JSON.stringify(oscillator) } }] })))
+    const structured = {
+      energySpectrum: { expression: 'hbar*omega*(v + 1/2)' },
+      parameters: [{ symbol: 'm' }, { symbol: 'omega' }],
+      quantumNumbers: [{ symbol: 'v', range: 'v = 0, 1, 2, ...', min: 0, max: null }],
+    }
+
+    const report = await verifySpectrum({ config, equation: 'H = p^2/2m + m omega^2 x^2/2', iterations: [], structured })
+
+    expect(report.status).toBe('passed')
+    expect(report.spec).toMatchObject({ energySpectrum: 'hbar*omega*(v + 1/2)', quantumNumber: 'v' })
+    expect(JSON.parse(fetchMock.mock.calls[0][1].body).messages[1].content).toContain('set "quantumNumber" to "v"')
+  })
+
+  test('skips time-dependent problems without calling the model', async () => {
+    const fetchMock = jest.spyOn(global, 'fetch')
+    const report = await verifySpectrum({ config, equation: 'i hbar dpsi/dt = H psi', context: { type: 'time-dependent' }, iterations: [] })
+    expect(report.status).toBe('skipped')
+    expect(fetchMock).not.toHaveBeenCalled()
+  })
+})